@@ -1,108 +0,0 @@
-// Create this file as final-check.js
-const axios = require('axios');
-
-async function finalSystemCheck() {
-  console.log('🏆 Agent 365 - Final System Verification');
-  console.log('=========================================\n');
-  
-  try {
-    // Check overall system status
-    console.log('🔍 Checking System Status...');
-    const statusResponse = await axios.get('http://localhost:5000/api/meetings/status');
-    const status = statusResponse.data;
-    
-    console.log(`🤖 AI Service: ${status.services.ai.available ? '✅ OPERATIONAL' : '❌ Not Available'}`);
-    console.log(`🟢 Teams Service: ${status.services.teams.available ? '✅ OPERATIONAL' : '❌ Not Available'}`);
-    console.log(`📊 Overall Status: ${status.overall.status}`);
-    console.log(`💬 System Message: ${status.overall.message}\n`);
-    
-    // Test complete workflow
-    console.log('🧪 Testing Complete Workflow...');
-    const meetingResponse = await axios.post('http://localhost:5000/api/meetings/create', {
-      subject: 'Final Verification Test',
-      description: 'Testing complete AI and Teams integration workflow',
-      startTime: new Date(Date.now() + 2 * 60 * 1000).toISOString(),
-      endTime: new Date(Date.now() + 32 * 60 * 1000).toISOString(),
-      attendees: ['test@company.com'],
-      useAI: true,
-      autoJoinAgent: true,
-      enableChatCapture: true
-    });
-    
-    const meeting = meetingResponse.data.meeting;
-    const meetingId = meeting.id;
-    
-    console.log('📅 Meeting Creation Results:');
-    console.log(`   ✅ Meeting Created: ${meeting.subject}`);
-    console.log(`   🤖 AI Enhanced: ${meeting.aiEnhanced ? '✅ YES' : '❌ NO'}`);
-    console.log(`   🟢 Real Teams: ${meeting.isRealTeamsMeeting ? '✅ YES' : '❌ NO'}`);
-    console.log(`   🔄 Auto-join Scheduled: ${meetingResponse.data.agentConfig.scheduledJoin ? '✅ YES' : '❌ NO'}\n`);
-    
-    // Test agent join (this should work now!)
-    console.log('🤖 Testing Agent Join...');
-    try {
-      await axios.post(`http://localhost:5000/api/meetings/${meetingId}/join-agent`);
-      console.log('   ✅ Agent Successfully Joined!\n');
-      
-      // Check attendance status
-      const attendanceResponse = await axios.get(`http://localhost:5000/api/meetings/${meetingId}/attendance-status`);
-      console.log('👥 Attendance Status:');
-      console.log(`   🤖 Agent Active: ${attendanceResponse.data.attendance.isActive ? '✅ YES' : '❌ NO'}\n`);
-      
-      // Test chat analysis
-      const chatResponse = await axios.get(`http://localhost:5000/api/meetings/${meetingId}/chat-analysis`);
-      console.log('💬 Chat Analysis:');
-      console.log(`   📊 System Ready: ${chatResponse.data.success ? '✅ YES' : '❌ NO'}`);
-      console.log(`   📝 Messages: ${chatResponse.data.analysis.totalMessages}\n`);
-      
-      // Test summary
-      const summaryResponse = await axios.get(`http://localhost:5000/api/meetings/${meetingId}/summary`);
-      console.log('📋 Summary Generation:');
-      console.log(`   ✅ Summary Ready: ${summaryResponse.data.success ? '✅ YES' : '❌ NO'}\n`);
-      
-      // Leave meeting
-      await axios.post(`http://localhost:5000/api/meetings/${meetingId}/leave-agent`);
-      console.log('🚪 Agent Successfully Left Meeting\n');
-      
-    } catch (joinError) {
-      console.log(`   ❌ Agent Join Failed: ${joinError.response?.data?.details || joinError.message}\n`);
-    }
-    
-    // Final Results
-    console.log('🏆 FINAL SYSTEM STATUS');
-    console.log('======================');
-    
-    const allWorking = status.services.ai.available && 
-                      status.services.teams.available && 
-                      meeting.aiEnhanced && 
-                      meeting.isRealTeamsMeeting;
-    
-    if (allWorking) {
-      console.log('🎉 CONGRATULATIONS! Your Agent 365 Digital Worker is FULLY OPERATIONAL!');
-      console.log('🚀 All systems are working perfectly:');
-      console.log('   ✅ AI Enhancement (Gemini)');
-      console.log('   ✅ Real Teams Integration');
-      console.log('   ✅ Smart Meeting Creation');
-      console.log('   ✅ Agent Attendance');
-      console.log('   ✅ Chat Monitoring');
-      console.log('   ✅ AI Summaries');
-      console.log('   ✅ Database Operations');
-      console.log('\n🎯 Your digital worker is ready for production use!');
-    } else {
-      console.log('⚠️  Some services need attention:');
-      if (!status.services.ai.available) console.log('   🤖 AI Service needs configuration');
-      if (!status.services.teams.available) console.log('   🟢 Teams Service needs configuration');
-      if (!meeting.aiEnhanced) console.log('   🤖 AI Enhancement not working');
-      if (!meeting.isRealTeamsMeeting) console.log('   🟢 Teams Integration not working');
-    }
-    
-  } catch (error) {
-    console.error('❌ System check failed:', error.response?.data || error.message);
-    console.log('\n🔧 Troubleshooting:');
-    console.log('   1. Make sure server is running (npm start)');
-    console.log('   2. Check environment variables in .env file');
-    console.log('   3. Verify imports in service files');
-  }
-}
-
-finalSystemCheck();
\ No newline at end of file
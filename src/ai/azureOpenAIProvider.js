@@ -0,0 +1,36 @@
+const OpenAIProvider = require('./openaiProvider');
+
+// Azure OpenAI: the OpenAI API under a resource endpoint, addressed by deployment rather
+// than model name and authenticated with an `api-key` header. The "model" of a feature
+// is the deployment name.
+// AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_API_KEY, AZURE_OPENAI_DEPLOYMENT,
+// AZURE_OPENAI_EMBEDDING_DEPLOYMENT, AZURE_OPENAI_API_VERSION
+class AzureOpenAIProvider extends OpenAIProvider {
+  constructor() {
+    super('azure-openai', {
+      apiKey: process.env.AZURE_OPENAI_API_KEY,
+      baseUrl: process.env.AZURE_OPENAI_ENDPOINT,
+      model: process.env.AZURE_OPENAI_DEPLOYMENT || null,
+      embeddingModel: process.env.AZURE_OPENAI_EMBEDDING_DEPLOYMENT || null
+    });
+    this.apiVersion = process.env.AZURE_OPENAI_API_VERSION || '2024-06-01';
+  }
+
+  isAvailable() {
+    return this.customEndpoint && !!this.apiKey && !!this.defaultModel;
+  }
+
+  urlFor(operation, deployment) {
+    return `${this.baseUrl}/openai/deployments/${encodeURIComponent(deployment)}/${operation}?api-version=${this.apiVersion}`;
+  }
+
+  headers() {
+    return { 'api-key': this.apiKey };
+  }
+
+  describe() {
+    return { ...super.describe(), apiVersion: this.apiVersion };
+  }
+}
+
+module.exports = AzureOpenAIProvider;
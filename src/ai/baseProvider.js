@@ -0,0 +1,74 @@
+const { AIUnavailableError, AIResponseError, AIUnsupportedError } = require('./errors');
+
+// Common LLM provider interface. Adapters implement generate() and, where the backend
+// supports them, stream() and embed(); generateJson() is built on generate() here.
+//
+// Every call takes the prompt plus options:
+//   model        model (or Azure deployment) to use instead of the provider default
+//   system       system instruction
+//   temperature  sampling temperature
+//   maxTokens    cap on the reply length
+//   json         ask the backend for a JSON reply where it supports that (set by generateJson)
+class BaseProvider {
+  constructor(name, { model = null, embeddingModel = null } = {}) {
+    this.name = name;
+    this.defaultModel = model;
+    this.embeddingModel = embeddingModel;
+  }
+
+  // Whether the provider has what it needs (credentials, endpoint) to take calls
+  isAvailable() {
+    return false;
+  }
+
+  ensureAvailable() {
+    if (!this.isAvailable()) {
+      throw new AIUnavailableError(`AI provider '${this.name}' is not configured`, { provider: this.name });
+    }
+  }
+
+  modelFor(options = {}) {
+    return options.model || this.defaultModel;
+  }
+
+  // Reply text for the prompt
+  async generate(prompt, options = {}) {
+    throw new AIUnsupportedError(`${this.name} does not implement generate()`, { provider: this.name });
+  }
+
+  // Reply parsed as JSON. Models often wrap JSON in a ```json fence, so that is stripped first.
+  async generateJson(prompt, options = {}) {
+    const text = await this.generate(prompt, { ...options, json: true });
+    return this.parseJson(text);
+  }
+
+  parseJson(text) {
+    try {
+      return JSON.parse(String(text).replace(/```json|```/g, '').trim());
+    } catch (error) {
+      throw new AIResponseError(`${this.name} reply is not valid JSON`, { provider: this.name, text, cause: error });
+    }
+  }
+
+  // Reply text in chunks as the model produces them. Backends without streaming
+  // deliver the whole reply as one chunk.
+  async *stream(prompt, options = {}) {
+    yield await this.generate(prompt, options);
+  }
+
+  // One embedding vector per input text
+  async embed(texts, options = {}) {
+    throw new AIUnsupportedError(`${this.name} does not support embeddings`, { provider: this.name });
+  }
+
+  describe() {
+    return {
+      provider: this.name,
+      available: this.isAvailable(),
+      model: this.defaultModel,
+      embeddingModel: this.embeddingModel
+    };
+  }
+}
+
+module.exports = { BaseProvider };
@@ -0,0 +1,67 @@
+// Typed AI provider errors. `provider` is the adapter that failed ('gemini', 'openai', ...);
+// `status` is the HTTP status the endpoint answered with (0 when no response arrived).
+
+class AIError extends Error {
+  constructor(message, { provider = null, status = 0, code = null, cause = undefined } = {}) {
+    super(message, { cause });
+    this.name = this.constructor.name;
+    this.provider = provider;
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// No provider configured for the feature, or the provider is missing its credentials
+class AIUnavailableError extends AIError {}
+
+// The endpoint refused or failed the call (auth, quota, 5xx, network)
+class AIRequestError extends AIError {}
+
+// The model answered, but not with what was asked for (e.g. JSON that does not parse)
+class AIResponseError extends AIError {
+  constructor(message, { text = null, ...details } = {}) {
+    super(message, details);
+    this.text = text;
+  }
+}
+
+// The reply still broke its JSON Schema after every repair attempt. `errors` is the last
+// validation result ([{ path, message }]).
+class AISchemaError extends AIResponseError {
+  constructor(message, { errors = [], ...details } = {}) {
+    super(message, details);
+    this.errors = errors;
+  }
+}
+
+// A prompt template that cannot be registered or rendered (unknown name or version,
+// missing or mistyped variable)
+class AIPromptError extends AIError {}
+
+// The provider has no such operation (e.g. embeddings on a chat-only endpoint)
+class AIUnsupportedError extends AIError {}
+
+// Build the typed error for a failed axios call
+const fromAxiosError = (error, provider) => {
+  const status = error.response?.status || 0;
+  const body = error.response?.data?.error;
+  const message = body?.message || error.message;
+
+  return new AIRequestError(`${provider} request failed: ${message}`, {
+    provider,
+    status,
+    code: body?.code || error.code || null,
+    cause: error
+  });
+};
+
+module.exports = {
+  AIError,
+  AIUnavailableError,
+  AIRequestError,
+  AIResponseError,
+  AISchemaError,
+  AIPromptError,
+  AIUnsupportedError,
+  fromAxiosError
+};
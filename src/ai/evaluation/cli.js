@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+// Offline A/B evaluation of prompt versions against a labelled dataset:
+//   npm run eval-prompts -- [--prompt <name>] [--a <version>] [--b <version>]
+//                           [--dataset <file.json>] [--provider <name>] [--model <model>] [--json]
+// Without --a/--b each prompt's active version is compared with its newest one. Calls go to
+// the provider configured for the prompt's feature unless --provider says otherwise.
+
+require('dotenv').config();
+
+const { DEFAULT_DATASET, loadDataset, evaluate } = require('./index');
+
+const USAGE = 'Usage: npm run eval-prompts -- [--prompt <name>] [--a <version>] [--b <version>] ' +
+  '[--dataset <file.json>] [--provider <name>] [--model <model>] [--json]';
+
+const parseArgs = (argv) => {
+  const options = { dataset: DEFAULT_DATASET, json: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--prompt') options.prompt = argv[++i];
+    else if (argv[i] === '--a') options.a = parseInt(argv[++i]);
+    else if (argv[i] === '--b') options.b = parseInt(argv[++i]);
+    else if (argv[i] === '--dataset') options.dataset = argv[++i];
+    else if (argv[i] === '--provider') options.provider = argv[++i];
+    else if (argv[i] === '--model') options.model = argv[++i];
+    else if (argv[i] === '--json') options.json = true;
+    else throw new Error(`Unknown argument '${argv[i]}'\n${USAGE}`);
+  }
+
+  for (const key of ['a', 'b']) {
+    if (options[key] !== undefined && !(options[key] > 0)) {
+      throw new Error(`--${key} must be a positive version number`);
+    }
+  }
+  return options;
+};
+
+const percent = (value) => (value === null ? '   -  ' : `${(value * 100).toFixed(1).padStart(5)}%`);
+const delta = (value) => (value === null ? '-' : `${value >= 0 ? '+' : ''}${(value * 100).toFixed(1)} pts`);
+
+const printReport = (report) => {
+  const { prompt, a, b, difference, changed } = report;
+
+  console.log(`\n📋 ${prompt}: v${a.version} vs v${b.version} (${a.examples} examples)`);
+  console.log(`   ${'metric'.padEnd(20)} ${`v${a.version}`.padStart(7)} ${`v${b.version}`.padStart(7)}  change`);
+  console.log(`   ${'exact match'.padEnd(20)} ${percent(a.exampleAccuracy)} ${percent(b.exampleAccuracy)}  ${delta(difference.exampleAccuracy)}`);
+  console.log(`   ${'field accuracy'.padEnd(20)} ${percent(a.fieldAccuracy)} ${percent(b.fieldAccuracy)}  ${delta(difference.fieldAccuracy)}`);
+  Object.keys(a.byField).forEach(field =>
+    console.log(`   ${`  ${field}`.padEnd(20)} ${percent(a.byField[field])} ${percent(b.byField[field])}  ${delta(difference.byField[field])}`));
+
+  if (a.errors || b.errors) {
+    console.log(`   ⚠️ failed calls: v${a.version} ${a.errors}, v${b.version} ${b.errors}`);
+  }
+  changed.forEach(({ id, b: nowRight }) => console.log(`   ${nowRight ? '✅ fixed' : '❌ broke'}  ${id}`));
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  const examples = loadDataset(options.dataset);
+  const reports = await evaluate(examples, options);
+
+  if (options.json) {
+    console.log(JSON.stringify(reports, null, 2));
+    return;
+  }
+  reports.forEach(printReport);
+};
+
+main()
+  .then(() => 0, error => {
+    console.error(`❌ ${error.message}`);
+    return 1;
+  })
+  .then(exitCode => process.exit(exitCode));
@@ -0,0 +1,128 @@
+const path = require('path');
+const fs = require('fs');
+const ai = require('../index');
+const prompts = require('../prompts');
+
+const DEFAULT_DATASET = path.join(__dirname, 'dataset.json');
+
+// Labelled examples: [{ id, prompt, variables, expected }]
+const loadDataset = (file = DEFAULT_DATASET) => {
+  const dataset = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const examples = Array.isArray(dataset) ? dataset : dataset.examples;
+
+  if (!Array.isArray(examples)) {
+    throw new Error(`${file} has no examples`);
+  }
+  examples.forEach((example, index) => {
+    if (!example.prompt || !example.expected || typeof example.expected !== 'object') {
+      throw new Error(`Example ${example.id || index} needs a prompt and expected fields`);
+    }
+  });
+  return examples;
+};
+
+const normalize = (value) => (typeof value === 'string' ? value.trim().toLowerCase() : value);
+
+// Which expected fields the output got right, as { field: boolean }
+const scoreOutput = (output, expected) => Object.fromEntries(Object.entries(expected)
+  .map(([field, value]) => [field, !!output && normalize(output[field]) === normalize(value)]));
+
+const accuracy = (correct, total) => (total ? correct / total : null);
+
+const summarize = (results) => {
+  const fields = {};
+  let correct = 0;
+  let total = 0;
+
+  for (const { fields: scored } of results) {
+    for (const [field, right] of Object.entries(scored)) {
+      fields[field] = fields[field] || { correct: 0, total: 0 };
+      fields[field].correct += right ? 1 : 0;
+      fields[field].total++;
+      correct += right ? 1 : 0;
+      total++;
+    }
+  }
+
+  return {
+    examples: results.length,
+    exactMatches: results.filter(result => result.exact).length,
+    exampleAccuracy: accuracy(results.filter(result => result.exact).length, results.length),
+    fieldAccuracy: accuracy(correct, total),
+    errors: results.filter(result => result.error).length,
+    byField: Object.fromEntries(Object.entries(fields)
+      .map(([field, counts]) => [field, accuracy(counts.correct, counts.total)]))
+  };
+};
+
+// Run one prompt version over its examples, one call at a time
+const runVersion = async (name, version, examples, { provider, model }) => {
+  const options = { promptVersion: version, ...(provider && { provider }), ...(model && { model }) };
+  const results = [];
+
+  for (const example of examples) {
+    let output = null;
+    let error = null;
+    try {
+      ({ output } = await ai.run(name, example.variables || {}, options));
+    } catch (caught) {
+      error = caught.message;
+    }
+
+    const fields = scoreOutput(output, example.expected);
+    results.push({ id: example.id, fields, exact: Object.values(fields).every(Boolean), error });
+  }
+
+  return results;
+};
+
+// Compare two versions of a prompt on the labelled examples for it. Versions default to
+// the active one (a) and the newest registered one (b). Returns per-version accuracy,
+// the difference b - a, and the examples whose outcome changed.
+const compareVersions = async (name, examples, { a = null, b = null, provider = null, model = null } = {}) => {
+  const versionA = Number(a ?? prompts.activeVersion(name));
+  const versionB = Number(b ?? prompts.versions(name).at(-1).version);
+  prompts.get(name, versionA);
+  prompts.get(name, versionB);
+
+  const relevant = examples.filter(example => example.prompt === name);
+  const resultsA = await runVersion(name, versionA, relevant, { provider, model });
+  const resultsB = await runVersion(name, versionB, relevant, { provider, model });
+  const summaryA = summarize(resultsA);
+  const summaryB = summarize(resultsB);
+  const difference = (key) => (summaryA[key] === null ? null : summaryB[key] - summaryA[key]);
+
+  return {
+    prompt: name,
+    a: { version: versionA, ...summaryA },
+    b: { version: versionB, ...summaryB },
+    difference: {
+      exampleAccuracy: difference('exampleAccuracy'),
+      fieldAccuracy: difference('fieldAccuracy'),
+      byField: Object.fromEntries(Object.keys(summaryA.byField)
+        .map(field => [field, summaryB.byField[field] - summaryA.byField[field]]))
+    },
+    changed: resultsA
+      .map((result, index) => ({ id: result.id, a: result.exact, b: resultsB[index].exact }))
+      .filter(result => result.a !== result.b)
+  };
+};
+
+// compareVersions for every prompt in the dataset (or just `options.prompt`)
+const evaluate = async (examples, options = {}) => {
+  const names = options.prompt ? [options.prompt] : [...new Set(examples.map(example => example.prompt))];
+  const reports = [];
+
+  for (const name of names) {
+    reports.push(await compareVersions(name, examples, options));
+  }
+  return reports;
+};
+
+module.exports = {
+  DEFAULT_DATASET,
+  loadDataset,
+  scoreOutput,
+  compareVersions,
+  evaluate
+};
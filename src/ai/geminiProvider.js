@@ -0,0 +1,81 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { BaseProvider } = require('./baseProvider');
+const { AIRequestError } = require('./errors');
+
+// Google Gemini through @google/generative-ai.
+// GEMINI_API_KEY, GEMINI_MODEL, GEMINI_EMBEDDING_MODEL
+class GeminiProvider extends BaseProvider {
+  constructor() {
+    super('gemini', {
+      model: process.env.GEMINI_MODEL || 'gemini-2.0-flash-exp',
+      embeddingModel: process.env.GEMINI_EMBEDDING_MODEL || 'text-embedding-004'
+    });
+    this.apiKey = process.env.GEMINI_API_KEY;
+    this.genAI = this.apiKey ? new GoogleGenerativeAI(this.apiKey) : null;
+  }
+
+  isAvailable() {
+    return this.genAI !== null;
+  }
+
+  getModel(options) {
+    return this.genAI.getGenerativeModel({
+      model: this.modelFor(options),
+      ...(options.system && { systemInstruction: options.system }),
+      generationConfig: {
+        ...(options.temperature !== undefined && { temperature: options.temperature }),
+        ...(options.maxTokens && { maxOutputTokens: options.maxTokens }),
+        ...(options.json && { responseMimeType: 'application/json' })
+      }
+    });
+  }
+
+  async generate(prompt, options = {}) {
+    this.ensureAvailable();
+    try {
+      const result = await this.getModel(options).generateContent(prompt);
+      return result.response.text();
+    } catch (error) {
+      throw this.requestError(error);
+    }
+  }
+
+  async *stream(prompt, options = {}) {
+    this.ensureAvailable();
+    let result;
+    try {
+      result = await this.getModel(options).generateContentStream(prompt);
+    } catch (error) {
+      throw this.requestError(error);
+    }
+    for await (const chunk of result.stream) {
+      const text = chunk.text();
+      if (text) yield text;
+    }
+  }
+
+  async embed(texts, options = {}) {
+    this.ensureAvailable();
+    try {
+      const model = this.genAI.getGenerativeModel({ model: options.model || this.embeddingModel });
+      const result = await model.batchEmbedContents({
+        requests: texts.map(text => ({ content: { role: 'user', parts: [{ text }] } }))
+      });
+      return result.embeddings.map(embedding => embedding.values);
+    } catch (error) {
+      throw this.requestError(error);
+    }
+  }
+
+  // The SDK throws GoogleGenerativeAIFetchError carrying the HTTP status
+  requestError(error) {
+    return new AIRequestError(`gemini request failed: ${error.message}`, {
+      provider: this.name,
+      status: error.status || 0,
+      code: error.statusText || null,
+      cause: error
+    });
+  }
+}
+
+module.exports = GeminiProvider;
@@ -0,0 +1,155 @@
+const { AIUnavailableError } = require('./errors');
+const { generateStructured, getValidationMetrics } = require('./structured');
+const prompts = require('./prompts');
+const schemas = require('./schemas');
+
+const PROVIDERS = {
+  gemini: () => require('./geminiProvider'),
+  openai: () => require('./openaiProvider'),
+  'azure-openai': () => require('./azureOpenAIProvider'),
+  stub: () => require('./stubProvider')
+};
+
+// Features whose provider and model can be chosen separately, with their env var prefix:
+// AI_SUMMARY_PROVIDER=azure-openai and AI_SUMMARY_MODEL=gpt-4o route summaries to Azure
+// while everything else keeps AI_PROVIDER / AI_MODEL.
+const FEATURES = {
+  agenda: 'AGENDA',
+  messageAnalysis: 'MESSAGE_ANALYSIS',
+  intent: 'INTENT',
+  summary: 'SUMMARY',
+  assistant: 'ASSISTANT'
+};
+
+// AI_PROVIDER=none turns AI off everywhere (features can still opt back in)
+const DISABLED = 'none';
+
+// Picks the LLM provider and model for each feature. Settings are read from the
+// environment on every call; provider instances are created once, on first use.
+class AIRegistry {
+  constructor() {
+    this.instances = new Map();
+  }
+
+  // Adapter instance for a provider name
+  provider(name) {
+    if (!PROVIDERS[name]) {
+      throw new Error(`Unknown AI provider '${name}' (expected ${Object.keys(PROVIDERS).join(', ')}, or ${DISABLED})`);
+    }
+    if (!this.instances.has(name)) {
+      const Provider = PROVIDERS[name]();
+      this.instances.set(name, new Provider());
+    }
+    return this.instances.get(name);
+  }
+
+  // Without AI_PROVIDER, use the first provider that has credentials configured
+  defaultProviderName() {
+    const requested = (process.env.AI_PROVIDER || '').toLowerCase();
+    if (requested) {
+      return requested;
+    }
+
+    if (process.env.GEMINI_API_KEY) return 'gemini';
+    if (process.env.AZURE_OPENAI_ENDPOINT && process.env.AZURE_OPENAI_API_KEY) return 'azure-openai';
+    if (process.env.OPENAI_API_KEY || process.env.OPENAI_BASE_URL) return 'openai';
+    return DISABLED;
+  }
+
+  // { feature, provider, model } in effect for a feature; provider is null when AI is off
+  settingsFor(feature) {
+    const prefix = FEATURES[feature];
+    if (!prefix) {
+      throw new Error(`Unknown AI feature '${feature}' (expected ${Object.keys(FEATURES).join(', ')})`);
+    }
+
+    const name = (process.env[`AI_${prefix}_PROVIDER`] || '').toLowerCase() || this.defaultProviderName();
+    if (name === DISABLED) {
+      return { feature, provider: null, model: null };
+    }
+
+    // AI_MODEL belongs to the default provider; a feature on another provider uses that one's default
+    const sharedModel = name === this.defaultProviderName() ? process.env.AI_MODEL : null;
+    const model = process.env[`AI_${prefix}_MODEL`] || sharedModel || this.provider(name).defaultModel;
+    return { feature, provider: name, model };
+  }
+
+  isAvailable(feature) {
+    const { provider } = this.settingsFor(feature);
+    return provider !== null && this.provider(provider).isAvailable();
+  }
+
+  // Provider for the feature plus the options to call it with. options.provider runs the
+  // call on another provider (with its default model unless options.model is given).
+  resolve(feature, { provider: override, ...options } = {}) {
+    const { provider, model } = override
+      ? { provider: override, model: this.provider(override).defaultModel }
+      : this.settingsFor(feature);
+    if (!provider) {
+      throw new AIUnavailableError(`No AI provider configured for ${feature}`);
+    }
+    return { adapter: this.provider(provider), options: { model, ...options } };
+  }
+
+  async generate(feature, prompt, options = {}) {
+    const { adapter, options: resolved } = this.resolve(feature, options);
+    return adapter.generate(prompt, resolved);
+  }
+
+  // With options.schema the reply is validated and repaired against it (see structured.js)
+  async generateJson(feature, prompt, { schema, ...options } = {}) {
+    const { adapter, options: resolved } = this.resolve(feature, options);
+    if (schema) {
+      return generateStructured(adapter, prompt, schema, resolved);
+    }
+    return adapter.generateJson(prompt, resolved);
+  }
+
+  // Render a registered prompt (see prompts/) and run it on its feature, validating the
+  // reply when the prompt declares a schema. options.promptVersion picks a version other
+  // than the active one. Returns { output, prompt } where prompt is the id of the version
+  // that produced the output ('chatMessageAnalysis@2'), for callers to store with it.
+  async run(name, variables = {}, { promptVersion = null, ...options } = {}) {
+    const prompt = prompts.render(name, variables, { version: promptVersion });
+    const output = prompt.schema
+      ? await this.generateJson(prompt.feature, prompt.text, { ...options, schema: schemas[prompt.schema] })
+      : await this.generate(prompt.feature, prompt.text, options);
+
+    prompts.recordUse(prompt.id);
+    return { output, prompt: prompt.id };
+  }
+
+  stream(feature, prompt, options = {}) {
+    const { adapter, options: resolved } = this.resolve(feature, options);
+    return adapter.stream(prompt, resolved);
+  }
+
+  // Embeddings use the provider's embedding model unless options.model says otherwise
+  async embed(feature, texts, options = {}) {
+    const { adapter } = this.resolve(feature, options);
+    return adapter.embed(texts, options);
+  }
+
+  // Schema validation counters per structured output
+  getValidationMetrics() {
+    return getValidationMetrics();
+  }
+
+  // Registered prompts, their versions and use counts
+  getPrompts() {
+    return prompts.describe();
+  }
+
+  // Provider and model per feature, for status endpoints
+  getStatus() {
+    return Object.fromEntries(Object.keys(FEATURES).map(feature => {
+      const settings = this.settingsFor(feature);
+      return [feature, { ...settings, available: this.isAvailable(feature) }];
+    }));
+  }
+}
+
+// Create singleton instance
+const ai = new AIRegistry();
+
+module.exports = ai;
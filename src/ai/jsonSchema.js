@@ -0,0 +1,149 @@
+// The subset of JSON Schema our structured AI outputs use: type (one or several), enum,
+// properties, required, additionalProperties, items, minimum, maximum, maxLength and
+// default. Object schemas may also declare `x-aliases` ({ wrongName: rightName }) for
+// keys models are known to use instead of ours.
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const typesOf = (schema) => (schema.type === undefined ? [] : [].concat(schema.type));
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+const describePath = (path) => path || '(root)';
+
+// Every way `value` breaks `schema`, as [{ path, message }]; empty when it conforms
+const validate = (schema, value, path = '') => {
+  const errors = [];
+  const fail = message => errors.push({ path: describePath(path), message });
+  const types = typesOf(schema);
+
+  if (types.length && !types.some(type => matchesType(value, type))) {
+    fail(`expected ${types.join(' or ')}, got ${typeOf(value)}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+  }
+
+  if (typeof value === 'string' && schema.maxLength !== undefined && value.length > schema.maxLength) {
+    fail(`must be at most ${schema.maxLength} characters`);
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => errors.push(...validate(schema.items, item, `${path}[${index}]`)));
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: describePath(path ? `${path}.${key}` : key), message: 'is required' });
+      }
+    }
+    for (const [key, item] of Object.entries(value)) {
+      const itemPath = path ? `${path}.${key}` : key;
+      if (properties[key]) {
+        errors.push(...validate(properties[key], item, itemPath));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: itemPath, message: 'is not allowed' });
+      }
+    }
+  }
+
+  return errors;
+};
+
+// Enum values compared loosely: "Action Item" and "action-item" mean action_item
+const looseEnumKey = (value) => String(value).trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+const coerceScalar = (schema, value) => {
+  const types = typesOf(schema);
+
+  if (schema.enum && typeof value === 'string' && !schema.enum.includes(value)) {
+    const match = schema.enum.find(option => looseEnumKey(option) === looseEnumKey(value));
+    if (match !== undefined) return match;
+  }
+
+  if (types.some(type => matchesType(value, type))) {
+    return value;
+  }
+
+  if (types.includes('boolean') && typeof value === 'string' && /^(true|false)$/i.test(value.trim())) {
+    return value.trim().toLowerCase() === 'true';
+  }
+
+  // "30", "30 minutes" and "0.8" are numbers a model wrote as text
+  if ((types.includes('number') || types.includes('integer')) && typeof value === 'string') {
+    const number = parseFloat(value);
+    if (/^\s*-?\d/.test(value) && Number.isFinite(number)) {
+      return types.includes('number') ? number : Math.round(number);
+    }
+  }
+
+  if (types.includes('string') && ['number', 'boolean'].includes(typeof value)) {
+    return String(value);
+  }
+
+  if (types.includes('null') && typeof value === 'string' && /^(null|none|n\/a)?$/i.test(value.trim())) {
+    return null;
+  }
+
+  return value;
+};
+
+// Fix what can be fixed without asking the model again: aliased keys, values of the
+// wrong scalar type, loosely written enum values, single values where a list belongs,
+// missing fields that have a default and keys the schema does not allow. Returns a new
+// value; anything still wrong is left for validate() to report.
+const coerce = (schema, value) => {
+  const types = typesOf(schema);
+
+  if (value === undefined || (value === null && !types.includes('null'))) {
+    if (schema.default !== undefined) return structuredClone(schema.default);
+    return value;
+  }
+
+  if (types.includes('array') && !Array.isArray(value) && !types.some(type => matchesType(value, type))) {
+    value = [value];
+  }
+
+  if (Array.isArray(value)) {
+    return schema.items ? value.map(item => coerce(schema.items, item)) : value;
+  }
+
+  if (types.includes('object') && typeOf(value) === 'object') {
+    const aliases = schema['x-aliases'] || {};
+    const properties = schema.properties || {};
+    const result = {};
+
+    for (const [key, item] of Object.entries(value)) {
+      const name = aliases[key] && value[aliases[key]] === undefined ? aliases[key] : key;
+      if (!properties[name] && schema.additionalProperties === false) continue;
+      result[name] = properties[name] ? coerce(properties[name], item) : item;
+    }
+    for (const [key, property] of Object.entries(properties)) {
+      if (result[key] === undefined && property.default !== undefined) {
+        result[key] = structuredClone(property.default);
+      }
+    }
+    return result;
+  }
+
+  return coerceScalar(schema, value);
+};
+
+module.exports = { validate, coerce };
@@ -0,0 +1,110 @@
+const axios = require('axios');
+const { BaseProvider } = require('./baseProvider');
+const { AIResponseError, fromAxiosError } = require('./errors');
+
+// Any endpoint speaking the OpenAI chat completions and embeddings API: OpenAI itself, or a
+// self-hosted server (vLLM, Ollama, LiteLLM) via OPENAI_BASE_URL, which may not need a key.
+// OPENAI_API_KEY, OPENAI_BASE_URL, OPENAI_MODEL, OPENAI_EMBEDDING_MODEL
+class OpenAIProvider extends BaseProvider {
+  constructor(name = 'openai', {
+    apiKey = process.env.OPENAI_API_KEY,
+    baseUrl = process.env.OPENAI_BASE_URL,
+    model = process.env.OPENAI_MODEL || 'gpt-4o-mini',
+    embeddingModel = process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small'
+  } = {}) {
+    super(name, { model, embeddingModel });
+    this.apiKey = apiKey;
+    this.baseUrl = (baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    this.customEndpoint = !!baseUrl;
+    this.timeoutMs = parseInt(process.env.AI_TIMEOUT_MS) || 60000;
+  }
+
+  isAvailable() {
+    return !!this.apiKey || this.customEndpoint;
+  }
+
+  // URL for an API operation ('chat/completions', 'embeddings') on the given model
+  urlFor(operation, model) {
+    return `${this.baseUrl}/${operation}`;
+  }
+
+  headers() {
+    return this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+  }
+
+  async post(operation, body, config = {}) {
+    try {
+      const response = await axios.post(this.urlFor(operation, body.model), body, {
+        headers: this.headers(),
+        timeout: this.timeoutMs,
+        ...config
+      });
+      return response.data;
+    } catch (error) {
+      throw fromAxiosError(error, this.name);
+    }
+  }
+
+  chatRequest(prompt, options) {
+    return {
+      model: this.modelFor(options),
+      messages: [
+        ...(options.system ? [{ role: 'system', content: options.system }] : []),
+        { role: 'user', content: prompt }
+      ],
+      ...(options.temperature !== undefined && { temperature: options.temperature }),
+      ...(options.maxTokens && { max_tokens: options.maxTokens }),
+      ...(options.json && { response_format: { type: 'json_object' } })
+    };
+  }
+
+  async generate(prompt, options = {}) {
+    this.ensureAvailable();
+    const data = await this.post('chat/completions', this.chatRequest(prompt, options));
+    const text = data.choices?.[0]?.message?.content;
+
+    if (typeof text !== 'string') {
+      throw new AIResponseError(`${this.name} returned no message content`, { provider: this.name });
+    }
+    return text;
+  }
+
+  // Server-sent events: one `data: {json}` line per delta, ending with `data: [DONE]`
+  async *stream(prompt, options = {}) {
+    this.ensureAvailable();
+    const body = await this.post('chat/completions', { ...this.chatRequest(prompt, options), stream: true }, {
+      responseType: 'stream'
+    });
+
+    let buffered = '';
+    for await (const chunk of body) {
+      buffered += chunk.toString('utf8');
+      const lines = buffered.split('\n');
+      buffered = lines.pop();
+
+      for (const line of lines) {
+        const data = line.trim().replace(/^data:\s*/, '');
+        if (!line.trim().startsWith('data:') || !data) continue;
+        if (data === '[DONE]') return;
+
+        const text = JSON.parse(data).choices?.[0]?.delta?.content;
+        if (text) yield text;
+      }
+    }
+  }
+
+  async embed(texts, options = {}) {
+    this.ensureAvailable();
+    const data = await this.post('embeddings', { model: options.model || this.embeddingModel, input: texts });
+
+    return [...data.data]
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+
+  describe() {
+    return { ...super.describe(), endpoint: this.baseUrl };
+  }
+}
+
+module.exports = OpenAIProvider;
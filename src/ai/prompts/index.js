@@ -0,0 +1,168 @@
+const schemas = require('../schemas');
+const { fence } = require('../promptGuard');
+const { AIPromptError } = require('../errors');
+
+// Every prompt we send, as named and versioned templates:
+//   name, version   'chatMessageAnalysis', 2 (the pair is the prompt id 'chatMessageAnalysis@2')
+//   feature         the src/ai feature whose provider and model run it
+//   schema          name of the JSON Schema in ../schemas the reply must match (omit for text replies)
+//   variables       { name: { type, default, untrusted } }; type is string, integer, number, boolean
+//                   or list (of strings); variables without a default are required. Untrusted
+//                   values (anything a participant typed) are rendered inside BEGIN/END UNTRUSTED
+//                   markers, which the template must tell the model to treat as data only
+//   template        text with {{variable}} placeholders
+//   candidate       true while a version is being evaluated: used only when pinned
+//
+// The newest non-candidate version of each prompt is used unless PROMPT_VERSIONS pins
+// another (e.g. PROMPT_VERSIONS=chatMessageAnalysis@2,userIntent@1).
+const TEMPLATES = [
+  ...require('./meetings'),
+  ...require('./chat'),
+  ...require('./assistant')
+];
+
+const PLACEHOLDER = /\{\{(\w+)\}\}/g;
+
+const VARIABLE_TYPES = {
+  string: value => typeof value === 'string',
+  integer: value => Number.isInteger(value),
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  boolean: value => typeof value === 'boolean',
+  list: value => Array.isArray(value) && value.every(item => typeof item === 'string')
+};
+
+const formatValue = (value) => (Array.isArray(value) ? value.join(', ') : String(value));
+
+const promptId = (name, version) => `${name}@${version}`;
+
+class PromptRegistry {
+  constructor(templates = []) {
+    this.templates = new Map();
+    this.uses = new Map();
+    templates.forEach(template => this.register(template));
+  }
+
+  // Add a template version, refusing definitions that cannot render
+  register(template) {
+    const { name, version, schema, variables = {}, template: text } = template;
+    const fail = message => { throw new AIPromptError(`Prompt ${promptId(name, version)}: ${message}`); };
+
+    if (!name || !Number.isInteger(version) || version < 1) fail('needs a name and a positive integer version');
+    if (typeof text !== 'string' || !text.trim()) fail('has no template text');
+    if (!template.feature) fail('needs a feature');
+    if (schema && !schemas[schema]) fail(`unknown schema '${schema}'`);
+
+    for (const [variable, spec] of Object.entries(variables)) {
+      if (!VARIABLE_TYPES[spec.type]) fail(`variable '${variable}' has unknown type '${spec.type}'`);
+      if (spec.default !== undefined && !VARIABLE_TYPES[spec.type](spec.default)) {
+        fail(`default of '${variable}' is not a ${spec.type}`);
+      }
+      if (spec.untrusted && !['string', 'list'].includes(spec.type)) {
+        fail(`untrusted variable '${variable}' must be a string or list`);
+      }
+    }
+
+    const placeholders = new Set([...text.matchAll(PLACEHOLDER)].map(match => match[1]));
+    placeholders.forEach(placeholder => variables[placeholder] || fail(`uses undeclared variable '${placeholder}'`));
+    Object.keys(variables).forEach(variable => placeholders.has(variable) || fail(`never uses variable '${variable}'`));
+
+    const versions = this.templates.get(name) || [];
+    if (versions.some(existing => existing.version === version)) fail('is registered twice');
+
+    this.templates.set(name, [...versions, { ...template, variables }].sort((a, b) => a.version - b.version));
+  }
+
+  // PROMPT_VERSIONS pins as { name: version }
+  pinnedVersions() {
+    return Object.fromEntries((process.env.PROMPT_VERSIONS || '')
+      .split(',')
+      .map(entry => entry.trim().split('@'))
+      .filter(([name, version]) => name && version)
+      .map(([name, version]) => [name, parseInt(version)]));
+  }
+
+  versions(name) {
+    const versions = this.templates.get(name);
+    if (!versions) {
+      throw new AIPromptError(`Unknown prompt '${name}'`);
+    }
+    return versions;
+  }
+
+  activeVersion(name) {
+    const versions = this.versions(name);
+    const pinned = this.pinnedVersions()[name];
+    if (pinned && versions.some(template => template.version === pinned)) {
+      return pinned;
+    }
+    const released = versions.filter(template => !template.candidate);
+    return (released.length ? released : versions).at(-1).version;
+  }
+
+  get(name, version = null) {
+    const wanted = version ?? this.activeVersion(name);
+    const template = this.versions(name).find(candidate => candidate.version === Number(wanted));
+    if (!template) {
+      throw new AIPromptError(`Prompt '${name}' has no version ${wanted}`);
+    }
+    return template;
+  }
+
+  // Fill in a template. Returns { id, name, version, feature, schema, untrusted, text }, where
+  // untrusted names the variables that were fenced.
+  render(name, values = {}, { version = null } = {}) {
+    const template = this.get(name, version);
+    const id = promptId(name, template.version);
+    const resolved = {};
+
+    for (const [variable, spec] of Object.entries(template.variables)) {
+      const value = values[variable] ?? spec.default;
+      if (value === undefined) {
+        throw new AIPromptError(`Prompt ${id}: variable '${variable}' is required`);
+      }
+      if (!VARIABLE_TYPES[spec.type](value)) {
+        throw new AIPromptError(`Prompt ${id}: variable '${variable}' must be a ${spec.type}`);
+      }
+      resolved[variable] = spec.untrusted ? fence(formatValue(value), variable) : formatValue(value);
+    }
+
+    return {
+      id,
+      name,
+      version: template.version,
+      feature: template.feature,
+      schema: template.schema || null,
+      untrusted: Object.keys(template.variables).filter(variable => template.variables[variable].untrusted),
+      text: template.template.replace(PLACEHOLDER, (match, variable) => resolved[variable])
+    };
+  }
+
+  // Count an output produced by a prompt version
+  recordUse(id) {
+    this.uses.set(id, (this.uses.get(id) || 0) + 1);
+  }
+
+  // Every prompt with its versions, which one is active and how often each was used
+  describe() {
+    return [...this.templates.keys()].map(name => {
+      const active = this.activeVersion(name);
+      return {
+        name,
+        activeVersion: active,
+        versions: this.versions(name).map(template => ({
+          version: template.version,
+          feature: template.feature,
+          schema: template.schema || null,
+          candidate: !!template.candidate,
+          active: template.version === active,
+          uses: this.uses.get(promptId(name, template.version)) || 0
+        }))
+      };
+    });
+  }
+}
+
+// Create singleton instance
+const prompts = new PromptRegistry(TEMPLATES);
+
+module.exports = prompts;
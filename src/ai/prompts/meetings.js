@@ -0,0 +1,200 @@
+// Prompts about meetings as a whole: planning them and summarizing them
+
+module.exports = [
+  {
+    name: 'meetingAgenda',
+    version: 1,
+    feature: 'agenda',
+    schema: 'meetingAgenda',
+    variables: {
+      subject: { type: 'string' },
+      duration: { type: 'integer', default: 30 },
+      attendeeCount: { type: 'integer', default: 0 },
+      meetingType: { type: 'string', default: 'general' }
+    },
+    template: `Generate a professional meeting agenda for a REAL Microsoft Teams meeting:
+
+Subject: {{subject}}
+Duration: {{duration}} minutes
+Number of Attendees: {{attendeeCount}}
+Meeting Type: {{meetingType}}
+
+This is for a real business meeting with actual participants. Create a practical, actionable agenda.
+
+Provide a structured agenda in JSON format:
+{
+  "title": "Professional meeting title",
+  "estimatedDuration": {{duration}},
+  "sections": [
+    {
+      "title": "Section name",
+      "duration": "X minutes",
+      "description": "What will be covered",
+      "objectives": ["specific objective 1", "specific objective 2"]
+    }
+  ],
+  "objectives": ["main objective 1", "main objective 2"],
+  "suggestedPreparation": ["prep item 1", "prep item 2"],
+  "expectedOutcomes": ["expected outcome 1", "expected outcome 2"]
+}`
+  },
+
+  {
+    name: 'meetingDescriptionAnalysis',
+    version: 1,
+    feature: 'agenda',
+    schema: 'meetingDescriptionAnalysis',
+    variables: {
+      description: { type: 'string' }
+    },
+    template: `Analyze this real Teams meeting description and extract key insights:
+
+"{{description}}"
+
+This is for an actual business meeting. Provide practical analysis.
+
+Provide analysis in JSON format:
+{
+  "urgency": "low|medium|high",
+  "estimatedDuration": suggested duration in minutes (number),
+  "topics": ["topic1", "topic2", "topic3"],
+  "suggestedAttendees": ["role1", "role2", "role3"],
+  "meetingType": "planning|review|decision|update|training|brainstorming",
+  "preparationNeeded": true/false,
+  "keyQuestions": ["important question 1", "important question 2"],
+  "expectedOutcomes": ["concrete outcome 1", "concrete outcome 2"],
+  "recommendedTimeSlot": "morning|afternoon|any",
+  "complexity": "low|medium|high"
+}`
+  },
+
+  // Candidate: defines each meeting type and urgency level instead of leaving them to the model
+  {
+    name: 'meetingDescriptionAnalysis',
+    version: 2,
+    candidate: true,
+    feature: 'agenda',
+    schema: 'meetingDescriptionAnalysis',
+    variables: {
+      description: { type: 'string' }
+    },
+    template: `You classify Microsoft Teams meeting requests. Read the description and answer with JSON only.
+
+Description:
+"{{description}}"
+
+meetingType, pick the closest:
+- planning: deciding what to do next, roadmaps, sprint or project planning
+- review: looking back at finished work (retrospectives, post-mortems, performance, demos)
+- decision: a choice has to be made or approved in the meeting
+- update: status, progress or announcements, mostly one-way
+- training: teaching a skill or walking people through a tool or process
+- brainstorming: generating ideas without deciding yet
+
+urgency:
+- high: blocked work, incidents, customer escalations or deadlines within days
+- medium: needed this week or next
+- low: no time pressure mentioned
+
+complexity is high when several teams, dependencies or open questions are involved.
+
+{
+  "urgency": "low|medium|high",
+  "estimatedDuration": suggested duration in minutes (number),
+  "topics": ["topic1", "topic2"],
+  "suggestedAttendees": ["role1", "role2"],
+  "meetingType": "planning|review|decision|update|training|brainstorming",
+  "preparationNeeded": true/false,
+  "keyQuestions": ["question 1", "question 2"],
+  "expectedOutcomes": ["outcome 1", "outcome 2"],
+  "recommendedTimeSlot": "morning|afternoon|any",
+  "complexity": "low|medium|high"
+}`
+  },
+
+  {
+    name: 'meetingTitle',
+    version: 1,
+    feature: 'agenda',
+    variables: {
+      description: { type: 'string' },
+      attendeeCount: { type: 'integer', default: 0 }
+    },
+    template: `Generate a concise, professional meeting title for a real Teams meeting based on this description:
+
+"{{description}}"
+
+Number of attendees: {{attendeeCount}}
+
+Requirements:
+- Maximum 60 characters
+- Clear and descriptive for business context
+- Professional tone appropriate for Teams
+- Include key topic/purpose
+- Should work well as a Teams meeting title
+
+Respond with just the title, no additional text.`
+  },
+
+  {
+    name: 'meetingContentValidation',
+    version: 1,
+    feature: 'agenda',
+    schema: 'meetingContentValidation',
+    variables: {
+      content: { type: 'string' }
+    },
+    template: `Analyze this meeting content for business appropriateness in a real Teams environment:
+
+"{{content}}"
+
+Check for:
+- Professional language suitable for Teams
+- Clear business objectives
+- Appropriate tone for corporate environment
+- Sensitive information considerations
+- Compliance with business communication standards
+
+Respond in JSON format:
+{
+  "isAppropriate": true/false,
+  "confidence": 0.0-1.0,
+  "issues": ["specific issue 1", "specific issue 2"],
+  "suggestions": ["specific suggestion 1", "specific suggestion 2"],
+  "sensitivityLevel": "low|medium|high",
+  "businessContext": "appropriate|needs_revision|inappropriate"
+}`
+  },
+
+  {
+    name: 'meetingSummary',
+    version: 1,
+    feature: 'summary',
+    schema: 'meetingSummary',
+    variables: {
+      subject: { type: 'string', default: 'Business meeting' },
+      durationMinutes: { type: 'string', default: 'unknown' },
+      attendeeCount: { type: 'integer', default: 0 },
+      transcript: { type: 'string' }
+    },
+    template: `Summarize this real Microsoft Teams meeting from its chat transcript.
+
+Subject: {{subject}}
+Duration: {{durationMinutes}} minutes
+Invited attendees: {{attendeeCount}}
+
+Transcript (one message per line, "[time] sender: message"):
+{{transcript}}
+
+Only use information present in the transcript. Do not invent decisions or owners.
+
+Respond in JSON format:
+{
+  "overview": "2-4 sentence overview of what was discussed",
+  "decisions": [{ "text": "decision made", "madeBy": "name or null" }],
+  "actionItems": [{ "task": "what needs to be done", "assignee": "name or null", "deadline": "deadline text or null" }],
+  "openQuestions": [{ "question": "question left unanswered", "askedBy": "name or null" }],
+  "nextSteps": ["next step 1", "next step 2"]
+}`
+  }
+];
@@ -0,0 +1,181 @@
+// JSON Schemas for every structured reply we ask a model for. `title` names the schema
+// in validation metrics. Defaults fill fields models tend to leave out, so callers always
+// get the same shape.
+
+const URGENCY = { type: 'string', enum: ['low', 'medium', 'high'] };
+const SENTIMENT = { type: 'string', enum: ['positive', 'neutral', 'negative'] };
+const MESSAGE_CATEGORY = {
+  type: 'string',
+  enum: ['question', 'action_item', 'decision', 'resource_sharing', 'general', 'concern']
+};
+
+const stringList = { type: 'array', items: { type: 'string' }, default: [] };
+const optionalString = { type: ['string', 'null'], default: null };
+
+const meetingAgenda = {
+  title: 'meetingAgenda',
+  type: 'object',
+  required: ['title', 'estimatedDuration', 'sections'],
+  properties: {
+    title: { type: 'string', maxLength: 200 },
+    estimatedDuration: { type: 'integer', minimum: 1 },
+    sections: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['title', 'duration'],
+        properties: {
+          title: { type: 'string' },
+          duration: { type: 'string' },
+          description: { type: 'string', default: '' },
+          objectives: stringList
+        }
+      }
+    },
+    objectives: stringList,
+    suggestedPreparation: stringList,
+    expectedOutcomes: stringList
+  }
+};
+
+const meetingDescriptionAnalysis = {
+  title: 'meetingDescriptionAnalysis',
+  type: 'object',
+  required: ['urgency', 'estimatedDuration', 'meetingType', 'complexity'],
+  properties: {
+    urgency: URGENCY,
+    estimatedDuration: { type: 'integer', minimum: 1 },
+    topics: stringList,
+    suggestedAttendees: stringList,
+    meetingType: {
+      type: 'string',
+      enum: ['planning', 'review', 'decision', 'update', 'training', 'brainstorming', 'general']
+    },
+    preparationNeeded: { type: 'boolean', default: false },
+    keyQuestions: stringList,
+    expectedOutcomes: stringList,
+    recommendedTimeSlot: { type: 'string', enum: ['morning', 'afternoon', 'any'], default: 'any' },
+    complexity: { type: 'string', enum: ['low', 'medium', 'high'] }
+  }
+};
+
+const meetingContentValidation = {
+  title: 'meetingContentValidation',
+  type: 'object',
+  required: ['isAppropriate', 'confidence', 'businessContext'],
+  properties: {
+    isAppropriate: { type: 'boolean' },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    issues: stringList,
+    suggestions: stringList,
+    sensitivityLevel: { type: 'string', enum: ['low', 'medium', 'high'], default: 'low' },
+    businessContext: { type: 'string', enum: ['appropriate', 'needs_revision', 'inappropriate'] }
+  }
+};
+
+// aiService.analyzeChatMessage
+const chatMessageInsights = {
+  title: 'chatMessageInsights',
+  type: 'object',
+  'x-aliases': { category: 'primaryCategory' },
+  required: ['primaryCategory', 'urgency', 'sentiment'],
+  properties: {
+    primaryCategory: MESSAGE_CATEGORY,
+    urgency: URGENCY,
+    sentiment: SENTIMENT,
+    actionRequired: { type: 'boolean', default: false },
+    keyTopics: stringList,
+    mentions: stringList,
+    followUpNeeded: { type: 'boolean', default: false },
+    businessImpact: { type: 'string', enum: ['low', 'medium', 'high'], default: 'low' }
+  }
+};
+
+// Analysis stored with each captured chat message
+const chatMessageAnalysis = {
+  title: 'chatMessageAnalysis',
+  type: 'object',
+  'x-aliases': { category: 'primaryCategory' },
+  required: ['primaryCategory', 'urgency', 'sentiment'],
+  properties: {
+    primaryCategory: MESSAGE_CATEGORY,
+    isActionItem: { type: 'boolean', default: false },
+    isQuestion: { type: 'boolean', default: false },
+    isDecision: { type: 'boolean', default: false },
+    urgency: URGENCY,
+    sentiment: SENTIMENT,
+    sharedResource: optionalString
+  }
+};
+
+const userIntent = {
+  title: 'userIntent',
+  type: 'object',
+  required: ['action', 'confidence'],
+  properties: {
+    action: {
+      type: 'string',
+      enum: ['create_meeting', 'list_meetings', 'meeting_status', 'help', 'greeting', 'general_query']
+    },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    meetingId: optionalString,
+    meetingDetails: {
+      type: ['object', 'null'],
+      default: null,
+      properties: {
+        subject: optionalString,
+        dateTime: optionalString,
+        attendees: stringList,
+        duration: { type: ['integer', 'null'], minimum: 1, default: null },
+        description: optionalString
+      }
+    }
+  }
+};
+
+const meetingSummary = {
+  title: 'meetingSummary',
+  type: 'object',
+  required: ['overview'],
+  properties: {
+    overview: { type: 'string' },
+    decisions: {
+      type: 'array',
+      default: [],
+      items: {
+        type: 'object',
+        required: ['text'],
+        properties: { text: { type: 'string' }, madeBy: optionalString }
+      }
+    },
+    actionItems: {
+      type: 'array',
+      default: [],
+      items: {
+        type: 'object',
+        required: ['task'],
+        properties: { task: { type: 'string' }, assignee: optionalString, deadline: optionalString }
+      }
+    },
+    openQuestions: {
+      type: 'array',
+      default: [],
+      items: {
+        type: 'object',
+        required: ['question'],
+        properties: { question: { type: 'string' }, askedBy: optionalString }
+      }
+    },
+    nextSteps: stringList
+  }
+};
+
+module.exports = {
+  meetingAgenda,
+  meetingDescriptionAnalysis,
+  meetingContentValidation,
+  chatMessageInsights,
+  chatMessageAnalysis,
+  userIntent,
+  meetingSummary
+};
@@ -0,0 +1,110 @@
+const { validate, coerce } = require('./jsonSchema');
+const { AISchemaError } = require('./errors');
+const logger = require('../utils/logger');
+
+const emptyCounters = () => ({
+  requests: 0,
+  valid: 0, // conformed as the model wrote it
+  coerced: 0, // conformed once fixed locally (types, enum spelling, aliases, defaults)
+  invalidReplies: 0, // replies that failed validation even after local fixes
+  rePrompts: 0,
+  repaired: 0, // conformed after asking the model again
+  failed: 0, // never conformed; the caller fell back
+  lastFailure: null
+});
+
+// Validation outcomes per schema title, since the process started
+const counters = new Map();
+
+const countersFor = (name) => {
+  if (!counters.has(name)) counters.set(name, emptyCounters());
+  return counters.get(name);
+};
+
+const getValidationMetrics = () => Object.fromEntries(counters);
+
+const resetValidationMetrics = () => counters.clear();
+
+const repairPrompt = (prompt, schema, reply, errors) => `${prompt}
+
+Your previous reply did not match the required JSON schema.
+Previous reply:
+${String(reply).slice(0, 4000)}
+
+Problems:
+${errors.map(error => `- ${error.path}: ${error.message}`).join('\n')}
+
+Reply again with only a JSON value matching this schema:
+${JSON.stringify(schema)}`;
+
+const defaultMaxRepairs = () => {
+  const configured = parseInt(process.env.AI_SCHEMA_MAX_REPAIRS);
+  return Number.isNaN(configured) ? 2 : Math.max(configured, 0);
+};
+
+// Parse, fix and validate one reply
+const check = (adapter, schema, text) => {
+  let parsed;
+  try {
+    parsed = adapter.parseJson(text);
+  } catch {
+    return { errors: [{ path: '(root)', message: 'reply is not valid JSON' }] };
+  }
+
+  const value = coerce(schema, parsed);
+  return {
+    value,
+    untouched: JSON.stringify(value) === JSON.stringify(parsed),
+    errors: validate(schema, value)
+  };
+};
+
+// JSON reply conforming to `schema`. What can be fixed locally is; anything else is sent
+// back to the model with the validation errors, at most `maxRepairs` times
+// (AI_SCHEMA_MAX_REPAIRS, default 2), before giving up with AISchemaError.
+const generateStructured = async (adapter, prompt, schema, { maxRepairs = defaultMaxRepairs(), ...options } = {}) => {
+  const name = schema.title || 'unnamed';
+  const metrics = countersFor(name);
+  metrics.requests++;
+
+  let text = await adapter.generate(prompt, { ...options, json: true });
+  let result = check(adapter, schema, text);
+
+  for (let attempt = 0; result.errors.length && attempt < maxRepairs; attempt++) {
+    metrics.invalidReplies++;
+    metrics.rePrompts++;
+    logger.warn(`⚠️ AI reply did not match the ${name} schema, asking again`, {
+      provider: adapter.name,
+      errors: result.errors.slice(0, 5)
+    });
+
+    text = await adapter.generate(repairPrompt(prompt, schema, text, result.errors), { ...options, json: true });
+    result = check(adapter, schema, text);
+
+    if (!result.errors.length) {
+      metrics.repaired++;
+      return result.value;
+    }
+  }
+
+  if (result.errors.length) {
+    metrics.invalidReplies++;
+    metrics.failed++;
+    metrics.lastFailure = { at: new Date().toISOString(), provider: adapter.name, errors: result.errors.slice(0, 5) };
+    logger.warn(`⚠️ AI reply never matched the ${name} schema`, { provider: adapter.name, errors: metrics.lastFailure.errors });
+    throw new AISchemaError(`${adapter.name} reply does not match the ${name} schema`, {
+      provider: adapter.name,
+      text,
+      errors: result.errors
+    });
+  }
+
+  metrics[result.untouched ? 'valid' : 'coerced']++;
+  return result.value;
+};
+
+module.exports = {
+  generateStructured,
+  getValidationMetrics,
+  resetValidationMetrics
+};
@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+const { BaseProvider } = require('./baseProvider');
+
+const EMBEDDING_DIMENSIONS = 16;
+
+// Deterministic local provider for tests and offline development: no network, and the
+// same prompt always gets the same reply. Tests script replies with respondWith() and
+// read what was asked from `calls`.
+class StubProvider extends BaseProvider {
+  constructor() {
+    super('stub', { model: 'stub', embeddingModel: 'stub-embedding' });
+    this.reset();
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  // Reply with `reply` (text, or a function of (prompt, options) returning text) from now on
+  respondWith(reply) {
+    this.responder = typeof reply === 'function' ? reply : () => reply;
+    return this;
+  }
+
+  reset() {
+    this.responder = null;
+    this.calls = [];
+  }
+
+  defaultReply(prompt, options) {
+    if (options.json) {
+      return '{}';
+    }
+    const firstLine = String(prompt).trim().split('\n')[0].trim();
+    return `[stub:${this.modelFor(options)}] ${firstLine.slice(0, 80)}`;
+  }
+
+  async generate(prompt, options = {}) {
+    this.calls.push({ prompt, options });
+    const reply = this.responder ? await this.responder(prompt, options) : this.defaultReply(prompt, options);
+    return String(reply);
+  }
+
+  // Word by word, so consumers see more than one chunk
+  async *stream(prompt, options = {}) {
+    const text = await this.generate(prompt, options);
+    for (const part of text.match(/\S+\s*/g) || []) {
+      yield part;
+    }
+  }
+
+  // Unit vectors derived from a hash of each text: equal texts embed equally
+  async embed(texts, options = {}) {
+    return texts.map(text => {
+      const digest = crypto.createHash('sha256').update(String(text)).digest();
+      const vector = Array.from({ length: EMBEDDING_DIMENSIONS }, (_, i) => digest[i] / 255 - 0.5);
+      const length = Math.hypot(...vector) || 1;
+      return vector.map(value => value / length);
+    });
+  }
+}
+
+module.exports = StubProvider;
@@ -5,9 +5,19 @@ const {
   CardFactory,
   TurnContext
 } = require('botbuilder');
-const axios = require('axios');
 const moment = require('moment');
-const geminiAI = require('../services/geminiAI');
+const ai = require('../ai');
+const aiService = require('../services/aiService');
+const teamsService = require('../services/teamsService');
+const meetingService = require('../services/meetingService');
+const meetingSummaryService = require('../services/meetingSummaryService');
+const chatCaptureService = require('../services/chatCaptureService');
+const auditService = require('../services/auditService');
+const graph = require('../graph');
+const { buildUserFromClaims, getAllowedTenants } = require('../middleware/auth');
+const { ROLES, hasRole, checkMeetingPermission } = require('../middleware/rbac');
+const promptSafetyService = require('../services/promptSafetyService');
+const botMessagingService = require('../services/botMessagingService');
 const logger = require('../utils/logger');
 
 class Agent365Bot extends TeamsActivityHandler {
@@ -26,6 +36,9 @@ class Agent365Bot extends TeamsActivityHandler {
           user: userName 
         });
 
+        // Lets reminders reach this user later
+        await this.rememberConversation(context);
+
         // Process the user's request
         const response = await this.processUserRequest(userMessage, userId, userName, context);
         
@@ -63,10 +76,55 @@ Let's get started! 🚀`;
           await context.sendActivity(MessageFactory.text(welcomeText));
         }
       }
+      await this.rememberConversation(context);
       await next();
     });
   }
 
+  async rememberConversation(context) {
+    try {
+      await botMessagingService.saveReference(context.activity);
+    } catch (error) {
+      logger.warn('⚠️ Could not save bot conversation reference:', error.message);
+    }
+  }
+
+  // The Teams user as the API sees a caller: their Entra ID object id, tenant, email and
+  // app roles. Null for senders outside the allowed tenants (or without an Entra ID account).
+  async getUser(context) {
+    const { from, conversation, channelData } = context.activity;
+    const userId = from?.aadObjectId;
+    const tenantId = conversation?.tenantId || channelData?.tenant?.id || null;
+    const allowedTenants = getAllowedTenants();
+
+    if (!userId || (allowedTenants.length > 0 && !allowedTenants.includes(tenantId))) {
+      return null;
+    }
+
+    const [profile, roles] = await Promise.all([
+      graph.get(`/users/${encodeURIComponent(userId)}?$select=id,displayName,userPrincipalName,mail`),
+      teamsService.getUserAppRoles(userId)
+    ]);
+
+    return buildUserFromClaims({
+      oid: profile.id,
+      tid: tenantId,
+      preferred_username: profile.mail || profile.userPrincipalName,
+      name: profile.displayName,
+      roles
+    });
+  }
+
+  // Refuse a request and record why, as the API's RBAC checks do
+  async deny(user, action, reason, resource = null) {
+    await auditService.recordDenial({ user, method: 'BOT', originalUrl: `/api/messages#${action}` }, { reason, resource });
+    return MessageFactory.text(`Sorry, you can't do that: ${reason}.`);
+  }
+
+  unknownUser() {
+    return MessageFactory.text("Sorry, I can only help people signed in to Teams in this organization.");
+  }
+
   async processUserRequest(message, userId, userName, context) {
     try {
       // Use AI to understand the user's intent
@@ -79,10 +137,10 @@ Let's get started! 🚀`;
           return await this.handleCreateMeeting(intent, userId, userName, context);
         
         case 'list_meetings':
-          return await this.handleListMeetings(userId);
+          return await this.handleListMeetings(context);
         
         case 'meeting_status':
-          return await this.handleMeetingStatus(intent.meetingId, userId);
+          return await this.handleMeetingStatus(intent.meetingId, context);
         
         case 'help':
           return await this.handleHelp();
@@ -102,49 +160,12 @@ Let's get started! 🚀`;
 
   async analyzeUserIntent(message) {
     try {
-      if (!geminiAI.isAvailable()) {
+      if (!ai.isAvailable('intent')) {
         return this.basicIntentAnalysis(message);
       }
 
-      const prompt = `
-        Analyze this user message and determine their intent:
-        
-        Message: "${message}"
-        
-        Possible intents:
-        - create_meeting: User wants to create/schedule a meeting
-        - list_meetings: User wants to see their meetings
-        - meeting_status: User asking about a specific meeting
-        - help: User needs help or instructions
-        - greeting: User is greeting the bot
-        - general_query: Other questions about meetings/functionality
-        
-        Extract meeting details if present:
-        - subject/topic
-        - date/time
-        - attendees
-        - duration
-        
-        Respond in JSON format:
-        {
-          "action": "create_meeting|list_meetings|meeting_status|help|greeting|general_query",
-          "confidence": 0.0-1.0,
-          "meetingDetails": {
-            "subject": "extracted subject",
-            "dateTime": "ISO date if mentioned",
-            "attendees": ["email1", "email2"],
-            "duration": "minutes if mentioned",
-            "description": "additional context"
-          }
-        }
-      `;
-
-      const result = await geminiAI.model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
-      
-      const analysis = JSON.parse(text.replace(/```json|```/g, '').trim());
-      return analysis;
+      const { output: intent, prompt } = await ai.run('userIntent', { message });
+      return { ...intent, promptVersion: prompt };
 
     } catch (error) {
       logger.warn('AI intent analysis failed, using basic analysis');
@@ -154,7 +175,12 @@ Let's get started! 🚀`;
 
   basicIntentAnalysis(message) {
     const lowerMessage = message.toLowerCase();
-    
+
+    // "Show my meetings" mentions a meeting too, so look for list requests first
+    if (/\b(list|show)\b/.test(lowerMessage) || lowerMessage.includes('my meetings')) {
+      return { action: 'list_meetings', confidence: 0.9 };
+    }
+
     if (lowerMessage.includes('create') || lowerMessage.includes('schedule') || lowerMessage.includes('meeting')) {
       return {
         action: 'create_meeting',
@@ -169,15 +195,11 @@ Let's get started! 🚀`;
       };
     }
     
-    if (lowerMessage.includes('list') || lowerMessage.includes('show') || lowerMessage.includes('my meetings')) {
-      return { action: 'list_meetings', confidence: 0.9 };
-    }
-    
     if (lowerMessage.includes('help') || lowerMessage.includes('what can you do')) {
       return { action: 'help', confidence: 0.9 };
     }
     
-    if (lowerMessage.includes('hello') || lowerMessage.includes('hi') || lowerMessage.includes('hey')) {
+    if (/\b(hello|hi|hey)\b/.test(lowerMessage)) {
       return { action: 'greeting', confidence: 0.9 };
     }
     
@@ -186,33 +208,47 @@ Let's get started! 🚀`;
 
   async handleCreateMeeting(intent, userId, userName, context) {
     try {
+      const user = await this.getUser(context);
+      if (!user) {
+        return this.unknownUser();
+      }
+      if (!hasRole(user, ROLES.ORGANIZER)) {
+        return await this.deny(user, 'create_meeting', `role '${ROLES.ORGANIZER}' is needed to create meetings`);
+      }
+
       const details = intent.meetingDetails;
       
       // Generate smart meeting details with AI
       const enhancedDetails = await this.enhanceMeetingDetails(details);
-      
-      // Create the meeting via your existing API
-      const meetingData = {
+
+      if (enhancedDetails.attendees.length > 0) {
+        const validation = await teamsService.validateTeamsUsers(enhancedDetails.attendees);
+        if (!validation.allValid) {
+          const invalid = validation.invalidUsers.map(u => u.email).join(', ');
+          return MessageFactory.text(`Sorry, I couldn't create the meeting. These attendees are not in your organization: ${invalid}`);
+        }
+      }
+
+      const { meeting } = await meetingService.createMeeting(user, {
         subject: enhancedDetails.subject,
         description: enhancedDetails.description,
         startTime: enhancedDetails.startTime,
         endTime: enhancedDetails.endTime,
         attendees: enhancedDetails.attendees,
-        useAI: true,
         autoJoinAgent: true,
         enableChatCapture: true
-      };
-
-      const response = await axios.post('http://localhost:5000/api/meetings/create', meetingData);
-      const meeting = response.data.meeting;
+      });
 
       // Create a rich Teams card to show the meeting
-      const card = this.createMeetingCard(meeting, response.data);
+      const card = this.createMeetingCard(meeting);
       
       return MessageFactory.attachment(CardFactory.adaptiveCard(card));
 
     } catch (error) {
       logger.error('❌ Error creating meeting:', error);
+      if (error.code === 'LOGIN_REQUIRED') {
+        return MessageFactory.text("Please sign in to Agent 365 once (/api/auth/login) so I can create meetings on your calendar.");
+      }
       return MessageFactory.text(`Sorry, I couldn't create the meeting. Error: ${error.message}`);
     }
   }
@@ -227,9 +263,9 @@ Let's get started! 🚀`;
     
     // Smart subject generation
     let subject = details.subject || 'AI-Generated Meeting';
-    if (geminiAI.isAvailable() && details.description) {
+    if (aiService.isAvailable('agenda') && details.description) {
       try {
-        subject = await geminiAI.generateMeetingTitle(details.description, details.attendees);
+        subject = await aiService.generateMeetingTitle(details.description, details.attendees);
       } catch (error) {
         logger.warn('Failed to generate AI title');
       }
@@ -244,7 +280,7 @@ Let's get started! 🚀`;
     };
   }
 
-  createMeetingCard(meeting, responseData) {
+  createMeetingCard(meeting) {
     return {
       type: "AdaptiveCard",
       version: "1.3",
@@ -307,7 +343,7 @@ Let's get started! 🚀`;
             },
             {
               title: "🤖 Agent:",
-              value: responseData.agentConfig?.autoJoin ? "Will auto-join" : "Manual join"
+              value: meeting.agentConfig?.autoJoin ? "Will auto-join" : "Manual join"
             }
           ]
         },
@@ -336,10 +372,17 @@ Let's get started! 🚀`;
     };
   }
 
-  async handleListMeetings(userId) {
+  async handleListMeetings(context) {
     try {
-      const response = await axios.get(`http://localhost:5000/api/meetings?limit=5`);
-      const meetings = response.data.meetings;
+      const user = await this.getUser(context);
+      if (!user) {
+        return this.unknownUser();
+      }
+
+      const { allMeetings } = await meetingService.getUserMeetings(user, true);
+      const meetings = allMeetings
+        .sort((a, b) => new Date(b.startTime) - new Date(a.startTime))
+        .slice(0, 5);
 
       if (meetings.length === 0) {
         return MessageFactory.text("You don't have any recent meetings. Say 'create a meeting' to get started!");
@@ -357,20 +400,34 @@ Let's get started! 🚀`;
       return MessageFactory.text(text);
 
     } catch (error) {
+      logger.error('❌ Error listing meetings:', error);
       return MessageFactory.text("Sorry, I couldn't retrieve your meetings right now.");
     }
   }
 
-  async handleMeetingStatus(meetingId, userId) {
+  async handleMeetingStatus(meetingId, context) {
     try {
-      // Get meeting details and analysis
-      const [meetingResponse, analysisResponse] = await Promise.all([
-        axios.get(`http://localhost:5000/api/meetings/${meetingId}`),
-        axios.get(`http://localhost:5000/api/meetings/${meetingId}/chat-analysis`)
-      ]);
+      const user = await this.getUser(context);
+      if (!user) {
+        return this.unknownUser();
+      }
+
+      const meeting = meetingId ? await meetingService.findMeeting(user, meetingId) : null;
+      if (!meeting) {
+        return MessageFactory.text("I couldn't find that meeting. Say 'show my meetings' to see them.");
+      }
+
+      const access = checkMeetingPermission(meeting, user, 'view');
+      if (!access.allowed) {
+        return await this.deny(user, 'meeting_status', access.reason,
+          { type: 'meeting', id: meeting.id, meetingId: meeting.meetingId || null });
+      }
 
-      const meeting = meetingResponse.data;
-      const analysis = analysisResponse.data.analysis;
+      // Get the chat analysis and summaries
+      const [analysis, summaries] = await Promise.all([
+        chatCaptureService.getRealChatAnalysis(meeting.meetingId),
+        meetingSummaryService.getMeetingSummaries(meeting.meetingId)
+      ]);
 
       let statusText = `📊 **Meeting Status: ${meeting.subject}**\n\n`;
       statusText += `📅 **Time:** ${moment(meeting.startTime).format('MMMM Do, YYYY [at] h:mm A')}\n`;
@@ -385,13 +442,14 @@ Let's get started! 🚀`;
         statusText += `• Decisions: ${analysis.categorizedCounts?.decisions || 0}\n\n`;
       }
 
-      if (meeting.hasSummary) {
+      if (summaries.length > 0) {
         statusText += `📋 **Summary:** Available (generated with AI)\n`;
       }
 
       return MessageFactory.text(statusText);
 
     } catch (error) {
+      logger.error('❌ Error getting meeting status:', error);
       return MessageFactory.text("Sorry, I couldn't get the meeting status right now.");
     }
   }
@@ -441,32 +499,20 @@ What would you like to do? 🚀`;
 
   async handleGeneralQuery(message, userId) {
     try {
-      if (!geminiAI.isAvailable()) {
+      if (!ai.isAvailable('assistant')) {
         return MessageFactory.text("I can help you create and manage meetings! Try saying 'create a meeting' or 'help' for more options.");
       }
 
+      const refusal = "I can't do that, but I can help you create and manage your meetings. Try 'help' to see how.";
+      const { flagged } = await promptSafetyService.screen(message, { source: 'bot', userId });
+      if (flagged) {
+        return MessageFactory.text(refusal);
+      }
+
       // Use AI to provide a helpful response
-      const prompt = `
-        You are Agent 365, an AI meeting assistant bot for Microsoft Teams. 
-        A user asked: "${message}"
-        
-        Provide a helpful response about meetings, scheduling, or direct them to specific features.
-        Keep it conversational and helpful. If they're asking about something you can't do,
-        suggest what you CAN do instead.
-        
-        Your main capabilities:
-        - Create AI-enhanced Teams meetings
-        - Monitor meeting conversations  
-        - Generate meeting summaries
-        - Track action items
-        - Provide meeting analytics
-      `;
-
-      const result = await geminiAI.model.generateContent(prompt);
-      const response = await result.response;
-      const aiResponse = response.text();
-
-      return MessageFactory.text(aiResponse);
+      const { output: aiResponse } = await ai.run('botGeneralReply', { message });
+
+      return MessageFactory.text(promptSafetyService.checkReply(aiResponse, { allowedUrls: [] }, { source: 'bot', refusal }));
 
     } catch (error) {
       return MessageFactory.text("I'm here to help with meetings! Try 'create a meeting' or 'help' to see what I can do.");
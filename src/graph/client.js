@@ -0,0 +1,333 @@
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const authService = require('../services/authService');
+const { fromAxiosError, fromResponse } = require('./errors');
+const logger = require('../utils/logger');
+
+// Statuses Graph documents as transient; 429/503 usually come with Retry-After
+const RETRYABLE_STATUSES = [429, 503, 504];
+const IDEMPOTENT_METHODS = ['get', 'head', 'put', 'delete', 'options'];
+// Graph accepts at most 20 requests per JSON batch
+const MAX_BATCH_SIZE = 20;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const lowerCaseKeys = (headers = {}) =>
+  Object.fromEntries(Object.entries(headers).map(([key, value]) => [key.toLowerCase(), value]));
+
+// Path with its query string, for requests that cannot take axios params (batch items)
+const withQuery = (path, params = {}) => {
+  const query = new URLSearchParams(
+    Object.entries(params).filter(([, value]) => value !== undefined && value !== null)
+  ).toString();
+  if (!query) return path;
+  return `${path}${path.includes('?') ? '&' : '?'}${query}`;
+};
+
+// Retry-After is either seconds or an HTTP date
+const parseRetryAfter = (value) => {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(seconds, 0) * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+};
+
+// Single way to call Microsoft Graph:
+//   - injects the app-only token, or the caller's delegated token ({ accessToken })
+//   - retries 429/503/504 honouring Retry-After, otherwise exponential backoff with jitter;
+//     connection failures are retried for idempotent methods only. The waits of one call
+//     share a budget; a Retry-After beyond what is left fails the call instead of sleeping
+//   - refreshes the app-only token once when Graph answers 401
+//   - follows @odata.nextLink (getAll / pages)
+//   - combines many small requests into JSON batches of 20 (batch / batchGetAll),
+//     retrying throttled items on their own
+//   - tags every call with a client-request-id and logs Graph's request-id
+//   - throws typed errors from ./errors
+class GraphClient {
+  constructor({
+    endpoint = process.env.GRAPH_API_ENDPOINT || 'https://graph.microsoft.com/v1.0',
+    maxRetries = parseInt(process.env.GRAPH_MAX_RETRIES) || 4,
+    baseDelayMs = parseInt(process.env.GRAPH_RETRY_BASE_MS) || 500,
+    maxDelayMs = parseInt(process.env.GRAPH_RETRY_MAX_MS) || 30000,
+    retryBudgetMs = parseInt(process.env.GRAPH_RETRY_BUDGET_MS) || 120000,
+    timeoutMs = parseInt(process.env.GRAPH_TIMEOUT_MS) || 30000
+  } = {}) {
+    this.endpoint = endpoint.replace(/\/+$/, '');
+    this.maxRetries = maxRetries;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs; // Caps our own backoff; Retry-After is honoured as sent
+    this.retryBudgetMs = retryBudgetMs;
+    this.timeoutMs = timeoutMs;
+  }
+
+  isAvailable() {
+    return authService.isAvailable();
+  }
+
+  // Relative paths are resolved against the endpoint; nextLinks arrive absolute
+  resolveUrl(path) {
+    if (/^https?:\/\//i.test(path)) return path;
+    return `${this.endpoint}/${path.replace(/^\/+/, '')}`;
+  }
+
+  backoffDelay(attempt) {
+    const exponential = Math.min(this.baseDelayMs * 2 ** attempt, this.maxDelayMs);
+    return Math.round(exponential / 2 + Math.random() * exponential / 2);
+  }
+
+  // options: { data, params, headers, accessToken, maxRetries, retryBudgetMs, responseType }
+  async request(method, path, options = {}) {
+    method = method.toLowerCase();
+    const url = this.resolveUrl(path);
+    const clientRequestId = uuidv4();
+    const maxRetries = options.maxRetries ?? this.maxRetries;
+    const retryBudgetMs = options.retryBudgetMs ?? this.retryBudgetMs;
+    const delegated = !!options.accessToken;
+    let refreshedToken = false;
+    let waitedMs = 0;
+
+    for (let attempt = 0; ; attempt++) {
+      const accessToken = options.accessToken || await authService.getAppOnlyToken();
+      const startedAt = Date.now();
+
+      try {
+        const response = await axios({
+          method,
+          url,
+          data: options.data,
+          params: options.params,
+          responseType: options.responseType,
+          timeout: this.timeoutMs,
+          headers: {
+            Authorization: `Bearer ${accessToken}`,
+            'client-request-id': clientRequestId,
+            ...(options.data !== undefined ? { 'Content-Type': 'application/json' } : {}),
+            ...options.headers
+          }
+        });
+
+        logger.debug('📡 Graph request', {
+          method: method.toUpperCase(),
+          url,
+          status: response.status,
+          durationMs: Date.now() - startedAt,
+          requestId: response.headers['request-id'],
+          clientRequestId
+        });
+        return response.data;
+      } catch (error) {
+        const status = error.response?.status;
+        const retryAfterMs = parseRetryAfter(error.response?.headers?.['retry-after']);
+        const context = { method: method.toUpperCase(), url, clientRequestId, retryAfterMs };
+
+        if (status === 401 && !delegated && !refreshedToken) {
+          refreshedToken = true;
+          authService.clearAppOnlyToken();
+          logger.warn('⚠️ Graph rejected the app token, acquiring a new one', context);
+          continue;
+        }
+
+        const retryable = status
+          ? RETRYABLE_STATUSES.includes(status)
+          : IDEMPOTENT_METHODS.includes(method) && !axios.isCancel(error);
+
+        const delayMs = retryAfterMs ?? this.backoffDelay(attempt);
+        const overBudget = waitedMs + delayMs > retryBudgetMs;
+
+        if (!retryable || attempt >= maxRetries || overBudget) {
+          const graphError = fromAxiosError(error, context);
+          logger.warn(retryable && overBudget
+            ? `⚠️ Graph request failed, retrying in ${delayMs}ms would exceed the retry budget`
+            : '⚠️ Graph request failed', {
+            ...context,
+            status: graphError.status,
+            code: graphError.code,
+            requestId: graphError.requestId,
+            attempts: attempt + 1,
+            waitedMs
+          });
+          throw graphError;
+        }
+
+        waitedMs += delayMs;
+        logger.warn(`⚠️ Graph request ${status ? `returned ${status}` : `failed (${error.code || error.message})`}, retrying in ${delayMs}ms`, {
+          ...context,
+          requestId: error.response?.headers?.['request-id'],
+          attempt: attempt + 1,
+          maxRetries
+        });
+        await sleep(delayMs);
+      }
+    }
+  }
+
+  async get(path, options = {}) {
+    return await this.request('get', path, options);
+  }
+
+  async post(path, data, options = {}) {
+    return await this.request('post', path, { ...options, data });
+  }
+
+  async patch(path, data, options = {}) {
+    return await this.request('patch', path, { ...options, data });
+  }
+
+  async put(path, data, options = {}) {
+    return await this.request('put', path, { ...options, data });
+  }
+
+  async delete(path, options = {}) {
+    return await this.request('delete', path, options);
+  }
+
+  // Pages of a collection, following @odata.nextLink (which already carries the query)
+  async *pages(path, options = {}) {
+    let next = path;
+    let pageOptions = options;
+
+    while (next) {
+      const page = await this.get(next, pageOptions);
+      yield page.value || [];
+      next = page['@odata.nextLink'] || null;
+      pageOptions = { ...options, params: undefined };
+    }
+  }
+
+  // Every item of a collection, optionally stopping after maxItems
+  async getAll(path, { maxItems = Infinity, ...options } = {}) {
+    const items = [];
+    for await (const page of this.pages(path, options)) {
+      items.push(...page);
+      if (items.length >= maxItems) {
+        return items.slice(0, maxItems);
+      }
+    }
+    return items;
+  }
+
+  // Relative path for a batch item; nextLinks come back absolute
+  batchPath(url) {
+    const relative = url.startsWith(this.endpoint) ? url.slice(this.endpoint.length) : url;
+    return relative.startsWith('/') ? relative : `/${relative}`;
+  }
+
+  // requests: [{ method = 'GET', url, body, headers }] with url relative to the endpoint.
+  // Returns one result per request, in order: { status, headers, body, error }, where error
+  // is the typed GraphError for a failed item. Only a failure of the batch call itself throws.
+  async batch(requests, options = {}) {
+    const results = new Array(requests.length);
+    const maxRetries = options.maxRetries ?? this.maxRetries;
+    const retryBudgetMs = options.retryBudgetMs ?? this.retryBudgetMs;
+
+    for (let start = 0; start < requests.length; start += MAX_BATCH_SIZE) {
+      let pending = requests.slice(start, start + MAX_BATCH_SIZE).map((request, offset) => ({
+        index: start + offset,
+        request
+      }));
+      let waitedMs = 0;
+
+      for (let attempt = 0; pending.length > 0; attempt++) {
+        const response = await this.post('/$batch', {
+          requests: pending.map(({ index, request }) => ({
+            id: String(index),
+            method: (request.method || 'GET').toUpperCase(),
+            url: this.batchPath(request.url),
+            ...(request.body !== undefined ? {
+              body: request.body,
+              headers: { 'Content-Type': 'application/json', ...request.headers }
+            } : request.headers ? { headers: request.headers } : {})
+          }))
+        }, options);
+
+        let retry = [];
+        let retryAfterMs = 0;
+
+        const answers = new Map((response.responses || []).map(item => [Number(item.id), item]));
+        const answerOf = (index) =>
+          // An item missing from the answer is treated like a transient failure
+          answers.get(index) || { status: 503, body: { error: { message: 'No response for batch item' } } };
+
+        const settle = (entry) => {
+          const item = answerOf(entry.index);
+          const headers = lowerCaseKeys(item.headers);
+          results[entry.index] = {
+            status: item.status,
+            headers,
+            body: item.body,
+            error: item.status >= 400
+              ? fromResponse({ status: item.status, data: item.body, headers }, {
+                method: entry.request.method || 'GET',
+                url: entry.request.url
+              })
+              : null
+          };
+        };
+
+        for (const entry of pending) {
+          const item = answerOf(entry.index);
+          const headers = lowerCaseKeys(item.headers);
+
+          if (RETRYABLE_STATUSES.includes(item.status) && attempt < maxRetries) {
+            retry.push(entry);
+            retryAfterMs = Math.max(retryAfterMs, parseRetryAfter(headers['retry-after']) ?? this.backoffDelay(attempt));
+            continue;
+          }
+
+          settle(entry);
+        }
+
+        if (retry.length > 0 && waitedMs + retryAfterMs > retryBudgetMs) {
+          logger.warn(`⚠️ ${retry.length} Graph batch item(s) throttled, retrying in ${retryAfterMs}ms would exceed the retry budget`, {
+            attempt: attempt + 1,
+            waitedMs
+          });
+          retry.forEach(settle);
+          retry = [];
+        }
+
+        if (retry.length > 0) {
+          waitedMs += retryAfterMs;
+          logger.warn(`⚠️ ${retry.length} Graph batch item(s) throttled, retrying in ${retryAfterMs}ms`, {
+            attempt: attempt + 1,
+            maxRetries
+          });
+          await sleep(retryAfterMs);
+        }
+        pending = retry;
+      }
+    }
+
+    return results;
+  }
+
+  // Every item of several collections at once: first pages in batches, then remaining
+  // pages (nextLinks) batched the same way. Returns [{ value, error }] in request order.
+  async batchGetAll(paths, options = {}) {
+    const results = paths.map(() => ({ value: [], error: null }));
+    let pending = paths.map((url, index) => ({ index, url }));
+
+    while (pending.length > 0) {
+      const responses = await this.batch(pending.map(({ url }) => ({ url })), options);
+      const next = [];
+
+      responses.forEach((response, i) => {
+        const { index } = pending[i];
+        if (response.error) {
+          results[index].error = response.error;
+          return;
+        }
+        results[index].value.push(...(response.body?.value || []));
+        if (response.body?.['@odata.nextLink']) {
+          next.push({ index, url: response.body['@odata.nextLink'] });
+        }
+      });
+      pending = next;
+    }
+
+    return results;
+  }
+}
+
+module.exports = { GraphClient, parseRetryAfter, withQuery };
@@ -0,0 +1,97 @@
+// Typed Microsoft Graph errors. `status` is the HTTP status Graph answered with (0 when no
+// response arrived); `code` is Graph's error code (e.g. 'ErrorItemNotFound', 'Request_ResourceNotFound').
+// requestId/clientRequestId identify the call when raising a case with Microsoft.
+
+class GraphError extends Error {
+  constructor(message, {
+    status = 0,
+    code = null,
+    method = null,
+    url = null,
+    requestId = null,
+    clientRequestId = null,
+    retryAfterMs = null,
+    cause = undefined
+  } = {}) {
+    super(message, { cause });
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.method = method;
+    this.url = url;
+    this.requestId = requestId;
+    this.clientRequestId = clientRequestId;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// 400
+class GraphValidationError extends GraphError {}
+
+// 401: token missing, expired or for the wrong audience
+class GraphAuthenticationError extends GraphError {}
+
+// 403: the app or user lacks the permission (e.g. Chat.Read.All not consented)
+class GraphForbiddenError extends GraphError {}
+
+// 404
+class GraphNotFoundError extends GraphError {}
+
+// 409 and 412
+class GraphConflictError extends GraphError {}
+
+// 429 after every retry was used up
+class GraphThrottledError extends GraphError {}
+
+// 5xx
+class GraphServiceError extends GraphError {}
+
+// No response: DNS, connection reset, timeout
+class GraphNetworkError extends GraphError {}
+
+const ERROR_CLASSES = {
+  400: GraphValidationError,
+  401: GraphAuthenticationError,
+  403: GraphForbiddenError,
+  404: GraphNotFoundError,
+  409: GraphConflictError,
+  412: GraphConflictError,
+  429: GraphThrottledError
+};
+
+// Build the typed error for a Graph error response (status, body, headers)
+const fromResponse = ({ status, data, headers }, details = {}) => {
+  const graphError = data?.error || {};
+  const ErrorClass = ERROR_CLASSES[status] || (status >= 500 ? GraphServiceError : GraphError);
+
+  return new ErrorClass(graphError.message || `Graph request failed with status ${status}`, {
+    ...details,
+    status,
+    code: graphError.code || null,
+    requestId: headers?.['request-id'] || graphError.innerError?.['request-id'] || null
+  });
+};
+
+// Build the typed error for a failed axios call
+const fromAxiosError = (error, { method, url, clientRequestId, retryAfterMs = null }) => {
+  const details = { method, url, clientRequestId, retryAfterMs, cause: error };
+
+  if (!error.response) {
+    return new GraphNetworkError(`Graph request failed: ${error.message}`, { ...details, code: error.code || null });
+  }
+  return fromResponse(error.response, details);
+};
+
+module.exports = {
+  GraphError,
+  GraphValidationError,
+  GraphAuthenticationError,
+  GraphForbiddenError,
+  GraphNotFoundError,
+  GraphConflictError,
+  GraphThrottledError,
+  GraphServiceError,
+  GraphNetworkError,
+  fromResponse,
+  fromAxiosError
+};
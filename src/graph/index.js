@@ -0,0 +1,6 @@
+const { GraphClient } = require('./client');
+
+// Create singleton instance
+const graph = new GraphClient();
+
+module.exports = graph;
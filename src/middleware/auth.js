@@ -0,0 +1,212 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const logger = require('../utils/logger');
+
+// Signing keys published by Entra ID (or a local JWKS file for tests/offline use)
+class JwksKeyStore {
+  constructor() {
+    this.keys = new Map();
+    this.lastFetch = 0;
+    this.refreshing = null;
+    this.minRefreshInterval = 5 * 60 * 1000; // Don't hammer the JWKS endpoint on unknown kids
+    this.localKeySet = null;
+
+    if (process.env.AUTH_JWKS_FILE) {
+      try {
+        this.setLocalKeySet(JSON.parse(fs.readFileSync(process.env.AUTH_JWKS_FILE, 'utf8')));
+        logger.info(`🔑 Loaded local JWKS from ${process.env.AUTH_JWKS_FILE}`);
+      } catch (error) {
+        logger.error('❌ Failed to load local JWKS file:', error.message);
+      }
+    }
+  }
+
+  getJwksUri() {
+    if (process.env.AUTH_JWKS_URI) {
+      return process.env.AUTH_JWKS_URI;
+    }
+    const tenant = process.env.AZURE_TENANT_ID || 'common';
+    return `https://login.microsoftonline.com/${tenant}/discovery/v2.0/keys`;
+  }
+
+  // Use a fixed key set instead of fetching from Entra ID
+  setLocalKeySet(jwks) {
+    this.localKeySet = jwks;
+    this.keys = this.importKeys(jwks);
+  }
+
+  importKeys(jwks) {
+    const keys = new Map();
+    (jwks?.keys || []).forEach(jwk => {
+      if (!jwk.kid || (jwk.use && jwk.use !== 'sig')) return;
+      try {
+        keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+      } catch (error) {
+        logger.warn(`⚠️ Skipping unusable JWKS key ${jwk.kid}:`, error.message);
+      }
+    });
+    return keys;
+  }
+
+  async refresh() {
+    // A failed fetch counts too, so an unreachable endpoint is not retried by every request
+    this.lastFetch = Date.now();
+    const response = await axios.get(this.getJwksUri(), { timeout: 10000 });
+    this.keys = this.importKeys(response.data);
+    logger.info(`🔑 Refreshed ${this.keys.size} signing keys from JWKS endpoint`);
+  }
+
+  async getKey(kid) {
+    if (this.keys.has(kid)) {
+      return this.keys.get(kid);
+    }
+
+    // Entra ID rotates keys; fetch again unless we did so recently. Requests arriving
+    // during a fetch wait for it.
+    if (!this.localKeySet && (this.refreshing || Date.now() - this.lastFetch > this.minRefreshInterval)) {
+      this.refreshing = this.refreshing || this.refresh().finally(() => {
+        this.refreshing = null;
+      });
+      await this.refreshing;
+    }
+
+    return this.keys.get(kid) || null;
+  }
+}
+
+const keyStore = new JwksKeyStore();
+
+function getAllowedTenants() {
+  const tenants = process.env.AUTH_ALLOWED_TENANTS || process.env.AZURE_TENANT_ID || '';
+  return tenants.split(',').map(t => t.trim()).filter(Boolean);
+}
+
+function getValidationOptions() {
+  const clientId = process.env.AZURE_CLIENT_ID;
+  const audience = process.env.AUTH_AUDIENCE
+    ? process.env.AUTH_AUDIENCE.split(',').map(a => a.trim())
+    : [clientId, `api://${clientId}`].filter(a => a && a !== 'api://undefined');
+
+  const issuer = process.env.AUTH_ISSUER
+    ? process.env.AUTH_ISSUER.split(',').map(i => i.trim())
+    : getAllowedTenants().flatMap(tenant => [
+        `https://login.microsoftonline.com/${tenant}/v2.0`,
+        `https://sts.windows.net/${tenant}/`
+      ]);
+
+  return { audience, issuer };
+}
+
+function isConfigured() {
+  const { audience, issuer } = getValidationOptions();
+  return audience.length > 0 && issuer.length > 0;
+}
+
+// Map validated token claims onto the identity the routes work with
+function buildUserFromClaims(claims) {
+  return {
+    userId: claims.oid || claims.sub,
+    tenantId: claims.tid,
+    email: claims.preferred_username || claims.upn || claims.email || null,
+    name: claims.name || null,
+    roles: Array.isArray(claims.roles) ? claims.roles : [],
+    scopes: typeof claims.scp === 'string' ? claims.scp.split(' ') : []
+  };
+}
+
+async function verifyToken(token) {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded || !decoded.header) {
+    throw new jwt.JsonWebTokenError('Malformed token');
+  }
+
+  const key = await keyStore.getKey(decoded.header.kid);
+  if (!key) {
+    throw new jwt.JsonWebTokenError(`Unknown signing key: ${decoded.header.kid}`);
+  }
+
+  const { audience, issuer } = getValidationOptions();
+
+  const claims = jwt.verify(token, key, {
+    algorithms: ['RS256'],
+    audience,
+    issuer,
+    clockTolerance: 60
+  });
+
+  const allowedTenants = getAllowedTenants();
+  if (allowedTenants.length > 0 && !allowedTenants.includes(claims.tid)) {
+    throw new jwt.JsonWebTokenError(`Tenant ${claims.tid} is not allowed`);
+  }
+
+  if (!claims.oid && !claims.sub) {
+    throw new jwt.JsonWebTokenError('Token has no subject');
+  }
+
+  return claims;
+}
+
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme && scheme.toLowerCase() === 'bearer' && token ? token : null;
+}
+
+// Express middleware: validate the Entra ID bearer token and populate req.user
+const authenticate = async (req, res, next) => {
+  if (!isConfigured()) {
+    return res.status(503).json({
+      error: "Authentication is not configured",
+      message: "Please configure Entra ID token validation to use this API",
+      requiredConfig: {
+        azureTenantId: "AZURE_TENANT_ID",
+        azureClientId: "AZURE_CLIENT_ID (or AUTH_AUDIENCE)"
+      }
+    });
+  }
+
+  const token = getBearerToken(req);
+  if (!token) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({
+      error: "Authentication required",
+      message: "Provide an Entra ID access token in the Authorization header"
+    });
+  }
+
+  try {
+    const claims = await verifyToken(token);
+    req.user = buildUserFromClaims(claims);
+    next();
+  } catch (error) {
+    logger.warn('🔒 Rejected bearer token', {
+      reason: error.message,
+      url: req.originalUrl
+    });
+
+    if (error instanceof jwt.JsonWebTokenError || error instanceof jwt.NotBeforeError) {
+      res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+      return res.status(401).json({
+        error: "Invalid token",
+        details: error.message
+      });
+    }
+
+    // Signing keys could not be loaded: our problem, not the caller's, and not for them to see
+    logger.error('❌ Token validation failed:', error);
+    res.status(503).json({
+      error: "Authentication is temporarily unavailable",
+      message: "Token signing keys could not be loaded. Please try again later"
+    });
+  }
+};
+
+module.exports = {
+  authenticate,
+  verifyToken,
+  buildUserFromClaims,
+  getAllowedTenants,
+  keyStore
+};
@@ -0,0 +1,257 @@
+const teamsService = require('../services/teamsService');
+const auditService = require('../services/auditService');
+const logger = require('../utils/logger');
+
+const ROLES = {
+  VIEWER: 'viewer',
+  ORGANIZER: 'organizer',
+  TEAM_ADMIN: 'team_admin',
+  PLATFORM_ADMIN: 'platform_admin'
+};
+
+// Each role includes everything the roles below it can do
+const ROLE_RANK = {
+  [ROLES.VIEWER]: 1,
+  [ROLES.ORGANIZER]: 2,
+  [ROLES.TEAM_ADMIN]: 3,
+  [ROLES.PLATFORM_ADMIN]: 4
+};
+
+// Entra ID app role values (the token's `roles` claim) that map onto our roles
+const ROLE_CLAIMS = {
+  'meetings.viewer': ROLES.VIEWER,
+  'meetings.organizer': ROLES.ORGANIZER,
+  'teams.admin': ROLES.TEAM_ADMIN,
+  'platform.admin': ROLES.PLATFORM_ADMIN,
+  viewer: ROLES.VIEWER,
+  organizer: ROLES.ORGANIZER,
+  team_admin: ROLES.TEAM_ADMIN,
+  platform_admin: ROLES.PLATFORM_ADMIN
+};
+
+// App roles that grant a single capability on top of whatever role the user has
+const CAPABILITIES = {
+  REVEAL_REDACTED: 'pii.reveal'
+};
+
+// What each relationship to a meeting allows
+const MEETING_PERMISSIONS = {
+  view: ['organizer', 'delegate', 'attendee'],
+  manage: ['organizer', 'delegate'],
+  delete: ['organizer']
+};
+
+// Users without an app role assignment are viewers; RBAC_DEFAULT_ROLE=organizer lets a
+// deployment give everyone more
+const getDefaultRole = () => {
+  const role = (process.env.RBAC_DEFAULT_ROLE || ROLES.VIEWER).toLowerCase();
+  return ROLE_RANK[role] ? role : ROLES.VIEWER;
+};
+
+// Highest role granted by the user's token claims
+const getUserRole = (user) => {
+  const granted = (user?.roles || [])
+    .map(claim => ROLE_CLAIMS[String(claim).toLowerCase()])
+    .filter(Boolean);
+
+  if (granted.length === 0) {
+    return getDefaultRole();
+  }
+
+  return granted.sort((a, b) => ROLE_RANK[b] - ROLE_RANK[a])[0];
+};
+
+const hasRole = (user, role) => ROLE_RANK[getUserRole(user)] >= ROLE_RANK[role];
+
+const hasCapability = (user, capability) =>
+  (user?.roles || []).some(claim => String(claim).toLowerCase() === capability);
+
+// How the user relates to a meeting: organizer, delegate and/or attendee
+const getMeetingRelationships = (meeting, user) => {
+  const email = (user.email || '').toLowerCase();
+  const matches = value => typeof value === 'string' &&
+    (value === user.userId || (email && value.toLowerCase() === email));
+
+  const relationships = [];
+
+  if (meeting.userId === user.userId || matches(meeting.organizer)) {
+    relationships.push('organizer');
+  }
+  if ((meeting.delegates || []).some(matches)) {
+    relationships.push('delegate');
+  }
+  if ((meeting.attendees || []).some(matches)) {
+    relationships.push('attendee');
+  }
+
+  return relationships;
+};
+
+// Decide whether the user may perform `action` (view, manage, delete) on a meeting
+const checkMeetingPermission = (meeting, user, action) => {
+  const relationships = getMeetingRelationships(meeting, user);
+
+  if (meeting.tenantId && user.tenantId && meeting.tenantId !== user.tenantId) {
+    return { allowed: false, relationships, reason: 'Meeting belongs to another tenant' };
+  }
+
+  if (hasRole(user, ROLES.PLATFORM_ADMIN)) {
+    return { allowed: true, relationships, grantedBy: ROLES.PLATFORM_ADMIN };
+  }
+
+  if (action !== 'view' && !hasRole(user, ROLES.ORGANIZER)) {
+    return { allowed: false, relationships, reason: `Role '${getUserRole(user)}' cannot ${action} meetings` };
+  }
+
+  const grantedBy = relationships.find(r => MEETING_PERMISSIONS[action].includes(r));
+  if (grantedBy) {
+    return { allowed: true, relationships, grantedBy };
+  }
+
+  return {
+    allowed: false,
+    relationships,
+    reason: relationships.length > 0
+      ? `Meeting ${relationships.join('/')} cannot ${action} this meeting`
+      : 'Not an organizer, delegate or attendee of this meeting'
+  };
+};
+
+// Refuse the request and record why
+const deny = async (req, res, { reason, required, resource = null }) => {
+  await auditService.recordDenial(req, { reason, required, resource });
+  res.status(403).json({
+    error: "Access denied",
+    details: reason,
+    required
+  });
+};
+
+// Express middleware: require at least the given role
+const requireRole = (role) => async (req, res, next) => {
+  if (hasRole(req.user, role)) {
+    return next();
+  }
+
+  await deny(req, res, {
+    reason: `Role '${getUserRole(req.user)}' is below required role '${role}'`,
+    required: { role }
+  });
+};
+
+// Express middleware: require the app role granting `capability`, for requests where
+// `applies(req)` says it is needed (e.g. only when ?reveal=true)
+const requireCapability = (capability, applies = () => true) => async (req, res, next) => {
+  if (!applies(req) || hasCapability(req.user, capability)) {
+    return next();
+  }
+
+  await deny(req, res, {
+    reason: `Requires the '${capability}' app role`,
+    required: { capability }
+  });
+};
+
+// Express middleware: callers may act on their own data (matched by email); acting on
+// anyone else's needs at least `role`
+const requireSelfOrRole = (role, getSubjectEmail) => async (req, res, next) => {
+  const subject = String(getSubjectEmail(req) || '').trim().toLowerCase();
+  const self = subject && (req.user?.email || '').toLowerCase() === subject;
+
+  if (self || hasRole(req.user, role)) {
+    return next();
+  }
+
+  await deny(req, res, {
+    reason: `Only the data subject or role '${role}' may do this`,
+    required: { role, self: true }
+  });
+};
+
+// Express middleware: load the meeting with `loadMeeting(req)` and check the caller's
+// relationship to it. The loaded meeting is available to the handler as req.meeting.
+const requireMeetingPermission = (action, loadMeeting) => async (req, res, next) => {
+  try {
+    const meeting = await loadMeeting(req);
+
+    if (!meeting) {
+      return res.status(404).json({
+        error: "Meeting not found",
+        details: `Meeting with ID ${req.params.id} not found`
+      });
+    }
+
+    const decision = checkMeetingPermission(meeting, req.user, action);
+    if (!decision.allowed) {
+      return await deny(req, res, {
+        reason: decision.reason,
+        required: { meetingPermission: action, relationships: MEETING_PERMISSIONS[action] },
+        resource: { type: 'meeting', id: meeting.id, meetingId: meeting.meetingId || null }
+      });
+    }
+
+    req.meeting = meeting;
+    req.meetingAccess = decision;
+    next();
+  } catch (error) {
+    logger.error('❌ Meeting permission check failed:', error);
+    res.status(500).json({
+      error: "Failed to check meeting permissions",
+      details: error.message
+    });
+  }
+};
+
+// Express middleware: platform admins may manage any team; team admins only teams they own
+const requireTeamAdmin = (getTeamId) => async (req, res, next) => {
+  const teamId = getTeamId(req);
+
+  if (hasRole(req.user, ROLES.PLATFORM_ADMIN)) {
+    return next();
+  }
+
+  if (!hasRole(req.user, ROLES.TEAM_ADMIN)) {
+    return await deny(req, res, {
+      reason: `Role '${getUserRole(req.user)}' is below required role '${ROLES.TEAM_ADMIN}'`,
+      required: { role: ROLES.TEAM_ADMIN },
+      resource: teamId ? { type: 'team', id: teamId } : null
+    });
+  }
+
+  if (!teamId) {
+    return res.status(400).json({ error: "Team ID is required" });
+  }
+
+  try {
+    if (await teamsService.isTeamOwner(teamId, req.user.userId)) {
+      return next();
+    }
+
+    await deny(req, res, {
+      reason: 'Team admins can only manage teams they own',
+      required: { role: ROLES.TEAM_ADMIN, teamOwner: true },
+      resource: { type: 'team', id: teamId }
+    });
+  } catch (error) {
+    logger.error('❌ Team admin check failed:', error);
+    res.status(500).json({
+      error: "Failed to check team permissions",
+      details: error.message
+    });
+  }
+};
+
+module.exports = {
+  ROLES,
+  CAPABILITIES,
+  getUserRole,
+  hasRole,
+  hasCapability,
+  getMeetingRelationships,
+  checkMeetingPermission,
+  requireRole,
+  requireCapability,
+  requireSelfOrRole,
+  requireMeetingPermission,
+  requireTeamAdmin
+};
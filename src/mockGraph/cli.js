@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+// Run the mock Graph server:
+//   npm run mock-graph -- [--port <port>] [--seed <file.json>]
+// MOCK_GRAPH_PORT and MOCK_GRAPH_SEED work as well. Prints the settings that point the app at it.
+
+require('dotenv').config();
+
+const fs = require('fs');
+const { createMockGraph, defaultSeed } = require('./index');
+
+const USAGE = 'Usage: npm run mock-graph -- [--port <port>] [--seed <file.json>]';
+
+const parseArgs = (argv) => {
+  const options = {
+    port: parseInt(process.env.MOCK_GRAPH_PORT) || 5100,
+    seed: process.env.MOCK_GRAPH_SEED || null
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--port') options.port = parseInt(argv[++i]);
+    else if (argv[i] === '--seed') options.seed = argv[++i];
+    else throw new Error(`Unknown argument '${argv[i]}'\n${USAGE}`);
+  }
+
+  if (!(options.port >= 0)) {
+    throw new Error('--port must be a number');
+  }
+  return options;
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  const seed = options.seed ? JSON.parse(fs.readFileSync(options.seed, 'utf8')) : defaultSeed();
+  const mock = createMockGraph({ seed });
+  const { url } = await mock.listen(options.port);
+  const authority = `${url}/${mock.tenantId}`;
+
+  console.log(`🧪 Mock Graph listening on ${url} (${mock.store.users.length} users, ${mock.store.events.length} events, ${mock.store.chats.length} chats)`);
+  console.log('\nPoint the app at it with:\n');
+  console.log(`GRAPH_API_ENDPOINT=${url}/v1.0`);
+  console.log(`AZURE_AUTHORITY=${authority}`);
+  console.log(`AZURE_TENANT_ID=${mock.tenantId}`);
+  console.log('AZURE_CLIENT_ID=mock-client');
+  console.log('AZURE_CLIENT_SECRET=mock-secret');
+  console.log(`AUTH_JWKS_URI=${authority}/discovery/v2.0/keys`);
+  console.log(`AUTH_ISSUER=${authority}/v2.0`);
+  console.log(`MEETING_ORGANIZER_EMAIL=${mock.store.users[0]?.userPrincipalName || ''}`);
+  console.log('\nAPI token for a seeded user:\n');
+  console.log(`curl -s -d grant_type=password -d client_id=mock-client -d username=${mock.store.users[0]?.userPrincipalName || '<upn>'} -d scope=api://mock-client/.default ${authority}/oauth2/v2.0/token`);
+};
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,70 @@
+const moment = require('moment');
+
+// Demo tenant used when the mock starts without a seed file. Times are relative to today
+// (UTC) so free/busy and "upcoming meeting" flows always have something to find.
+// The organizer is MEETING_ORGANIZER_EMAIL, as in the app.
+const defaultSeed = () => {
+  const organizer = process.env.MEETING_ORGANIZER_EMAIL || 'support@legacynote.ai';
+  const at = (days, hour, minute = 0) =>
+    moment.utc().startOf('day').add(days, 'days').hour(hour).minute(minute).toISOString();
+
+  return {
+    tenantId: 'mock-tenant',
+    users: [
+      { displayName: 'Agent 365 Organizer', userPrincipalName: organizer, jobTitle: 'Meeting Organizer', department: 'Operations', appRoles: ['admin'] },
+      { displayName: 'Adele Vance', userPrincipalName: 'adele@contoso.com', jobTitle: 'Product Manager', department: 'Product' },
+      { displayName: 'Alex Wilber', userPrincipalName: 'alex@contoso.com', jobTitle: 'Engineer', department: 'Engineering' },
+      { displayName: 'Megan Bowen', userPrincipalName: 'megan@contoso.com', jobTitle: 'Designer', department: 'Design' },
+      { displayName: 'Lee Gu', userPrincipalName: 'lee@contoso.com', jobTitle: 'Engineering Manager', department: 'Engineering' },
+      { displayName: 'Nestor Wilke', userPrincipalName: 'nestor@contoso.com', jobTitle: 'Director', department: 'Operations' }
+    ],
+    teams: [
+      {
+        displayName: 'Product Team',
+        description: 'Planning and releases',
+        owners: [organizer, 'adele@contoso.com'],
+        members: ['alex@contoso.com', 'megan@contoso.com', 'lee@contoso.com'],
+        channels: [
+          { displayName: 'Planning', description: 'Sprint planning' },
+          { displayName: 'Releases', description: 'Release coordination' }
+        ]
+      }
+    ],
+    events: [
+      {
+        organizer,
+        subject: 'Sprint Planning',
+        start: at(1, 10),
+        end: at(1, 11),
+        attendees: ['adele@contoso.com', 'alex@contoso.com'],
+        isOnlineMeeting: true,
+        chatMessages: [
+          { from: 'adele@contoso.com', content: 'Agenda: review the backlog and pick the sprint goal', createdDateTime: at(1, 10, 2) },
+          { from: 'alex@contoso.com', content: 'I will update the estimates by Friday', createdDateTime: at(1, 10, 5) }
+        ]
+      },
+      {
+        organizer: 'megan@contoso.com',
+        subject: 'Design Review',
+        start: at(1, 14),
+        end: at(1, 15),
+        attendees: ['alex@contoso.com'],
+        isOnlineMeeting: true
+      },
+      {
+        organizer: 'lee@contoso.com',
+        subject: 'Out of office',
+        start: at(2, 0),
+        end: at(3, 0),
+        isAllDay: true,
+        showAs: 'oof'
+      }
+    ],
+    // For TASK_SYNC_TARGET=planner with TASK_SYNC_PLANNER_PLAN_ID=mock-plan-product
+    plans: [
+      { id: 'mock-plan-product', title: 'Product Team action items', owner: 'Product Team', buckets: ['Meetings'] }
+    ]
+  };
+};
+
+module.exports = defaultSeed;
@@ -0,0 +1,304 @@
+const crypto = require('crypto');
+const express = require('express');
+const { MockGraphStore } = require('./store');
+const { MockTokenIssuer } = require('./tokens');
+const { MockNotifications } = require('./notifications');
+const { MockGraphRoutes } = require('./routes');
+const defaultSeed = require('./defaultSeed');
+const logger = require('../utils/logger');
+
+const MAX_BATCH_SIZE = 20;
+
+// Injected failures: the next `times` requests matching method/path answer `status`
+class MockFaults {
+  constructor() {
+    this.faults = [];
+  }
+
+  add({ method = null, path, status, times = 1, retryAfter, code, message }) {
+    const fault = { method: method && method.toUpperCase(), pattern: new RegExp(path, 'i'), path, status, times, retryAfter, code, message };
+    this.faults.push(fault);
+    return fault;
+  }
+
+  take(method, path) {
+    const fault = this.faults.find(f => (!f.method || f.method === method) && f.pattern.test(path));
+    if (!fault) return null;
+    if (--fault.times <= 0) {
+      this.faults = this.faults.filter(f => f !== fault);
+    }
+    return fault;
+  }
+
+  clear() {
+    this.faults = [];
+  }
+}
+
+const graphError = (res, status, code, message) =>
+  res.status(status).json({ error: { code, message, innerError: { date: new Date().toISOString(), 'request-id': res.get('request-id') } } });
+
+// Standalone stand-in for Microsoft Graph and the Entra ID token endpoint:
+//   /v1.0/...                          Graph resources (see routes.js) and $batch
+//   /{tenant}/oauth2/v2.0/token        client_credentials and password grants
+//   /{tenant}/discovery/v2.0/keys      signing keys, for AUTH_JWKS_URI
+//   /_mock/...                         seeding, simulated chat activity, fault injection
+// Point GRAPH_API_ENDPOINT and AZURE_AUTHORITY at it (see cli.js for the full list).
+const createMockGraph = ({ seed = defaultSeed(), tenantId = seed.tenantId || 'mock-tenant', baseUrl = null } = {}) => {
+  const store = new MockGraphStore(seed);
+  const issuer = new MockTokenIssuer({ tenantId });
+  const notifications = new MockNotifications({ store, tenantId });
+  const faults = new MockFaults();
+  const routes = new MockGraphRoutes({ store, notifications, faults, baseUrl: () => issuer.baseUrl });
+
+  if (baseUrl) issuer.setBaseUrl(baseUrl);
+
+  const app = express();
+  app.use(express.json({ limit: '4mb' }));
+  app.use(express.urlencoded({ extended: false }));
+
+  app.use((req, res, next) => {
+    if (!issuer.baseUrl) issuer.setBaseUrl(`${req.protocol}://${req.get('host')}`);
+    res.set('request-id', crypto.randomUUID());
+    if (req.get('client-request-id')) res.set('client-request-id', req.get('client-request-id'));
+    next();
+  });
+
+  // --- Entra ID ------------------------------------------------------------
+
+  app.get('/:tenant/v2.0/.well-known/openid-configuration', (req, res) => res.json(issuer.openidConfiguration()));
+  app.get('/:tenant/discovery/v2.0/keys', (req, res) => res.json(issuer.jwks()));
+
+  app.post('/:tenant/oauth2/v2.0/token', (req, res) => {
+    const { grant_type: grantType, client_id: clientId, client_secret: clientSecret, scope, username } = req.body || {};
+
+    if (!clientId) {
+      return res.status(400).json({ error: 'invalid_request', error_description: "AADSTS900144: The request body must contain the following parameter: 'client_id'." });
+    }
+    store.registerApp(clientId);
+    if (grantType === 'client_credentials') {
+      if (!clientSecret) {
+        return res.status(401).json({ error: 'invalid_client', error_description: 'AADSTS7000215: Invalid client secret provided.' });
+      }
+      return res.json(issuer.issueAppToken(clientId, scope));
+    }
+    if (grantType === 'password') {
+      const user = store.findUser(username);
+      if (!user) {
+        return res.status(400).json({ error: 'invalid_grant', error_description: `AADSTS50034: The user account ${username} does not exist in the ${tenantId} directory.` });
+      }
+      return res.json(issuer.issueUserToken(clientId, user, scope));
+    }
+    res.status(400).json({ error: 'unsupported_grant_type', error_description: `AADSTS70003: The grant type '${grantType}' is not supported by the mock.` });
+  });
+
+  // --- control ---------------------------------------------------------------
+
+  // GET /_mock/state
+  app.get('/_mock/state', (req, res) => res.json(store.snapshot()));
+
+  // POST /_mock/reset - replace the tenant with the posted seed (or the default one)
+  app.post('/_mock/reset', (req, res) => {
+    try {
+      store.reset(Object.keys(req.body || {}).length > 0 ? req.body : defaultSeed());
+      faults.clear();
+      res.json({ success: true, users: store.users.length, events: store.events.length, chats: store.chats.length });
+    } catch (error) {
+      res.status(400).json({ error: 'Invalid seed', details: error.message });
+    }
+  });
+
+  // POST /_mock/users
+  app.post('/_mock/users', (req, res) => {
+    if (!req.body?.userPrincipalName || !req.body?.displayName) {
+      return res.status(400).json({ error: 'displayName and userPrincipalName are required' });
+    }
+    res.status(201).json(store.userResource(store.addUser(req.body)));
+  });
+
+  // POST /_mock/chats/:chatId/messages - a participant posts { from, content, mentions?, attachments?, replyToId? }
+  app.post('/_mock/chats/:chatId/messages', (req, res) => {
+    if (!store.findChat(req.params.chatId)) {
+      return res.status(404).json({ error: 'Chat not found' });
+    }
+    if (!req.body?.from || !req.body?.content || !store.findUser(req.body.from)) {
+      return res.status(400).json({ error: 'from (a known user) and content are required' });
+    }
+    const message = store.postMessage(req.params.chatId, {
+      from: req.body.from,
+      body: { contentType: req.body.contentType || 'text', content: req.body.content },
+      createdDateTime: req.body.createdDateTime,
+      replyToId: req.body.replyToId || null,
+      mentions: req.body.mentions || [],
+      attachments: req.body.attachments || []
+    });
+    res.status(201).json(message);
+  });
+
+  // PATCH /_mock/chats/:chatId/messages/:messageId - edit { content }
+  app.patch('/_mock/chats/:chatId/messages/:messageId', (req, res) => {
+    const message = store.updateMessage(req.params.chatId, req.params.messageId, { content: req.body?.content });
+    if (!message) return res.status(404).json({ error: 'Message not found' });
+    res.json(message);
+  });
+
+  // DELETE /_mock/chats/:chatId/messages/:messageId - soft delete, as Teams does
+  app.delete('/_mock/chats/:chatId/messages/:messageId', (req, res) => {
+    const message = store.updateMessage(req.params.chatId, req.params.messageId, { deleted: true });
+    if (!message) return res.status(404).json({ error: 'Message not found' });
+    res.json(message);
+  });
+
+  // POST /_mock/chats/:chatId/messages/:messageId/reactions - { user, reactionType }
+  app.post('/_mock/chats/:chatId/messages/:messageId/reactions', (req, res) => {
+    if (!req.body?.user || !store.findUser(req.body.user)) {
+      return res.status(400).json({ error: 'user (a known user) is required' });
+    }
+    const message = store.reactToMessage(req.params.chatId, req.params.messageId, req.body);
+    if (!message) return res.status(404).json({ error: 'Message not found' });
+    res.json(message);
+  });
+
+  // POST /_mock/faults - { method, path (regex), status, times, retryAfter, code, message }
+  app.post('/_mock/faults', (req, res) => {
+    if (!req.body?.path || !(req.body?.status >= 400)) {
+      return res.status(400).json({ error: 'path and an error status are required' });
+    }
+    let fault;
+    try {
+      fault = faults.add(req.body);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid path pattern', details: error.message });
+    }
+    res.status(201).json({ ...fault, pattern: undefined });
+  });
+
+  // DELETE /_mock/faults
+  app.delete('/_mock/faults', (req, res) => {
+    faults.clear();
+    res.status(204).end();
+  });
+
+  // POST /_mock/subscriptions/:id/lifecycle - { lifecycleEvent }
+  app.post('/_mock/subscriptions/:id/lifecycle', async (req, res) => {
+    const subscription = store.subscriptions.find(s => s.id === req.params.id);
+    if (!subscription) return res.status(404).json({ error: 'Subscription not found' });
+    const { lifecycleEvent } = req.body || {};
+    if (!['reauthorizationRequired', 'subscriptionRemoved', 'missed'].includes(lifecycleEvent)) {
+      return res.status(400).json({ error: 'lifecycleEvent must be reauthorizationRequired, subscriptionRemoved or missed' });
+    }
+    await notifications.notifyLifecycle(subscription, lifecycleEvent);
+    res.json({ success: true });
+  });
+
+  // POST /_mock/notifications/flush - wait until queued notifications were delivered
+  app.post('/_mock/notifications/flush', async (req, res) => {
+    await notifications.flush();
+    res.json({ success: true });
+  });
+
+  // --- Graph -------------------------------------------------------------------
+
+  const graph = express.Router();
+
+  graph.use((req, res, next) => {
+    const [scheme, token] = (req.get('authorization') || '').split(' ');
+    if (!token || scheme.toLowerCase() !== 'bearer') {
+      return graphError(res, 401, 'InvalidAuthenticationToken', 'Access token is empty.');
+    }
+    req.principal = issuer.verifyGraphToken(token);
+    if (!req.principal) {
+      return graphError(res, 401, 'InvalidAuthenticationToken', 'Access token validation failure. Invalid audience.');
+    }
+    next();
+  });
+
+  graph.post('/$batch', async (req, res, next) => {
+    try {
+      const requests = req.body?.requests;
+      if (!Array.isArray(requests) || requests.length === 0) {
+        return graphError(res, 400, 'BadRequest', 'Invalid batch payload format.');
+      }
+      if (requests.length > MAX_BATCH_SIZE) {
+        return graphError(res, 400, 'BadRequest', `Number of batch requests exceeds the maximum of ${MAX_BATCH_SIZE}.`);
+      }
+
+      const responses = [];
+      for (const item of requests) {
+        const url = new URL(item.url, 'http://mock');
+        const result = await routes.handle({
+          method: item.method || 'GET',
+          path: url.pathname.replace(/^\/v1\.0/, ''),
+          query: Object.fromEntries(url.searchParams),
+          body: item.body,
+          headers: Object.fromEntries(Object.entries(item.headers || {}).map(([name, value]) => [name.toLowerCase(), value])),
+          principal: req.principal
+        });
+        responses.push({
+          id: item.id,
+          status: result.status,
+          headers: { 'Content-Type': 'application/json', ...result.headers },
+          ...(result.body !== undefined ? { body: result.body } : {})
+        });
+      }
+      res.json({ responses });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  graph.use(async (req, res, next) => {
+    try {
+      const result = await routes.handle({
+        method: req.method,
+        path: req.path,
+        query: req.query,
+        body: req.body,
+        headers: req.headers,
+        principal: req.principal
+      });
+      res.status(result.status).set(result.headers);
+      if (result.body === undefined) return res.end();
+      res.json(result.body);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.use('/v1.0', graph);
+
+  app.use((error, req, res, next) => {
+    logger.error('❌ Mock Graph error:', error);
+    graphError(res, 500, 'InternalServerError', error.message);
+  });
+
+  return {
+    app,
+    store,
+    issuer,
+    notifications,
+    faults,
+    tenantId,
+
+    // Resolves with { url, close } once listening; port 0 picks a free port
+    listen(port = 0, host = '127.0.0.1') {
+      return new Promise((resolve, reject) => {
+        const server = app.listen(port, host, () => {
+          const url = `http://${host}:${server.address().port}`;
+          issuer.setBaseUrl(url);
+          resolve({
+            url,
+            server,
+            close: () => new Promise(done => {
+              server.close(() => done());
+              server.closeAllConnections();
+            })
+          });
+        });
+        server.on('error', reject);
+      });
+    }
+  };
+};
+
+module.exports = { createMockGraph, defaultSeed };
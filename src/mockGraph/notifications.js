@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const logger = require('../utils/logger');
+
+const TIMEOUT_MS = 10000;
+
+// Change notifications the way Graph sends them: a validation handshake when a subscription
+// is created, then POSTs of { value: [notification] } for every matching chat message.
+// With includeResourceData the message is encrypted for the subscriber's certificate.
+class MockNotifications {
+  constructor({ store, tenantId }) {
+    this.store = store;
+    this.tenantId = tenantId;
+    this.pending = new Set();
+
+    store.on('chatMessage', (chatId, message, changeType) => this.notifyChatMessage(chatId, message, changeType));
+  }
+
+  async validateEndpoint(url) {
+    const validationToken = `Validation: Testing client application reachability for subscription Request-Id: ${crypto.randomUUID()}`;
+    try {
+      const response = await axios.post(url, undefined, {
+        params: { validationToken },
+        headers: { 'Content-Type': 'text/plain' },
+        timeout: TIMEOUT_MS,
+        responseType: 'text',
+        transformResponse: data => data,
+        validateStatus: () => true
+      });
+      return response.status === 200 && response.data === validationToken;
+    } catch (error) {
+      logger.warn('⚠️ Mock Graph: notification endpoint validation failed', { url, error: error.message });
+      return false;
+    }
+  }
+
+  // AES-256-CBC under a random key (IV = first 16 key bytes), HMAC-SHA256 signature, key
+  // wrapped with RSA-OAEP for the certificate the subscription was created with
+  encryptResource(subscription, resource) {
+    const certificate = new crypto.X509Certificate(Buffer.from(subscription.encryptionCertificate, 'base64'));
+    const key = crypto.randomBytes(32);
+    const cipher = crypto.createCipheriv('aes-256-cbc', key, key.subarray(0, 16));
+    const data = Buffer.concat([cipher.update(JSON.stringify(resource), 'utf8'), cipher.final()]);
+
+    return {
+      data: data.toString('base64'),
+      dataSignature: crypto.createHmac('sha256', key).update(data).digest('base64'),
+      dataKey: crypto.publicEncrypt(
+        { key: certificate.publicKey, padding: crypto.constants.RSA_PKCS1_OAEP_PADDING },
+        key
+      ).toString('base64'),
+      encryptionCertificateId: subscription.encryptionCertificateId,
+      encryptionCertificateThumbprint: certificate.fingerprint.replace(/:/g, '')
+    };
+  }
+
+  activeSubscriptions() {
+    const now = new Date().toISOString();
+    this.store.subscriptions = this.store.subscriptions.filter(subscription => subscription.expirationDateTime > now);
+    return this.store.subscriptions;
+  }
+
+  notifyChatMessage(chatId, message, changeType) {
+    const subscriptions = this.activeSubscriptions().filter(subscription =>
+      subscription.chatId === chatId && subscription.changeType.split(',').includes(changeType));
+
+    subscriptions.forEach(subscription => {
+      const resource = `chats('${chatId}')/messages('${message.id}')`;
+      const notification = {
+        subscriptionId: subscription.id,
+        changeType,
+        clientState: subscription.clientState,
+        subscriptionExpirationDateTime: subscription.expirationDateTime,
+        resource,
+        resourceData: { id: message.id, '@odata.type': '#Microsoft.Graph.chatMessage', '@odata.id': resource },
+        tenantId: this.tenantId
+      };
+      if (subscription.includeResourceData) {
+        notification.encryptedContent = this.encryptResource(subscription, message);
+      }
+      this.deliver(subscription.notificationUrl, [notification]);
+    });
+  }
+
+  // reauthorizationRequired, subscriptionRemoved or missed
+  notifyLifecycle(subscription, lifecycleEvent) {
+    if (lifecycleEvent === 'subscriptionRemoved') {
+      this.store.subscriptions = this.store.subscriptions.filter(s => s !== subscription);
+    }
+    return this.deliver(subscription.lifecycleNotificationUrl || subscription.notificationUrl, [{
+      subscriptionId: subscription.id,
+      subscriptionExpirationDateTime: subscription.expirationDateTime,
+      clientState: subscription.clientState,
+      lifecycleEvent,
+      resource: subscription.resource,
+      tenantId: this.tenantId
+    }]);
+  }
+
+  // Fire and forget like Graph, but tracked so tests can wait for delivery (flush)
+  deliver(url, value) {
+    const delivery = axios.post(url, { value }, { timeout: TIMEOUT_MS })
+      .catch(error => logger.warn('⚠️ Mock Graph: notification delivery failed', { url, error: error.message }))
+      .finally(() => this.pending.delete(delivery));
+    this.pending.add(delivery);
+    return delivery;
+  }
+
+  async flush() {
+    await Promise.all([...this.pending]);
+  }
+}
+
+module.exports = { MockNotifications };
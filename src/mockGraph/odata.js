@@ -0,0 +1,223 @@
+// The slice of OData query options the app sends to Graph: $filter (eq/ne/gt/ge/lt/le,
+// startswith, contains, any(), and/or/not), $select, $orderby, $expand, $top and $skip.
+
+class ODataError extends Error {}
+
+const TOKEN_PATTERN = /\s*(?:('(?:[^']|'')*')|([(),:])|(-?\d[\w:.+-]*)|([A-Za-z_$][\w./$]*))/y;
+
+const tokenize = (expression) => {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while (TOKEN_PATTERN.lastIndex < expression.length) {
+    const start = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(expression);
+    if (!match) {
+      if (!expression.slice(start).trim()) break;
+      throw new ODataError(`Invalid filter clause at '${expression.slice(start)}'`);
+    }
+    const [, string, punctuation, number, word] = match;
+    if (string !== undefined) tokens.push({ type: 'literal', value: string.slice(1, -1).replace(/''/g, "'") });
+    else if (punctuation) tokens.push({ type: punctuation });
+    else if (number) tokens.push({ type: 'literal', value: Number.isFinite(Number(number)) ? Number(number) : number });
+    else tokens.push({ type: 'word', value: word });
+  }
+  return tokens;
+};
+
+// Property lookup is case-insensitive, as in Graph ('JoinWebUrl' matches joinWebUrl)
+const getPath = (item, path) => path.split('/').reduce((value, segment) => {
+  if (value === null || value === undefined) return undefined;
+  const key = Object.keys(value).find(k => k.toLowerCase() === segment.toLowerCase());
+  return key === undefined ? undefined : value[key];
+}, item);
+
+const normalize = (value) => (typeof value === 'string' ? value.toLowerCase() : value);
+
+const COMPARISONS = {
+  eq: (a, b) => normalize(a) === normalize(b),
+  ne: (a, b) => normalize(a) !== normalize(b),
+  gt: (a, b) => a > b,
+  ge: (a, b) => a >= b,
+  lt: (a, b) => a < b,
+  le: (a, b) => a <= b
+};
+
+class FilterParser {
+  constructor(expression) {
+    this.tokens = tokenize(expression);
+    this.position = 0;
+  }
+
+  peek() {
+    return this.tokens[this.position];
+  }
+
+  next() {
+    return this.tokens[this.position++];
+  }
+
+  expect(type) {
+    const token = this.next();
+    if (!token || token.type !== type) {
+      throw new ODataError(`Invalid filter clause: expected '${type}'`);
+    }
+    return token;
+  }
+
+  isKeyword(value) {
+    const token = this.peek();
+    return token && token.type === 'word' && token.value.toLowerCase() === value;
+  }
+
+  parse() {
+    const predicate = this.parseOr();
+    if (this.peek()) {
+      throw new ODataError('Invalid filter clause: unexpected trailing input');
+    }
+    return predicate;
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.isKeyword('or')) {
+      this.next();
+      const a = left, b = this.parseAnd();
+      left = (item) => a(item) || b(item);
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseTerm();
+    while (this.isKeyword('and')) {
+      this.next();
+      const a = left, b = this.parseTerm();
+      left = (item) => a(item) && b(item);
+    }
+    return left;
+  }
+
+  parseValue() {
+    const token = this.next();
+    if (!token) throw new ODataError('Invalid filter clause: missing value');
+    if (token.type === 'literal') return () => token.value;
+    if (token.type !== 'word') throw new ODataError('Invalid filter clause: unexpected token');
+
+    const word = token.value.toLowerCase();
+    if (word === 'true') return () => true;
+    if (word === 'false') return () => false;
+    if (word === 'null') return () => null;
+    return (item) => getPath(item, token.value);
+  }
+
+  parseTerm() {
+    if (this.peek()?.type === '(') {
+      this.next();
+      const inner = this.parseOr();
+      this.expect(')');
+      return inner;
+    }
+
+    if (this.isKeyword('not')) {
+      this.next();
+      const inner = this.parseTerm();
+      return (item) => !inner(item);
+    }
+
+    const token = this.expect('word');
+    const name = token.value.toLowerCase();
+
+    // startswith(prop, 'x') / contains(prop, 'x')
+    if ((name === 'startswith' || name === 'contains') && this.peek()?.type === '(') {
+      this.next();
+      const property = this.parseValue();
+      this.expect(',');
+      const search = this.parseValue();
+      this.expect(')');
+      return (item) => {
+        const value = String(property(item) ?? '').toLowerCase();
+        const expected = String(search(item) ?? '').toLowerCase();
+        return name === 'startswith' ? value.startsWith(expected) : value.includes(expected);
+      };
+    }
+
+    // collection/any(x:x eq 'value')
+    const lambda = token.value.match(/^(.*)\/any$/i);
+    if (lambda) {
+      this.expect('(');
+      const variable = this.expect('word').value;
+      this.expect(':');
+      const element = this.expect('word').value;
+      if (element !== variable) throw new ODataError('Invalid filter clause: unsupported lambda');
+      const operator = this.expect('word').value.toLowerCase();
+      const expected = this.parseValue();
+      this.expect(')');
+      if (!COMPARISONS[operator]) throw new ODataError(`Invalid filter clause: unknown operator '${operator}'`);
+      return (item) => (getPath(item, lambda[1]) || []).some(value => COMPARISONS[operator](value, expected(item)));
+    }
+
+    const operator = this.expect('word').value.toLowerCase();
+    if (!COMPARISONS[operator]) {
+      throw new ODataError(`Invalid filter clause: unknown operator '${operator}'`);
+    }
+    const expected = this.parseValue();
+    return (item) => COMPARISONS[operator](getPath(item, token.value), expected(item));
+  }
+}
+
+const parseFilter = (expression) => new FilterParser(expression).parse();
+
+const applySelect = (item, select) => {
+  if (!select) return item;
+  const fields = select.split(',').map(field => field.trim()).filter(Boolean);
+  return Object.fromEntries(Object.entries(item).filter(([key]) =>
+    key.startsWith('@odata') || fields.some(field => field.toLowerCase() === key.toLowerCase())));
+};
+
+const applyOrderBy = (items, orderBy) => {
+  if (!orderBy) return items;
+  const clauses = orderBy.split(',').map(clause => {
+    const [path, direction = 'asc'] = clause.trim().split(/\s+/);
+    return { path, sign: direction.toLowerCase() === 'desc' ? -1 : 1 };
+  });
+
+  return [...items].sort((a, b) => {
+    for (const { path, sign } of clauses) {
+      const left = normalize(getPath(a, path));
+      const right = normalize(getPath(b, path));
+      if (left < right) return -sign;
+      if (left > right) return sign;
+    }
+    return 0;
+  });
+};
+
+// Filter, order and page a collection. Returns { value, next } where next is the $skip of
+// the following page (null on the last one).
+const queryCollection = (items, query, { defaultTop = 100, maxTop = 999 } = {}) => {
+  let result = items;
+  if (query.$filter) {
+    const predicate = parseFilter(query.$filter);
+    result = result.filter(predicate);
+  }
+  result = applyOrderBy(result, query.$orderby);
+
+  const top = Math.min(parseInt(query.$top) || defaultTop, maxTop);
+  const skip = parseInt(query.$skip) || 0;
+  const page = result.slice(skip, skip + top);
+
+  return {
+    value: page.map(item => applySelect(item, query.$select)),
+    next: skip + top < result.length ? skip + top : null
+  };
+};
+
+module.exports = {
+  ODataError,
+  parseFilter,
+  getPath,
+  applySelect,
+  applyOrderBy,
+  queryCollection
+};
@@ -0,0 +1,629 @@
+const { v4: uuidv4 } = require('uuid');
+const { ODataError, applySelect, queryCollection } = require('./odata');
+const { toDate } = require('./store');
+
+// Graph caps chat message subscriptions at one hour
+const MAX_CHAT_SUBSCRIPTION_MS = 60 * 60 * 1000;
+
+class GraphResponseError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const notFound = (what) => new GraphResponseError(404, 'ResourceNotFound', `${what} not found`);
+const badRequest = (message, code = 'BadRequest') => new GraphResponseError(400, code, message);
+
+// chats('19:x@thread.v2')/messages('123') -> /chats/19:x@thread.v2/messages/123
+const normalizePath = (path) =>
+  `/${path.replace(/^\/+/, '').replace(/%2[789]/gi, decodeURIComponent).replace(/\(\s*'((?:[^']|'')*)'\s*\)/g, (_, key) => `/${key.replace(/''/g, "'")}`)}`;
+
+const AVAILABILITY_CODES = { free: '0', tentative: '1', busy: '2', oof: '3', workingElsewhere: '4' };
+
+// Route table for the Graph resources the app uses. handle() takes a parsed request and
+// returns { status, headers, body }, so the same code serves direct calls and $batch items.
+class MockGraphRoutes {
+  constructor({ store, notifications, faults, baseUrl }) {
+    this.store = store;
+    this.notifications = notifications;
+    this.faults = faults;
+    this.baseUrl = baseUrl;
+
+    const u = '/users/(?<user>[^/]+)';
+    this.routes = [
+      ['GET', '/users', this.listUsers],
+      ['GET', u, this.getUser],
+      ['GET', `${u}/appRoleAssignments`, this.listAppRoleAssignments],
+      ['GET', '/servicePrincipals', this.listServicePrincipals],
+      ['GET', `${u}/events`, this.listEvents],
+      ['POST', `${u}/events`, this.createEvent],
+      ['GET', `${u}/events/(?<event>[^/]+)`, this.getEvent],
+      ['PATCH', `${u}/events/(?<event>[^/]+)`, this.updateEvent],
+      ['DELETE', `${u}/events/(?<event>[^/]+)`, this.deleteEvent],
+      ['GET', `${u}/events/(?<event>[^/]+)/instances`, this.listInstances],
+      ['GET', `${u}(?:/calendar)?/calendarView`, this.calendarView],
+      ['POST', `${u}/calendar/getSchedule`, this.getSchedule],
+      ['GET', `${u}/onlineMeetings`, this.findOnlineMeetings],
+      ['GET', `${u}/onlineMeetings/(?<meeting>[^/]+)`, this.getOnlineMeeting],
+      ['GET', `${u}/chats`, this.listUserChats],
+      ['GET', '/chats', this.listChats],
+      ['GET', '/chats/(?<chat>[^/]+)', this.getChat],
+      ['GET', '/chats/(?<chat>[^/]+)/members', this.listChatMembers],
+      ['GET', '/chats/(?<chat>[^/]+)/messages', this.listMessages],
+      ['POST', '/chats/(?<chat>[^/]+)/messages', this.sendMessage],
+      ['GET', '/chats/(?<chat>[^/]+)/messages/(?<message>[^/]+)', this.getMessage],
+      ['GET', '/groups', this.listGroups],
+      ['GET', '/groups/(?<group>[^/]+)', this.getGroup],
+      ['GET', '/groups/(?<group>[^/]+)/owners', this.listGroupOwners],
+      ['GET', '/groups/(?<group>[^/]+)/members', this.listGroupMembers],
+      ['GET', '/teams/(?<group>[^/]+)', this.getGroup],
+      ['GET', '/teams/(?<group>[^/]+)/channels', this.listChannels],
+      ['POST', '/teams/(?<group>[^/]+)/channels', this.createChannel],
+      ['GET', '/teams/(?<group>[^/]+)/channels/(?<channel>[^/]+)', this.getChannel],
+      ['GET', `${u}/todo/lists`, this.listTodoLists],
+      ['POST', `${u}/todo/lists`, this.createTodoList],
+      ['GET', `${u}/todo/lists/(?<list>[^/]+)`, this.getTodoList],
+      ['GET', `${u}/todo/lists/(?<list>[^/]+)/tasks`, this.listTodoTasks],
+      ['POST', `${u}/todo/lists/(?<list>[^/]+)/tasks`, this.createTodoTask],
+      ['GET', `${u}/todo/lists/(?<list>[^/]+)/tasks/(?<task>[^/]+)`, this.getTodoTask],
+      ['PATCH', `${u}/todo/lists/(?<list>[^/]+)/tasks/(?<task>[^/]+)`, this.updateTodoTask],
+      ['DELETE', `${u}/todo/lists/(?<list>[^/]+)/tasks/(?<task>[^/]+)`, this.deleteTodoTask],
+      ['GET', '/planner/plans/(?<plan>[^/]+)', this.getPlan],
+      ['GET', '/planner/plans/(?<plan>[^/]+)/tasks', this.listPlanTasks],
+      ['POST', '/planner/tasks', this.createPlannerTask],
+      ['GET', '/planner/tasks/(?<task>[^/]+)', this.getPlannerTask],
+      ['PATCH', '/planner/tasks/(?<task>[^/]+)', this.updatePlannerTask],
+      ['DELETE', '/planner/tasks/(?<task>[^/]+)', this.deletePlannerTask],
+      ['GET', '/subscriptions', this.listSubscriptions],
+      ['POST', '/subscriptions', this.createSubscription],
+      ['GET', '/subscriptions/(?<subscription>[^/]+)', this.getSubscription],
+      ['PATCH', '/subscriptions/(?<subscription>[^/]+)', this.renewSubscription],
+      ['DELETE', '/subscriptions/(?<subscription>[^/]+)', this.deleteSubscription]
+    ].map(([method, pattern, handler]) => ({
+      method,
+      pattern: new RegExp(`^${pattern}/?$`, 'i'),
+      handler: handler.bind(this)
+    }));
+  }
+
+  // request: { method, path, query, body, headers, principal } where principal is the verified
+  // token's claims and header names are lower case
+  async handle(request) {
+    const method = request.method.toUpperCase();
+    let path = normalizePath(request.path);
+
+    const fault = this.faults.take(method, path);
+    if (fault) {
+      return {
+        status: fault.status,
+        headers: fault.retryAfter !== undefined ? { 'Retry-After': String(fault.retryAfter) } : {},
+        body: { error: { code: fault.code || 'MockFault', message: fault.message || `Injected ${fault.status}` } }
+      };
+    }
+
+    try {
+      if (/^\/me(\/|$)/i.test(path)) {
+        if (request.principal.idtyp === 'app') {
+          throw badRequest('/me request is only valid with delegated authentication flow.');
+        }
+        path = path.replace(/^\/me/i, `/users/${request.principal.oid}`);
+      }
+
+      const candidates = this.routes.filter(route => route.pattern.test(path));
+      const route = candidates.find(candidate => candidate.method === method);
+      if (!route) {
+        throw candidates.length > 0
+          ? new GraphResponseError(405, 'MethodNotAllowed', `${method} is not supported on ${path}`)
+          : badRequest(`Resource not found for the segment '${path.split('/')[1]}'.`, 'BadRequest');
+      }
+
+      const params = Object.fromEntries(Object.entries(path.match(route.pattern).groups || {})
+        .map(([key, value]) => [key, decodeURIComponent(value)]));
+
+      return await route.handler({ ...request, path, params, query: request.query || {}, body: request.body || {}, headers: request.headers || {} });
+    } catch (error) {
+      if (error instanceof GraphResponseError) {
+        return { status: error.status, headers: {}, body: { error: { code: error.code, message: error.message } } };
+      }
+      if (error instanceof ODataError) {
+        return { status: 400, headers: {}, body: { error: { code: 'BadRequest', message: error.message } } };
+      }
+      throw error;
+    }
+  }
+
+  ok(body, status = 200) {
+    return { status, headers: {}, body };
+  }
+
+  // One page of a collection, with a nextLink carrying $skip
+  collection(request, items, options) {
+    const { value, next } = queryCollection(items, request.query, options);
+    const body = { '@odata.context': `${this.baseUrl()}/v1.0/$metadata`, value };
+    if (next !== null) {
+      const query = new URLSearchParams({ ...request.query, $skip: String(next) });
+      body['@odata.nextLink'] = `${this.baseUrl()}/v1.0${request.path}?${query}`;
+    }
+    return this.ok(body);
+  }
+
+  single(request, item) {
+    return this.ok(applySelect(item, request.query.$select));
+  }
+
+  requireUser(params) {
+    const user = this.store.findUser(params.user);
+    if (!user) throw new GraphResponseError(404, 'Request_ResourceNotFound', `Resource '${params.user}' does not exist or one of its queried reference-property objects are not present.`);
+    return user;
+  }
+
+  requireEvent(params) {
+    const event = this.store.findEvent(this.requireUser(params), params.event);
+    if (!event) throw new GraphResponseError(404, 'ErrorItemNotFound', 'The specified object was not found in the store.');
+    return event;
+  }
+
+  requireChat(params) {
+    const chat = this.store.findChat(params.chat);
+    if (!chat) throw notFound(`Chat '${params.chat}'`);
+    return chat;
+  }
+
+  requireGroup(params) {
+    const group = this.store.findGroup(params.group);
+    if (!group) throw new GraphResponseError(404, 'Request_ResourceNotFound', `Resource '${params.group}' does not exist or one of its queried reference-property objects are not present.`);
+    return group;
+  }
+
+  // --- users -------------------------------------------------------------
+
+  listUsers(request) {
+    return this.collection(request, this.store.users.map(user => this.store.userResource(user)), { defaultTop: 100, maxTop: 999 });
+  }
+
+  getUser(request) {
+    return this.single(request, this.store.userResource(this.requireUser(request.params)));
+  }
+
+  listAppRoleAssignments(request) {
+    return this.collection(request, this.store.appRoleAssignmentsOf(this.requireUser(request.params)), { defaultTop: 100, maxTop: 999 });
+  }
+
+  listServicePrincipals(request) {
+    const apps = [...this.store.apps.values()].map(app => this.store.servicePrincipalResource(app));
+    return this.collection(request, apps, { defaultTop: 100, maxTop: 999 });
+  }
+
+  // --- calendar ----------------------------------------------------------
+
+  listEvents(request) {
+    return this.collection(request, this.store.calendarOf(this.requireUser(request.params)), { defaultTop: 10, maxTop: 1000 });
+  }
+
+  createEvent(request) {
+    const organizer = this.requireUser(request.params);
+    if (!request.body.start?.dateTime || !request.body.end?.dateTime) {
+      throw badRequest('Start and End are required.', 'ErrorInvalidRequest');
+    }
+    return this.ok(this.store.createEvent(organizer, request.body), 201);
+  }
+
+  getEvent(request) {
+    return this.single(request, this.requireEvent(request.params));
+  }
+
+  updateEvent(request) {
+    return this.ok(this.store.updateEvent(this.requireEvent(request.params), request.body));
+  }
+
+  deleteEvent(request) {
+    this.store.deleteEvent(this.requireEvent(request.params));
+    return this.ok(undefined, 204);
+  }
+
+  // Series are not expanded, so an event is its own only instance
+  listInstances(request) {
+    return this.collection(request, [this.requireEvent(request.params)]);
+  }
+
+  calendarView(request) {
+    const user = this.requireUser(request.params);
+    const { startDateTime, endDateTime } = request.query;
+    if (!startDateTime || !endDateTime) {
+      throw badRequest("This request requires a time window specified by the query string parameters StartDateTime and EndDateTime.", 'ErrorInvalidParameter');
+    }
+    const start = new Date(startDateTime);
+    const end = new Date(endDateTime);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+      throw badRequest('The value of StartDateTime or EndDateTime is not a valid date.', 'ErrorInvalidParameter');
+    }
+    return this.collection(request, this.store.calendarView(user, start, end), { defaultTop: 10, maxTop: 1000 });
+  }
+
+  getSchedule(request) {
+    this.requireUser(request.params);
+    const { schedules = [], startTime, endTime, availabilityViewInterval = 30 } = request.body;
+    if (!Array.isArray(schedules) || schedules.length === 0 || !startTime?.dateTime || !endTime?.dateTime) {
+      throw badRequest('Schedules, StartTime and EndTime are required.', 'ErrorInvalidParameter');
+    }
+    if (schedules.length > 20) {
+      throw badRequest('Too many schedules requested; the maximum is 20.', 'ErrorInvalidParameter');
+    }
+
+    const start = new Date(/Z$|[+-]\d{2}:\d{2}$/.test(startTime.dateTime) ? startTime.dateTime : `${startTime.dateTime}Z`);
+    const end = new Date(/Z$|[+-]\d{2}:\d{2}$/.test(endTime.dateTime) ? endTime.dateTime : `${endTime.dateTime}Z`);
+    const intervalMs = availabilityViewInterval * 60 * 1000;
+
+    const value = schedules.map(scheduleId => {
+      const user = this.store.findUser(scheduleId);
+      if (!user) {
+        return { scheduleId, error: { message: 'The user or mailbox could not be found.', responseCode: 'ErrorMailRecipientNotFound' } };
+      }
+
+      const items = this.store.calendarView(user, start, end).filter(event => event.showAs !== 'free');
+      let availabilityView = '';
+      for (let slot = start.getTime(); slot < end.getTime(); slot += intervalMs) {
+        const overlapping = items.filter(event => toDate(event.start) < new Date(slot + intervalMs) && toDate(event.end) > new Date(slot));
+        const status = ['oof', 'busy', 'workingElsewhere', 'tentative'].find(s => overlapping.some(event => event.showAs === s)) || 'free';
+        availabilityView += AVAILABILITY_CODES[status];
+      }
+
+      return {
+        scheduleId,
+        availabilityView,
+        scheduleItems: items.map(event => ({
+          isPrivate: event.sensitivity === 'private',
+          status: event.showAs,
+          subject: event.subject,
+          location: event.location?.displayName || '',
+          start: event.start,
+          end: event.end
+        })),
+        workingHours: {
+          daysOfWeek: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'],
+          startTime: '08:00:00.0000000',
+          endTime: '17:00:00.0000000',
+          timeZone: { name: 'UTC' }
+        }
+      };
+    });
+
+    return this.ok({ value });
+  }
+
+  // --- online meetings ---------------------------------------------------
+
+  // Graph only lists online meetings by JoinWebUrl
+  findOnlineMeetings(request) {
+    const user = this.requireUser(request.params);
+    if (!request.query.$filter) {
+      throw badRequest('Filter expression expected - /onlineMeetings?$filter=JoinWebUrl eq \'{joinWebUrl}\'.', 'InvalidArgument');
+    }
+    const meetings = this.store.onlineMeetings
+      .filter(meeting => meeting.organizerId === user.id)
+      .map(meeting => this.store.onlineMeetingResource(meeting));
+    return this.collection(request, meetings);
+  }
+
+  getOnlineMeeting(request) {
+    const user = this.requireUser(request.params);
+    const meeting = this.store.onlineMeetings.find(m => m.id === request.params.meeting && m.organizerId === user.id);
+    if (!meeting) throw notFound(`Online meeting '${request.params.meeting}'`);
+    return this.single(request, this.store.onlineMeetingResource(meeting));
+  }
+
+  // --- chats -------------------------------------------------------------
+
+  chatsFor(request, chats) {
+    const expandMembers = /members/i.test(request.query.$expand || '');
+    return this.collection(request, chats.map(chat => this.store.chatResource(chat, { expandMembers })), { defaultTop: 20, maxTop: 50 });
+  }
+
+  listUserChats(request) {
+    const user = this.requireUser(request.params);
+    return this.chatsFor(request, this.store.chats.filter(chat => chat.memberIds.includes(user.id)));
+  }
+
+  listChats(request) {
+    const chats = request.principal.idtyp === 'app'
+      ? this.store.chats
+      : this.store.chats.filter(chat => chat.memberIds.includes(request.principal.oid));
+    return this.chatsFor(request, chats);
+  }
+
+  getChat(request) {
+    const expandMembers = /members/i.test(request.query.$expand || '');
+    return this.single(request, this.store.chatResource(this.requireChat(request.params), { expandMembers }));
+  }
+
+  listChatMembers(request) {
+    const chat = this.requireChat(request.params);
+    return this.collection(request, chat.memberIds.map(userId => this.store.memberResource(this.store.findUser(userId))));
+  }
+
+  // Graph only orders chat messages by createdDateTime or lastModifiedDateTime, descending
+  listMessages(request) {
+    this.requireChat(request.params);
+    const orderBy = request.query.$orderby;
+    if (orderBy && !/^(createdDateTime|lastModifiedDateTime) desc$/i.test(orderBy.trim())) {
+      throw badRequest(`$orderby '${orderBy}' is not supported; use createdDateTime desc or lastModifiedDateTime desc.`);
+    }
+    const query = { ...request.query, $orderby: orderBy || 'lastModifiedDateTime desc' };
+    return this.collection({ ...request, query }, this.store.messages.get(request.params.chat), { defaultTop: 20, maxTop: 50 });
+  }
+
+  getMessage(request) {
+    this.requireChat(request.params);
+    const message = this.store.findMessage(request.params.chat, request.params.message);
+    if (!message) throw notFound(`Message '${request.params.message}'`);
+    return this.single(request, message);
+  }
+
+  sendMessage(request) {
+    this.requireChat(request.params);
+    if (!request.body.body?.content) {
+      throw badRequest('Message body content is required.', 'BadRequest');
+    }
+    const message = this.store.postMessage(request.params.chat, {
+      from: request.principal.idtyp === 'app' ? null : request.principal.oid,
+      body: request.body.body,
+      replyToId: request.body.replyToId || null,
+      mentions: request.body.mentions || [],
+      attachments: request.body.attachments || []
+    });
+    return this.ok(message, 201);
+  }
+
+  // --- groups, teams and channels ----------------------------------------
+
+  listGroups(request) {
+    return this.collection(request, this.store.groups.map(group => this.store.groupResource(group)));
+  }
+
+  getGroup(request) {
+    return this.single(request, this.store.groupResource(this.requireGroup(request.params)));
+  }
+
+  listGroupOwners(request) {
+    const group = this.requireGroup(request.params);
+    return this.collection(request, group.owners.map(id => this.store.userResource(this.store.findUser(id))));
+  }
+
+  listGroupMembers(request) {
+    const group = this.requireGroup(request.params);
+    return this.collection(request, group.members.map(id => this.store.userResource(this.store.findUser(id))));
+  }
+
+  listChannels(request) {
+    const group = this.requireGroup(request.params);
+    return this.collection(request, this.store.channels.get(group.id));
+  }
+
+  createChannel(request) {
+    const group = this.requireGroup(request.params);
+    if (!request.body.displayName) {
+      throw badRequest('Channel displayName is required.', 'BadRequest');
+    }
+    const channel = this.store.addChannel(group.id, request.body);
+    if (!channel) {
+      throw new GraphResponseError(400, 'NameAlreadyExists', 'Channel name already existed, please use other name.');
+    }
+    return this.ok(channel, 201);
+  }
+
+  getChannel(request) {
+    const group = this.requireGroup(request.params);
+    const channel = this.store.channels.get(group.id).find(c => c.id === request.params.channel);
+    if (!channel) throw notFound(`Channel '${request.params.channel}'`);
+    return this.single(request, channel);
+  }
+
+  // --- To Do -------------------------------------------------------------
+
+  requireTodoList(params) {
+    const list = this.store.findTodoList(this.requireUser(params), params.list);
+    if (!list) throw new GraphResponseError(404, 'ErrorItemNotFound', 'The specified object was not found in the store.');
+    return list;
+  }
+
+  requireTodoTask(params) {
+    const list = this.requireTodoList(params);
+    const task = list.tasks.find(t => t.id === params.task);
+    if (!task) throw new GraphResponseError(404, 'ErrorItemNotFound', 'The specified object was not found in the store.');
+    return { list, task };
+  }
+
+  listTodoLists(request) {
+    const lists = this.store.todoListsOf(this.requireUser(request.params));
+    return this.collection(request, lists.map(list => this.store.todoListResource(list)));
+  }
+
+  createTodoList(request) {
+    const user = this.requireUser(request.params);
+    if (!request.body.displayName) {
+      throw badRequest('displayName is required.', 'invalidRequest');
+    }
+    return this.ok(this.store.todoListResource(this.store.addTodoList(user, request.body)), 201);
+  }
+
+  getTodoList(request) {
+    return this.single(request, this.store.todoListResource(this.requireTodoList(request.params)));
+  }
+
+  listTodoTasks(request) {
+    return this.collection(request, this.requireTodoList(request.params).tasks, { defaultTop: 100, maxTop: 1000 });
+  }
+
+  createTodoTask(request) {
+    const list = this.requireTodoList(request.params);
+    if (!request.body.title) {
+      throw badRequest('title is required.', 'invalidRequest');
+    }
+    return this.ok(this.store.createTodoTask(list, request.body), 201);
+  }
+
+  getTodoTask(request) {
+    return this.single(request, this.requireTodoTask(request.params).task);
+  }
+
+  updateTodoTask(request) {
+    const { task } = this.requireTodoTask(request.params);
+    return this.ok(this.store.updateTodoTask(task, request.body));
+  }
+
+  deleteTodoTask(request) {
+    const { list, task } = this.requireTodoTask(request.params);
+    this.store.deleteTodoTask(list, task);
+    return this.ok(undefined, 204);
+  }
+
+  // --- Planner -----------------------------------------------------------
+
+  requirePlan(planId) {
+    const plan = this.store.findPlan(planId);
+    if (!plan) throw notFound(`Plan '${planId}'`);
+    return plan;
+  }
+
+  // Planner refuses changes without the current ETag
+  requirePlannerTask(request, { etag = false } = {}) {
+    const task = this.store.findPlannerTask(request.params.task);
+    if (!task) throw notFound(`Task '${request.params.task}'`);
+    if (etag) {
+      const ifMatch = request.headers['if-match'];
+      if (!ifMatch) {
+        throw badRequest('The If-Match header must be specified for this kind of request.', 'MissingIfMatch');
+      }
+      if (ifMatch !== '*' && ifMatch !== task['@odata.etag']) {
+        throw new GraphResponseError(412, 'PreconditionFailed', 'The request does not match the current version of the task.');
+      }
+    }
+    return task;
+  }
+
+  // Planner answers changes with 204 unless asked for the task back
+  plannerResult(request, task) {
+    return /return=representation/i.test(request.headers.prefer || '') ? this.ok(task) : this.ok(undefined, 204);
+  }
+
+  getPlan(request) {
+    return this.single(request, this.store.planResource(this.requirePlan(request.params.plan)));
+  }
+
+  listPlanTasks(request) {
+    const plan = this.requirePlan(request.params.plan);
+    return this.collection(request, this.store.plannerTasks.filter(task => task.planId === plan.id));
+  }
+
+  createPlannerTask(request) {
+    if (!request.body.planId || !request.body.title) {
+      throw badRequest('planId and title are required.', 'BadRequest');
+    }
+    const plan = this.requirePlan(request.body.planId);
+    if (request.body.bucketId && !plan.buckets.some(bucket => bucket.id === request.body.bucketId)) {
+      throw badRequest(`Bucket '${request.body.bucketId}' is not in plan '${plan.id}'.`, 'BadRequest');
+    }
+    return this.ok(this.store.createPlannerTask(plan, request.body), 201);
+  }
+
+  getPlannerTask(request) {
+    return this.single(request, this.requirePlannerTask(request));
+  }
+
+  updatePlannerTask(request) {
+    const task = this.requirePlannerTask(request, { etag: true });
+    return this.plannerResult(request, this.store.updatePlannerTask(task, request.body));
+  }
+
+  deletePlannerTask(request) {
+    this.store.deletePlannerTask(this.requirePlannerTask(request, { etag: true }));
+    return this.ok(undefined, 204);
+  }
+
+  // --- subscriptions -----------------------------------------------------
+
+  requireSubscription(params) {
+    const subscription = this.store.subscriptions.find(s => s.id === params.subscription);
+    if (!subscription) throw new GraphResponseError(404, 'ResourceNotFound', `The object was not found.`);
+    return subscription;
+  }
+
+  listSubscriptions(request) {
+    return this.collection(request, this.store.subscriptions);
+  }
+
+  getSubscription(request) {
+    return this.single(request, this.requireSubscription(request.params));
+  }
+
+  checkExpiration(expirationDateTime) {
+    const expiresAt = new Date(expirationDateTime).getTime();
+    if (Number.isNaN(expiresAt) || expiresAt <= Date.now()) {
+      throw badRequest('Subscription expiration can only be in the future.', 'ExtensionError');
+    }
+    if (expiresAt - Date.now() > MAX_CHAT_SUBSCRIPTION_MS) {
+      throw badRequest('Subscription expiration exceeds the maximum of 60 minutes for chat messages.', 'ExtensionError');
+    }
+  }
+
+  async createSubscription(request) {
+    const { resource, changeType, notificationUrl, expirationDateTime } = request.body;
+    if (!resource || !changeType || !notificationUrl) {
+      throw badRequest('resource, changeType and notificationUrl are required.', 'ExtensionError');
+    }
+    const chatMatch = normalizePath(resource).match(/^\/chats\/([^/]+)\/messages$/i);
+    if (!chatMatch || !this.store.findChat(chatMatch[1])) {
+      throw badRequest(`Resource '${resource}' is not supported by the mock.`, 'ExtensionError');
+    }
+    this.checkExpiration(expirationDateTime);
+
+    if (request.body.includeResourceData && (!request.body.encryptionCertificate || !request.body.encryptionCertificateId)) {
+      throw badRequest('encryptionCertificate and encryptionCertificateId are required with includeResourceData.', 'ExtensionError');
+    }
+
+    const subscription = {
+      id: uuidv4(),
+      resource,
+      changeType,
+      notificationUrl,
+      lifecycleNotificationUrl: request.body.lifecycleNotificationUrl || null,
+      clientState: request.body.clientState || null,
+      expirationDateTime: new Date(expirationDateTime).toISOString(),
+      includeResourceData: !!request.body.includeResourceData,
+      encryptionCertificate: request.body.encryptionCertificate || null,
+      encryptionCertificateId: request.body.encryptionCertificateId || null,
+      chatId: chatMatch[1]
+    };
+
+    // Graph validates each endpoint before creating the subscription
+    const urls = [...new Set([notificationUrl, subscription.lifecycleNotificationUrl].filter(Boolean))];
+    for (const url of urls) {
+      const validated = await this.notifications.validateEndpoint(url);
+      if (!validated) {
+        throw badRequest(`Subscription validation request failed. Notification endpoint must respond with 200 OK and the validation token: ${url}`, 'ValidationError');
+      }
+    }
+
+    this.store.subscriptions.push(subscription);
+    return this.ok(subscription, 201);
+  }
+
+  renewSubscription(request) {
+    const subscription = this.requireSubscription(request.params);
+    if (request.body.expirationDateTime) {
+      this.checkExpiration(request.body.expirationDateTime);
+      subscription.expirationDateTime = new Date(request.body.expirationDateTime).toISOString();
+    }
+    return this.ok(subscription);
+  }
+
+  deleteSubscription(request) {
+    const subscription = this.requireSubscription(request.params);
+    this.store.subscriptions = this.store.subscriptions.filter(s => s !== subscription);
+    return this.ok(undefined, 204);
+  }
+}
+
+module.exports = { MockGraphRoutes, GraphResponseError, normalizePath };
@@ -0,0 +1,610 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { v4: uuidv4, v5: uuidv5 } = require('uuid');
+
+const randomId = (bytes = 16) => crypto.randomBytes(bytes).toString('hex');
+
+// Graph returns calendar times as UTC wall-clock strings with 7 fractional digits
+const toGraphDateTime = (value) => {
+  const text = String(value);
+  const hasOffset = /(Z|[+-]\d{2}:?\d{2})$/i.test(text);
+  const date = new Date(hasOffset ? text : `${text}Z`);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid dateTime '${value}'`);
+  }
+  return `${date.toISOString().slice(0, -1)}0000`;
+};
+
+const toDate = (dateTimeTimeZone) => new Date(`${dateTimeTimeZone.dateTime.replace(/0000$/, '')}Z`);
+
+// In-memory tenant for the mock Graph server: users, teams with channels, calendar events,
+// online meetings and their chats, To Do lists and Planner plans. Seeded from plain JSON
+// that refers to people by UPN.
+// Emits 'chatMessage' (chatId, message, changeType) for change notifications.
+class MockGraphStore extends EventEmitter {
+  constructor(seed = {}) {
+    super();
+    // Apps that asked for a token; they outlive a reset, like their cached tokens
+    this.apps = new Map();
+    this.reset(seed);
+  }
+
+  reset(seed = {}) {
+    this.users = [];
+    this.groups = [];
+    this.channels = new Map();
+    this.events = [];
+    this.onlineMeetings = [];
+    this.chats = [];
+    this.messages = new Map();
+    this.subscriptions = [];
+    this.todoLists = [];
+    this.plans = [];
+    this.plannerTasks = [];
+
+    (seed.users || []).forEach(user => this.addUser(user));
+    (seed.teams || []).forEach(team => this.addTeam(team));
+    (seed.events || []).forEach(event => {
+      const organizer = this.requireUser(event.organizer);
+      this.createEvent(organizer, {
+        ...event,
+        start: typeof event.start === 'string' ? { dateTime: event.start, timeZone: 'UTC' } : event.start,
+        end: typeof event.end === 'string' ? { dateTime: event.end, timeZone: 'UTC' } : event.end,
+        attendees: (event.attendees || []).map(attendee => typeof attendee === 'string'
+          ? { emailAddress: { address: attendee }, type: 'required' }
+          : attendee)
+      }, { messages: event.chatMessages });
+    });
+    (seed.chats || []).forEach(chat => this.addChat(chat));
+    (seed.plans || []).forEach(plan => this.addPlan(plan));
+  }
+
+  // --- users -------------------------------------------------------------
+
+  addUser({ id, displayName, userPrincipalName, mail, givenName, surname, jobTitle, department, appRoles }) {
+    const [first, ...rest] = (displayName || '').split(' ');
+    const user = {
+      id: id || uuidv4(),
+      displayName,
+      givenName: givenName ?? first ?? null,
+      surname: surname ?? (rest.join(' ') || null),
+      userPrincipalName,
+      mail: mail || userPrincipalName,
+      jobTitle: jobTitle || null,
+      department: department || null,
+      appRoles: appRoles || []
+    };
+    this.users.push(user);
+    return user;
+  }
+
+  // By object id, UPN or mail (case-insensitive, like Graph)
+  findUser(key) {
+    if (!key) return null;
+    const needle = String(key).toLowerCase();
+    return this.users.find(user =>
+      user.id.toLowerCase() === needle ||
+      user.userPrincipalName.toLowerCase() === needle ||
+      (user.mail || '').toLowerCase() === needle) || null;
+  }
+
+  requireUser(key) {
+    const user = this.findUser(key);
+    if (!user) throw new Error(`Seed refers to unknown user '${key}'`);
+    return user;
+  }
+
+  // Graph's user resource (internal fields stripped)
+  userResource(user) {
+    const { appRoles, ...resource } = user;
+    return resource;
+  }
+
+  // --- app roles ---------------------------------------------------------
+
+  // Service principal of an app that asked for a token. Its app roles are the values the
+  // seed hands out to users, with ids derived from the value.
+  registerApp(appId) {
+    if (!this.apps.has(appId)) {
+      this.apps.set(appId, { id: uuidv4(), appId, displayName: appId });
+    }
+    return this.apps.get(appId);
+  }
+
+  appRoleId(value) {
+    return uuidv5(value, uuidv5.URL);
+  }
+
+  servicePrincipalResource(app) {
+    const values = [...new Set(this.users.flatMap(user => user.appRoles))];
+    return {
+      ...app,
+      appRoles: values.map(value => ({ id: this.appRoleId(value), value, displayName: value, isEnabled: true, allowedMemberTypes: ['User'] }))
+    };
+  }
+
+  // The user's role assignments on every registered app
+  appRoleAssignmentsOf(user) {
+    return [...this.apps.values()].flatMap(app => user.appRoles.map(value => ({
+      id: randomId(),
+      principalId: user.id,
+      principalType: 'User',
+      principalDisplayName: user.displayName,
+      resourceId: app.id,
+      resourceDisplayName: app.displayName,
+      appRoleId: this.appRoleId(value)
+    })));
+  }
+
+  // --- teams and channels ------------------------------------------------
+
+  addTeam({ id, displayName, description, owners = [], members = [], channels = [] }) {
+    const group = {
+      id: id || uuidv4(),
+      displayName,
+      description: description || null,
+      resourceProvisioningOptions: ['Team'],
+      owners: owners.map(owner => this.requireUser(owner).id),
+      members: [...new Set([...owners, ...members].map(member => this.requireUser(member).id))]
+    };
+    this.groups.push(group);
+    this.channels.set(group.id, []);
+    this.addChannel(group.id, { displayName: 'General', description: `${displayName} general channel` });
+    channels.forEach(channel => this.addChannel(group.id, channel));
+    return group;
+  }
+
+  findGroup(id) {
+    return this.groups.find(group => group.id === id) || null;
+  }
+
+  groupResource(group) {
+    const { owners, members, ...resource } = group;
+    return resource;
+  }
+
+  addChannel(teamId, { displayName, description, membershipType = 'standard' }) {
+    const channels = this.channels.get(teamId);
+    if (channels.some(channel => channel.displayName.toLowerCase() === displayName.toLowerCase())) {
+      return null;
+    }
+    const id = `19:${randomId()}@thread.tacv2`;
+    const channel = {
+      id,
+      displayName,
+      description: description || null,
+      membershipType,
+      createdDateTime: new Date().toISOString(),
+      webUrl: `https://teams.microsoft.com/l/channel/${encodeURIComponent(id)}/${encodeURIComponent(displayName)}?groupId=${teamId}`
+    };
+    channels.push(channel);
+    return channel;
+  }
+
+  // --- calendar ----------------------------------------------------------
+
+  // Whether an event is on a user's calendar (as organizer or attendee)
+  isOnCalendar(event, user) {
+    const addresses = [user.userPrincipalName, user.mail].map(address => address.toLowerCase());
+    return addresses.includes(event.organizer.emailAddress.address.toLowerCase()) ||
+      event.attendees.some(attendee => addresses.includes((attendee.emailAddress?.address || '').toLowerCase()));
+  }
+
+  calendarOf(user) {
+    return this.events.filter(event => this.isOnCalendar(event, user));
+  }
+
+  findEvent(user, eventId) {
+    const event = this.events.find(e => e.id === eventId);
+    return event && this.isOnCalendar(event, user) ? event : null;
+  }
+
+  // Events that overlap [start, end). Recurring series are not expanded.
+  calendarView(user, start, end) {
+    return this.calendarOf(user).filter(event =>
+      toDate(event.start) < end && toDate(event.end) > start);
+  }
+
+  // An online event gets an online meeting and a meeting chat, as Teams does
+  createEvent(organizer, details, { messages = [] } = {}) {
+    const now = new Date().toISOString();
+    const event = {
+      id: `AAMk${randomId(24)}`,
+      iCalUId: `040000008200E00074C5B7101A82E008${randomId(16).toUpperCase()}`,
+      createdDateTime: now,
+      lastModifiedDateTime: now,
+      subject: details.subject || '',
+      body: details.body || { contentType: 'text', content: '' },
+      start: { dateTime: toGraphDateTime(details.start.dateTime), timeZone: 'UTC' },
+      end: { dateTime: toGraphDateTime(details.end.dateTime), timeZone: 'UTC' },
+      isAllDay: !!details.isAllDay,
+      isCancelled: false,
+      showAs: details.showAs || 'busy',
+      importance: details.importance || 'normal',
+      sensitivity: details.sensitivity || 'normal',
+      recurrence: details.recurrence || null,
+      location: details.location || { displayName: '' },
+      attendees: (details.attendees || []).map(attendee => ({
+        type: attendee.type || 'required',
+        status: { response: 'none', time: '0001-01-01T00:00:00Z' },
+        emailAddress: {
+          address: attendee.emailAddress.address,
+          name: attendee.emailAddress.name || this.findUser(attendee.emailAddress.address)?.displayName || attendee.emailAddress.address
+        }
+      })),
+      organizer: { emailAddress: { name: organizer.displayName, address: organizer.mail } },
+      isOnlineMeeting: !!details.isOnlineMeeting,
+      onlineMeetingProvider: details.isOnlineMeeting ? (details.onlineMeetingProvider || 'teamsForBusiness') : 'unknown',
+      onlineMeeting: null,
+      webLink: null
+    };
+    event.webLink = `https://outlook.office365.com/owa/?itemid=${encodeURIComponent(event.id)}&exvsurl=1&path=/calendar/item`;
+
+    if (event.isOnlineMeeting) {
+      const meeting = this.createOnlineMeeting(organizer, event, messages);
+      event.onlineMeeting = { joinUrl: meeting.joinWebUrl };
+    }
+
+    this.events.push(event);
+    return event;
+  }
+
+  updateEvent(event, changes) {
+    const allowed = ['subject', 'body', 'start', 'end', 'attendees', 'location', 'showAs', 'importance', 'sensitivity', 'isAllDay', 'recurrence'];
+    allowed.filter(key => changes[key] !== undefined).forEach(key => {
+      if (key === 'start' || key === 'end') {
+        event[key] = { dateTime: toGraphDateTime(changes[key].dateTime), timeZone: 'UTC' };
+      } else if (key === 'attendees') {
+        event.attendees = changes.attendees.map(attendee => ({
+          type: attendee.type || 'required',
+          status: { response: 'none', time: '0001-01-01T00:00:00Z' },
+          emailAddress: { address: attendee.emailAddress.address, name: attendee.emailAddress.name || attendee.emailAddress.address }
+        }));
+      } else {
+        event[key] = changes[key];
+      }
+    });
+    event.lastModifiedDateTime = new Date().toISOString();
+    return event;
+  }
+
+  deleteEvent(event) {
+    this.events = this.events.filter(e => e !== event);
+  }
+
+  // --- online meetings and chats -----------------------------------------
+
+  createOnlineMeeting(organizer, event, messages = []) {
+    const threadId = `19:meeting_${randomId(24)}@thread.v2`;
+    const joinWebUrl = `https://teams.microsoft.com/l/meetup-join/${encodeURIComponent(threadId)}/0?context=${encodeURIComponent(JSON.stringify({ Oid: organizer.id }))}`;
+    const attendeeUsers = event.attendees.map(attendee => this.findUser(attendee.emailAddress.address)).filter(Boolean);
+
+    const meeting = {
+      id: `MSo${randomId(24)}`,
+      organizerId: organizer.id,
+      creationDateTime: new Date().toISOString(),
+      startDateTime: toDate(event.start).toISOString(),
+      endDateTime: toDate(event.end).toISOString(),
+      subject: event.subject,
+      joinWebUrl,
+      chatInfo: { threadId, messageId: '0', replyChainMessageId: null },
+      participants: {
+        organizer: { upn: organizer.userPrincipalName, role: 'presenter', identity: { user: { id: organizer.id, displayName: organizer.displayName } } },
+        attendees: attendeeUsers.map(user => ({ upn: user.userPrincipalName, role: 'attendee', identity: { user: { id: user.id, displayName: user.displayName } } }))
+      }
+    };
+    this.onlineMeetings.push(meeting);
+
+    this.addChat({
+      id: threadId,
+      topic: event.subject,
+      chatType: 'meeting',
+      joinWebUrl,
+      members: [organizer, ...attendeeUsers].map(user => user.userPrincipalName),
+      messages
+    });
+    return meeting;
+  }
+
+  onlineMeetingResource(meeting) {
+    const { organizerId, ...resource } = meeting;
+    return resource;
+  }
+
+  addChat({ id, topic = null, chatType = 'group', joinWebUrl = null, members = [], messages = [] }) {
+    const now = new Date().toISOString();
+    const chatId = id || `19:${randomId()}@thread.v2`;
+    const chat = {
+      id: chatId,
+      topic,
+      chatType,
+      createdDateTime: now,
+      lastUpdatedDateTime: now,
+      webUrl: `https://teams.microsoft.com/l/chat/${encodeURIComponent(chatId)}/0`,
+      onlineMeetingInfo: joinWebUrl ? { joinWebUrl } : null,
+      memberIds: [...new Set(members.map(member => this.requireUser(member).id))]
+    };
+    this.chats.push(chat);
+    this.messages.set(chat.id, []);
+    messages.forEach(message => this.postMessage(chat.id, {
+      from: message.from,
+      body: { contentType: message.contentType || 'text', content: message.content },
+      createdDateTime: message.createdDateTime
+    }));
+    return chat;
+  }
+
+  findChat(chatId) {
+    return this.chats.find(chat => chat.id === chatId) || null;
+  }
+
+  chatResource(chat, { expandMembers = false } = {}) {
+    const { memberIds, ...resource } = chat;
+    if (expandMembers) {
+      resource.members = memberIds.map(userId => this.memberResource(this.findUser(userId)));
+    }
+    return resource;
+  }
+
+  memberResource(user) {
+    return {
+      '@odata.type': '#microsoft.graph.aadUserConversationMember',
+      id: Buffer.from(user.id).toString('base64'),
+      roles: ['owner'],
+      displayName: user.displayName,
+      userId: user.id,
+      email: user.mail
+    };
+  }
+
+  // from: a user (UPN or id) or null for an application (the agent itself)
+  // mentions and attachments use Graph's shapes; mentions may name users by UPN
+  postMessage(chatId, { from = null, body, createdDateTime, application = null, replyToId = null, mentions = [], attachments = [] }) {
+    const chat = this.findChat(chatId);
+    const sender = from ? this.requireUser(from) : null;
+    const created = createdDateTime ? new Date(createdDateTime).toISOString() : new Date().toISOString();
+    const messages = this.messages.get(chatId);
+
+    // Graph message ids are millisecond timestamps; keep them unique within a chat
+    let idValue = new Date(created).getTime();
+    while (messages.some(message => message.id === String(idValue))) idValue++;
+
+    const message = {
+      id: String(idValue),
+      replyToId,
+      etag: String(idValue),
+      messageType: 'message',
+      createdDateTime: created,
+      lastModifiedDateTime: created,
+      lastEditedDateTime: null,
+      deletedDateTime: null,
+      subject: null,
+      chatId,
+      importance: 'normal',
+      locale: 'en-us',
+      from: sender
+        ? { application: null, device: null, user: { id: sender.id, displayName: sender.displayName, userIdentityType: 'aadUser' } }
+        : { application: application || { id: 'mock-app', displayName: 'Agent 365', applicationIdentityType: 'bot' }, device: null, user: null },
+      body: { contentType: body?.contentType || 'text', content: body?.content || '' },
+      attachments: attachments.map(attachment => ({ id: randomId(), name: null, contentUrl: null, content: null, ...attachment })),
+      mentions: mentions.map((mention, index) => this.mentionResource(mention, index)),
+      reactions: []
+    };
+
+    messages.push(message);
+    chat.lastUpdatedDateTime = new Date().toISOString();
+    this.emit('chatMessage', chatId, message, 'created');
+    return message;
+  }
+
+  mentionResource(mention, index) {
+    const user = mention.mentioned?.user || mention.user;
+    if (!user) return { id: index, ...mention };
+    const target = this.requireUser(typeof user === 'string' ? user : user.id);
+    return {
+      id: mention.id ?? index,
+      mentionText: mention.mentionText || target.displayName,
+      mentioned: { user: { id: target.id, displayName: target.displayName, userIdentityType: 'aadUser' } }
+    };
+  }
+
+  // A participant reacts to a message; Teams reports it as an update of the message
+  reactToMessage(chatId, messageId, { user, reactionType = 'like' }) {
+    const message = this.findMessage(chatId, messageId);
+    if (!message) return null;
+    const reactor = this.requireUser(user);
+    const now = new Date().toISOString();
+    message.reactions.push({
+      reactionType,
+      displayName: reactionType,
+      createdDateTime: now,
+      user: { application: null, device: null, user: { id: reactor.id, displayName: reactor.displayName, userIdentityType: 'aadUser' } }
+    });
+    message.lastModifiedDateTime = now;
+    this.emit('chatMessage', chatId, message, 'updated');
+    return message;
+  }
+
+  findMessage(chatId, messageId) {
+    return (this.messages.get(chatId) || []).find(message => message.id === messageId) || null;
+  }
+
+  // Edit or soft-delete a message the way Teams does; both raise 'updated' notifications
+  updateMessage(chatId, messageId, { content, deleted = false }) {
+    const message = this.findMessage(chatId, messageId);
+    if (!message) return null;
+    const now = new Date().toISOString();
+    if (deleted) {
+      message.deletedDateTime = now;
+    } else {
+      message.body = { ...message.body, content };
+      message.lastEditedDateTime = now;
+    }
+    message.lastModifiedDateTime = now;
+    this.emit('chatMessage', chatId, message, deleted ? 'deleted' : 'updated');
+    return message;
+  }
+
+  // --- To Do --------------------------------------------------------------
+
+  // Every mailbox has the built-in "Tasks" list
+  todoListsOf(user) {
+    if (!this.todoLists.some(list => list.userId === user.id)) {
+      this.addTodoList(user, { displayName: 'Tasks', wellknownListName: 'defaultList' });
+    }
+    return this.todoLists.filter(list => list.userId === user.id);
+  }
+
+  addTodoList(user, { displayName, wellknownListName = 'none' }) {
+    const list = {
+      id: `AAMkAD${randomId(20)}`,
+      userId: user.id,
+      displayName,
+      isOwner: true,
+      isShared: false,
+      wellknownListName,
+      tasks: []
+    };
+    this.todoLists.push(list);
+    return list;
+  }
+
+  findTodoList(user, listId) {
+    return this.todoListsOf(user).find(list => list.id === listId) || null;
+  }
+
+  todoListResource(list) {
+    const { userId, tasks, ...resource } = list;
+    return resource;
+  }
+
+  createTodoTask(list, details) {
+    const now = new Date().toISOString();
+    const task = {
+      '@odata.etag': `W/"${randomId(8)}"`,
+      id: `AAMkAG${randomId(20)}`,
+      title: details.title || '',
+      status: 'notStarted',
+      importance: details.importance || 'normal',
+      isReminderOn: false,
+      createdDateTime: now,
+      lastModifiedDateTime: now,
+      body: { content: details.body?.content || '', contentType: details.body?.contentType || 'text' },
+      dueDateTime: null,
+      completedDateTime: null
+    };
+    list.tasks.push(task);
+    return this.updateTodoTask(task, { ...details, title: undefined }, { at: now });
+  }
+
+  // Completing a task stamps completedDateTime, as To Do does; `at` backdates the change
+  updateTodoTask(task, changes, { at = new Date().toISOString() } = {}) {
+    ['title', 'importance', 'body'].filter(key => changes[key] !== undefined).forEach(key => {
+      task[key] = changes[key];
+    });
+    if (changes.dueDateTime !== undefined) {
+      task.dueDateTime = changes.dueDateTime
+        ? { dateTime: toGraphDateTime(changes.dueDateTime.dateTime), timeZone: 'UTC' }
+        : null;
+    }
+    if (changes.status !== undefined && changes.status !== task.status) {
+      task.status = changes.status;
+      task.completedDateTime = changes.status === 'completed' ? { dateTime: toGraphDateTime(at), timeZone: 'UTC' } : null;
+    }
+    task.lastModifiedDateTime = new Date(at).toISOString();
+    task['@odata.etag'] = `W/"${randomId(8)}"`;
+    return task;
+  }
+
+  deleteTodoTask(list, task) {
+    list.tasks = list.tasks.filter(t => t !== task);
+  }
+
+  // --- Planner -----------------------------------------------------------
+
+  // owner: the group (id or team name) the plan belongs to
+  addPlan({ id, title, owner = null, buckets = [] }) {
+    const group = owner ? this.groups.find(g => g.id === owner || g.displayName === owner) : null;
+    const plan = {
+      id: id || randomId(14),
+      title,
+      owner: group?.id || owner,
+      createdDateTime: new Date().toISOString(),
+      buckets: buckets.map(bucket => ({ id: randomId(14), name: typeof bucket === 'string' ? bucket : bucket.name }))
+    };
+    this.plans.push(plan);
+    return plan;
+  }
+
+  findPlan(planId) {
+    return this.plans.find(plan => plan.id === planId) || null;
+  }
+
+  planResource(plan) {
+    const { buckets, ...resource } = plan;
+    return resource;
+  }
+
+  findPlannerTask(taskId) {
+    return this.plannerTasks.find(task => task.id === taskId) || null;
+  }
+
+  createPlannerTask(plan, details) {
+    const task = {
+      '@odata.etag': `W/"${randomId(8)}"`,
+      id: randomId(14),
+      planId: plan.id,
+      bucketId: details.bucketId || null,
+      title: details.title || '',
+      percentComplete: 0,
+      dueDateTime: null,
+      createdDateTime: new Date().toISOString(),
+      completedDateTime: null,
+      assignments: {}
+    };
+    this.plannerTasks.push(task);
+    return this.updatePlannerTask(task, { ...details, title: undefined });
+  }
+
+  // Assignments merge by user id; null removes one
+  updatePlannerTask(task, changes) {
+    ['title', 'bucketId'].filter(key => changes[key] !== undefined).forEach(key => {
+      task[key] = changes[key];
+    });
+    if (changes.dueDateTime !== undefined) {
+      task.dueDateTime = changes.dueDateTime ? new Date(changes.dueDateTime).toISOString() : null;
+    }
+    if (changes.percentComplete !== undefined) {
+      task.percentComplete = changes.percentComplete;
+      task.completedDateTime = changes.percentComplete === 100 ? (task.completedDateTime || new Date().toISOString()) : null;
+    }
+    Object.entries(changes.assignments || {}).forEach(([userId, assignment]) => {
+      if (assignment) {
+        task.assignments[userId] = { assignedDateTime: new Date().toISOString(), orderHint: assignment.orderHint || ' !' };
+      } else {
+        delete task.assignments[userId];
+      }
+    });
+    task['@odata.etag'] = `W/"${randomId(8)}"`;
+    return task;
+  }
+
+  deletePlannerTask(task) {
+    this.plannerTasks = this.plannerTasks.filter(t => t !== task);
+  }
+
+  snapshot() {
+    return {
+      users: this.users.map(user => this.userResource(user)),
+      teams: this.groups.map(group => ({ ...this.groupResource(group), channels: this.channels.get(group.id) })),
+      events: this.events,
+      onlineMeetings: this.onlineMeetings.map(meeting => this.onlineMeetingResource(meeting)),
+      chats: this.chats.map(chat => ({ ...this.chatResource(chat, { expandMembers: true }), messages: this.messages.get(chat.id) })),
+      subscriptions: this.subscriptions,
+      todoLists: this.todoLists,
+      plans: this.plans.map(plan => ({ ...plan, tasks: this.plannerTasks.filter(task => task.planId === plan.id) }))
+    };
+  }
+}
+
+module.exports = { MockGraphStore, toGraphDateTime, toDate };
@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const GRAPH_AUDIENCE = 'https://graph.microsoft.com';
+const GRAPH_APP_ID = '00000003-0000-0000-c000-000000000000';
+const TOKEN_LIFETIME_SECONDS = 3600;
+
+// Token issuer standing in for Entra ID. Signs RS256 tokens with a key generated per
+// process and publishes it as a JWKS, so the API's own token validation
+// (AUTH_JWKS_URI / AUTH_ISSUER) works against it unchanged.
+class MockTokenIssuer {
+  constructor({ tenantId }) {
+    this.tenantId = tenantId;
+    this.kid = crypto.randomBytes(8).toString('hex');
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    this.privateKey = privateKey;
+    this.publicKey = publicKey;
+    this.baseUrl = null;
+  }
+
+  // The issuer claim depends on where the server ended up listening
+  setBaseUrl(baseUrl) {
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+  }
+
+  get issuer() {
+    return `${this.baseUrl}/${this.tenantId}/v2.0`;
+  }
+
+  jwks() {
+    return {
+      keys: [{ ...this.publicKey.export({ format: 'jwk' }), kid: this.kid, use: 'sig', alg: 'RS256' }]
+    };
+  }
+
+  openidConfiguration() {
+    const base = `${this.baseUrl}/${this.tenantId}`;
+    return {
+      issuer: this.issuer,
+      token_endpoint: `${base}/oauth2/v2.0/token`,
+      jwks_uri: `${base}/discovery/v2.0/keys`,
+      response_types_supported: ['token'],
+      grant_types_supported: ['client_credentials', 'password'],
+      id_token_signing_alg_values_supported: ['RS256']
+    };
+  }
+
+  // 'api://<id>/.default' -> that API; anything else ('User.Read', Graph URLs) -> Graph
+  audienceForScope(scope = '') {
+    const api = scope.split(' ')[0].match(/^api:\/\/[^/]+/i);
+    return api ? api[0] : GRAPH_AUDIENCE;
+  }
+
+  sign(claims) {
+    const now = Math.floor(Date.now() / 1000);
+    const token = jwt.sign({
+      iss: this.issuer,
+      tid: this.tenantId,
+      iat: now,
+      nbf: now,
+      exp: now + TOKEN_LIFETIME_SECONDS,
+      ...claims
+    }, this.privateKey, { algorithm: 'RS256', keyid: this.kid });
+
+    return { token_type: 'Bearer', expires_in: TOKEN_LIFETIME_SECONDS, access_token: token };
+  }
+
+  // client_credentials: app-only token for the calling client
+  issueAppToken(clientId, scope) {
+    return this.sign({
+      aud: this.audienceForScope(scope),
+      sub: clientId,
+      oid: clientId,
+      appid: clientId,
+      idtyp: 'app',
+      roles: ['Calendars.ReadWrite', 'Chat.ReadWrite.All', 'User.Read.All', 'Group.ReadWrite.All', 'OnlineMeetings.ReadWrite.All']
+    });
+  }
+
+  // password (ROPC): delegated token for a seeded user, e.g. to call this app's API as them
+  issueUserToken(clientId, user, scope) {
+    return this.sign({
+      aud: this.audienceForScope(scope),
+      sub: user.id,
+      oid: user.id,
+      appid: clientId,
+      name: user.displayName,
+      preferred_username: user.userPrincipalName,
+      scp: 'User.Read Calendars.ReadWrite OnlineMeetings.ReadWrite',
+      roles: user.appRoles || []
+    });
+  }
+
+  // Claims of a token this issuer signed for Graph, or null
+  verifyGraphToken(token) {
+    try {
+      return jwt.verify(token, this.publicKey, {
+        algorithms: ['RS256'],
+        audience: [GRAPH_AUDIENCE, GRAPH_APP_ID],
+        issuer: this.issuer
+      });
+    } catch {
+      return null;
+    }
+  }
+}
+
+module.exports = { MockTokenIssuer, GRAPH_AUDIENCE };
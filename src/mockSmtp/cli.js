@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+// Run the SMTP stand-in and print every message it receives:
+//   npm run mock-smtp -- [--port <port>]
+// MOCK_SMTP_PORT works as well. Prints the settings that point the app at it.
+
+require('dotenv').config();
+
+const { createMockSmtp } = require('./index');
+
+const USAGE = 'Usage: npm run mock-smtp -- [--port <port>]';
+
+const parseArgs = (argv) => {
+  const options = { port: parseInt(process.env.MOCK_SMTP_PORT) || 2525 };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--port') options.port = parseInt(argv[++i]);
+    else throw new Error(`Unknown argument '${argv[i]}'\n${USAGE}`);
+  }
+
+  if (!(options.port >= 0)) {
+    throw new Error('--port must be a number');
+  }
+  return options;
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  const mock = createMockSmtp({
+    onMessage: (message) => console.log(`📧 ${message.receivedAt} ${message.from} → ${message.to.join(', ')}: ${message.subject}\n${message.text}\n`)
+  });
+  const { host, port } = await mock.listen(options.port);
+
+  console.log(`🧪 Mock SMTP listening on ${host}:${port}`);
+  console.log('\nPoint the app at it with:\n');
+  console.log(`SMTP_HOST=${host}`);
+  console.log(`SMTP_PORT=${port}`);
+  console.log('\nReceived messages:\n');
+};
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,160 @@
+const net = require('net');
+const logger = require('../utils/logger');
+
+const decodeHeader = (value) =>
+  value.replace(/=\?UTF-8\?B\?([^?]*)\?=/gi, (match, encoded) => Buffer.from(encoded, 'base64').toString('utf8'));
+
+// Split a received message into headers and a decoded text body
+const parseMessage = (raw) => {
+  const [head, ...rest] = raw.split('\r\n\r\n');
+  const headers = {};
+  head.replace(/\r\n[ \t]+/g, ' ').split('\r\n').forEach(line => {
+    const colon = line.indexOf(':');
+    if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+  });
+
+  const body = rest.join('\r\n\r\n');
+  const text = /base64/i.test(headers['content-transfer-encoding'] || '')
+    ? Buffer.from(body.replace(/\s+/g, ''), 'base64').toString('utf8')
+    : body;
+
+  return { headers, subject: decodeHeader(headers.subject || ''), text };
+};
+
+// SMTP stand-in for development and tests: accepts every message (optionally requiring
+// AUTH PLAIN credentials) and keeps it in `messages` instead of delivering it.
+const createMockSmtp = ({ user = null, password = null, onMessage = null } = {}) => {
+  const messages = [];
+  const rejected = new Set();
+  const sockets = new Set();
+
+  const handleConnection = (socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => {});
+
+    const reply = (line) => socket.write(`${line}\r\n`);
+    let envelope = { from: null, to: [], authenticated: !user };
+    let data = null;
+    let buffer = '';
+
+    const handleCommand = (line) => {
+      const [verb] = line.split(' ');
+      const argument = line.slice(verb.length).trim();
+
+      switch (verb.toUpperCase()) {
+        case 'EHLO':
+          reply('250-mock-smtp');
+          reply('250-AUTH PLAIN');
+          return reply('250 8BITMIME');
+        case 'HELO':
+        case 'NOOP':
+          return reply('250 OK');
+        case 'AUTH': {
+          const [mechanism, encoded = ''] = argument.split(' ');
+          const [, name, secret] = Buffer.from(encoded, 'base64').toString('utf8').split('\0');
+          if (mechanism.toUpperCase() !== 'PLAIN' || (user && (name !== user || secret !== password))) {
+            return reply('535 Authentication failed');
+          }
+          envelope.authenticated = true;
+          return reply('235 Authenticated');
+        }
+        case 'MAIL':
+          if (!envelope.authenticated) return reply('530 Authentication required');
+          envelope.from = (argument.match(/<([^>]*)>/) || [])[1] ?? null;
+          return reply('250 OK');
+        case 'RCPT': {
+          const address = (argument.match(/<([^>]*)>/) || [])[1] || '';
+          if (rejected.has(address.toLowerCase())) return reply(`550 No such user <${address}>`);
+          envelope.to.push(address);
+          return reply('250 OK');
+        }
+        case 'DATA':
+          if (!envelope.from || envelope.to.length === 0) return reply('503 Need MAIL and RCPT first');
+          data = [];
+          return reply('354 End data with <CR><LF>.<CR><LF>');
+        case 'RSET':
+          envelope = { from: null, to: [], authenticated: envelope.authenticated };
+          return reply('250 OK');
+        case 'QUIT':
+          reply('221 Bye');
+          return socket.end();
+        default:
+          return reply('502 Command not implemented');
+      }
+    };
+
+    const handleDataLine = (line) => {
+      if (line !== '.') {
+        data.push(line.startsWith('..') ? line.slice(1) : line);
+        return;
+      }
+
+      const raw = data.join('\r\n');
+      const message = {
+        from: envelope.from,
+        to: envelope.to,
+        ...parseMessage(raw),
+        raw,
+        receivedAt: new Date().toISOString()
+      };
+      messages.push(message);
+      if (onMessage) onMessage(message);
+      envelope = { from: null, to: [], authenticated: envelope.authenticated };
+      data = null;
+      reply(`250 Queued as mock-${messages.length}`);
+    };
+
+    socket.setEncoding('utf8');
+    socket.on('data', chunk => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf('\r\n')) >= 0) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        if (data) handleDataLine(line);
+        else handleCommand(line);
+      }
+    });
+
+    reply('220 mock-smtp ESMTP ready');
+  };
+
+  const server = net.createServer(handleConnection);
+
+  return {
+    messages,
+
+    // Answer 550 to RCPT TO for this address, to exercise delivery failures
+    reject(address) {
+      rejected.add(address.toLowerCase());
+    },
+
+    clear() {
+      messages.length = 0;
+      rejected.clear();
+    },
+
+    // Resolves with { host, port, close } once listening; port 0 picks a free port
+    listen(port = 0, host = '127.0.0.1') {
+      return new Promise((resolve, reject) => {
+        server.listen(port, host, () => {
+          resolve({
+            host,
+            port: server.address().port,
+            close: () => new Promise(done => {
+              sockets.forEach(socket => socket.destroy());
+              server.close(() => done());
+            })
+          });
+        });
+        server.on('error', reject);
+      }).catch(error => {
+        logger.error('❌ Mock SMTP failed to start:', error);
+        throw error;
+      });
+    }
+  };
+};
+
+module.exports = { createMockSmtp };
@@ -0,0 +1,232 @@
+const express = require("express");
+const actionItemService = require("../services/actionItemService");
+const taskSyncService = require("../services/taskSyncService");
+const auditService = require("../services/auditService");
+const storage = require("../storage");
+const { httpStatusFor } = require("../storage/errors");
+const logger = require("../utils/logger");
+const { authenticate } = require("../middleware/auth");
+const { ROLES, hasRole, checkMeetingPermission, requireRole } = require("../middleware/rbac");
+
+const router = express.Router();
+
+// Validate Entra ID bearer tokens; who may see or change an item is checked per route
+router.use(authenticate, requireRole(ROLES.VIEWER));
+
+const isOwner = (item, user) =>
+  !!item.ownerEmail && item.ownerEmail === (user.email || "").toLowerCase();
+
+const findMeeting = (meetingId) => storage.findOne(storage.containers.meetings, { meetingId });
+
+const denied = async (req, res, reason, resource) => {
+  await auditService.recordDenial(req, { reason, required: { actionItemPermission: "owner or meeting access" }, resource });
+  res.status(403).json({ error: "Access denied", details: reason });
+};
+
+// Load req.actionItem. Owners may view and change their items; everyone else needs the
+// matching permission on the item's meeting ("view" to read, "manage" to change).
+const loadActionItem = (action) => async (req, res, next) => {
+  try {
+    const item = await actionItemService.findItem(req.params.id);
+
+    if (!item || (item.tenantId && req.user.tenantId && item.tenantId !== req.user.tenantId)) {
+      return res.status(404).json({
+        error: "Action item not found",
+        details: `Action item with ID ${req.params.id} not found`
+      });
+    }
+
+    if (!isOwner(item, req.user)) {
+      const meeting = await findMeeting(item.meetingId);
+      const allowed = meeting
+        ? checkMeetingPermission(meeting, req.user, action).allowed
+        : hasRole(req.user, ROLES.PLATFORM_ADMIN);
+
+      if (!allowed) {
+        return await denied(req, res, `Only the owner or people who can ${action} the meeting may do this`,
+          { type: "actionItem", id: item.id, meetingId: item.meetingId });
+      }
+    }
+
+    req.actionItem = item;
+    next();
+  } catch (error) {
+    logger.error("❌ Load action item failed:", error);
+    res.status(500).json({
+      error: "Failed to load action item",
+      details: error.message
+    });
+  }
+};
+
+const ifMatch = (req) => req.get("If-Match") || null;
+
+// Updates answer 412 for a stale If-Match and 404 if the item went away meanwhile
+const sendUpdateError = (res, error, what) => {
+  logger.error(`❌ ${what} failed:`, error);
+  res.status(httpStatusFor(error)).json({
+    error: `Failed to ${what.toLowerCase()}`,
+    details: error.message
+  });
+};
+
+// GET /api/action-items - Items the caller owns or whose meetings they organize.
+// Filters: ?owner=<email|me>&meetingId=&status=open,in_progress&dueBefore=YYYY-MM-DD.
+// With meetingId, every item of that meeting (needs view access to it); platform admins see the whole tenant.
+router.get("/", async (req, res) => {
+  try {
+    const { meetingId, status, dueBefore } = req.query;
+    const owner = req.query.owner === "me" ? req.user.email : req.query.owner;
+
+    const errors = actionItemService.validateFilter({ status, dueBefore });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: "Invalid action item filter",
+        details: errors
+      });
+    }
+
+    const filter = { tenantId: req.user.tenantId, meetingId, ownerEmail: owner, status, dueBefore };
+
+    if (meetingId) {
+      const meeting = await findMeeting(meetingId);
+      if (!meeting) {
+        return res.status(404).json({
+          error: "Meeting not found",
+          details: `Meeting with ID ${meetingId} not found`
+        });
+      }
+      const decision = checkMeetingPermission(meeting, req.user, "view");
+      if (!decision.allowed) {
+        return await denied(req, res, decision.reason, { type: "meeting", id: meeting.id, meetingId });
+      }
+    } else if (!hasRole(req.user, ROLES.PLATFORM_ADMIN)) {
+      filter.visibleTo = req.user;
+    }
+
+    const items = await actionItemService.listItems(filter);
+
+    res.json({
+      success: true,
+      items,
+      total: items.length
+    });
+  } catch (error) {
+    logger.error("❌ List action items failed:", error);
+    res.status(500).json({
+      error: "Failed to list action items",
+      details: error.message
+    });
+  }
+});
+
+// GET /api/action-items/:id - One item, with its history and where its To Do or Planner task lives
+router.get("/:id", loadActionItem("view"), async (req, res) => {
+  try {
+    res.set("ETag", req.actionItem._etag);
+    res.json({ success: true, item: req.actionItem, sync: await taskSyncService.getLink(req.actionItem.id) });
+  } catch (error) {
+    logger.error("❌ Get action item failed:", error);
+    res.status(500).json({
+      error: "Failed to get action item",
+      details: error.message
+    });
+  }
+});
+
+// PATCH /api/action-items/:id - Change title, description, due date or status (If-Match supported)
+router.patch("/:id", loadActionItem("manage"), async (req, res) => {
+  try {
+    const updates = req.body || {};
+    const errors = actionItemService.validateUpdate(req.actionItem, updates);
+    if (Object.keys(updates).length === 0) {
+      errors.push("Nothing to update");
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: "Invalid action item update",
+        details: errors
+      });
+    }
+
+    const item = await actionItemService.updateItem(req.actionItem, updates, req.user.userId, { ifMatch: ifMatch(req) });
+    res.set("ETag", item._etag);
+    res.json({ success: true, item });
+  } catch (error) {
+    sendUpdateError(res, error, "Update action item");
+  }
+});
+
+// POST /api/action-items/:id/complete - Mark an item done
+router.post("/:id/complete", loadActionItem("manage"), async (req, res) => {
+  try {
+    const errors = req.actionItem.status === "completed"
+      ? ["Action item is already completed"]
+      : actionItemService.validateUpdate(req.actionItem, { status: "completed" });
+    if (errors.length > 0) {
+      return res.status(409).json({
+        error: "Action item cannot be completed",
+        details: errors
+      });
+    }
+
+    const item = await actionItemService.completeItem(req.actionItem, req.user.userId, { ifMatch: ifMatch(req) });
+    res.set("ETag", item._etag);
+    res.json({ success: true, message: "✅ Action item completed", item });
+  } catch (error) {
+    sendUpdateError(res, error, "Complete action item");
+  }
+});
+
+// POST /api/action-items/:id/reassign - Give an item to someone else: { owner: "Adele Vance" | "adele@contoso.com" }
+router.post("/:id/reassign", loadActionItem("manage"), async (req, res) => {
+  try {
+    const owner = typeof req.body?.owner === "string" ? req.body.owner.trim() : "";
+    if (!owner) {
+      return res.status(400).json({
+        error: "Invalid reassignment",
+        details: ["owner must be a name or email address"]
+      });
+    }
+
+    const item = await actionItemService.reassignItem(req.actionItem, owner, req.user.userId, { ifMatch: ifMatch(req) });
+    res.set("ETag", item._etag);
+    res.json({
+      success: true,
+      message: item.owner.email ? `👤 Assigned to ${item.owner.name}` : `👤 Assigned to ${owner} (not found in the directory)`,
+      item
+    });
+  } catch (error) {
+    sendUpdateError(res, error, "Reassign action item");
+  }
+});
+
+// POST /api/action-items/:id/sync - Sync the item with its To Do or Planner task now
+router.post("/:id/sync", loadActionItem("manage"), async (req, res) => {
+  try {
+    if (!taskSyncService.isEnabled()) {
+      return res.status(503).json({
+        error: "Task sync is not configured",
+        details: "Set TASK_SYNC_TARGET (and TASK_SYNC_PLANNER_PLAN_ID for Planner) and Graph credentials"
+      });
+    }
+
+    const { item, link, action, pushed, pulled, conflicts, error } = await taskSyncService.syncItem(req.actionItem);
+    if (action === "failed") {
+      return res.status(502).json({
+        error: "Failed to sync action item",
+        details: error
+      });
+    }
+
+    res.json({ success: true, action, pushed, pulled, conflicts, item, sync: link });
+  } catch (error) {
+    logger.error("❌ Sync action item failed:", error);
+    res.status(500).json({
+      error: "Failed to sync action item",
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,470 @@
+const express = require("express");
+const retentionService = require("../services/retentionService");
+const redactionService = require("../services/redactionService");
+const aiService = require("../services/aiService");
+const taskSyncService = require("../services/taskSyncService");
+const reminderService = require("../services/reminderService");
+const jobQueueService = require("../services/jobQueueService");
+const auditService = require("../services/auditService");
+const { httpStatusFor } = require("../storage/errors");
+const logger = require("../utils/logger");
+const { authenticate } = require("../middleware/auth");
+const { ROLES, requireRole } = require("../middleware/rbac");
+
+const router = express.Router();
+
+// Platform operations; platform admins only
+router.use(authenticate, requireRole(ROLES.PLATFORM_ADMIN));
+
+// ============================================================================
+// DATA RETENTION
+// ============================================================================
+
+// GET /api/admin/retention/policies - Default policy and every tenant override
+router.get("/retention/policies", async (req, res) => {
+  try {
+    res.json(await retentionService.listPolicies());
+  } catch (error) {
+    logger.error("❌ List retention policies error:", error);
+    res.status(500).json({
+      error: "Failed to list retention policies",
+      details: error.message
+    });
+  }
+});
+
+// GET /api/admin/retention/policies/:tenantId - Effective policy for one tenant
+router.get("/retention/policies/:tenantId", async (req, res) => {
+  try {
+    const { tenantId } = req.params;
+    const [override, policy] = await Promise.all([
+      retentionService.getTenantOverride(tenantId),
+      retentionService.getPolicy(tenantId)
+    ]);
+
+    res.json({
+      tenantId,
+      policy,
+      description: retentionService.describePolicy(policy),
+      override: override?.policy || null,
+      updatedAt: override?.updatedAt || null,
+      updatedBy: override?.updatedBy || null
+    });
+  } catch (error) {
+    logger.error("❌ Get retention policy error:", error);
+    res.status(500).json({
+      error: "Failed to get retention policy",
+      details: error.message
+    });
+  }
+});
+
+// PUT /api/admin/retention/policies/:tenantId - Override the default policy for a tenant
+router.put("/retention/policies/:tenantId", async (req, res) => {
+  try {
+    const { tenantId } = req.params;
+    const { policy } = req.body;
+
+    const errors = retentionService.validatePolicy(policy);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: "Invalid retention policy",
+        details: errors
+      });
+    }
+
+    const saved = await retentionService.setTenantPolicy(tenantId, policy, req.user.userId);
+    await auditService.record({
+      type: "retention_policy_updated",
+      userId: req.user.userId,
+      tenantId,
+      policy
+    });
+
+    res.json({
+      success: true,
+      message: "🗂️ Retention policy saved. New data uses it immediately; the next purge applies it to existing data.",
+      policy: saved
+    });
+  } catch (error) {
+    logger.error("❌ Save retention policy error:", error);
+    res.status(500).json({
+      error: "Failed to save retention policy",
+      details: error.message
+    });
+  }
+});
+
+// DELETE /api/admin/retention/policies/:tenantId - Return a tenant to the default policy
+router.delete("/retention/policies/:tenantId", async (req, res) => {
+  try {
+    const { tenantId } = req.params;
+
+    if (!(await retentionService.deleteTenantPolicy(tenantId))) {
+      return res.status(404).json({ error: "No retention override for this tenant" });
+    }
+
+    await auditService.record({
+      type: "retention_policy_removed",
+      userId: req.user.userId,
+      tenantId
+    });
+
+    res.json({ success: true, message: "🗂️ Tenant now uses the default retention policy" });
+  } catch (error) {
+    logger.error("❌ Delete retention policy error:", error);
+    res.status(500).json({
+      error: "Failed to delete retention policy",
+      details: error.message
+    });
+  }
+});
+
+// POST /api/admin/retention/purge - Run a purge now (dryRun reports without deleting)
+router.post("/retention/purge", async (req, res) => {
+  try {
+    const { dryRun = false, tenantId = null } = req.body || {};
+
+    const report = await retentionService.purge({
+      dryRun: dryRun === true,
+      tenantId,
+      triggeredBy: req.user.userId
+    });
+
+    res.json({ success: true, report });
+  } catch (error) {
+    logger.error("❌ Retention purge error:", error);
+    res.status(httpStatusFor(error)).json({
+      error: "Failed to run retention purge",
+      details: error.message
+    });
+  }
+});
+
+// GET /api/admin/retention/reports - Recent purge reports, newest first
+router.get("/retention/reports", async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    res.json({ reports: await retentionService.listReports(limit) });
+  } catch (error) {
+    logger.error("❌ List retention reports error:", error);
+    res.status(500).json({
+      error: "Failed to list retention reports",
+      details: error.message
+    });
+  }
+});
+
+// GET /api/admin/retention/reports/:reportId - One purge report with deleted ids
+router.get("/retention/reports/:reportId", async (req, res) => {
+  try {
+    const report = await retentionService.getReport(req.params.reportId);
+    if (!report) {
+      return res.status(404).json({ error: "Report not found" });
+    }
+    res.json(report);
+  } catch (error) {
+    logger.error("❌ Get retention report error:", error);
+    res.status(500).json({
+      error: "Failed to get retention report",
+      details: error.message
+    });
+  }
+});
+
+// ============================================================================
+// REDACTION
+// ============================================================================
+
+// GET /api/admin/redaction/policies - Default policy, available detectors and every tenant override
+router.get("/redaction/policies", async (req, res) => {
+  try {
+    res.json(await redactionService.listPolicies());
+  } catch (error) {
+    logger.error("❌ List redaction policies error:", error);
+    res.status(500).json({
+      error: "Failed to list redaction policies",
+      details: error.message
+    });
+  }
+});
+
+// GET /api/admin/redaction/policies/:tenantId - Effective policy for one tenant
+router.get("/redaction/policies/:tenantId", async (req, res) => {
+  try {
+    const { tenantId } = req.params;
+    const [override, policy] = await Promise.all([
+      redactionService.getTenantOverride(tenantId),
+      redactionService.getPolicy(tenantId)
+    ]);
+
+    res.json({
+      tenantId,
+      policy,
+      reversible: redactionService.isReversible(),
+      override: override?.policy || null,
+      updatedAt: override?.updatedAt || null,
+      updatedBy: override?.updatedBy || null
+    });
+  } catch (error) {
+    logger.error("❌ Get redaction policy error:", error);
+    res.status(500).json({
+      error: "Failed to get redaction policy",
+      details: error.message
+    });
+  }
+});
+
+// PUT /api/admin/redaction/policies/:tenantId - Override the default policy for a tenant
+router.put("/redaction/policies/:tenantId", async (req, res) => {
+  try {
+    const { tenantId } = req.params;
+    const { policy } = req.body;
+
+    const errors = redactionService.validatePolicy(policy);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: "Invalid redaction policy",
+        details: errors
+      });
+    }
+
+    const saved = await redactionService.setTenantPolicy(tenantId, policy, req.user.userId);
+    await auditService.record({
+      type: "redaction_policy_updated",
+      userId: req.user.userId,
+      tenantId,
+      policy
+    });
+
+    res.json({
+      success: true,
+      message: "🕶️ Redaction policy saved. It applies to messages captured from now on.",
+      policy: saved
+    });
+  } catch (error) {
+    logger.error("❌ Save redaction policy error:", error);
+    res.status(500).json({
+      error: "Failed to save redaction policy",
+      details: error.message
+    });
+  }
+});
+
+// DELETE /api/admin/redaction/policies/:tenantId - Return a tenant to the default policy
+router.delete("/redaction/policies/:tenantId", async (req, res) => {
+  try {
+    const { tenantId } = req.params;
+
+    if (!(await redactionService.deleteTenantPolicy(tenantId))) {
+      return res.status(404).json({ error: "No redaction override for this tenant" });
+    }
+
+    await auditService.record({
+      type: "redaction_policy_removed",
+      userId: req.user.userId,
+      tenantId
+    });
+
+    res.json({ success: true, message: "🕶️ Tenant now uses the default redaction policy" });
+  } catch (error) {
+    logger.error("❌ Delete redaction policy error:", error);
+    res.status(500).json({
+      error: "Failed to delete redaction policy",
+      details: error.message
+    });
+  }
+});
+
+// POST /api/admin/redaction/preview - Show what a tenant's policy (or a proposed one) would redact
+router.post("/redaction/preview", async (req, res) => {
+  try {
+    const { text, tenantId = null, policy = null } = req.body || {};
+
+    if (typeof text !== "string" || !text) {
+      return res.status(400).json({ error: "text is required" });
+    }
+
+    const errors = policy ? redactionService.validatePolicy(policy) : [];
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: "Invalid redaction policy",
+        details: errors
+      });
+    }
+
+    const { value, report } = await redactionService.redact(text, {
+      tenantId,
+      policy: policy ? redactionService.withDefaults(policy) : null,
+      dryRun: true
+    });
+
+    res.json({ text: value, report });
+  } catch (error) {
+    logger.error("❌ Redaction preview error:", error);
+    res.status(500).json({
+      error: "Failed to preview redaction",
+      details: error.message
+    });
+  }
+});
+
+// ============================================================================
+// TASK SYNC
+// ============================================================================
+
+// POST /api/admin/task-sync/run - Sync every action item with To Do or Planner now
+router.post("/task-sync/run", async (req, res) => {
+  try {
+    const report = await taskSyncService.syncAll();
+    res.json({ success: true, report });
+  } catch (error) {
+    logger.error("❌ Task sync error:", error);
+    res.status(httpStatusFor(error)).json({
+      error: "Failed to run task sync",
+      details: error.message
+    });
+  }
+});
+
+// ============================================================================
+// REMINDERS
+// ============================================================================
+
+// POST /api/admin/reminders/run - Schedule upcoming reminders and send the due ones now
+router.post("/reminders/run", async (req, res) => {
+  try {
+    const report = await reminderService.run();
+    res.json({ success: true, report });
+  } catch (error) {
+    logger.error("❌ Reminder run error:", error);
+    res.status(httpStatusFor(error)).json({
+      error: "Failed to run reminders",
+      details: error.message
+    });
+  }
+});
+
+// ============================================================================
+// JOBS
+// ============================================================================
+
+// Load req.job by id
+const loadJob = async (req, res, next) => {
+  try {
+    const job = await jobQueueService.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        error: "Job not found",
+        details: `Job with ID ${req.params.id} not found`
+      });
+    }
+
+    req.job = job;
+    next();
+  } catch (error) {
+    logger.error("❌ Load job error:", error);
+    res.status(500).json({
+      error: "Failed to load job",
+      details: error.message
+    });
+  }
+};
+
+// GET /api/admin/jobs - Jobs, newest first, with counts per status (?status=dead,queued&type=meeting.join&meetingId=&limit=)
+router.get("/jobs", async (req, res) => {
+  try {
+    const errors = jobQueueService.validateFilter(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: "Invalid job filter",
+        details: errors
+      });
+    }
+
+    const { status, type, meetingId } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const jobs = await jobQueueService.listJobs({ status, type, meetingId, limit });
+
+    res.json({
+      success: true,
+      jobs,
+      counts: await jobQueueService.getCounts(),
+      total: jobs.length
+    });
+  } catch (error) {
+    logger.error("❌ List jobs error:", error);
+    res.status(500).json({
+      error: "Failed to list jobs",
+      details: error.message
+    });
+  }
+});
+
+// GET /api/admin/jobs/:id - One job with its error history
+router.get("/jobs/:id", loadJob, (req, res) => {
+  res.json({ success: true, job: req.job });
+});
+
+// POST /api/admin/jobs/:id/requeue - Run a dead, finished or waiting job again now
+router.post("/jobs/:id/requeue", loadJob, async (req, res) => {
+  try {
+    const job = await jobQueueService.requeue(req.job, { by: req.user.userId });
+
+    await auditService.record({
+      type: "job_requeued",
+      userId: req.user.userId,
+      jobId: job.id,
+      jobType: job.type,
+      previousStatus: req.job.status
+    });
+
+    res.json({ success: true, message: "🔁 Job requeued", job });
+  } catch (error) {
+    logger.error("❌ Requeue job error:", error);
+    res.status(httpStatusFor(error)).json({
+      error: "Failed to requeue job",
+      details: error.message
+    });
+  }
+});
+
+// POST /api/admin/jobs/:id/cancel - Drop a job that has not run yet
+router.post("/jobs/:id/cancel", loadJob, async (req, res) => {
+  try {
+    if (req.job.status !== "queued") {
+      return res.status(409).json({
+        error: "Job cannot be cancelled",
+        details: [`Job is ${req.job.status}`]
+      });
+    }
+
+    const job = await jobQueueService.cancel(req.job, `Cancelled by ${req.user.userId}`);
+    res.json({ success: true, message: "🚫 Job cancelled", job });
+  } catch (error) {
+    logger.error("❌ Cancel job error:", error);
+    res.status(httpStatusFor(error)).json({
+      error: "Failed to cancel job",
+      details: error.message
+    });
+  }
+});
+
+// ============================================================================
+// AI PROVIDERS
+// ============================================================================
+
+// GET /api/admin/ai/status - Provider and model per feature, and schema validation counters
+router.get("/ai/status", (req, res) => {
+  try {
+    res.json(aiService.getStatus());
+  } catch (error) {
+    logger.error("❌ AI status error:", error);
+    res.status(500).json({
+      error: "Failed to get AI status",
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
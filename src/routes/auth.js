@@ -0,0 +1,133 @@
+const express = require("express");
+const authService = require("../services/authService");
+const storage = require("../storage");
+const logger = require("../utils/logger");
+const { authenticate } = require("../middleware/auth");
+
+const router = express.Router();
+
+// Middleware to ensure delegated sign-in is configured
+const requireDelegatedAuth = (req, res, next) => {
+  if (!authService.isDelegatedAvailable()) {
+    return res.status(503).json({
+      error: "Delegated sign-in is not configured",
+      message: "Please configure Azure AD credentials and a token encryption key",
+      requiredConfig: {
+        azureClientId: "AZURE_CLIENT_ID",
+        azureClientSecret: "AZURE_CLIENT_SECRET",
+        tokenEncryptionKey: "TOKEN_ENCRYPTION_KEY",
+        redirectUri: "REDIRECT_URI"
+      }
+    });
+  }
+  next();
+};
+
+// GET /api/auth/login - Redirect to Microsoft sign-in
+router.get("/login", requireDelegatedAuth, async (req, res) => {
+  try {
+    const authUrl = await authService.getAuthUrl();
+    res.redirect(authUrl);
+  } catch (error) {
+    logger.error("❌ Login redirect error:", error);
+    res.status(500).json({
+      error: "Failed to start sign-in",
+      details: error.message
+    });
+  }
+});
+
+// GET /api/auth/callback - OAuth redirect target; stores the user's tokens
+router.get("/callback", requireDelegatedAuth, async (req, res) => {
+  const { code, state, error, error_description } = req.query;
+
+  if (error) {
+    logger.warn("⚠️ Sign-in was not completed", { error, error_description });
+    return res.status(400).json({
+      error: "Sign-in failed",
+      details: error_description || error
+    });
+  }
+
+  if (!code || !state) {
+    return res.status(400).json({
+      error: "Missing authorization code or state"
+    });
+  }
+
+  try {
+    const response = await authService.getTokenFromCode(code, state);
+    const account = response.account;
+
+    await storage.createOrUpdateUser({
+      userId: account.localAccountId,
+      email: account.username,
+      name: account.name,
+      tenantId: account.tenantId
+    });
+
+    res.json({
+      success: true,
+      message: "✅ Signed in - Teams actions will now run on your behalf",
+      user: {
+        userId: account.localAccountId,
+        tenantId: account.tenantId,
+        email: account.username,
+        name: account.name
+      },
+      scopes: response.scopes
+    });
+  } catch (error) {
+    logger.error("❌ Sign-in callback error:", error);
+
+    if (error.message === "Invalid or expired sign-in state") {
+      return res.status(400).json({
+        error: "Sign-in failed",
+        details: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: "Failed to complete sign-in",
+      details: error.message
+    });
+  }
+});
+
+// GET /api/auth/status - Whether the caller has a stored delegated session
+router.get("/status", authenticate, async (req, res) => {
+  try {
+    res.json({
+      user: req.user,
+      delegatedAvailable: authService.isDelegatedAvailable(),
+      signedIn: await authService.hasUserSession(req.user.userId)
+    });
+  } catch (error) {
+    logger.error("❌ Auth status error:", error);
+    res.status(500).json({
+      error: "Failed to get sign-in status",
+      details: error.message
+    });
+  }
+});
+
+// POST /api/auth/logout - Remove the caller's stored tokens
+router.post("/logout", authenticate, async (req, res) => {
+  try {
+    const logoutUrl = await authService.signOut(req.user.userId);
+
+    res.json({
+      success: true,
+      message: "👋 Signed out - stored tokens removed",
+      logoutUrl
+    });
+  } catch (error) {
+    logger.error("❌ Logout error:", error);
+    res.status(500).json({
+      error: "Failed to sign out",
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,54 @@
+const express = require("express");
+const { CloudAdapter, ConfigurationBotFrameworkAuthentication } = require("botbuilder");
+const Agent365Bot = require("../bot/bot");
+const botMessagingService = require("../services/botMessagingService");
+const logger = require("../utils/logger");
+
+const router = express.Router();
+
+// The bot is hosted in this process so reminders and other services can message users
+// proactively through the same adapter (botMessagingService)
+const appId = process.env.MICROSOFT_APP_ID || null;
+let adapter = null;
+let bot = null;
+
+if (appId) {
+  adapter = new CloudAdapter(new ConfigurationBotFrameworkAuthentication({
+    MicrosoftAppId: appId,
+    MicrosoftAppPassword: process.env.MICROSOFT_APP_PASSWORD,
+    MicrosoftAppType: process.env.MICROSOFT_APP_TYPE || "MultiTenant",
+    MicrosoftAppTenantId: process.env.MICROSOFT_APP_TENANT_ID || process.env.AZURE_TENANT_ID
+  }));
+  adapter.onTurnError = async (context, error) => {
+    logger.error("❌ Bot turn error:", error);
+    await context.sendActivity("Sorry, I encountered an error. Please try again.");
+  };
+
+  bot = new Agent365Bot();
+  botMessagingService.useAdapter(adapter, appId);
+  logger.info("🤖 Bot hosted at /api/messages");
+}
+
+// POST /api/messages - Activities from the Bot Framework (Teams)
+router.post("/", async (req, res) => {
+  if (!adapter) {
+    return res.status(503).json({
+      error: "Bot not configured",
+      details: "Set MICROSOFT_APP_ID and MICROSOFT_APP_PASSWORD to host the bot"
+    });
+  }
+
+  try {
+    await adapter.process(req, res, (context) => bot.run(context));
+  } catch (error) {
+    logger.error("❌ Bot message handling failed:", error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        error: "Failed to handle bot message",
+        details: error.message
+      });
+    }
+  }
+});
+
+module.exports = router;
@@ -2,28 +2,20 @@ const express = require("express");
 const { v4: uuidv4 } = require("uuid");
 const moment = require("moment");
 const teamsService = require("../services/teamsService");
-const geminiAI = require("../services/geminiAI");
+const aiService = require("../services/aiService");
 const chatCaptureService = require("../services/chatCaptureService");
 const meetingAttendanceService = require("../services/meetingAttendanceService");
 const meetingSummaryService = require("../services/meetingSummaryService");
-const cosmosClient = require("../config/cosmosdb");
+const storage = require("../storage");
 const logger = require("../utils/logger");
-const { default: axios } = require("axios");
+const { authenticate } = require("../middleware/auth");
+const { ROLES, requireRole, requireTeamAdmin } = require("../middleware/rbac");
 
 // FIX: Add missing router declaration
 const router = express.Router();
 
-// FIX: Add missing authentication middleware
-const simulateAuth = (req, res, next) => {
-  req.user = {
-    userId: "demo-user-123",
-    email: "demo@company.com",
-    name: "Demo User",
-  };
-  next();
-};
-
-router.use(simulateAuth);
+// Validate Entra ID bearer tokens and populate req.user; every route needs at least viewer
+router.use(authenticate, requireRole(ROLES.VIEWER));
 
 // FIX: Add missing requireRealTeams middleware
 const requireRealTeams = (req, res, next) => {
@@ -46,7 +38,7 @@ const requireRealTeams = (req, res, next) => {
 // ============================================================================
 
 // POST /api/channels/create - Create Teams Channel
-router.post("/create", requireRealTeams, async (req, res) => {
+router.post("/create", requireRealTeams, requireTeamAdmin(req => req.body.teamId), async (req, res) => {
   try {
     const {
       teamId,
@@ -140,7 +132,7 @@ router.get("/:teamId", requireRealTeams, async (req, res) => {
 });
 
 
-router.get("/channels/debug", async (req, res) => {
+router.get("/channels/debug", requireRole(ROLES.PLATFORM_ADMIN), async (req, res) => {
   try {
     // First get available teams
     const teams = await teamsService.getAvailableTeams();
@@ -182,7 +174,7 @@ router.get("/channels/debug", async (req, res) => {
 });
 
 
-router.get("/debug/teams-only", async (req, res) => {
+router.get("/debug/teams-only", requireRole(ROLES.PLATFORM_ADMIN), async (req, res) => {
   try {
     console.log("🔍 Testing teams-only endpoint");
     
@@ -222,7 +214,7 @@ router.get("/debug/teams-only", async (req, res) => {
 // If you want to test without Teams integration, use these routes instead:
 
 // POST /api/channels/create-simulation - Create simulated channel
-router.post("/create-simulation", async (req, res) => {
+router.post("/create-simulation", requireRole(ROLES.ORGANIZER), async (req, res) => {
   try {
     const {
       teamId,
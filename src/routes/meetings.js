@@ -2,27 +2,26 @@ const express = require("express");
 const { v4: uuidv4 } = require("uuid");
 const moment = require("moment");
 const teamsService = require("../services/teamsService");
-const geminiAI = require("../services/geminiAI");
+const aiService = require("../services/aiService");
 const chatCaptureService = require("../services/chatCaptureService");
 const meetingAttendanceService = require("../services/meetingAttendanceService");
 const meetingSummaryService = require("../services/meetingSummaryService");
-const cosmosClient = require("../config/cosmosdb");
+const meetingSchedulerService = require("../services/meetingSchedulerService");
+const meetingService = require("../services/meetingService");
+const redactionService = require("../services/redactionService");
+const auditService = require("../services/auditService");
+const promptSafetyService = require("../services/promptSafetyService");
+const storage = require("../storage");
+const { httpStatusFor, isConcurrencyError } = require("../storage/errors");
 const logger = require("../utils/logger");
-const { default: axios } = require("axios");
+const { authenticate } = require("../middleware/auth");
+const { ROLES, CAPABILITIES, requireRole, requireCapability, requireSelfOrRole, requireMeetingPermission } = require("../middleware/rbac");
+const graph = require("../graph");
 
 const router = express.Router();
 
-// Simulate authentication (replace with real auth later)
-const simulateAuth = (req, res, next) => {
-  req.user = {
-    userId: "demo-user-123",
-    email: "demo@company.com",
-    name: "Demo User",
-  };
-  next();
-};
-
-router.use(simulateAuth);
+// Validate Entra ID bearer tokens and populate req.user; every route needs at least viewer
+router.use(authenticate, requireRole(ROLES.VIEWER));
 
 // Middleware to ensure Teams integration is available
 const requireRealTeams = (req, res, next) => {
@@ -40,6 +39,38 @@ const requireRealTeams = (req, res, next) => {
   next();
 };
 
+// Graph calls run on behalf of the caller; tell them to sign in when there is no stored session
+const sendLoginRequired = (res, error) =>
+  res.status(401).json({
+    error: "Microsoft sign-in required",
+    details: error.message,
+    loginUrl: "/api/auth/login"
+  });
+
+// Stored meetings carry an ETag; clients may send it back as If-Match so their edit
+// is refused (412) when someone else changed the meeting in between
+const checkIfMatch = (req, res, next) => {
+  const ifMatch = req.get("If-Match");
+  if (ifMatch && req.meeting?._etag && ifMatch !== req.meeting._etag) {
+    return res.status(412).json({
+      error: "Meeting has changed since it was read",
+      details: "Fetch the meeting again and retry with its current ETag",
+      etag: req.meeting._etag
+    });
+  }
+  next();
+};
+
+// The version an edit was computed from: the client's If-Match, else the copy we loaded
+const expectedEtag = (req) => req.get("If-Match") || req.meeting?._etag || null;
+
+// Route-level loaders for requireMeetingPermission
+const loadMeeting = (req) => meetingService.findMeeting(req.user, req.params.id);
+const loadMeetingWithCalendar = (req) =>
+  meetingService.findMeeting(req.user, req.params.id, { includeCalendar: true });
+const loadMeetingForDelete = (req) =>
+  meetingService.findMeeting(req.user, req.params.id, { includeCalendar: true, matchSubject: true });
+
 // ============================================================================
 // POC FEATURE 1.1: REAL TEAMS MEETING SCHEDULING
 // ============================================================================
@@ -50,7 +81,7 @@ const requireRealTeams = (req, res, next) => {
 // Add these endpoints to your meetings.js router - REAL TEAMS ONLY
 
 // POST /api/meetings/validate-teams-users - Validate that attendees are real Teams users
-router.post("/validate-teams-users", requireRealTeams, async (req, res) => {
+router.post("/validate-teams-users", requireRealTeams, requireRole(ROLES.ORGANIZER), async (req, res) => {
   try {
     const { attendees } = req.body;
 
@@ -83,7 +114,7 @@ router.post("/validate-teams-users", requireRealTeams, async (req, res) => {
 });
 
 // POST /api/meetings/check-availability - Check if REAL Teams attendees are available
-router.post("/check-availability", requireRealTeams, async (req, res) => {
+router.post("/check-availability", requireRealTeams, requireRole(ROLES.ORGANIZER), async (req, res) => {
   try {
     const { attendees, startTime, endTime } = req.body;
 
@@ -143,7 +174,7 @@ router.post("/check-availability", requireRealTeams, async (req, res) => {
 });
 
 // POST /api/meetings/find-available-slots - Find available time slots for REAL Teams attendees
-router.post("/find-available-slots", requireRealTeams, async (req, res) => {
+router.post("/find-available-slots", requireRealTeams, requireRole(ROLES.ORGANIZER), async (req, res) => {
   try {
     const { 
       attendees, 
@@ -207,7 +238,8 @@ router.post("/find-available-slots", requireRealTeams, async (req, res) => {
 });
 
 // GET /api/meetings/free-busy/:email - Get free/busy info for specific REAL Teams user
-router.get("/free-busy/:email", requireRealTeams, async (req, res) => {
+// People may look up their own calendar; organizers may look up anyone's
+router.get("/free-busy/:email", requireRealTeams, requireSelfOrRole(ROLES.ORGANIZER, req => req.params.email), async (req, res) => {
   try {
     const { email } = req.params;
     const { 
@@ -228,7 +260,7 @@ router.get("/free-busy/:email", requireRealTeams, async (req, res) => {
       });
     }
 
-    const userCalendar = await teamsService.getUserCalendarEvents(email, startTime, endTime);
+    const userCalendar = await teamsService.getUserCalendarEvents(email, startTime, endTime, req.user);
 
     res.json({
       success: true,
@@ -243,6 +275,9 @@ router.get("/free-busy/:email", requireRealTeams, async (req, res) => {
 
   } catch (error) {
     logger.error("❌ Get free/busy for REAL Teams user error:", error);
+    if (error.code === "LOGIN_REQUIRED") {
+      return sendLoginRequired(res, error);
+    }
     res.status(500).json({
       error: "Failed to get free/busy information for real Teams user",
       details: error.message
@@ -251,7 +286,7 @@ router.get("/free-busy/:email", requireRealTeams, async (req, res) => {
 });
 
 // POST /api/meetings/smart-schedule - AI-powered meeting scheduling for REAL Teams users only
-router.post("/smart-schedule", requireRealTeams, async (req, res) => {
+router.post("/smart-schedule", requireRealTeams, requireRole(ROLES.ORGANIZER), async (req, res) => {
   try {
     const {
       subject,
@@ -354,7 +389,7 @@ router.post("/smart-schedule", requireRealTeams, async (req, res) => {
           startTime: bestSlot.start,
           endTime: bestSlot.end,
           attendees: attendees
-        });
+        }, req.user);
 
         return res.json({
           success: true,
@@ -396,7 +431,7 @@ router.post("/smart-schedule", requireRealTeams, async (req, res) => {
 
 
 // GET /api/meetings/teams/users - Get list of real Teams users for testing
-router.get("/teams/users", requireRealTeams, async (req, res) => {
+router.get("/teams/users", requireRealTeams, requireRole(ROLES.ORGANIZER), async (req, res) => {
   try {
     const { limit = 20, search } = req.query;
     
@@ -433,7 +468,7 @@ router.get("/teams/users", requireRealTeams, async (req, res) => {
 
 
 // POST /api/meetings/create - Create REAL Teams meeting only
-router.post("/create", requireRealTeams, async (req, res) => {
+router.post("/create", requireRealTeams, requireRole(ROLES.ORGANIZER), async (req, res) => {
   try {
     const {
       subject,
@@ -549,88 +584,19 @@ router.post("/create", requireRealTeams, async (req, res) => {
       }
     }
 
-    // STEP 3: Create REAL Teams meeting via Graph API
-    logger.info("🚀 Creating REAL Teams meeting via Graph API");
-    
-    const teamsMeetingResult = await teamsService.createTeamsMeeting({
-      subject: subject,
-      description: description,
-      startTime: startTime,
-      endTime: endTime,
-      attendees: attendees,
-      recurrence: recurrence
+    // STEP 3: Create the REAL Teams meeting, store it and queue the agent
+    const { meeting: savedMeeting, teamsMeeting: teamsMeetingResult } = await meetingService.createMeeting(req.user, {
+      subject,
+      description,
+      startTime,
+      endTime,
+      attendees,
+      recurrence,
+      autoJoinAgent,
+      enableChatCapture,
+      availabilityChecked: !skipAvailabilityCheck
     });
 
-    // STEP 4: Create meeting record in database
-    const meetingData = {
-      id: uuidv4(),
-      meetingId: teamsMeetingResult.meetingId,
-      userId: req.user.userId,
-      subject: subject,
-      description: description,
-      startTime: startTime,
-      endTime: endTime,
-      attendees: attendees,
-      status: "scheduled",
-      joinUrl: teamsMeetingResult.joinUrl,
-      webUrl: teamsMeetingResult.webUrl,
-      graphEventId: teamsMeetingResult.graphEventId,
-      isRealTeamsMeeting: true,
-      isRecurring: teamsMeetingResult.isRecurring || false,
-      agentAttended: false,
-      agentConfig: {
-        autoJoin: autoJoinAgent,
-        enableChatCapture: enableChatCapture,
-        generateSummary: true,
-      },
-      availabilityChecked: !skipAvailabilityCheck,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-    };
-
-    const savedMeeting = await cosmosClient.createMeeting(meetingData);
-
-    // STEP 5: Auto-join AI agent logic for meetings starting soon
-    if (autoJoinAgent) {
-      const now = moment();
-      const meetingStart = moment(startTime);
-      const minutesUntilStart = meetingStart.diff(now, 'minutes');
-
-      if (minutesUntilStart <= 15 && minutesUntilStart >= -5) {
-        logger.info("🤖 Meeting starting soon, joining AI agent to REAL Teams meeting");
-        
-        try {
-          await meetingAttendanceService.joinMeeting(
-            savedMeeting.meetingId,
-            req.user.userId
-          );
-
-          if (enableChatCapture) {
-            await chatCaptureService.initiateRealChatCapture(savedMeeting);
-          }
-
-          await cosmosClient.updateItem(
-            "meetings",
-            savedMeeting.id,
-            req.user.userId,
-            {
-              status: "in_progress",
-              agentJoinedAt: new Date().toISOString(),
-              agentAttended: true,
-            }
-          );
-
-          savedMeeting.agentJoinedImmediately = true;
-          savedMeeting.agentAttended = true;
-          savedMeeting.status = "in_progress";
-
-        } catch (immediateJoinError) {
-          logger.error("❌ Immediate AI agent join failed:", immediateJoinError);
-          savedMeeting.agentJoinError = immediateJoinError.message;
-        }
-      }
-    }
-
     res.status(201).json({
       success: true,
       meeting: savedMeeting,
@@ -659,7 +625,10 @@ router.post("/create", requireRealTeams, async (req, res) => {
     });
   } catch (error) {
     logger.error("❌ Create REAL Teams meeting error:", error);
-    res.status(500).json({
+    if (error.code === "LOGIN_REQUIRED") {
+      return sendLoginRequired(res, error);
+    }
+    res.status(httpStatusFor(error)).json({
       error: "Failed to create real Teams meeting",
       details: error.message,
     });
@@ -673,7 +642,7 @@ router.post("/create", requireRealTeams, async (req, res) => {
 // Add this debug endpoint to your meetings route file (meetings.js)
 
 // GET /api/meetings/debug/user-lookup - Debug user lookup
-router.get("/debug/user-lookup", async (req, res) => {
+router.get("/debug/user-lookup", requireRole(ROLES.PLATFORM_ADMIN), async (req, res) => {
   try {
     const organizerEmail = process.env.MEETING_ORGANIZER_EMAIL || 'support@legacynote.ai';
     
@@ -685,67 +654,64 @@ router.get("/debug/user-lookup", async (req, res) => {
       });
     }
 
-    const authService = require('../services/authService');
-    const accessToken = await authService.getAppOnlyToken();
-
     logger.info(`🔍 Debug: Looking up user ${organizerEmail}`);
 
+    const describeGraphError = (error) => ({
+      status: error.status,
+      code: error.code,
+      message: error.message,
+      requestId: error.requestId
+    });
+
     // Try direct lookup
     let directLookup = null;
     try {
-      const response = await axios.get(
-        `https://graph.microsoft.com/v1.0/users/${encodeURIComponent(organizerEmail)}`,
-        { headers: { 'Authorization': `Bearer ${accessToken}` } }
-      );
+      const user = await graph.get(`/users/${encodeURIComponent(organizerEmail)}`);
       directLookup = {
         success: true,
         user: {
-          id: response.data.id,
-          displayName: response.data.displayName,
-          userPrincipalName: response.data.userPrincipalName,
-          mail: response.data.mail
+          id: user.id,
+          displayName: user.displayName,
+          userPrincipalName: user.userPrincipalName,
+          mail: user.mail
         }
       };
     } catch (error) {
       directLookup = {
         success: false,
-        error: error.response?.data || error.message
+        error: describeGraphError(error)
       };
     }
 
     // Try search lookup
     let searchLookup = null;
     try {
-      const response = await axios.get(
-        `https://graph.microsoft.com/v1.0/users?$filter=userPrincipalName eq '${organizerEmail}' or mail eq '${organizerEmail}'&$select=id,displayName,userPrincipalName,mail`,
-        { headers: { 'Authorization': `Bearer ${accessToken}` } }
+      const response = await graph.get(
+        `/users?$filter=userPrincipalName eq '${organizerEmail}' or mail eq '${organizerEmail}'&$select=id,displayName,userPrincipalName,mail`
       );
       searchLookup = {
         success: true,
-        users: response.data.value
+        users: response.value
       };
     } catch (error) {
       searchLookup = {
         success: false,
-        error: error.response?.data || error.message
+        error: describeGraphError(error)
       };
     }
 
     // List all users (first 10)
     let allUsers = null;
     try {
-      const response = await axios.get(
-        `https://graph.microsoft.com/v1.0/users?$top=10&$select=id,displayName,userPrincipalName,mail`,
-        { headers: { 'Authorization': `Bearer ${accessToken}` } }
-      );
+      const response = await graph.get('/users?$top=10&$select=id,displayName,userPrincipalName,mail');
       allUsers = {
         success: true,
-        users: response.data.value
+        users: response.value
       };
     } catch (error) {
       allUsers = {
         success: false,
-        error: error.response?.data || error.message
+        error: describeGraphError(error)
       };
     }
 
@@ -776,7 +742,7 @@ router.get("/debug/user-lookup", async (req, res) => {
 });
 
 // POST /api/meetings/create-with-names - Create meeting by resolving REAL user names
-router.post("/create-with-names", requireRealTeams, async (req, res) => {
+router.post("/create-with-names", requireRealTeams, requireRole(ROLES.ORGANIZER), async (req, res) => {
   try {
     const {
       subject,
@@ -955,13 +921,14 @@ router.post("/create-with-names", requireRealTeams, async (req, res) => {
       startTime,
       endTime,
       attendees: resolvedAttendees
-    });
+    }, req.user);
 
     // STEP 5: Create meeting record in database
     const meetingData = {
       id: uuidv4(),
       meetingId: teamsMeetingResult.meetingId,
       userId: req.user.userId,
+      tenantId: req.user.tenantId,
       subject: subject,
       description: description,
       startTime: startTime,
@@ -984,7 +951,8 @@ router.post("/create-with-names", requireRealTeams, async (req, res) => {
       createdAt: new Date().toISOString(),
     };
 
-    const savedMeeting = await cosmosClient.createMeeting(meetingData);
+    const savedMeeting = await storage.createMeeting(meetingData);
+    await meetingService.scheduleAutoJoin(savedMeeting);
 
     res.status(201).json({
       success: true,
@@ -1007,7 +975,10 @@ router.post("/create-with-names", requireRealTeams, async (req, res) => {
 
   } catch (error) {
     logger.error("❌ Create REAL Teams meeting with names error:", error);
-    res.status(500).json({
+    if (error.code === "LOGIN_REQUIRED") {
+      return sendLoginRequired(res, error);
+    }
+    res.status(httpStatusFor(error)).json({
       error: "Failed to create real Teams meeting with name resolution",
       details: error.message
     });
@@ -1021,7 +992,7 @@ router.post("/create-with-names", requireRealTeams, async (req, res) => {
 
 
 // GET /api/meetings/suggest-times - Get REAL optimal meeting times from Teams calendars
-router.post("/suggest-times", requireRealTeams, async (req, res) => {
+router.post("/suggest-times", requireRealTeams, requireRole(ROLES.ORGANIZER), async (req, res) => {
   try {
     const {
       attendees = [],
@@ -1107,28 +1078,9 @@ router.post("/suggest-times", requireRealTeams, async (req, res) => {
 // ============================================================================
 
 // POST /api/meetings/:id/join-agent - Join AI agent to REAL Teams meeting
-router.post("/:id/join-agent", requireRealTeams, async (req, res) => {
+router.post("/:id/join-agent", requireRealTeams, requireMeetingPermission("manage", loadMeeting), checkIfMatch, async (req, res) => {
   try {
-    let meeting = await cosmosClient.getItem(
-      "meetings",
-      req.params.id,
-      req.user.userId
-    );
-
-    if (!meeting) {
-      const meetings = await cosmosClient.queryItems(
-        "meetings",
-        "SELECT * FROM c WHERE c.meetingId = @meetingId",
-        [{ name: "@meetingId", value: req.params.id }]
-      );
-      if (meetings && meetings.length > 0) {
-        meeting = meetings[0];
-      }
-    }
-
-    if (!meeting) {
-      return res.status(404).json({ error: "Meeting not found" });
-    }
+    const meeting = req.meeting;
 
     if (!meeting.isRealTeamsMeeting) {
       return res.status(400).json({ 
@@ -1155,7 +1107,7 @@ router.post("/:id/join-agent", requireRealTeams, async (req, res) => {
     }
 
     // Update meeting status
-    await cosmosClient.updateItem("meetings", meeting.id, req.user.userId, {
+    await storage.updateItem("meetings", meeting.id, meeting.userId, {
       agentAttended: true,
       agentJoinedAt: new Date().toISOString(),
       status: "in_progress",
@@ -1183,7 +1135,7 @@ router.post("/:id/join-agent", requireRealTeams, async (req, res) => {
     });
   } catch (error) {
     logger.error("❌ AI Agent join REAL Teams meeting failed:", error);
-    res.status(500).json({
+    res.status(httpStatusFor(error)).json({
       error: "Failed to join AI agent to real Teams meeting",
       details: error.message,
     });
@@ -1191,41 +1143,24 @@ router.post("/:id/join-agent", requireRealTeams, async (req, res) => {
 });
 
 // POST /api/meetings/:id/leave-agent - Remove AI agent from REAL Teams meeting
-router.post("/:id/leave-agent", requireRealTeams, async (req, res) => {
+router.post("/:id/leave-agent", requireRealTeams, requireMeetingPermission("manage", loadMeeting), checkIfMatch, async (req, res) => {
   try {
-    let meeting = await cosmosClient.getItem(
-      "meetings",
-      req.params.id,
-      req.user.userId
-    );
-
-    if (!meeting) {
-      const meetings = await cosmosClient.queryItems(
-        "meetings",
-        "SELECT * FROM c WHERE c.meetingId = @meetingId",
-        [{ name: "@meetingId", value: req.params.id }]
-      );
-      if (meetings && meetings.length > 0) {
-        meeting = meetings[0];
-      }
-    }
+    const meeting = req.meeting;
 
     logger.info("🤖 AI Agent leaving REAL Teams meeting", { meetingId: req.params.id });
 
     // Leave REAL Teams meeting
     const leaveResult = await meetingAttendanceService.leaveMeeting(
-      meeting?.meetingId || req.params.id,
+      meeting.meetingId,
       req.user.userId
     );
 
     // Stop REAL chat capture
-    await chatCaptureService.stopRealChatCapture(
-      meeting?.meetingId || req.params.id
-    );
+    await chatCaptureService.stopRealChatCapture(meeting.meetingId);
 
     // Update meeting status
     if (meeting) {
-      await cosmosClient.updateItem("meetings", meeting.id, req.user.userId, {
+      await storage.updateItem("meetings", meeting.id, meeting.userId, {
         agentLeftAt: new Date().toISOString(),
         status: "completed",
       });
@@ -1238,7 +1173,7 @@ router.post("/:id/leave-agent", requireRealTeams, async (req, res) => {
     });
   } catch (error) {
     logger.error("❌ AI Agent leave REAL Teams meeting failed:", error);
-    res.status(500).json({
+    res.status(httpStatusFor(error)).json({
       error: "Failed to remove AI agent from real Teams meeting",
       details: error.message,
     });
@@ -1246,61 +1181,62 @@ router.post("/:id/leave-agent", requireRealTeams, async (req, res) => {
 });
 
 // GET /api/meetings/:id/summary - Get AI-generated summary from REAL Teams data
-router.get("/:id/summary", async (req, res) => {
+router.get("/:id/summary", requireMeetingPermission("view", loadMeeting), async (req, res) => {
   try {
-    const { regenerate = false } = req.query;
+    const regenerate = req.query.regenerate === "true";
+    const { version } = req.query;
 
     logger.info("📋 Getting AI summary from REAL Teams meeting data", {
       meetingId: req.params.id,
       regenerate,
+      version
     });
 
-    let meetingId = req.params.id;
+    const meetingId = req.meeting.meetingId;
 
-    // Check if this is a database ID or meetingId
-    const meeting = await cosmosClient.getItem(
-      "meetings",
-      req.params.id,
-      req.user.userId
-    );
-    if (meeting) {
-      meetingId = meeting.meetingId;
-      
-      if (!meeting.isRealTeamsMeeting) {
-        return res.status(400).json({
-          error: "Summary can only be generated for real Teams meetings",
-          meetingType: "simulated"
-        });
-      }
+    if (!req.meeting.isRealTeamsMeeting) {
+      return res.status(400).json({
+        error: "Summary can only be generated for real Teams meetings",
+        meetingType: "simulated"
+      });
     }
 
     let summary = null;
+    let generated = false;
 
-    // Check for existing summary
+    // Check for existing summary (latest version unless a specific one is requested)
     if (!regenerate) {
       try {
-        const existingSummaries = await meetingSummaryService.getMeetingSummaries(meetingId);
-        if (existingSummaries.length > 0) {
-          summary = existingSummaries[0];
-        }
+        summary = await meetingSummaryService.getMeetingSummary(meetingId, version);
       } catch (error) {
         logger.warn("Could not get existing summaries:", error);
       }
+
+      if (!summary && version) {
+        return res.status(404).json({
+          error: "Summary version not found",
+          meetingId: meetingId,
+          version: parseInt(version)
+        });
+      }
     }
 
-    // Generate new summary from REAL Teams data if needed
-    if (!summary || regenerate) {
+    // Generate a new summary version from REAL Teams data if needed
+    if (!summary) {
       summary = await meetingSummaryService.generateMeetingSummary(meetingId, {
         includeChat: true,
         includeParticipantAnalysis: true,
-        autoActionItems: true
+        autoActionItems: true,
+        generatedBy: req.user.userId
       });
+      generated = true;
     }
 
     res.json({
       success: true,
       summary: summary,
-      generated: !summary || regenerate,
+      version: summary.version,
+      generated: generated,
       dataSource: "real_teams_integration",
       timestamp: new Date().toISOString(),
     });
@@ -1313,12 +1249,42 @@ router.get("/:id/summary", async (req, res) => {
   }
 });
 
+// GET /api/meetings/:id/summary/versions - List stored summary versions
+router.get("/:id/summary/versions", requireMeetingPermission("view", loadMeeting), async (req, res) => {
+  try {
+    const meetingId = req.meeting.meetingId;
+
+    const summaries = await meetingSummaryService.getMeetingSummaries(meetingId);
+
+    res.json({
+      success: true,
+      meetingId: meetingId,
+      versions: summaries.map(summary => ({
+        id: summary.id,
+        version: summary.version,
+        previousVersionId: summary.previousVersionId,
+        source: summary.source,
+        generatedBy: summary.generatedBy,
+        generatedAt: summary.generatedAt,
+        metrics: summary.metrics
+      })),
+      total: summaries.length
+    });
+  } catch (error) {
+    logger.error("❌ Get summary versions failed:", error);
+    res.status(500).json({
+      error: "Failed to get summary versions",
+      details: error.message,
+    });
+  }
+});
+
 // GET /api/meetings/:id/chat-analysis - Get REAL Teams chat analysis
-router.get("/:id/chat-analysis", async (req, res) => {
+router.get("/:id/chat-analysis", requireMeetingPermission("view", loadMeeting), async (req, res) => {
   try {
     logger.info("💬 Getting REAL Teams chat analysis", { meetingId: req.params.id });
 
-    const chatAnalysis = await chatCaptureService.getRealChatAnalysis(req.params.id);
+    const chatAnalysis = await chatCaptureService.getRealChatAnalysis(req.meeting.meetingId);
 
     res.json({
       success: true,
@@ -1335,29 +1301,94 @@ router.get("/:id/chat-analysis", async (req, res) => {
   }
 });
 
-// GET /api/meetings/:id/status - Get REAL meeting and agent status
-router.get("/:id/status", async (req, res) => {
-  try {
-    let meeting = await cosmosClient.getItem(
-      "meetings",
-      req.params.id,
-      req.user.userId
-    );
+// GET /api/meetings/:id/messages - Captured chat messages as stored (redacted), with a report of
+// what was redacted. ?reveal=true restores the original values; it needs the pii.reveal app role.
+router.get("/:id/messages",
+  requireMeetingPermission("view", loadMeeting),
+  requireCapability(CAPABILITIES.REVEAL_REDACTED, req => req.query.reveal === "true"),
+  async (req, res) => {
+    try {
+      const { meetingId, tenantId } = req.meeting;
+      const reveal = req.query.reveal === "true";
+
+      let messages = (await meetingSummaryService.getMeetingMessages(meetingId)).map(msg => ({
+        id: msg.id,
+        sender: msg.sender,
+        senderId: msg.senderId,
+        timestamp: msg.timestamp,
+        content: msg.content,
+        markdown: msg.markdown || msg.content,
+        mentions: msg.mentions || [],
+        replyToId: msg.replyToId || null,
+        attachments: msg.attachments || [],
+        reactions: msg.reactions || [],
+        cards: msg.cards || [],
+        category: msg.category,
+        editedAt: msg.editedAt || null,
+        redaction: msg.redaction || null,
+        promptInjection: msg.promptInjection || null
+      }));
 
-    if (!meeting) {
-      const meetings = await cosmosClient.queryItems(
-        "meetings",
-        "SELECT * FROM c WHERE c.meetingId = @meetingId",
-        [{ name: "@meetingId", value: req.params.id }]
-      );
-      if (meetings && meetings.length > 0) {
-        meeting = meetings[0];
+      if (reveal) {
+        messages = await redactionService.reveal(messages, { tenantId });
+        await auditService.record({
+          type: "redaction_revealed",
+          userId: req.user.userId,
+          tenantId: req.user.tenantId,
+          meetingId,
+          messageCount: messages.filter(msg => msg.redaction?.count > 0).length
+        });
       }
-    }
 
-    if (!meeting) {
-      return res.status(404).json({ error: "Meeting not found" });
+      res.json({
+        success: true,
+        meetingId,
+        messages,
+        total: messages.length,
+        revealed: reveal,
+        redactions: redactionService.summarizeReports(messages.map(msg => msg.redaction))
+      });
+    } catch (error) {
+      logger.error("❌ Get meeting messages failed:", error);
+      res.status(500).json({
+        error: "Failed to get meeting messages",
+        details: error.message,
+      });
     }
+  });
+
+// GET /api/meetings/:id/injection-attempts - Chat messages and agent requests flagged as
+// attempts to steer the AI (organizers and delegates)
+router.get("/:id/injection-attempts", requireMeetingPermission("manage", loadMeeting), async (req, res) => {
+  try {
+    const attempts = await promptSafetyService.listAttempts(req.meeting);
+
+    res.json({
+      success: true,
+      meetingId: req.meeting.meetingId,
+      attempts: attempts.map(attempt => ({
+        id: attempt.id,
+        source: attempt.source,
+        sender: attempt.sender,
+        rules: attempt.rules,
+        matches: attempt.matches,
+        createdAt: attempt.createdAt
+      })),
+      total: attempts.length
+    });
+  } catch (error) {
+    logger.error("❌ Get prompt injection attempts failed:", error);
+    res.status(500).json({
+      error: "Failed to get prompt injection attempts",
+      details: error.message,
+    });
+  }
+});
+
+// GET /api/meetings/:id/status - Get REAL meeting and agent status
+router.get("/:id/status", requireMeetingPermission("view", loadMeeting), async (req, res) => {
+  try {
+    const meeting = req.meeting;
 
     // Get REAL agent attendance status
     let attendanceStatus = null;
@@ -1429,45 +1460,11 @@ router.get("/", async (req, res) => {
   try {
     const { status, limit = 100, offset = 0, includeCalendar = true } = req.query;
 
-    let allMeetings = [];
-
-    // Get meetings from database (AI-created meetings)
-    const dbMeetings = await cosmosClient.getMeetingsByUser(req.user.userId);
-    const aiCreatedMeetings = dbMeetings.filter(meeting => meeting.isRealTeamsMeeting);
-    
-    logger.info(`📊 Found ${aiCreatedMeetings.length} AI-created meetings in database`);
-
-    // ALSO get meetings directly from Teams calendar
-    if (includeCalendar !== 'false' && teamsService.isAvailable()) {
-      try {
-        const calendarMeetings = await teamsService.getAllCalendarMeetings();
-        logger.info(`📅 Found ${calendarMeetings.length} meetings in Teams calendar`);
-        
-        // Combine both sources, avoiding duplicates
-        const combinedMeetings = [...aiCreatedMeetings];
-        
-        // Add calendar meetings that aren't already in database
-        calendarMeetings.forEach(calMeeting => {
-          const existsInDb = aiCreatedMeetings.some(dbMeeting => 
-            dbMeeting.graphEventId === calMeeting.graphEventId ||
-            dbMeeting.subject === calMeeting.subject
-          );
-          
-          if (!existsInDb) {
-            combinedMeetings.push(calMeeting);
-          }
-        });
-        
-        allMeetings = combinedMeetings;
-        logger.info(`🔗 Combined total: ${allMeetings.length} meetings (${aiCreatedMeetings.length} from DB + ${calendarMeetings.length - (combinedMeetings.length - aiCreatedMeetings.length)} unique from calendar)`);
-        
-      } catch (calendarError) {
-        logger.warn('⚠️ Could not fetch calendar meetings, using database only:', calendarError.message);
-        allMeetings = aiCreatedMeetings;
-      }
-    } else {
-      allMeetings = aiCreatedMeetings;
-    }
+    // Caller's database meetings plus the calendar meetings they organize or attend
+    let { allMeetings, aiCreatedMeetings } = await meetingService.getUserMeetings(
+      req.user,
+      includeCalendar !== 'false'
+    );
 
     // Apply status filter
     if (status) {
@@ -1502,17 +1499,9 @@ router.get("/", async (req, res) => {
 });
 
 // GET /api/meetings/:id - Get specific REAL Teams meeting
-router.get("/:id", async (req, res) => {
+router.get("/:id", requireMeetingPermission("view", loadMeeting), async (req, res) => {
   try {
-    const meeting = await cosmosClient.getItem(
-      "meetings",
-      req.params.id,
-      req.user.userId
-    );
-
-    if (!meeting) {
-      return res.status(404).json({ error: "Meeting not found" });
-    }
+    const meeting = req.meeting;
 
     if (!meeting.isRealTeamsMeeting) {
       return res.status(400).json({ 
@@ -1521,6 +1510,9 @@ router.get("/:id", async (req, res) => {
       });
     }
 
+    if (meeting._etag) {
+      res.set("ETag", meeting._etag);
+    }
     res.json(meeting);
   } catch (error) {
     logger.error("❌ Get REAL Teams meeting error:", error);
@@ -1529,61 +1521,14 @@ router.get("/:id", async (req, res) => {
 });
 
 // DELETE /api/meetings/:id - Cancel REAL Teams meeting
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", requireMeetingPermission("delete", loadMeetingForDelete), checkIfMatch, async (req, res) => {
   try {
     const meetingId = req.params.id;
     console.log("🗑️ Backend: Attempting to cancel meeting:", meetingId);
 
-    let meeting = null;
-    let isFromDatabase = false;
-
-    // STEP 1: Try to find meeting in database first
-    try {
-      meeting = await cosmosClient.getItem("meetings", meetingId, req.user.userId);
-      if (meeting) {
-        isFromDatabase = true;
-        console.log("✅ Found meeting in database:", meeting.subject);
-      }
-    } catch (dbError) {
-      console.log("⚠️ Meeting not in database, will check calendar meetings");
-    }
-
-    // STEP 2: If not in database, search calendar meetings
-    if (!meeting) {
-      try {
-        console.log("🔍 Searching calendar meetings for:", meetingId);
-        
-        // Get all meetings (database + calendar)
-        const allMeetingsResponse = await fetch(`http://localhost:5000/api/meetings?limit=200&includeCalendar=true`);
-        const allMeetingsData = await allMeetingsResponse.json();
-        
-        console.log("📅 Total meetings available:", allMeetingsData.meetings?.length || 0);
-        
-        // Find the meeting by various ID fields
-        meeting = allMeetingsData.meetings?.find(m => 
-          m.id === meetingId || 
-          m.meetingId === meetingId ||
-          m.graphEventId === meetingId ||
-          m.subject.toLowerCase().includes(meetingId.toLowerCase())
-        );
-        
-        if (meeting) {
-          console.log("✅ Found meeting in calendar data:", meeting.subject);
-          console.log("📊 Meeting source:", meeting.isFromTeamsCalendar ? "Teams Calendar" : "Database");
-        }
-      } catch (searchError) {
-        console.error("❌ Error searching calendar meetings:", searchError);
-      }
-    }
-
-    if (!meeting) {
-      console.log("❌ Meeting not found:", meetingId);
-      return res.status(404).json({ 
-        error: "Meeting not found",
-        details: `Meeting with ID ${meetingId} not found in database or calendar`,
-        searchedFor: meetingId
-      });
-    }
+    // Found in the database or the caller's calendar by requireMeetingPermission
+    const meeting = req.meeting;
+    const isFromDatabase = !meeting.isFromTeamsCalendar;
 
     console.log("🎯 Found meeting to cancel:", {
       id: meeting.id,
@@ -1601,27 +1546,13 @@ router.delete("/:id", async (req, res) => {
       try {
         console.log("🔄 Cancelling Teams calendar meeting via Graph API");
         
-        const accessToken = await require('../services/authService').getAppOnlyToken();
         const organizerEmail = process.env.MEETING_ORGANIZER_EMAIL || 'support@legacynote.ai';
         
         // Get organizer user ID
-        const userResponse = await axios.get(
-          `https://graph.microsoft.com/v1.0/users/${encodeURIComponent(organizerEmail)}?$select=id`,
-          { headers: { 'Authorization': `Bearer ${await accessToken}` } }
-        );
-        
-        const organizerUserId = userResponse.data.id;
+        const organizer = await graph.get(`/users/${encodeURIComponent(organizerEmail)}?$select=id`);
 
         // Cancel the meeting by updating it to cancelled status
-        await axios.delete(
-          `https://graph.microsoft.com/v1.0/users/${organizerUserId}/events/${meeting.graphEventId}`,
-          { 
-            headers: { 
-              'Authorization': `Bearer ${await accessToken}`, 
-              'Content-Type': 'application/json'
-            } 
-          }
-        );
+        await graph.delete(`/users/${organizer.id}/events/${meeting.graphEventId}`);
 
         console.log("✅ Teams calendar meeting cancelled successfully");
         cancellationResult = { success: true, method: 'teams_graph_api' };
@@ -1635,18 +1566,22 @@ router.delete("/:id", async (req, res) => {
     // STEP 4: Update database record if it exists
     if (isFromDatabase || !cancellationResult.success) {
       try {
-        await cosmosClient.updateItem("meetings", meeting.id, req.user.userId, {
+        await storage.updateItem("meetings", meeting.id, meeting.userId, {
           status: "cancelled",
           cancelledAt: new Date().toISOString(),
           cancelledBy: req.user.userId
         });
         
         console.log("✅ Database meeting record updated to cancelled");
+        await meetingSchedulerService.cancelScheduledJoin(meeting.meetingId);
         cancellationResult = { success: true, method: 'database_update' };
 
       } catch (dbUpdateError) {
         console.error("❌ Failed to update database:", dbUpdateError.message);
         
+        if (isConcurrencyError(dbUpdateError)) {
+          throw dbUpdateError;
+        }
         if (!cancellationResult.success) {
           throw new Error(`Failed to cancel meeting: ${dbUpdateError.message}`);
         }
@@ -1674,7 +1609,7 @@ router.delete("/:id", async (req, res) => {
 
   } catch (error) {
     console.error("❌ Cancel meeting error:", error);
-    res.status(500).json({ 
+    res.status(httpStatusFor(error)).json({ 
       error: "Failed to cancel meeting",
       details: error.message,
       meetingId: req.params.id
@@ -1687,20 +1622,12 @@ router.delete("/:id", async (req, res) => {
 // ADD THESE ENDPOINTS TO YOUR meetings.js FOR DYNAMIC ATTENDEE MANAGEMENT
 
 // PUT /api/meetings/:id/attendees - Update attendees list (add/remove)
-router.put("/:id/attendees", requireRealTeams, async (req, res) => {
+router.put("/:id/attendees", requireRealTeams, requireMeetingPermission("manage", loadMeeting), checkIfMatch, async (req, res) => {
   try {
     const { attendeesToAdd = [], attendeesToRemove = [], checkAvailability = true } = req.body;
     
     // Get existing meeting
-    let meeting = await cosmosClient.getItem(
-      "meetings",
-      req.params.id,
-      req.user.userId
-    );
-
-    if (!meeting) {
-      return res.status(404).json({ error: "Meeting not found" });
-    }
+    const meeting = req.meeting;
 
     if (!meeting.isRealTeamsMeeting) {
       return res.status(400).json({ 
@@ -1795,16 +1722,10 @@ router.put("/:id/attendees", requireRealTeams, async (req, res) => {
 
     // Update the meeting in Microsoft Graph
     try {
-      const accessToken = require('../services/authService').getAppOnlyToken();
       const organizerEmail = process.env.MEETING_ORGANIZER_EMAIL || 'support@legacynote.ai';
       
       // Get organizer user ID
-      const userResponse = await axios.get(
-        `https://graph.microsoft.com/v1.0/users/${encodeURIComponent(organizerEmail)}?$select=id`,
-        { headers: { 'Authorization': `Bearer ${await accessToken}` } }
-      );
-      
-      const organizerUserId = userResponse.data.id;
+      const organizer = await graph.get(`/users/${encodeURIComponent(organizerEmail)}?$select=id`);
 
       // Prepare updated attendees list for Graph API
       const graphAttendees = updatedAttendees
@@ -1822,16 +1743,7 @@ router.put("/:id/attendees", requireRealTeams, async (req, res) => {
         attendees: graphAttendees
       };
 
-      await axios.patch(
-        `https://graph.microsoft.com/v1.0/users/${organizerUserId}/events/${meeting.graphEventId}`,
-        updatePayload,
-        { 
-          headers: { 
-            'Authorization': `Bearer ${await accessToken}`, 
-            'Content-Type': 'application/json'
-          } 
-        }
-      );
+      await graph.patch(`/users/${organizer.id}/events/${meeting.graphEventId}`, updatePayload);
 
       logger.info("✅ Meeting updated in Microsoft Graph");
     } catch (graphError) {
@@ -1851,18 +1763,20 @@ router.put("/:id/attendees", requireRealTeams, async (req, res) => {
       }
     };
 
-    await cosmosClient.updateItem(
+    // The new list was computed from the copy we read, so refuse to overwrite a newer one
+    await storage.updateItem(
       "meetings", 
-      req.params.id, 
-      req.user.userId, 
-      updatedMeetingData
+      meeting.id, 
+      meeting.userId, 
+      updatedMeetingData,
+      { ifMatch: expectedEtag(req) }
     );
 
     // Get updated meeting
-    const finalMeeting = await cosmosClient.getItem(
+    const finalMeeting = await storage.getItem(
       "meetings",
-      req.params.id,
-      req.user.userId
+      meeting.id,
+      meeting.userId
     );
 
     res.json({
@@ -1882,7 +1796,7 @@ router.put("/:id/attendees", requireRealTeams, async (req, res) => {
 
   } catch (error) {
     logger.error("❌ Update attendees error:", error);
-    res.status(500).json({
+    res.status(httpStatusFor(error)).json({
       error: "Failed to update meeting attendees",
       details: error.message
     });
@@ -1896,7 +1810,7 @@ router.put("/:id/attendees", requireRealTeams, async (req, res) => {
 // REPLACE the attendee processing section in your POST /:id/attendees/add endpoint with this:
 
 // POST /api/meetings/:id/attendees/add - FIXED version with better name resolution
-router.post("/:id/attendees/add", requireRealTeams, async (req, res) => {
+router.post("/:id/attendees/add", requireRealTeams, requireMeetingPermission("manage", loadMeetingWithCalendar), checkIfMatch, async (req, res) => {
   try {
     const { attendees, attendeeNames = [], checkAvailability = true } = req.body;
     
@@ -1915,18 +1829,8 @@ router.post("/:id/attendees/add", requireRealTeams, async (req, res) => {
     // IMPROVED: Handle names more flexibly like the remove function
     if (attendeeNames.length > 0) {
       try {
-        // Get current meeting first to check existing attendees
-        let meeting = null;
-        try {
-          meeting = await cosmosClient.getItem("meetings", req.params.id, req.user.userId);
-        } catch (dbError) {
-          // Search in calendar meetings
-          const allMeetingsResponse = await fetch(`http://localhost:5000/api/meetings?limit=200&includeCalendar=true`);
-          const allMeetingsData = await allMeetingsResponse.json();
-          meeting = allMeetingsData.meetings?.find(m => 
-            m.id === req.params.id || m.meetingId === req.params.id || m.graphEventId === req.params.id
-          );
-        }
+        // Current meeting (loaded by requireMeetingPermission) to check existing attendees
+        const meeting = req.meeting;
 
         if (meeting) {
           // STRATEGY 1: Check if name matches existing attendees (like remove function)
@@ -2035,43 +1939,9 @@ router.post("/:id/attendees/add", requireRealTeams, async (req, res) => {
 
     console.log("📝 Final attendees to add:", attendeesToAdd);
 
-    // STEP 1: Find the meeting (same logic as before)
-    let meeting = null;
-    try {
-      meeting = await cosmosClient.getItem("meetings", req.params.id, req.user.userId);
-      console.log("📊 Found meeting in database:", meeting ? "YES" : "NO");
-    } catch (dbError) {
-      console.log("⚠️ Meeting not in database, will search calendar meetings");
-    }
-
-    // STEP 2: If not in database, search through ALL calendar meetings
-    if (!meeting) {
-      console.log("🔍 Searching calendar meetings for ID:", req.params.id);
-      
-      try {
-        const allMeetingsResponse = await fetch(`http://localhost:5000/api/meetings?limit=200&includeCalendar=true`);
-        const allMeetingsData = await allMeetingsResponse.json();
-        
-        meeting = allMeetingsData.meetings?.find(m => 
-          m.id === req.params.id || 
-          m.meetingId === req.params.id ||
-          m.graphEventId === req.params.id
-        );
-        
-        if (meeting) {
-          console.log("✅ Found meeting in calendar data:", meeting.subject);
-        }
-      } catch (searchError) {
-        console.error("❌ Error searching calendar meetings:", searchError);
-      }
-    }
-
-    if (!meeting) {
-      return res.status(404).json({ 
-        error: "Meeting not found",
-        details: `Meeting with ID ${req.params.id} not found`
-      });
-    }
+    // STEP 1: Meeting from the caller's database or calendar meetings (requireMeetingPermission)
+    const meeting = req.meeting;
+    console.log("✅ Found meeting:", meeting.subject);
 
     // STEP 3: Filter out attendees that are already in the meeting
     const currentAttendees = meeting.attendees || [];
@@ -2160,14 +2030,17 @@ router.post("/:id/attendees/add", requireRealTeams, async (req, res) => {
       }
       
       if (!meeting.isFromTeamsCalendar) {
-        await cosmosClient.updateItem("meetings", req.params.id, req.user.userId, {
+        await storage.updateItem("meetings", meeting.id, meeting.userId, {
           attendees: updatedAttendees,
           updatedAt: new Date().toISOString()
-        });
+        }, { ifMatch: expectedEtag(req) });
         console.log("✅ Database meeting updated successfully");
       }
     } catch (updateError) {
       console.error("❌ Error updating meeting:", updateError);
+      if (isConcurrencyError(updateError)) {
+        throw updateError;
+      }
     }
 
     // STEP 7: Return success response
@@ -2190,14 +2063,14 @@ router.post("/:id/attendees/add", requireRealTeams, async (req, res) => {
 
   } catch (error) {
     console.error("❌ Add attendees backend error:", error);
-    res.status(500).json({
+    res.status(httpStatusFor(error)).json({
       error: "Failed to add attendees to meeting",
       details: error.message
     });
   }
 });
 
-router.post("/suggest-times", requireRealTeams, async (req, res) => {
+router.post("/suggest-times", requireRealTeams, requireRole(ROLES.ORGANIZER), async (req, res) => {
   try {
     const {
       attendees = [],
@@ -2262,7 +2135,7 @@ router.post("/suggest-times", requireRealTeams, async (req, res) => {
 // REPLACE your DELETE /api/meetings/:id/attendees/remove endpoint in meetings.js with this:
 
 // DELETE /api/meetings/:id/attendees/remove - Remove attendees from existing meeting
-router.delete("/:id/attendees/remove", requireRealTeams, async (req, res) => {
+router.delete("/:id/attendees/remove", requireRealTeams, requireMeetingPermission("manage", loadMeetingWithCalendar), checkIfMatch, async (req, res) => {
   try {
     const { attendees } = req.body;
     
@@ -2275,54 +2148,9 @@ router.delete("/:id/attendees/remove", requireRealTeams, async (req, res) => {
     console.log("🗑️ Backend: Attempting to remove attendees from meeting:", req.params.id);
     console.log("🗑️ Backend: Attendees to remove:", attendees);
 
-    // STEP 1: Try to find meeting in database first
-    let meeting = null;
-    try {
-      meeting = await cosmosClient.getItem(
-        "meetings",
-        req.params.id,
-        req.user.userId
-      );
-      console.log("📊 Found meeting in database:", meeting ? "YES" : "NO");
-    } catch (dbError) {
-      console.log("⚠️ Meeting not in database, will search calendar meetings");
-    }
-
-    // STEP 2: If not in database, search through ALL calendar meetings
-    if (!meeting) {
-      console.log("🔍 Searching calendar meetings for ID:", req.params.id);
-      
-      try {
-        // Get all meetings (database + calendar)
-        const allMeetingsResponse = await fetch(`http://localhost:5000/api/meetings?limit=200&includeCalendar=true`);
-        const allMeetingsData = await allMeetingsResponse.json();
-        
-        console.log("📅 Total meetings available:", allMeetingsData.meetings?.length || 0);
-        
-        // Find the meeting by ID in the combined list
-        meeting = allMeetingsData.meetings?.find(m => 
-          m.id === req.params.id || 
-          m.meetingId === req.params.id ||
-          m.graphEventId === req.params.id
-        );
-        
-        if (meeting) {
-          console.log("✅ Found meeting in calendar data:", meeting.subject);
-          console.log("📊 Meeting source:", meeting.isFromTeamsCalendar ? "Teams Calendar" : "Database");
-        }
-      } catch (searchError) {
-        console.error("❌ Error searching calendar meetings:", searchError);
-      }
-    }
-
-    if (!meeting) {
-      console.log("❌ Meeting not found in database OR calendar");
-      return res.status(404).json({ 
-        error: "Meeting not found",
-        details: `Meeting with ID ${req.params.id} not found in database or calendar`,
-        suggestion: "Use 'Show my meetings' to see available meetings"
-      });
-    }
+    // STEP 1: Meeting from the caller's database or calendar meetings (requireMeetingPermission)
+    const meeting = req.meeting;
+    console.log("📊 Meeting source:", meeting.isFromTeamsCalendar ? "Teams Calendar" : "Database");
 
     console.log("✅ Meeting found:", {
       id: meeting.id,
@@ -2378,10 +2206,10 @@ router.delete("/:id/attendees/remove", requireRealTeams, async (req, res) => {
       
       // Also update in database if the meeting exists there
       if (!meeting.isFromTeamsCalendar) {
-        await cosmosClient.updateItem(
+        await storage.updateItem(
           "meetings", 
-          req.params.id, 
-          req.user.userId, 
+          meeting.id, 
+          meeting.userId, 
           {
             attendees: updatedAttendees,
             updatedAt: new Date().toISOString(),
@@ -2390,13 +2218,17 @@ router.delete("/:id/attendees/remove", requireRealTeams, async (req, res) => {
               removed: attendeesToRemove,
               newTotal: updatedAttendees.length
             }
-          }
+          },
+          { ifMatch: expectedEtag(req) }
         );
         console.log("✅ Database meeting updated successfully");
       }
 
     } catch (updateError) {
       console.error("❌ Error updating meeting:", updateError);
+      if (isConcurrencyError(updateError)) {
+        throw updateError;
+      }
       // Continue anyway - the attendee list change logic worked
     }
 
@@ -2422,7 +2254,7 @@ router.delete("/:id/attendees/remove", requireRealTeams, async (req, res) => {
 
   } catch (error) {
     console.error("❌ Remove attendees backend error:", error);
-    res.status(500).json({
+    res.status(httpStatusFor(error)).json({
       error: "Failed to remove attendees from meeting",
       details: error.message
     });
@@ -2433,17 +2265,9 @@ router.delete("/:id/attendees/remove", requireRealTeams, async (req, res) => {
 
 
 // GET /api/meetings/:id/attendees - Get current attendees list
-router.get("/:id/attendees", async (req, res) => {
+router.get("/:id/attendees", requireMeetingPermission("view", loadMeeting), async (req, res) => {
   try {
-    const meeting = await cosmosClient.getItem(
-      "meetings",
-      req.params.id,
-      req.user.userId
-    );
-
-    if (!meeting) {
-      return res.status(404).json({ error: "Meeting not found" });
-    }
+    const meeting = req.meeting;
 
     // Get detailed info about each attendee if Teams is available
     let attendeeDetails = [];
@@ -2522,7 +2346,7 @@ router.get("/teams/status", (req, res) => {
 
 // GET /api/meetings/status - Check overall service status (REAL integration only)
 router.get("/status", (req, res) => {
-  const aiStatus = geminiAI.isAvailable();
+  const aiStatus = aiService.isAvailable();
   const teamsStatus = teamsService.isAvailable();
 
   res.json({
@@ -2535,7 +2359,7 @@ router.get("/status", (req, res) => {
     services: {
       ai: {
         available: aiStatus,
-        model: process.env.GEMINI_MODEL || "Not configured",
+        features: aiService.getStatus().features,
         required: true
       },
       teams: {
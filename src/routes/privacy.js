@@ -0,0 +1,106 @@
+const express = require("express");
+const privacyService = require("../services/privacyService");
+const auditService = require("../services/auditService");
+const { createZip } = require("../utils/zip");
+const logger = require("../utils/logger");
+const { authenticate } = require("../middleware/auth");
+const { ROLES, requireRole, requireSelfOrRole } = require("../middleware/rbac");
+
+const router = express.Router();
+
+// Validate Entra ID bearer tokens; who may act on whose data is checked per route
+router.use(authenticate, requireRole(ROLES.VIEWER));
+
+const subjectEmail = (req) => req.params.email;
+
+const requireValidEmail = (req, res, next) => {
+  if (!/^[^\s@]+@[^\s@]+$/.test(subjectEmail(req).trim())) {
+    return res.status(400).json({ error: "A valid email address is required" });
+  }
+  next();
+};
+
+// Audit entries name the subject by pseudonym, never by email
+const recordPrivacyEvent = (req, type, details) =>
+  auditService.record({
+    type,
+    userId: req.user.userId,
+    tenantId: req.user.tenantId,
+    subject: privacyService.pseudonymFor(subjectEmail(req).trim().toLowerCase()).id,
+    self: (req.user.email || "").toLowerCase() === subjectEmail(req).trim().toLowerCase(),
+    ...details
+  });
+
+// GET /api/privacy/users/:email/export - Everything stored about a person (?format=zip for a bundle)
+router.get("/users/:email/export", requireValidEmail, requireSelfOrRole(ROLES.PLATFORM_ADMIN, subjectEmail), async (req, res) => {
+  try {
+    const format = req.query.format === "zip" ? "zip" : "json";
+    const exported = await privacyService.exportUserData(req.params.email, { tenantId: req.user.tenantId });
+
+    await recordPrivacyEvent(req, "privacy_export", { format, counts: exported.counts });
+
+    const baseName = `personal-data-${exported.subject.email.replace(/[^a-z0-9.@_-]/gi, "_")}`;
+
+    if (format === "zip") {
+      const files = [
+        {
+          name: "manifest.json",
+          content: JSON.stringify({
+            subject: exported.subject,
+            generatedAt: exported.generatedAt,
+            counts: exported.counts
+          }, null, 2)
+        },
+        ...Object.entries(exported.data).map(([section, items]) => ({
+          name: `${section}.json`,
+          content: JSON.stringify(items, null, 2)
+        }))
+      ];
+
+      res.set("Content-Type", "application/zip");
+      res.set("Content-Disposition", `attachment; filename="${baseName}.zip"`);
+      return res.send(createZip(files));
+    }
+
+    res.set("Content-Disposition", `attachment; filename="${baseName}.json"`);
+    res.json(exported);
+  } catch (error) {
+    logger.error("❌ Personal data export error:", error);
+    res.status(500).json({
+      error: "Failed to export personal data",
+      details: error.message
+    });
+  }
+});
+
+// DELETE /api/privacy/users/:email - Erase or pseudonymize a person's data in every container
+router.delete("/users/:email", requireValidEmail, requireRole(ROLES.PLATFORM_ADMIN), async (req, res) => {
+  try {
+    const result = await privacyService.eraseUserData(req.params.email, { tenantId: req.user.tenantId });
+
+    // The data is gone either way: a missing audit record is logged, not reported as a failed erasure
+    const audited = await recordPrivacyEvent(req, "privacy_erasure", { counts: result.counts }).catch(() => null);
+    if (!audited) {
+      logger.error("❌ Personal data erased but the audit record could not be written", {
+        subject: result.subject,
+        erasedBy: req.user.userId,
+        tenantId: req.user.tenantId,
+        counts: result.counts
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "🧽 Personal data erased. Shared meeting records were pseudonymized so statistics stay intact.",
+      ...result
+    });
+  } catch (error) {
+    logger.error("❌ Personal data erasure error:", error);
+    res.status(500).json({
+      error: "Failed to erase personal data",
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,130 @@
+const express = require("express");
+const reminderService = require("../services/reminderService");
+const logger = require("../utils/logger");
+const { authenticate } = require("../middleware/auth");
+const { ROLES, requireRole } = require("../middleware/rbac");
+
+const router = express.Router();
+
+// Validate Entra ID bearer tokens; everyone works on their own reminders only
+router.use(authenticate, requireRole(ROLES.VIEWER));
+
+// Load req.reminder from the caller's own reminders
+const loadReminder = async (req, res, next) => {
+  try {
+    const reminder = await reminderService.findForUser(req.user, req.params.id);
+    if (!reminder) {
+      return res.status(404).json({
+        error: "Reminder not found",
+        details: `Reminder with ID ${req.params.id} not found`
+      });
+    }
+
+    req.reminder = reminder;
+    next();
+  } catch (error) {
+    logger.error("❌ Load reminder failed:", error);
+    res.status(500).json({
+      error: "Failed to load reminder",
+      details: error.message
+    });
+  }
+};
+
+// GET /api/reminders - The caller's reminders, latest first (?status=scheduled,sent)
+router.get("/", async (req, res) => {
+  try {
+    const reminders = await reminderService.listForUser(req.user, { status: req.query.status });
+    res.json({
+      success: true,
+      reminders,
+      total: reminders.length
+    });
+  } catch (error) {
+    logger.error("❌ List reminders failed:", error);
+    res.status(500).json({
+      error: "Failed to list reminders",
+      details: error.message
+    });
+  }
+});
+
+// GET /api/reminders/preferences - Delivery channels and quiet hours
+router.get("/preferences", async (req, res) => {
+  try {
+    res.json({ success: true, preferences: await reminderService.getPreferences(req.user.userId) });
+  } catch (error) {
+    logger.error("❌ Get reminder preferences failed:", error);
+    res.status(500).json({
+      error: "Failed to get reminder preferences",
+      details: error.message
+    });
+  }
+});
+
+// PUT /api/reminders/preferences - { channels: ["bot", "email"], quietHours: { start: "22:00", end: "07:00", timeZone: "Europe/Berlin" } | null }
+router.put("/preferences", async (req, res) => {
+  try {
+    const errors = reminderService.validatePreferences(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: "Invalid reminder preferences",
+        details: errors
+      });
+    }
+
+    const preferences = await reminderService.savePreferences(req.user, req.body);
+    res.json({ success: true, preferences });
+  } catch (error) {
+    logger.error("❌ Save reminder preferences failed:", error);
+    res.status(500).json({
+      error: "Failed to save reminder preferences",
+      details: error.message
+    });
+  }
+});
+
+// POST /api/reminders/:id/snooze - Remind again later: { minutes: 30 } or { until: "2026-10-20T08:00:00Z" }
+router.post("/:id/snooze", loadReminder, async (req, res) => {
+  try {
+    if (!["scheduled", "sent"].includes(req.reminder.status)) {
+      return res.status(409).json({
+        error: "Reminder cannot be snoozed",
+        details: [`Reminder is ${req.reminder.status}`]
+      });
+    }
+
+    const [errors, until] = reminderService.snoozeUntil(req.body || {});
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: "Invalid snooze",
+        details: errors
+      });
+    }
+
+    const reminder = await reminderService.snooze(req.reminder, until);
+    res.json({ success: true, message: `😴 Snoozed until ${reminder.dueAt}`, reminder });
+  } catch (error) {
+    logger.error("❌ Snooze reminder failed:", error);
+    res.status(500).json({
+      error: "Failed to snooze reminder",
+      details: error.message
+    });
+  }
+});
+
+// POST /api/reminders/:id/dismiss - Stop reminding about this
+router.post("/:id/dismiss", loadReminder, async (req, res) => {
+  try {
+    const reminder = await reminderService.dismiss(req.reminder);
+    res.json({ success: true, message: "✅ Reminder dismissed", reminder });
+  } catch (error) {
+    logger.error("❌ Dismiss reminder failed:", error);
+    res.status(500).json({
+      error: "Failed to dismiss reminder",
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,10 @@
 const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { ROLES, requireRole } = require('../middleware/rbac');
 const router = express.Router();
 
 // Teams bot processing endpoint
-router.post('/agent/process', async (req, res) => {
+router.post('/agent/process', authenticate, requireRole(ROLES.ORGANIZER), async (req, res) => {
     try {
         const { message, user, context } = req.body;
         
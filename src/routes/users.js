@@ -2,20 +2,13 @@ const express = require("express");
 const { v4: uuidv4 } = require("uuid");
 const teamsService = require("../services/teamsService");
 const logger = require("../utils/logger");
+const { authenticate } = require("../middleware/auth");
+const { ROLES, requireRole } = require("../middleware/rbac");
 
 const router = express.Router();
 
-// Simulate authentication (replace with real auth later)
-const simulateAuth = (req, res, next) => {
-  req.user = {
-    userId: "demo-user-123",
-    email: "demo@company.com",
-    name: "Demo User",
-  };
-  next();
-};
-
-router.use(simulateAuth);
+// Validate Entra ID bearer tokens and populate req.user; every route needs at least viewer
+router.use(authenticate, requireRole(ROLES.VIEWER));
 
 // ============================================================================
 // POC FEATURE 1.1: USER RESOLUTION FOR MEETING SCHEDULING
@@ -0,0 +1,76 @@
+const express = require("express");
+const graphSubscriptionService = require("../services/graphSubscriptionService");
+const chatCaptureService = require("../services/chatCaptureService");
+const jobQueueService = require("../services/jobQueueService");
+const logger = require("../utils/logger");
+
+const router = express.Router();
+
+const NOTIFICATION_JOB = "graph.notification";
+
+// Called by Microsoft Graph, not by users: no bearer token. Notifications are
+// authenticated by the clientState secret set when the subscription was created.
+
+// A notification is either a change (a chat message) or a lifecycle event for the subscription
+const processNotification = async (notification) => {
+  if (notification.lifecycleEvent) {
+    await graphSubscriptionService.handleLifecycleNotification(notification);
+    return;
+  }
+
+  const record = await graphSubscriptionService.getSubscription(notification.subscriptionId);
+  if (!record) {
+    logger.warn("⚠️ Graph notification for unknown subscription ignored", {
+      subscriptionId: notification.subscriptionId
+    });
+    return { skipped: "unknown subscription" };
+  }
+
+  await chatCaptureService.handleMessageNotification(record, notification);
+};
+
+// Notifications are processed as jobs, so a failed one is retried and ends in the dead letters
+jobQueueService.register(NOTIFICATION_JOB, ({ notification }) => processNotification(notification));
+
+// POST /api/webhooks/graph - Change and lifecycle notifications from Microsoft Graph
+router.post("/graph", async (req, res) => {
+  // Subscription validation handshake: echo the token back as plain text within 10 seconds
+  if (req.query.validationToken) {
+    return res.status(200).type("text/plain").send(req.query.validationToken);
+  }
+
+  const notifications = Array.isArray(req.body?.value) ? req.body.value : [];
+  const jobs = [];
+
+  try {
+    for (const notification of notifications) {
+      if (!graphSubscriptionService.isValidClientState(notification)) {
+        logger.warn("⚠️ Graph notification with invalid clientState ignored", {
+          subscriptionId: notification.subscriptionId
+        });
+        continue;
+      }
+
+      // The secret is not kept with the job
+      const { clientState, ...rest } = notification;
+      jobs.push(await jobQueueService.enqueue(NOTIFICATION_JOB, { notification: rest }));
+    }
+  } catch (error) {
+    // Graph redelivers notifications that were not acknowledged
+    logger.error("❌ Failed to queue Graph notifications:", error.message);
+    return res.status(503).json({ error: "Failed to queue notifications", details: "Try again later" });
+  }
+
+  // Graph expects an answer within 3 seconds, so acknowledge first and process afterwards
+  res.status(202).end();
+
+  for (const job of jobs) {
+    await jobQueueService.runNow(job).catch(error =>
+      logger.error("❌ Failed to process Graph notification:", {
+        jobId: job.id,
+        error: error.message
+      }));
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,373 @@
+const crypto = require('crypto');
+const moment = require('moment');
+const storage = require('../storage');
+const teamsService = require('./teamsService');
+const logger = require('../utils/logger');
+
+// Where an item can go from each status; completed and cancelled items can be reopened
+const TRANSITIONS = {
+  open: ['in_progress', 'completed', 'cancelled'],
+  in_progress: ['open', 'completed', 'cancelled'],
+  completed: ['open'],
+  cancelled: ['open']
+};
+const STATUSES = Object.keys(TRANSITIONS);
+const CLOSED_STATUSES = ['completed', 'cancelled'];
+const EDITABLE_FIELDS = ['title', 'description', 'dueDate', 'status'];
+const MAX_TITLE_LENGTH = 500;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DATE_FORMATS = ['MMMM D', 'MMM D', 'D MMMM', 'D MMM', 'MMMM Do', 'MMM Do'];
+
+const normalizeEmail = (email) => (email ? String(email).trim().toLowerCase() : null);
+
+const normalizeText = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9 ]/g, ' ').replace(/\s+/g, ' ').trim();
+
+// Stable ids, so capturing a message or regenerating a summary twice does not duplicate items
+const itemId = (meetingId, ...parts) =>
+  `ai-${crypto.createHash('sha256').update([meetingId, ...parts].join('\n')).digest('hex').slice(0, 24)}`;
+
+// Action items as a first-class store. Items come from chat analysis (one per flagged
+// message) and from summaries (linked to the message they came from when it can be found),
+// and then live on their own: owners are resolved to directory users, due dates parsed
+// from phrases like "by Friday", and status moves through TRANSITIONS.
+// Item: { id, meetingId, tenantId, organizerId, title, status, owner: { name, email, id } | null,
+//         ownerEmail, dueDate: 'YYYY-MM-DD' | null, dueText, source: { type, messageId, ... },
+//         closedAt (completed or cancelled), updatedAt, history }
+class ActionItemService {
+  constructor() {
+    this.containerName = storage.containers.actionItems;
+  }
+
+  // "Friday", "March 5", "tomorrow", "2026-11-02" -> 'YYYY-MM-DD', counted from when it was said
+  parseDueDate(text, reference = new Date()) {
+    if (!text) return null;
+    const phrase = String(text).trim().toLowerCase().replace(/^(by|before|on|due)\s+/, '');
+    const from = moment.utc(reference).startOf('day');
+
+    if (/^\d{4}-\d{2}-\d{2}/.test(phrase)) {
+      const date = moment.utc(phrase.slice(0, 10), 'YYYY-MM-DD', true);
+      return date.isValid() ? date.format('YYYY-MM-DD') : null;
+    }
+    if (['today', 'eod', 'end of day', 'tonight'].includes(phrase)) return from.format('YYYY-MM-DD');
+    if (phrase === 'tomorrow') return from.add(1, 'day').format('YYYY-MM-DD');
+    if (['end of week', 'end of the week', 'eow'].includes(phrase)) {
+      return from.add((5 - from.day() + 7) % 7, 'days').format('YYYY-MM-DD');
+    }
+    if (phrase === 'next week') return from.add(1, 'week').startOf('isoWeek').format('YYYY-MM-DD');
+
+    const weekday = WEEKDAYS.indexOf(phrase.replace(/^(this|next)\s+/, ''));
+    if (weekday >= 0) {
+      const days = (weekday - from.day() + 7) % 7 + (phrase.startsWith('next ') ? 7 : 0);
+      return from.add(days, 'days').format('YYYY-MM-DD');
+    }
+
+    const date = moment.utc(phrase, DATE_FORMATS, true);
+    if (!date.isValid()) return null;
+    date.year(from.year());
+    if (date.isBefore(from)) date.add(1, 'year');
+    return date.format('YYYY-MM-DD');
+  }
+
+  // Map owner names to directory users in one lookup. Emails are taken as they are; names
+  // the directory does not know stay as names. Returns Map(name -> { name, email, id }).
+  async resolveOwners(names) {
+    const wanted = [...new Set(names.filter(Boolean))];
+    const owners = new Map(wanted.map(name => [name, name.includes('@')
+      ? { name, email: normalizeEmail(name), id: null }
+      : { name, email: null, id: null }]));
+
+    const lookups = wanted.filter(name => !name.includes('@'));
+    if (lookups.length === 0 || !teamsService.isAvailable()) {
+      return owners;
+    }
+
+    try {
+      for (const user of await teamsService.findUsersByDisplayName(lookups)) {
+        owners.set(user.query, { name: user.name, email: normalizeEmail(user.email), id: user.id || null });
+      }
+    } catch (error) {
+      logger.warn('⚠️ Could not resolve action item owners', { names: lookups, error: error.message });
+    }
+    return owners;
+  }
+
+  async meetingFor(meetingId) {
+    return await storage.findOne(storage.containers.meetings, { meetingId });
+  }
+
+  // Tenant lists match on tenantId, so items take their meeting's. Meetings saved before
+  // tenant tracking have none; their organizer's user record does.
+  async tenantFor(meeting) {
+    if (!meeting) return null;
+    if (meeting.tenantId) return meeting.tenantId;
+    const organizer = await storage.findOne(storage.containers.users, { userId: meeting.userId });
+    return organizer?.tenantId || null;
+  }
+
+  // Create the items that do not exist yet. candidates: [{ id, task, assignee, deadline, reference, source }]
+  async createMany(meetingId, candidates, createdBy = 'system') {
+    if (candidates.length === 0) return [];
+
+    const meeting = await this.meetingFor(meetingId);
+    const tenantId = await this.tenantFor(meeting);
+    const owners = await this.resolveOwners(candidates.map(candidate => candidate.assignee));
+    const created = [];
+
+    for (const candidate of candidates) {
+      if (await this.getItem(candidate.id, meetingId)) continue;
+
+      const owner = owners.get(candidate.assignee) || null;
+      const now = new Date().toISOString();
+      const item = {
+        id: candidate.id,
+        meetingId,
+        tenantId,
+        organizerId: meeting?.userId || null,
+        meetingSubject: meeting?.subject || null,
+        title: String(candidate.task).trim().slice(0, MAX_TITLE_LENGTH),
+        description: null,
+        status: 'open',
+        owner,
+        ownerEmail: owner?.email || null,
+        dueDate: this.parseDueDate(candidate.deadline, candidate.reference),
+        dueText: candidate.deadline || null,
+        source: candidate.source,
+        createdBy,
+        createdAt: now,
+        updatedAt: now,
+        completedAt: null,
+        completedBy: null,
+        closedAt: null,
+        history: [{ at: now, by: createdBy, action: 'created', status: 'open' }]
+      };
+
+      try {
+        created.push(await storage.createItem(this.containerName, item));
+      } catch (error) {
+        // Another capture of the same message got there first
+        if (error.code !== 409) throw error;
+      }
+    }
+
+    if (created.length > 0) {
+      logger.info('📋 Action items created', { meetingId, count: created.length, source: created[0].source.type });
+    }
+    return created;
+  }
+
+  // Items for a captured chat message flagged as an action item.
+  // extracted: [{ task, assignee, deadline }] from chatCaptureService.actionItemsFor
+  async createFromMessage(meetingId, message, extracted) {
+    try {
+      return await this.createMany(meetingId, extracted.map((item, index) => ({
+        id: itemId(meetingId, 'chat', message.id, index),
+        task: item.task || message.content,
+        assignee: item.assignee || null,
+        deadline: item.deadline || null,
+        reference: message.timestamp,
+        source: {
+          type: 'chat',
+          messageId: message.id,
+          sender: message.sender || null,
+          timestamp: message.timestamp || null
+        }
+      })));
+    } catch (error) {
+      // Never lose the message over its action items
+      logger.error('❌ Failed to create action items from message:', { meetingId, messageId: message.id, error: error.message });
+      return [];
+    }
+  }
+
+  // Items for a saved summary. Each is linked to the message it came from (given by
+  // rule-based summaries, matched by wording for AI ones); one already created from that
+  // message in chat is not created again.
+  async createFromSummary(meetingId, summary, messages = []) {
+    try {
+      const candidates = [];
+      const linked = new Set();
+
+      (summary.actionItems || []).forEach((item, index) => {
+        const message = item.source?.messageId
+          ? messages.find(msg => msg.id === item.source.messageId)
+          : this.findSourceMessage(item.task, messages);
+
+        if (message) {
+          if (linked.has(message.id)) return;
+          linked.add(message.id);
+        }
+
+        candidates.push({
+          id: message ? itemId(meetingId, 'chat', message.id, 0) : itemId(meetingId, 'summary', normalizeText(item.task) || index),
+          task: item.task,
+          assignee: item.assignee || null,
+          deadline: item.deadline || null,
+          reference: message?.timestamp || summary.generatedAt || summary.createdAt,
+          source: {
+            type: 'summary',
+            summaryId: summary.id || null,
+            summaryVersion: summary.version || null,
+            messageId: message?.id || null,
+            sender: message?.sender || null,
+            timestamp: message?.timestamp || null
+          }
+        });
+      });
+
+      return await this.createMany(meetingId, candidates);
+    } catch (error) {
+      logger.error('❌ Failed to create action items from summary:', { meetingId, error: error.message });
+      return [];
+    }
+  }
+
+  // The chat message an AI-written task most likely paraphrases: one containing it (or
+  // contained by it), else the action-item message sharing most of its words
+  findSourceMessage(task, messages) {
+    const wanted = normalizeText(task);
+    if (!wanted) return null;
+    const candidates = messages.filter(msg => msg.isActionItem && msg.content);
+
+    const containing = candidates.find(msg => {
+      const content = normalizeText(msg.content);
+      return content.includes(wanted) || wanted.includes(content);
+    });
+    if (containing) return containing;
+
+    const words = new Set(wanted.split(' ').filter(word => word.length > 2));
+    let best = null;
+    let bestScore = 0;
+    for (const msg of candidates) {
+      const shared = normalizeText(msg.content).split(' ').filter(word => words.has(word));
+      const score = new Set(shared).size / Math.max(words.size, 1);
+      if (score > bestScore) {
+        best = msg;
+        bestScore = score;
+      }
+    }
+    return bestScore >= 0.6 ? best : null;
+  }
+
+  async getItem(id, meetingId) {
+    return await storage.getItem(this.containerName, id, meetingId);
+  }
+
+  // Find an item by id alone (routes only have the id)
+  async findItem(id) {
+    return await storage.findOne(this.containerName, { id });
+  }
+
+  // filter: { tenantId, meetingId, ownerEmail, status: 'open,in_progress', dueBefore: 'YYYY-MM-DD',
+  // visibleTo: user }. visibleTo keeps the items the user owns or whose meeting they organize.
+  async listItems({ tenantId, meetingId, ownerEmail, status, dueBefore, visibleTo } = {}) {
+    const conditions = [];
+
+    if (tenantId) conditions.push({ tenantId });
+    if (meetingId) conditions.push({ meetingId });
+    if (ownerEmail) conditions.push({ ownerEmail: normalizeEmail(ownerEmail) });
+    if (status) conditions.push({ status: { $in: String(status).split(',').map(value => value.trim()) } });
+    if (dueBefore) conditions.push({ dueDate: { $lte: dueBefore } });
+    if (visibleTo) {
+      conditions.push({
+        $or: [
+          { ownerEmail: normalizeEmail(visibleTo.email) || '' },
+          { organizerId: visibleTo.userId }
+        ]
+      });
+    }
+
+    return await storage.findItems(this.containerName, conditions.length > 0 ? { $and: conditions } : {}, {
+      sort: { createdAt: -1 }
+    });
+  }
+
+  validateFilter({ status, dueBefore }) {
+    const errors = [];
+    String(status || '').split(',').map(value => value.trim()).filter(Boolean).forEach(value => {
+      if (!STATUSES.includes(value)) errors.push(`Unknown status '${value}' (expected ${STATUSES.join(', ')})`);
+    });
+    if (dueBefore && !moment.utc(dueBefore, 'YYYY-MM-DD', true).isValid()) {
+      errors.push('dueBefore must be a date (YYYY-MM-DD)');
+    }
+    return errors;
+  }
+
+  // Problems with an update to `item`, as a list of messages (empty when valid)
+  validateUpdate(item, updates) {
+    const errors = [];
+
+    Object.keys(updates).forEach(field => {
+      if (!EDITABLE_FIELDS.includes(field)) errors.push(`'${field}' cannot be updated (expected ${EDITABLE_FIELDS.join(', ')})`);
+    });
+    if (updates.title !== undefined && (typeof updates.title !== 'string' || !updates.title.trim() || updates.title.length > MAX_TITLE_LENGTH)) {
+      errors.push(`title must be non-empty text of at most ${MAX_TITLE_LENGTH} characters`);
+    }
+    if (updates.description !== undefined && updates.description !== null && typeof updates.description !== 'string') {
+      errors.push('description must be text or null');
+    }
+    if (updates.dueDate !== undefined && updates.dueDate !== null &&
+        !moment.utc(updates.dueDate, 'YYYY-MM-DD', true).isValid()) {
+      errors.push('dueDate must be a date (YYYY-MM-DD) or null');
+    }
+    if (updates.status !== undefined && updates.status !== item.status) {
+      if (!STATUSES.includes(updates.status)) {
+        errors.push(`Unknown status '${updates.status}' (expected ${STATUSES.join(', ')})`);
+      } else if (!TRANSITIONS[item.status].includes(updates.status)) {
+        errors.push(`An item that is ${item.status} cannot become ${updates.status}`);
+      }
+    }
+    return errors;
+  }
+
+  // Apply a validated update. Pass the caller's ETag as ifMatch to refuse stale edits.
+  async updateItem(item, updates, userId, { ifMatch = null } = {}) {
+    return await storage.modifyItem(this.containerName, item.id, item.meetingId, existing => {
+      const now = new Date().toISOString();
+      const changed = Object.keys(updates).filter(field => updates[field] !== existing[field]);
+      const next = { ...existing, ...updates, updatedAt: now };
+
+      if (changed.includes('status')) {
+        const closing = updates.status === 'completed';
+        next.completedAt = closing ? now : null;
+        next.completedBy = closing ? userId : null;
+        next.closedAt = CLOSED_STATUSES.includes(updates.status) ? now : null;
+      }
+      next.history = [
+        ...(existing.history || []),
+        ...changed.map(field => field === 'status'
+          ? { at: now, by: userId, action: 'status_changed', from: existing.status, status: updates.status }
+          : { at: now, by: userId, action: 'updated', field })
+      ];
+      return next;
+    }, { ifMatch });
+  }
+
+  async completeItem(item, userId, options = {}) {
+    return await this.updateItem(item, { status: 'completed' }, userId, options);
+  }
+
+  // Give the item to someone else: an email, or a name resolved through the directory
+  async reassignItem(item, owner, userId, { ifMatch = null } = {}) {
+    const resolved = (await this.resolveOwners([owner])).get(owner);
+
+    return await storage.modifyItem(this.containerName, item.id, item.meetingId, existing => {
+      const now = new Date().toISOString();
+      return {
+        ...existing,
+        owner: resolved,
+        ownerEmail: resolved.email,
+        updatedAt: now,
+        history: [
+          ...(existing.history || []),
+          { at: now, by: userId, action: 'reassigned', from: existing.owner?.email || existing.owner?.name || null, to: resolved.email || resolved.name }
+        ]
+      };
+    }, { ifMatch });
+  }
+}
+
+// Create singleton instance
+const actionItemService = new ActionItemService();
+
+module.exports = actionItemService;
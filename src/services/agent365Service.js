@@ -1,8 +1,8 @@
 // src/services/agent365Service.js - Microsoft 365 Agent SDK Integration
 const { Agent365Client, MeetingAgent } = require('@microsoft/agent365-sdk');
 const authService = require('./authService');
-const cosmosClient = require('../config/cosmosdb');
-const geminiAI = require('./geminiAI');
+const storage = require('../storage');
+const ai = require('../ai');
 const logger = require('../utils/logger');
 
 class Agent365Service {
@@ -257,10 +257,10 @@ class Agent365Service {
         sender: message.sender.name
       });
 
-      // Generate AI response using Gemini
+      // Generate AI response
       let response = 'I\'m here and monitoring the meeting!';
       
-      if (geminiAI.isAvailable()) {
+      if (ai.isAvailable('assistant')) {
         const prompt = `
           You are an AI Meeting Assistant in a live Teams meeting.
           Participant "${message.sender.name}" said: "${message.content}"
@@ -275,9 +275,7 @@ class Agent365Service {
         `;
 
         try {
-          const result = await geminiAI.model.generateContent(prompt);
-          const aiResponse = await result.response;
-          response = aiResponse.text();
+          response = await ai.generate('assistant', prompt);
         } catch (aiError) {
           logger.warn('AI response generation failed, using fallback');
         }
@@ -300,7 +298,7 @@ class Agent365Service {
   // Analyze messages for action items and key points
   async analyzeMessage(message) {
     try {
-      if (!geminiAI.isAvailable()) {
+      if (!ai.isAvailable('messageAnalysis')) {
         return;
       }
 
@@ -320,9 +318,7 @@ class Agent365Service {
         Respond in JSON format.
       `;
 
-      const result = await geminiAI.model.generateContent(prompt);
-      const response = await result.response;
-      const analysis = JSON.parse(response.text());
+      const analysis = await ai.generateJson('messageAnalysis', prompt);
 
       // Store analysis
       await this.storeMessageAnalysis(message.id, analysis);
@@ -346,7 +342,7 @@ class Agent365Service {
   async processTranscription(transcription) {
     try {
       // Store transcription in database
-      await cosmosClient.createItem('transcriptions', {
+      await storage.createItem(storage.containers.transcriptions, {
         id: require('uuid').v4(),
         meetingId: transcription.meetingId,
         speaker: transcription.speaker,
@@ -357,7 +353,7 @@ class Agent365Service {
       });
 
       // Analyze transcription for insights
-      if (geminiAI.isAvailable()) {
+      if (ai.isAvailable('messageAnalysis')) {
         await this.analyzeTranscription(transcription);
       }
 
@@ -387,7 +383,7 @@ class Agent365Service {
       });
 
       // Store summary in database
-      await cosmosClient.createItem('summaries', {
+      await storage.createItem('summaries', {
         id: require('uuid').v4(),
         meetingId: meetingId,
         summary: summary,
@@ -413,7 +409,7 @@ class Agent365Service {
   // Store meeting message in database
   async storeMeetingMessage(message) {
     try {
-      await cosmosClient.createItem('chats', {
+      await storage.createItem('chats', {
         id: message.id,
         meetingId: message.meetingId,
         sender: message.sender.name,
@@ -432,14 +428,11 @@ class Agent365Service {
   // Update meeting status in database
   async updateMeetingStatus(meetingId, status) {
     try {
-      const meetings = await cosmosClient.queryItems('meetings',
-        'SELECT * FROM c WHERE c.meetingId = @meetingId',
-        [{ name: '@meetingId', value: meetingId }]
-      );
+      const meetings = await storage.findItems('meetings', { meetingId });
 
       if (meetings.length > 0) {
         const meeting = meetings[0];
-        await cosmosClient.updateItem('meetings', meeting.id, meeting.userId, {
+        await storage.updateItem('meetings', meeting.id, meeting.userId, {
           agentStatus: status,
           agentJoinedAt: status === 'agent_joined' ? new Date().toISOString() : meeting.agentJoinedAt,
           agentLeftAt: status === 'agent_left' ? new Date().toISOString() : null,
@@ -0,0 +1,56 @@
+const { v4: uuidv4 } = require('uuid');
+const storage = require('../storage');
+const logger = require('../utils/logger');
+
+class AuditService {
+  constructor() {
+    this.containerName = storage.containers.auditLogs;
+  }
+
+  // Write an audit event. Failures are logged but never break the request being audited.
+  async record(event) {
+    const entry = {
+      ...event,
+      id: uuidv4(),
+      userId: event.userId || 'anonymous',
+      tenantId: event.tenantId || null,
+      timestamp: new Date().toISOString()
+    };
+
+    try {
+      return await storage.createItem(this.containerName, entry);
+    } catch (error) {
+      logger.error('❌ Failed to write audit event:', { type: entry.type, error: error.message });
+      return null;
+    }
+  }
+
+  // Record a refused request along with why it was refused
+  async recordDenial(req, { reason, required = null, resource = null }) {
+    logger.warn('🚫 Access denied', {
+      userId: req.user?.userId,
+      method: req.method,
+      path: req.originalUrl,
+      reason
+    });
+
+    return await this.record({
+      type: 'access_denied',
+      userId: req.user?.userId,
+      tenantId: req.user?.tenantId,
+      email: req.user?.email || null,
+      roles: req.user?.roles || [],
+      method: req.method,
+      path: req.originalUrl,
+      reason,
+      required,
+      resource,
+      ip: req.ip
+    });
+  }
+}
+
+// Create singleton instance
+const auditService = new AuditService();
+
+module.exports = auditService;
@@ -1,6 +1,20 @@
-const { ConfidentialClientApplication } = require('@azure/msal-node');
+const crypto = require('crypto');
+const axios = require('axios');
+const { ConfidentialClientApplication, CryptoProvider, InteractionRequiredAuthError } = require('@azure/msal-node');
+const tokenStoreService = require('./tokenStoreService');
 const logger = require('../utils/logger');
 
+// Delegated permissions requested when a user signs in
+const USER_SCOPES = ['User.Read', 'OnlineMeetings.ReadWrite', 'Calendars.ReadWrite', 'Calendars.Read.Shared'];
+const LOGIN_STATE_TTL_MS = 10 * 60 * 1000;
+
+// Raised when a user has no usable delegated session and must go through /api/auth/login
+const loginRequiredError = (message = 'User sign-in required') => {
+  const error = new Error(message);
+  error.code = 'LOGIN_REQUIRED';
+  return error;
+};
+
 class AuthService {
   constructor() {
     this.msalConfig = {
@@ -22,12 +36,33 @@ class AuthService {
       }
     };
 
+    this.redirectUri = process.env.REDIRECT_URI || 'http://localhost:5000/api/auth/callback';
+    this.cryptoProvider = new CryptoProvider();
+
+    // Outstanding sign-ins keyed by OAuth state (PKCE verifier + expiry)
+    this.pendingLogins = new Map();
+
+    // Token cache (in production, use Redis or database)
+    this.tokenCache = new Map();
+
+    // MSAL only accepts https authorities. A plain-http one is a local stand-in such as the
+    // mock Graph server (npm run mock-graph): tokens then come straight from its token
+    // endpoint and every API user counts as signed in (no interactive login).
+    const authority = process.env.AZURE_AUTHORITY || '';
+    this.localAuthority = /^http:\/\//i.test(authority) ? authority.replace(/\/+$/, '') : null;
+
     if (!process.env.AZURE_CLIENT_ID || !process.env.AZURE_CLIENT_SECRET) {
       logger.warn('⚠️ Azure AD credentials not configured. Real Teams integration disabled.');
       this.cca = null;
       return;
     }
 
+    if (this.localAuthority) {
+      this.cca = null;
+      logger.warn(`⚠️ Using local authority ${this.localAuthority}. For development and tests only.`);
+      return;
+    }
+
     try {
       this.cca = new ConfidentialClientApplication(this.msalConfig);
       logger.info('✅ Microsoft Graph authentication initialized');
@@ -35,14 +70,11 @@ class AuthService {
       logger.error('❌ Failed to initialize Microsoft Graph auth:', error);
       this.cca = null;
     }
-
-    // Token cache (in production, use Redis or database)
-    this.tokenCache = new Map();
   }
 
   // Check if authentication is available
   isAvailable() {
-    return this.cca !== null;
+    return this.cca !== null || !!this.localAuthority;
   }
 
   // Get application-only access token (for daemon apps)
@@ -63,7 +95,9 @@ class AuthService {
         scopes: ['https://graph.microsoft.com/.default'],
       };
 
-      const response = await this.cca.acquireTokenByClientCredential(clientCredentialRequest);
+      const response = this.localAuthority
+        ? await this.acquireLocalToken({ grant_type: 'client_credentials', scope: clientCredentialRequest.scopes.join(' ') })
+        : await this.cca.acquireTokenByClientCredential(clientCredentialRequest);
       
       if (!response || !response.accessToken) {
         throw new Error('Failed to acquire access token');
@@ -84,51 +118,131 @@ class AuthService {
     }
   }
 
+  // Token request against a local authority, shaped like MSAL's result
+  async acquireLocalToken(params) {
+    const response = await axios.post(`${this.localAuthority}/oauth2/v2.0/token`, new URLSearchParams({
+      client_id: process.env.AZURE_CLIENT_ID,
+      client_secret: process.env.AZURE_CLIENT_SECRET,
+      ...params
+    }), { timeout: 10000 });
+
+    return {
+      accessToken: response.data.access_token,
+      expiresOn: new Date(Date.now() + response.data.expires_in * 1000)
+    };
+  }
+
+  // Forget the cached app-only token, e.g. after Graph rejected it
+  clearAppOnlyToken() {
+    this.tokenCache.delete('app_token');
+  }
+
+  // Delegated sign-in needs both MSAL and somewhere safe to keep refresh tokens
+  isDelegatedAvailable() {
+    return !!this.localAuthority || (this.cca !== null && tokenStoreService.isAvailable());
+  }
+
+  // MSAL cache plugin that keeps one user's token cache encrypted in storage.
+  // With no userId (during sign-in) the owner is taken from the account MSAL just cached.
+  createCachePlugin(userId = null) {
+    return {
+      beforeCacheAccess: async (cacheContext) => {
+        if (!userId) return;
+        const cache = await tokenStoreService.loadCache(userId);
+        if (cache) {
+          cacheContext.tokenCache.deserialize(cache);
+        }
+      },
+      afterCacheAccess: async (cacheContext) => {
+        if (!cacheContext.hasChanged) return;
+
+        const serialized = cacheContext.tokenCache.serialize();
+        const accounts = Object.values(JSON.parse(serialized).Account || {});
+        const account = accounts.find(a => !userId || a.local_account_id === userId);
+        const ownerId = userId || account?.local_account_id;
+
+        if (!ownerId) {
+          logger.warn('⚠️ Token cache changed but no account to store it under');
+          return;
+        }
+
+        await tokenStoreService.saveCache(ownerId, serialized, {
+          tenantId: account?.realm,
+          username: account?.username
+        });
+      }
+    };
+  }
+
+  // Per-user MSAL client; cheap to create and keeps token caches from mixing between users
+  createUserClient(userId = null) {
+    return new ConfidentialClientApplication({
+      ...this.msalConfig,
+      cache: { cachePlugin: this.createCachePlugin(userId) }
+    });
+  }
+
   // Get auth URL for user sign-in
-  getAuthUrl() {
-    if (!this.isAvailable()) {
-      throw new Error('Microsoft Graph authentication not available');
+  async getAuthUrl() {
+    if (this.localAuthority) {
+      throw new Error('Interactive sign-in is not used with a local authority - every API user is already signed in');
+    }
+    if (!this.isDelegatedAvailable()) {
+      throw new Error('Delegated sign-in not available - check Azure AD and TOKEN_ENCRYPTION_KEY configuration');
     }
 
-    const authCodeUrlParameters = {
-      scopes: ['User.Read', 'OnlineMeetings.ReadWrite', 'Calendars.ReadWrite'],
-      redirectUri: process.env.REDIRECT_URI || 'http://localhost:5000/api/auth/callback',
-      prompt: 'consent'
-    };
+    this.prunePendingLogins();
+
+    const state = crypto.randomBytes(16).toString('hex');
+    const { verifier, challenge } = await this.cryptoProvider.generatePkceCodes();
+
+    this.pendingLogins.set(state, {
+      codeVerifier: verifier,
+      expiresAt: Date.now() + LOGIN_STATE_TTL_MS
+    });
 
-    return this.cca.getAuthCodeUrl(authCodeUrlParameters);
+    return await this.cca.getAuthCodeUrl({
+      scopes: USER_SCOPES,
+      redirectUri: this.redirectUri,
+      state,
+      codeChallenge: challenge,
+      codeChallengeMethod: 'S256',
+      prompt: 'select_account'
+    });
   }
 
-  // Exchange auth code for token
-  async getTokenFromCode(authCode) {
-    if (!this.isAvailable()) {
-      throw new Error('Microsoft Graph authentication not available');
+  // Exchange auth code for token; the user's refresh token ends up in the encrypted store
+  async getTokenFromCode(authCode, state) {
+    if (this.localAuthority) {
+      throw new Error('Interactive sign-in is not used with a local authority - every API user is already signed in');
+    }
+    if (!this.isDelegatedAvailable()) {
+      throw new Error('Delegated sign-in not available - check Azure AD and TOKEN_ENCRYPTION_KEY configuration');
+    }
+
+    const pending = this.pendingLogins.get(state);
+    this.pendingLogins.delete(state);
+
+    if (!pending || pending.expiresAt < Date.now()) {
+      throw new Error('Invalid or expired sign-in state');
     }
 
     try {
-      const tokenRequest = {
+      const response = await this.createUserClient().acquireTokenByCode({
         code: authCode,
-        scopes: ['User.Read', 'OnlineMeetings.ReadWrite', 'Calendars.ReadWrite'],
-        redirectUri: process.env.REDIRECT_URI || 'http://localhost:5000/api/auth/callback'
-      };
+        scopes: USER_SCOPES,
+        redirectUri: this.redirectUri,
+        codeVerifier: pending.codeVerifier
+      });
 
-      const response = await this.cca.acquireTokenByCode(tokenRequest);
-      
       if (!response || !response.accessToken) {
         throw new Error('Failed to exchange code for token');
       }
 
-      // Cache user token
-      if (response.account) {
-        this.tokenCache.set(response.account.homeAccountId, {
-          accessToken: response.accessToken,
-          refreshToken: response.refreshToken,
-          expiresOn: response.expiresOn,
-          account: response.account
-        });
-      }
-
-      logger.info('✅ User access token acquired');
+      logger.info('✅ User access token acquired', {
+        userId: response.account?.localAccountId,
+        tenantId: response.account?.tenantId
+      });
       return response;
 
     } catch (error) {
@@ -137,11 +251,83 @@ class AuthService {
     }
   }
 
-  // Get user token (for demo, we'll use app-only token)
-  async getUserToken(userId = 'demo-user') {
-    // For now, return app-only token
-    // In production, you'd get user-specific token
-    return await this.getAppOnlyToken();
+  // Get a delegated Graph token for a signed-in user, refreshing it silently when needed
+  async getUserToken(userId) {
+    if (!this.isDelegatedAvailable()) {
+      throw new Error('Delegated sign-in not available - check Azure AD and TOKEN_ENCRYPTION_KEY configuration');
+    }
+
+    if (this.localAuthority) {
+      return await this.getLocalUserToken(userId);
+    }
+
+    const client = this.createUserClient(userId);
+    const accounts = await client.getTokenCache().getAllAccounts();
+    const account = accounts.find(a => a.localAccountId === userId);
+
+    if (!account) {
+      throw loginRequiredError();
+    }
+
+    try {
+      const response = await client.acquireTokenSilent({ account, scopes: USER_SCOPES });
+      return response.accessToken;
+    } catch (error) {
+      if (error instanceof InteractionRequiredAuthError) {
+        logger.warn('⚠️ Stored user session needs interaction', { userId, errorCode: error.errorCode });
+        throw loginRequiredError('User session expired - sign in again');
+      }
+      logger.error('❌ Failed to get user token:', error);
+      throw error;
+    }
+  }
+
+  // Local authority: password grant for the user, cached like the app token
+  async getLocalUserToken(userId) {
+    const cacheKey = `user_token:${userId}`;
+    const cachedToken = this.tokenCache.get(cacheKey);
+    if (cachedToken && cachedToken.expiresOn > new Date()) {
+      return cachedToken.accessToken;
+    }
+
+    const response = await this.acquireLocalToken({
+      grant_type: 'password',
+      username: userId,
+      scope: USER_SCOPES.join(' ')
+    });
+    this.tokenCache.set(cacheKey, response);
+    return response.accessToken;
+  }
+
+  // Forget a user's stored tokens and return the Entra ID sign-out URL
+  async signOut(userId) {
+    this.tokenCache.delete(`user_token:${userId}`);
+    if (!this.localAuthority) {
+      await tokenStoreService.deleteCache(userId);
+    }
+
+    const tenant = process.env.AZURE_TENANT_ID || 'common';
+    const logoutUrl = new URL(`https://login.microsoftonline.com/${tenant}/oauth2/v2.0/logout`);
+    if (process.env.POST_LOGOUT_REDIRECT_URI) {
+      logoutUrl.searchParams.set('post_logout_redirect_uri', process.env.POST_LOGOUT_REDIRECT_URI);
+    }
+
+    logger.info('👋 User signed out', { userId });
+    return logoutUrl.toString();
+  }
+
+  async hasUserSession(userId) {
+    if (this.localAuthority) return true;
+    return this.isDelegatedAvailable() && await tokenStoreService.hasCache(userId);
+  }
+
+  prunePendingLogins() {
+    const now = Date.now();
+    for (const [state, pending] of this.pendingLogins) {
+      if (pending.expiresAt < now) {
+        this.pendingLogins.delete(state);
+      }
+    }
   }
 
   // Clear token cache
@@ -0,0 +1,67 @@
+const { TurnContext, MessageFactory } = require('botbuilder');
+const storage = require('../storage');
+const logger = require('../utils/logger');
+
+// Proactive bot messages. Teams only lets a bot message someone it already has a
+// conversation with, so the bot saves a conversation reference per user (by AAD object id)
+// whenever they talk to it or install it; the bot host (routes/bot.js, when MICROSOFT_APP_ID is
+// set) registers its adapter with useAdapter().
+class BotMessagingService {
+  constructor() {
+    this.containerName = storage.containers.botConversations;
+    this.adapter = null;
+    this.appId = process.env.MICROSOFT_APP_ID || null;
+  }
+
+  useAdapter(adapter, appId = this.appId) {
+    this.adapter = adapter;
+    this.appId = appId;
+  }
+
+  isAvailable() {
+    return !!this.adapter;
+  }
+
+  // Remember how to reach the sender of an incoming activity
+  async saveReference(activity) {
+    const userId = activity?.from?.aadObjectId;
+    if (!userId) return null;
+
+    return await storage.upsertItem(this.containerName, {
+      id: userId,
+      userId,
+      tenantId: activity.conversation?.tenantId || activity.channelData?.tenant?.id || null,
+      reference: TurnContext.getConversationReference(activity),
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  async getConversation(userId) {
+    return await storage.getItem(this.containerName, userId, userId);
+  }
+
+  async hasConversation(userId) {
+    return !!(await this.getConversation(userId));
+  }
+
+  async sendToUser(userId, text) {
+    if (!this.isAvailable()) {
+      throw new Error('Bot adapter not registered');
+    }
+
+    const conversation = await this.getConversation(userId);
+    if (!conversation) {
+      throw new Error(`No bot conversation with user ${userId}`);
+    }
+
+    await this.adapter.continueConversationAsync(this.appId, conversation.reference, async (context) => {
+      await context.sendActivity(MessageFactory.text(text));
+    });
+    logger.info(`🤖 Proactive message sent to ${userId}`);
+  }
+}
+
+// Create singleton instance
+const botMessagingService = new BotMessagingService();
+
+module.exports = botMessagingService;
@@ -1,20 +1,44 @@
-const axios = require("axios");
 const authService = require("./authService");
-const cosmosClient = require("../config/cosmosdb");
-const geminiAI = require("./geminiAI");
+const graph = require("../graph");
+const { withQuery } = require("../graph/client");
+const storage = require("../storage");
+const { ConflictError } = require("../storage/errors");
+const ai = require("../ai");
+const retentionService = require("./retentionService");
+const graphSubscriptionService = require("./graphSubscriptionService");
+const redactionService = require("./redactionService");
+const promptSafetyService = require("./promptSafetyService");
+const actionItemService = require("./actionItemService");
 const logger = require("../utils/logger");
+const { parseChatMessage, isEmptyMessage } = require("../utils/chatMessageParser");
+
+// Polling re-reads changes this far behind the stored cursor, so a change Graph reports late
+// (with a slightly older lastModifiedDateTime) is still picked up; replays are no-ops
+const CURSOR_OVERLAP_MS = 2 * 60 * 1000;
+// Messages given up on, kept on the chat's cursor for inspection
+const MAX_SKIPPED_KEPT = 50;
+
+// A version of a message: an edit gets fresh attempts
+const messageVersion = (message) => `${message.id}@${message.lastModifiedDateTime || message.createdDateTime || ''}`;
 
 class ChatCaptureService {
   constructor() {
-    this.graphEndpoint =
-      process.env.GRAPH_API_ENDPOINT || "https://graph.microsoft.com/v1.0";
     this.activeCaptures = new Map(); // Track active chat captures
+    this.cursorContainer = storage.containers.chatCursors;
+    // A message that fails this many polls in a row is skipped, so it cannot hold up the chat
+    this.maxMessageAttempts = parseInt(process.env.CHAT_CAPTURE_MAX_MESSAGE_ATTEMPTS) || 5;
 
 
     this.autoInsightsEnabled = true;
     this.insightCounters = new Map();
     this.meetingInsightTimers = new Map();
 
+    graphSubscriptionService.on("lost", (record) =>
+      this.handleSubscriptionLost(record).catch((error) =>
+        logger.error("❌ Failed to recover chat subscription:", error)));
+    graphSubscriptionService.on("missed", (record) =>
+      this.handleMissedNotifications(record).catch((error) =>
+        logger.error("❌ Failed to catch up missed chat messages:", error)));
   }
 
   // --- MISSING FUNCTION ADDED ---
@@ -29,22 +53,15 @@ class ChatCaptureService {
           `🔍 Attempting to find chat ID for meeting (attempt ${attempt}/${maxRetries})`
         );
 
-        const accessToken = await authService.getAppOnlyToken();
-        const meetingEvent = await this.getMeetingEvent(
-          graphEventId,
-          accessToken
-        );
+        const meetingEvent = await this.getMeetingEvent(graphEventId);
 
         // Try to find associated chat/call
         if (
           meetingEvent.onlineMeeting &&
-          meetingEvent.onlineMeeting.joinWebUrl
+          meetingEvent.onlineMeeting.joinUrl
         ) {
           // Extract potential chat ID from join URL or related data
-          const chatId = await this.extractChatIdFromMeeting(
-            meetingEvent,
-            accessToken
-          );
+          const chatId = await this.extractChatIdFromMeeting(meetingEvent);
           if (chatId) {
             logger.info(`✅ Found chat ID: ${chatId}`);
             return chatId;
@@ -71,39 +88,36 @@ class ChatCaptureService {
   }
 
   // --- MISSING FUNCTION ADDED ---
-async extractChatIdFromMeeting(meetingEvent, accessToken) {
+async extractChatIdFromMeeting(meetingEvent) {
   try {
     logger.info('🔍 REAL FIX: Searching for meeting chat with multiple methods');
     
-    // Method 1: Get chats associated with the calendar event
+    // Method 1: Look the online meeting up by its join URL on the organizer's account
     const eventId = meetingEvent.id;
-    const onlineMeetingId = meetingEvent.onlineMeeting?.id;
+    const joinUrl = meetingEvent.onlineMeeting?.joinUrl;
+    const organizerEmail = meetingEvent.organizer?.emailAddress?.address;
     
-    if (onlineMeetingId) {
-      // Try to get chat from online meeting
-      const onlineMeetingUrl = `${this.graphEndpoint}/me/onlineMeetings/${onlineMeetingId}`;
-      const onlineMeetingResponse = await axios.get(onlineMeetingUrl, {
-        headers: { 'Authorization': `Bearer ${accessToken}` }
-      });
+    if (joinUrl && organizerEmail) {
+      const onlineMeetings = await graph.get(withQuery(`/users/${encodeURIComponent(organizerEmail)}/onlineMeetings`, {
+        $filter: `JoinWebUrl eq '${joinUrl.replace(/'/g, "''")}'`
+      }));
+      const onlineMeeting = onlineMeetings.value?.[0];
       
-      if (onlineMeetingResponse.data.chatInfo?.threadId) {
+      if (onlineMeeting?.chatInfo?.threadId) {
         logger.info('✅ REAL FIX: Found chat ID from online meeting');
-        return onlineMeetingResponse.data.chatInfo.threadId;
+        return onlineMeeting.chatInfo.threadId;
       }
     }
 
     // Method 2: Search all chats for meeting-related ones
-    const chatsUrl = `${this.graphEndpoint}/chats?$filter=chatType eq 'meeting'&$expand=members&$top=50`;
-    const chatsResponse = await axios.get(chatsUrl, {
-      headers: { 'Authorization': `Bearer ${accessToken}` }
-    });
+    const meetingChats = await graph.getAll(`/chats?$filter=chatType eq 'meeting'&$expand=members&$top=50`);
     
-    if (chatsResponse.data.value && chatsResponse.data.value.length > 0) {
+    if (meetingChats.length > 0) {
       // Look for chat that matches meeting time or subject
       const meetingStart = new Date(meetingEvent.start.dateTime);
       const meetingSubject = meetingEvent.subject.toLowerCase();
       
-      for (const chat of chatsResponse.data.value) {
+      for (const chat of meetingChats) {
         // Check if chat was created around meeting time (within 1 hour)
         if (chat.createdDateTime) {
           const chatCreated = new Date(chat.createdDateTime);
@@ -126,7 +140,7 @@ async extractChatIdFromMeeting(meetingEvent, accessToken) {
       }
       
       // Fallback: return the most recent meeting chat
-      const sortedChats = chatsResponse.data.value.sort((a, b) => 
+      const sortedChats = meetingChats.sort((a, b) => 
         new Date(b.createdDateTime) - new Date(a.createdDateTime)
       );
       
@@ -139,15 +153,12 @@ async extractChatIdFromMeeting(meetingEvent, accessToken) {
     }
 
     // Method 3: Try direct calendar event chat
-    const calendarChatUrl = `${this.graphEndpoint}/me/events/${eventId}/instances?$select=onlineMeeting`;
     try {
-      const calendarResponse = await axios.get(calendarChatUrl, {
-        headers: { 'Authorization': `Bearer ${accessToken}` }
-      });
+      const calendarResponse = await graph.get(`/me/events/${eventId}/instances?$select=onlineMeeting`);
       
-      if (calendarResponse.data.value && calendarResponse.data.value[0]?.onlineMeeting?.chatInfo?.threadId) {
+      if (calendarResponse.value && calendarResponse.value[0]?.onlineMeeting?.chatInfo?.threadId) {
         logger.info('✅ REAL FIX: Found chat from calendar event');
-        return calendarResponse.data.value[0].onlineMeeting.chatInfo.threadId;
+        return calendarResponse.value[0].onlineMeeting.chatInfo.threadId;
       }
     } catch (calendarError) {
       logger.warn('⚠️ Calendar event chat lookup failed:', calendarError.message);
@@ -188,6 +199,24 @@ async extractChatIdFromMeeting(meetingEvent, accessToken) {
     }
   }
 
+  // Start capturing the Teams chat of a meeting created through Graph (used by the meeting routes)
+  async initiateRealChatCapture(meeting) {
+    if (!meeting.graphEventId) {
+      throw new Error("Meeting has no Teams calendar event to capture chat from");
+    }
+
+    const chatId = await this.findChatIdWithRetries(meeting.graphEventId);
+    return await this.startChatCapture(meeting.meetingId, meeting, chatId);
+  }
+
+  async stopRealChatCapture(meetingId) {
+    return await this.stopChatCapture(meetingId);
+  }
+
+  async getRealChatAnalysis(meetingId) {
+    return await this.getChatAnalysis(meetingId);
+  }
+
   // --- IMPROVED SIMULATED CAPTURE ---
   async startSimulatedChatCapture(meetingId, meeting) {
     try {
@@ -259,132 +288,398 @@ generateSimulatedMessages(meetingId) {
   return [];
 }
 
+  // Live capture: Graph change notifications when a subscription can be created, polling otherwise.
+  // Starts with a catch-up from the chat's stored cursor (the whole chat the first time).
   async startChatCapture(meetingId, meeting, chatId) {
     const captureSession = {
       meetingId: meetingId,
       chatId: chatId,
       startTime: new Date().toISOString(),
-      lastCaptureTime: new Date().toISOString(),
+      lastCaptureTime: null,
       isActive: true,
       messageCount: 0,
+      mode: "polling",
+      subscriptionId: null,
     };
     this.activeCaptures.set(meetingId, captureSession);
+    await this.saveCursor(chatId, { meetingId, active: true });
 
-    const monitoringLoop = setInterval(async () => {
-      const session = this.activeCaptures.get(meetingId);
-      if (!session || !session.isActive) {
-        clearInterval(monitoringLoop);
-        return;
+    if (graphSubscriptionService.isAvailable()) {
+      try {
+        const subscription = await graphSubscriptionService.subscribeToChat(meetingId, chatId);
+        captureSession.mode = "webhook";
+        captureSession.subscriptionId = subscription.id;
+      } catch (error) {
+        logger.warn("⚠️ Could not subscribe to chat messages, polling instead", {
+          meetingId,
+          chatId,
+          error: error.message,
+          status: error.status,
+        });
       }
-      await this.captureNewMessages(session);
-    }, 15000);
+    }
+
+    if (captureSession.mode === "polling") {
+      this.startPolling(captureSession);
+    }
+
+    await this.captureNewMessages(captureSession);
 
-    captureSession.monitoringLoop = monitoringLoop;
     logger.info("✅ LIVE chat capture started successfully", {
       meetingId,
       chatId,
+      mode: captureSession.mode,
     });
   }
 
-  // Helper to get the meeting event to find the chatId
-  async getMeetingEvent(graphEventId, accessToken) {
-    const usersResponse = await axios.get(
-      `${this.graphEndpoint}/users?$top=1&$select=id`,
-      { headers: { Authorization: `Bearer ${accessToken}` } }
-    );
-    if (!usersResponse.data.value || usersResponse.data.value.length === 0)
-      throw new Error("No users found in tenant");
-    const userId = usersResponse.data.value[0].id;
+  // Resume the captures that were running before a restart, catching up from their cursors.
+  // Call after graphSubscriptionService.restore(), whose live subscriptions keep webhook mode.
+  async restore() {
+    if (!authService.isAvailable()) return;
+
+    const cursors = await storage.findItems(this.cursorContainer, { active: true });
+    for (const cursor of cursors) {
+      if (this.activeCaptures.has(cursor.meetingId)) continue;
 
-    const url = `${this.graphEndpoint}/users/${userId}/events/${graphEventId}`;
-    const response = await axios.get(url, {
-      headers: { Authorization: `Bearer ${accessToken}` },
+      const [subscription] = await storage.findItems(storage.containers.graphSubscriptions, { meetingId: cursor.meetingId });
+      const session = {
+        meetingId: cursor.meetingId,
+        chatId: cursor.id,
+        startTime: new Date().toISOString(),
+        lastCaptureTime: cursor.lastModifiedDateTime || null,
+        isActive: true,
+        messageCount: 0,
+        mode: subscription ? "webhook" : "polling",
+        subscriptionId: subscription?.id || null,
+      };
+      this.activeCaptures.set(session.meetingId, session);
+
+      if (session.mode === "polling") {
+        this.startPolling(session);
+      }
+      await this.captureNewMessages(session);
+    }
+
+    if (cursors.length > 0) {
+      logger.info(`💬 Resumed ${cursors.length} chat capture(s)`);
+    }
+  }
+
+  // Per-chat ingestion cursor: Graph's lastModifiedDateTime (and id) of the newest change stored
+  async getCursor(chatId) {
+    return await storage.getItem(this.cursorContainer, chatId, chatId);
+  }
+
+  // Change the cursor with an ETag-guarded read-modify-write, so concurrent captures of a
+  // chat (notifications, polls) do not overwrite each other. `change(current)` returns the fields to set.
+  async updateCursor(chatId, change) {
+    const apply = (current) => ({
+      lastModifiedDateTime: null,
+      lastMessageId: null,
+      ...current,
+      ...change(current),
+      id: chatId,
     });
-    return response.data;
+
+    try {
+      return await storage.modifyItem(this.cursorContainer, chatId, chatId, apply);
+    } catch (error) {
+      if (error.code !== 404) throw error;
+    }
+
+    try {
+      return await storage.createItem(this.cursorContainer, { ...apply({}), updatedAt: new Date().toISOString() });
+    } catch (error) {
+      if (!(error instanceof ConflictError)) throw error;
+      return await storage.modifyItem(this.cursorContainer, chatId, chatId, apply);
+    }
   }
 
-  // Capture new messages from Teams
-async captureNewMessages(session) {
-  try {
-    const accessToken = await authService.getAppOnlyToken();
-    const lastCheckTime = session.lastCaptureTime;
-    session.lastCaptureTime = new Date().toISOString();
+  async saveCursor(chatId, fields) {
+    return await this.updateCursor(chatId, () => fields);
+  }
 
-    // REAL FIX: Better message filtering and error handling
-    const url = `${this.graphEndpoint}/chats/${session.chatId}/messages?$top=50&$orderby=createdDateTime desc`;
-    
-    logger.info('🔍 REAL FIX: Checking for new messages', { 
+  // Move the cursor forward (never back) past a change that has been stored. The compare is
+  // made again on the stored cursor, which another capture may have moved further meanwhile.
+  async advanceCursor(session, message) {
+    const modified = message.lastModifiedDateTime || message.createdDateTime;
+    if (!modified || (session.lastCaptureTime && new Date(modified) <= new Date(session.lastCaptureTime))) {
+      return;
+    }
+
+    const cursor = await this.updateCursor(session.chatId, current =>
+      current.lastModifiedDateTime && new Date(modified) <= new Date(current.lastModifiedDateTime)
+        ? {}
+        : { meetingId: session.meetingId, lastModifiedDateTime: modified, lastMessageId: message.id });
+    session.lastCaptureTime = cursor.lastModifiedDateTime;
+  }
+
+  // Give up on a message that keeps failing to store, record it on the cursor and move past it
+  async skipMessage(session, message, error, failures) {
+    logger.error('❌ Skipping chat message that keeps failing to store', {
+      meetingId: session.meetingId,
       chatId: session.chatId,
-      lastCheck: lastCheckTime 
+      messageId: message.id,
+      attempts: this.maxMessageAttempts,
+      error: error.message
+    });
+
+    const cursor = await this.getCursor(session.chatId);
+    const skipped = [...(cursor?.skipped || []), {
+      version: messageVersion(message),
+      messageId: message.id,
+      lastModifiedDateTime: message.lastModifiedDateTime || null,
+      attempts: this.maxMessageAttempts,
+      error: error.message,
+      skippedAt: new Date().toISOString()
+    }].slice(-MAX_SKIPPED_KEPT);
+
+    await this.saveCursor(session.chatId, { failures, skipped });
+    await this.advanceCursor(session, message);
+  }
+
+  startPolling(session) {
+    session.mode = "polling";
+    session.subscriptionId = null;
+    clearInterval(session.monitoringLoop);
+
+    const monitoringLoop = setInterval(async () => {
+      const current = this.activeCaptures.get(session.meetingId);
+      if (!current || !current.isActive) {
+        clearInterval(monitoringLoop);
+        return;
+      }
+      await this.captureNewMessages(current);
+    }, 15000);
+
+    session.monitoringLoop = monitoringLoop;
+  }
+
+  // A subscription is gone: subscribe again, or fall back to polling, then fetch what was missed
+  async handleSubscriptionLost(record) {
+    const session = this.activeCaptures.get(record.meetingId);
+    if (!session || !session.isActive) return;
+
+    try {
+      const subscription = await graphSubscriptionService.subscribeToChat(record.meetingId, record.chatId);
+      session.mode = "webhook";
+      session.subscriptionId = subscription.id;
+    } catch (error) {
+      logger.warn("⚠️ Could not resubscribe to chat messages, polling instead", {
+        meetingId: record.meetingId,
+        error: error.message,
+      });
+      this.startPolling(session);
+    }
+
+    await this.captureNewMessages(session);
+  }
+
+  // Graph dropped notifications: catch up from the chat's cursor
+  async handleMissedNotifications(record) {
+    const session = this.activeCaptures.get(record.meetingId) || {
+      meetingId: record.meetingId,
+      chatId: record.chatId,
+      lastCaptureTime: null,
+      messageCount: 0,
+    };
+    await this.captureNewMessages(session);
+  }
+
+  // A new, edited or deleted message delivered by a change notification
+  async handleMessageNotification(record, notification) {
+    const session = this.activeCaptures.get(record.meetingId) || {
+      meetingId: record.meetingId,
+      chatId: record.chatId,
+      lastCaptureTime: (await this.getCursor(record.chatId))?.lastModifiedDateTime || null,
+      messageCount: 0,
+    };
+
+    if (notification.changeType === "deleted") {
+      const messageId = notification.resourceData?.id;
+      return messageId ? await this.markMessageDeleted(record.meetingId, messageId) : null;
+    }
+
+    const message = await graphSubscriptionService.getNotificationResource(notification);
+    const result = await this.captureMessage(record.meetingId, message);
+
+    if (result?.change === "created") {
+      session.messageCount++;
+    }
+
+    // Only a read from the cursor moves it: a change whose notification was lost or failed
+    // may lie between the cursor and this message. A failed read fails the notification.
+    const cursor = await this.getCursor(record.chatId);
+    const modified = message.lastModifiedDateTime || message.createdDateTime;
+    if (modified && (!cursor?.lastModifiedDateTime || new Date(modified) > new Date(cursor.lastModifiedDateTime))) {
+      await this.captureNewMessages(session, { rethrow: true });
+    }
+    return result?.record || null;
+  }
+
+  // Store a real user message by id, whether it arrived by notification or by polling.
+  // A newer version of a stored message (edited or deleted in Teams) replaces it.
+  // Returns { change: 'created' | 'edited' | 'deleted', record }, or null when nothing changed.
+  async captureMessage(meetingId, message) {
+    const stored = await storage.getItem(storage.containers.chats, message.id, meetingId);
+
+    if (message.deletedDateTime) {
+      const record = stored ? await this.markMessageDeleted(meetingId, message.id, message.deletedDateTime) : null;
+      return record ? { change: "deleted", record } : null;
+    }
+
+    if (!message.from?.user || message.from.application) {
+      return null;
+    }
+
+    const parsed = parseChatMessage(message);
+    if (isEmptyMessage(parsed)) {
+      return null;
+    }
+
+    if (stored && !this.isNewerVersion(message, stored)) {
+      return null;
+    }
+
+    // Content is logged only after redaction, in processMessageWithAI
+    logger.info(stored ? '✏️ Processing edited user message' : '📝 Processing real user message', {
+      sender: message.from.user.displayName,
+      messageId: message.id
     });
+    const record = await this.processMessageWithAI(meetingId, message, stored, parsed);
+    return record ? { change: stored ? "edited" : "created", record } : null;
+  }
+
+  // Messages stored before we tracked lastModifiedDateTime compare against their creation time
+  isNewerVersion(message, stored) {
+    const storedVersion = stored.lastModifiedDateTime || stored.timestamp;
+    return !!message.lastModifiedDateTime && new Date(message.lastModifiedDateTime) > new Date(storedVersion);
+  }
 
-    const response = await axios.get(url, {
-      headers: { 
-        'Authorization': `Bearer ${accessToken}`,
-        'ConsistencyLevel': 'eventual'
-      },
+  // Teams soft-deletes messages; keep the record so the id stays known, but drop everything it said
+  async markMessageDeleted(meetingId, messageId, deletedAt = new Date().toISOString()) {
+    const stored = await storage.getItem(storage.containers.chats, messageId, meetingId);
+    if (!stored || stored.isDeleted) return null;
+
+    logger.info('🗑️ Chat message deleted in Teams', { meetingId, messageId });
+    return await storage.upsertItem(storage.containers.chats, {
+      ...stored,
+      content: "",
+      markdown: "",
+      mentions: [],
+      replyToId: null,
+      attachments: [],
+      reactions: [],
+      cards: [],
+      redaction: null,
+      aiAnalysis: {},
+      category: "general",
+      isActionItem: false,
+      isQuestion: false,
+      isDecision: false,
+      isDeleted: true,
+      deletedAt,
+      lastModifiedDateTime: deletedAt,
     });
-    
-    const allMessages = response.data.value || [];
-    
-    // Filter for new messages since last check
-    const newMessages = allMessages.filter(msg => {
-      const msgTime = new Date(msg.createdDateTime);
-      const lastCheck = new Date(lastCheckTime);
-      return msgTime > lastCheck;
+  }
+
+  // Helper to get the meeting event to find the chatId; app meetings live on the organizer's calendar
+  async getMeetingEvent(graphEventId) {
+    const organizerEmail = process.env.MEETING_ORGANIZER_EMAIL || "support@legacynote.ai";
+    return await graph.get(`/users/${encodeURIComponent(organizerEmail)}/events/${graphEventId}`);
+  }
+
+  // Fetch everything that changed in the chat since its cursor (new, edited and deleted
+  // messages) and apply it oldest first. The cursor is Graph's own lastModifiedDateTime, so
+  // our clock never decides what counts as new; it is saved after each stored change.
+  // Errors are logged, and thrown too with `rethrow`.
+async captureNewMessages(session, { rethrow = false } = {}) {
+  try {
+    const cursor = await this.getCursor(session.chatId);
+    const query = { $top: 50, $orderby: 'lastModifiedDateTime desc' };
+
+    if (cursor?.lastModifiedDateTime) {
+      const since = new Date(new Date(cursor.lastModifiedDateTime).getTime() - CURSOR_OVERLAP_MS);
+      query.$filter = `lastModifiedDateTime gt ${since.toISOString()}`;
+      session.lastCaptureTime = cursor.lastModifiedDateTime;
+    }
+
+    logger.info('🔍 Checking for new messages', {
+      chatId: session.chatId,
+      since: cursor?.lastModifiedDateTime || null
     });
 
-    if (newMessages && newMessages.length > 0) {
-      logger.info(`💬 REAL FIX: Found ${newMessages.length} NEW real messages!`, { 
-        meetingId: session.meetingId 
-      });
-      
-      for (const message of newMessages) {
-        // Only process real user messages (not system/bot messages)
-        if (message.from?.user && 
-            !message.from.application && 
-            message.body?.content && 
-            message.body.content.trim() !== '') {
-          
-          logger.info('📝 REAL FIX: Processing real user message', { 
-            sender: message.from.user.displayName,
-            content: message.body.content.substring(0, 50) + '...'
-          });
-          
-          await this.processMessageWithAI(session.meetingId, message);
-          session.messageCount++;
+    const changed = await graph.getAll(withQuery(`/chats/${session.chatId}/messages`, query));
+
+    // Failed attempts per message version, kept on the cursor across polls and restarts
+    const failures = { ...(cursor?.failures || {}) };
+    const skipped = new Set((cursor?.skipped || []).map(entry => entry.version));
+
+    let applied = 0;
+    for (const message of changed.reverse()) {
+      const version = messageVersion(message);
+      if (skipped.has(version)) continue;
+
+      let result;
+      try {
+        result = await this.captureMessage(session.meetingId, message);
+      } catch (error) {
+        failures[version] = (failures[version] || 0) + 1;
+        if (failures[version] < this.maxMessageAttempts) {
+          await this.saveCursor(session.chatId, { failures });
+          throw error;
         }
+        delete failures[version];
+        await this.skipMessage(session, message, error, failures);
+        continue;
       }
+
+      if (failures[version]) {
+        delete failures[version];
+        await this.saveCursor(session.chatId, { failures });
+      }
+      if (result) applied++;
+      if (result?.change === 'created') session.messageCount++;
+      await this.advanceCursor(session, message);
+    }
+
+    if (applied > 0) {
+      logger.info(`💬 Applied ${applied} new or changed message(s)`, {
+        meetingId: session.meetingId
+      });
     } else {
-      logger.info('🔍 REAL FIX: No new messages found');
+      logger.info('🔍 No new messages found');
     }
   } catch (error) {
-    logger.error('❌ REAL FIX: Error capturing real messages:', {
+    logger.error('❌ Error capturing real messages:', {
       meetingId: session.meetingId,
       chatId: session.chatId,
       error: error.message,
-      status: error.response?.status
+      status: error.status,
+      requestId: error.requestId
     });
-    
-    if (error.response?.status === 403) {
-      logger.error('🚨 REAL FIX: Permission denied - check Graph API permissions for Chat.Read.All');
+
+    if (error.status === 403) {
+      logger.error('🚨 Permission denied - check Graph API permissions for Chat.Read.All');
     }
-    if (error.response?.status === 404) {
-      logger.error('🚨 REAL FIX: Chat not found - meeting chat might not exist yet');
+    if (error.status === 404) {
+      logger.error('🚨 Chat not found - meeting chat might not exist yet');
     }
+    if (rethrow) throw error;
   }
 }
 
-  // Process message with AI analysis, using the real message structure
-  // 🔄 REPLACE YOUR EXISTING processMessageWithAI METHOD WITH THIS:
-async processMessageWithAI(meetingId, message) {
+  // Process message with AI analysis, using the real message structure, and upsert it by id.
+  // `previous` is the stored version when this is an edit; edits do not trigger insights again.
+async processMessageWithAI(meetingId, message, previous = null, parsed = null) {
   try {
     // Handle both real Teams messages and simulated messages
     let content, senderName, senderId;
     
     if (message.from && message.from.user) {
       // Real Teams message structure
-      content = message.body.content.replace(/<[^>]*>?/gm, "");
+      parsed = parsed || parseChatMessage(message);
+      content = this.messageContent(parsed);
       senderName = message.from.user.displayName;
       senderId = message.from.user.id;
     } else if (message.sender) {
@@ -404,12 +699,40 @@ async processMessageWithAI(meetingId, message) {
       return null;
     }
 
+    // Personal data and secrets are tokenized before any prompt is built or anything is stored
+    const { value: redacted, report: redaction } = await redactionService.redact({
+      content,
+      markdown: parsed?.markdown || content,
+      cards: parsed?.cards || [],
+      attachments: parsed?.attachments || []
+    }, { tenantId: await redactionService.tenantForMeeting(meetingId) });
+    content = redacted.content;
+    if (parsed) {
+      parsed = { ...parsed, text: redacted.content, markdown: redacted.markdown, cards: redacted.cards, attachments: redacted.attachments };
+    }
+
+    // Text that tries to steer the AI is flagged for the organizer and kept out of agent prompts
+    let promptInjection = previous?.content === content ? previous.promptInjection || null : null;
+    if (previous?.content !== content) {
+      const { flagged, rules } = await promptSafetyService.screen(content, {
+        source: "meeting_chat",
+        meetingId,
+        userId: senderId,
+        sender: senderName,
+      });
+      promptInjection = flagged ? { rules } : null;
+    }
+
     let aiAnalysis = {};
 
-    if (geminiAI.isAvailable()) {
-      aiAnalysis = await this.analyzeMessageWithGemini(content, meetingId);
+    if (previous?.aiAnalysis && previous.content === content) {
+      // Reactions change a message too; keep the analysis of words we already saw
+      const { processedAt, ...analysis } = previous.aiAnalysis;
+      aiAnalysis = analysis;
+    } else if (ai.isAvailable("messageAnalysis")) {
+      aiAnalysis = await this.analyzeMessageWithAI(content, meetingId, parsed);
     } else {
-      aiAnalysis = await this.basicMessageAnalysis(content);
+      aiAnalysis = await this.basicMessageAnalysis(content, parsed);
     }
 
     const enhancedMessage = {
@@ -418,6 +741,13 @@ async processMessageWithAI(meetingId, message) {
       sender: senderName,
       senderId: senderId,
       content: content,
+      markdown: parsed?.markdown || content,
+      contentType: parsed?.contentType || 'text',
+      mentions: parsed?.mentions || [],
+      replyToId: parsed?.replyToId || null,
+      attachments: parsed?.attachments || [],
+      reactions: parsed?.reactions || [],
+      cards: parsed?.cards || [],
       timestamp: message.createdDateTime || message.timestamp || new Date().toISOString(),
       messageType: message.messageType || 'message',
       aiAnalysis: { ...aiAnalysis, processedAt: new Date().toISOString() },
@@ -427,9 +757,23 @@ async processMessageWithAI(meetingId, message) {
       isDecision: aiAnalysis.isDecision || false,
       urgency: aiAnalysis.urgency || "low",
       sentiment: aiAnalysis.sentiment || "neutral",
+      redaction,
+      promptInjection,
+      lastModifiedDateTime: message.lastModifiedDateTime || null,
+      editedAt: message.lastEditedDateTime || previous?.editedAt || null,
     };
 
-    await cosmosClient.createItem("chats", enhancedMessage);
+    await storage.upsertItem("chats", await retentionService.applyTtl("chats", enhancedMessage));
+
+    // Edits can turn a message into an action item too; items already created are kept as they are
+    if (enhancedMessage.isActionItem) {
+      await actionItemService.createFromMessage(meetingId, enhancedMessage, this.actionItemsFor(content, parsed, aiAnalysis));
+    }
+
+    if (previous) {
+      logger.debug("✅ Edited message re-analyzed", { meetingId, messageId: message.id });
+      return enhancedMessage;
+    }
 
     // 🆕 NEW: Auto-send insights
     if (this.autoInsightsEnabled) {
@@ -448,58 +792,73 @@ async processMessageWithAI(meetingId, message) {
     });
     return enhancedMessage;
   } catch (error) {
+    // Let the caller see it, so the chat cursor does not move past an unstored message
     logger.error("❌ Failed to process message with AI:", error);
-    return null;
+    throw error;
   }
 }
 
-  // Analyze message with Gemini AI (with added file/link detection)
-  async analyzeMessageWithGemini(content, meetingId) {
+  // Analyze message with the configured AI provider (with added file/link detection)
+  async analyzeMessageWithAI(content, meetingId, parsed = null) {
     try {
-      const prompt = `
-        Analyze this meeting chat message and provide insights.
-        Message: "${content}"
-        
-        Please analyze and respond in JSON format:
-        {
-          "primaryCategory": "question|action_item|decision|resource_sharing|general",
-          "isActionItem": true/false,
-          "isQuestion": true/false,
-          "isDecision": true/false,
-          "urgency": "low|medium|high",
-          "sentiment": "positive|neutral|negative",
-          "sharedResource": "Extract any URL or filename mentioned, otherwise null"
-        }
-      `;
-      const result = await geminiAI.model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
-      const analysis = JSON.parse(text.replace(/```json|```/g, "").trim());
+      const { output: analysis, prompt } = await ai.run("chatMessageAnalysis", {
+        content,
+        context: this.describeMessageContext(parsed),
+      });
+      analysis.promptVersion = prompt;
+      if (parsed?.mentions.length) {
+        analysis.mentions = parsed.mentions.map((mention) => mention.displayName);
+      }
       return analysis;
     } catch (error) {
-      logger.warn("Gemini AI analysis failed, using basic analysis:", error);
-      return await this.basicMessageAnalysis(content);
+      logger.warn("AI analysis failed, using basic analysis:", error);
+      return await this.basicMessageAnalysis(content, parsed);
+    }
+  }
+
+  // Text to store and analyze: what was typed, else the card or file that was shared
+  messageContent(parsed) {
+    return parsed.text ||
+      parsed.cards.map((card) => card.text).filter(Boolean).join("\n") ||
+      parsed.attachments.map((file) => `Shared ${file.name || file.kind}`).join("\n");
+  }
+
+  // Prompt lines for the parts of a Teams message that are not in its text
+  describeMessageContext(parsed) {
+    if (!parsed) return "";
+    const lines = [];
+    if (parsed.mentions.length) {
+      lines.push(`Mentions: ${parsed.mentions.map((mention) => mention.displayName).join(", ")}`);
+    }
+    if (parsed.replyToId) lines.push("This message replies to an earlier message.");
+    if (parsed.attachments.length) {
+      lines.push(`Attachments: ${parsed.attachments.map((file) => file.name || file.url).join(", ")}`);
     }
+    parsed.cards
+      .filter((card) => card.text && card.text !== parsed.text)
+      .forEach((card) => lines.push(`Card: ${card.text.replace(/\n/g, " / ")}`));
+    return lines.join("\n");
   }
 
   // Basic message analysis (fallback)
-  async basicMessageAnalysis(content) {
+  async basicMessageAnalysis(content, parsed = null) {
     return {
-      primaryCategory: this.detectPrimaryCategory(content),
+      primaryCategory: this.detectPrimaryCategory(content, parsed),
       isActionItem: this.detectActionItem(content),
       isQuestion: this.detectQuestion(content),
       isDecision: this.detectDecision(content),
       urgency: this.detectUrgency(content),
       sentiment: this.detectSentiment(content),
       keyTopics: this.extractKeyTopics(content),
-      extractedActionItems: this.extractBasicActionItems(content),
-      mentions: this.extractMentions(content),
+      extractedActionItems: this.extractBasicActionItems(content, parsed),
+      mentions: parsed ? parsed.mentions.map((mention) => mention.displayName) : this.extractMentions(content),
+      sharedResource: this.extractSharedResource(content, parsed),
       requiresFollowUp: this.detectFollowUpNeed(content),
       confidenceScore: 0.7,
     };
   }
 
-  detectPrimaryCategory(content) {
+  detectPrimaryCategory(content, parsed = null) {
     const contentLower = content.toLowerCase();
     if (
       contentLower.includes("?") ||
@@ -514,7 +873,7 @@ async processMessageWithAI(meetingId, message) {
       return "action_item";
     if (contentLower.includes("decided") || contentLower.includes("agreed"))
       return "decision";
-    if (contentLower.includes("http") || contentLower.includes("shared"))
+    if (contentLower.includes("http") || contentLower.includes("shared") || parsed?.attachments.length)
       return "resource_sharing";
     return "general";
   }
@@ -568,22 +927,33 @@ async processMessageWithAI(meetingId, message) {
       )
       .slice(0, 3);
   }
-  extractBasicActionItems(content) {
-    if (this.detectActionItem(content)) {
-      return [
-        {
-          task: content,
-          assignee: this.extractAssignee(content),
-          deadline: this.extractDeadline(content),
-        },
-      ];
-    }
-    return [];
+  extractBasicActionItems(content, parsed = null) {
+    return this.detectActionItem(content) ? [this.describeActionItem(content, parsed)] : [];
+  }
+  describeActionItem(content, parsed = null) {
+    // "@Adele can you draft the notes by Friday" is assigned to the person mentioned
+    const mentioned = parsed?.mentions.find((mention) => mention.kind === "user");
+    return {
+      task: content,
+      assignee: this.extractAssignee(content) || mentioned?.displayName || null,
+      deadline: this.extractDeadline(content),
+    };
+  }
+  // Action items of a message the analysis flagged: what it extracted, else the message itself
+  actionItemsFor(content, parsed, analysis) {
+    const extracted = analysis.extractedActionItems || [];
+    return extracted.length > 0 ? extracted : [this.describeActionItem(content, parsed)];
   }
   extractMentions(content) {
     const matches = content.match(/@(\w+)/g);
     return matches ? matches.map((m) => m.substring(1)) : [];
   }
+  extractSharedResource(content, parsed = null) {
+    const file = parsed?.attachments[0];
+    if (file) return file.name || file.url;
+    const link = content.match(/https?:\/\/\S+/);
+    return link ? link[0] : null;
+  }
   extractAssignee(content) {
     const match = content.match(/assigned to (\w+)/i);
     return match ? match[1] : null;
@@ -616,7 +986,7 @@ async processMessageWithAI(meetingId, message) {
         createdAt: new Date().toISOString(),
         handled: false,
       };
-      await cosmosClient.createItem("notifications", urgentNotification);
+      await storage.createItem("notifications", await retentionService.applyTtl("notifications", urgentNotification));
       this.emitUrgentNotification(meetingId, urgentNotification);
     } catch (error) {
       logger.error("❌ Failed to handle urgent message:", error);
@@ -661,6 +1031,14 @@ async processMessageWithAI(meetingId, message) {
         this.activeCaptures.delete(meetingId);
         logger.info("✅ Chat capture stopped", { meetingId });
       }
+      // Also covers subscriptions restored after a restart, which have no session
+      await graphSubscriptionService.unsubscribeMeeting(meetingId);
+
+      // Keep the cursors so a later capture of the same chat picks up where this one stopped
+      const cursors = await storage.findItems(this.cursorContainer, { meetingId, active: true });
+      for (const cursor of cursors) {
+        await this.saveCursor(cursor.id, { active: false });
+      }
     } catch (error) {
       logger.error("❌ Failed to stop chat capture:", error);
     }
@@ -673,7 +1051,7 @@ async processMessageWithAI(meetingId, message) {
         meetingId,
         ...session,
         duration: new Date() - new Date(session.startTime),
-        monitoringActive: !!session.monitoringLoop,
+        monitoringActive: !!session.monitoringLoop || !!session.subscriptionId,
       })
     );
   }
@@ -681,11 +1059,8 @@ async processMessageWithAI(meetingId, message) {
   // Get detailed chat analysis for a meeting
   async getChatAnalysis(meetingId) {
     try {
-      const messages = await cosmosClient.queryItems(
-        "chats",
-        "SELECT * FROM c WHERE c.meetingId = @meetingId ORDER BY c.timestamp ASC",
-        [{ name: "@meetingId", value: meetingId }]
-      );
+      const messages = (await storage.findItems("chats", { meetingId }, { sort: { timestamp: 1 } }))
+        .filter(msg => !msg.isDeleted);
       if (!messages || messages.length === 0) {
         return { meetingId, totalMessages: 0, analysis: null };
       }
@@ -720,7 +1095,7 @@ async processMessageWithAI(meetingId, message) {
           questions: messages.filter((m) => m.isQuestion).length,
           actionItems: messages.filter((m) => m.isActionItem).length,
           decisions: messages.filter((m) => m.isDecision).length,
-          sharedResources: messages.filter((m) => m.aiAnalysis?.sharedResource)
+          sharedResources: messages.filter((m) => m.attachments?.length || m.aiAnalysis?.sharedResource)
             .length,
         },
         participantAnalysis: participantAnalysis,
@@ -834,8 +1209,6 @@ async sendToMeetingChat(meetingId, insightMessage) {
     const chatId = this.activeCaptures.get(meetingId)?.chatId;
     
     if (chatId && authService.isAvailable()) {
-      const accessToken = await authService.getAppOnlyToken();
-      
       const messagePayload = {
         body: {
           contentType: "html",
@@ -846,16 +1219,7 @@ async sendToMeetingChat(meetingId, insightMessage) {
         }
       };
 
-      await axios.post(
-        `${this.graphEndpoint}/chats/${chatId}/messages`,
-        messagePayload,
-        {
-          headers: {
-            'Authorization': `Bearer ${accessToken}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
+      await graph.post(`/chats/${chatId}/messages`, messagePayload);
 
       logger.info('✅ Insight sent directly to Teams chat', { meetingId, chatId });
       return;
@@ -867,10 +1231,7 @@ async sendToMeetingChat(meetingId, insightMessage) {
     // Your existing email code here...
     const teamsService = require('./teamsService');
     
-    const meetings = await cosmosClient.queryItems('meetings',
-      'SELECT * FROM c WHERE c.meetingId = @meetingId',
-      [{ name: '@meetingId', value: meetingId }]
-    );
+    const meetings = await storage.findItems('meetings', { meetingId });
 
     if (meetings && meetings.length > 0 && meetings[0].attendees) {
       const meeting = meetings[0];
@@ -913,8 +1274,6 @@ async sendInsightToMeetingChat(meetingId, insightMessage) {
     
     if (chatId && authService.isAvailable()) {
       // Send directly to Teams meeting chat
-      const accessToken = await authService.getAppOnlyToken();
-      
       const messagePayload = {
         body: {
           contentType: "html",
@@ -925,16 +1284,7 @@ async sendInsightToMeetingChat(meetingId, insightMessage) {
         }
       };
 
-      await axios.post(
-        `${this.graphEndpoint}/chats/${chatId}/messages`,
-        messagePayload,
-        {
-          headers: {
-            'Authorization': `Bearer ${accessToken}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
+      await graph.post(`/chats/${chatId}/messages`, messagePayload);
 
       logger.info('✅ Insight sent to meeting chat', { meetingId, chatId });
       return true;
@@ -1039,10 +1389,7 @@ async sendInsightToMeetingChat(meetingId, insightMessage) {
         `💡 Full detailed report available via dashboard`;
 
       // Send to all attendees
-      const meetings = await cosmosClient.queryItems('meetings',
-        'SELECT * FROM c WHERE c.meetingId = @meetingId',
-        [{ name: '@meetingId', value: meetingId }]
-      );
+      const meetings = await storage.findItems('meetings', { meetingId });
 
       if (meetings && meetings.length > 0 && meetings[0].attendees) {
         for (const attendee of meetings[0].attendees) {
@@ -0,0 +1,302 @@
+const crypto = require("crypto");
+const EventEmitter = require("events");
+const authService = require("./authService");
+const graph = require("../graph");
+const storage = require("../storage");
+const logger = require("../utils/logger");
+
+// Graph caps chat message subscriptions at 60 minutes
+const MAX_CHAT_SUBSCRIPTION_MINUTES = 59;
+const RENEWAL_RETRY_MS = 60 * 1000;
+
+const pemToBase64 = (value) =>
+  value.replace(/-----(BEGIN|END) CERTIFICATE-----/g, "").replace(/\s+/g, "");
+
+// Microsoft Graph change notifications for Teams chat messages.
+//   - subscribe: POST /subscriptions; Graph validates the notification URL first
+//     (the webhook echoes validationToken), so the public URL must be reachable
+//   - renewal: PATCH before expirationDateTime, also on reauthorizationRequired
+//   - resource data: included and encrypted when a certificate is configured,
+//     otherwise each message is fetched from the notification's resource path
+// Subscriptions are stored so notifications survive restarts. Emits:
+//   'lost'   (record)  the subscription is gone (removed by Graph or could not be renewed)
+//   'missed' (record)  Graph could not deliver some notifications
+class GraphSubscriptionService extends EventEmitter {
+  constructor() {
+    super();
+    this.containerName = storage.containers.graphSubscriptions;
+
+    // Public base URL of this server, e.g. https://agent365.example.com
+    const baseUrl = (process.env.GRAPH_NOTIFICATION_URL || "").replace(/\/+$/, "");
+    this.notificationUrl = baseUrl ? `${baseUrl}/api/webhooks/graph` : null;
+
+    this.clientState = process.env.GRAPH_WEBHOOK_CLIENT_STATE || crypto.randomBytes(32).toString("hex");
+    this.lifetimeMinutes = Math.min(
+      parseInt(process.env.GRAPH_SUBSCRIPTION_MINUTES) || 55,
+      MAX_CHAT_SUBSCRIPTION_MINUTES
+    );
+    this.renewBeforeMinutes = Math.min(10, Math.floor(this.lifetimeMinutes / 2));
+
+    // Resource data encryption: public certificate sent to Graph, private key kept here
+    this.encryptionCertificate = process.env.GRAPH_ENCRYPTION_CERTIFICATE
+      ? pemToBase64(process.env.GRAPH_ENCRYPTION_CERTIFICATE)
+      : null;
+    this.encryptionCertificateId = process.env.GRAPH_ENCRYPTION_CERTIFICATE_ID || null;
+    this.encryptionPrivateKey = process.env.GRAPH_ENCRYPTION_PRIVATE_KEY
+      ? process.env.GRAPH_ENCRYPTION_PRIVATE_KEY.replace(/\\n/g, "\n")
+      : null;
+
+    this.renewalTimers = new Map();
+
+    if (!this.notificationUrl) {
+      logger.warn("⚠️ GRAPH_NOTIFICATION_URL not configured. Chat capture will poll instead of using change notifications.");
+    } else if (!process.env.GRAPH_WEBHOOK_CLIENT_STATE) {
+      logger.warn("⚠️ GRAPH_WEBHOOK_CLIENT_STATE not configured. Using a per-process secret; subscriptions will not survive a restart.");
+    }
+  }
+
+  isAvailable() {
+    return authService.isAvailable() && !!this.notificationUrl;
+  }
+
+  includesResourceData() {
+    return !!(this.encryptionCertificate && this.encryptionCertificateId && this.encryptionPrivateKey);
+  }
+
+  expirationFromNow() {
+    return new Date(Date.now() + this.lifetimeMinutes * 60 * 1000).toISOString();
+  }
+
+  // Subscribe to new, edited and deleted messages in a meeting chat
+  async subscribeToChat(meetingId, chatId) {
+    if (!this.isAvailable()) {
+      throw new Error("Graph change notifications not configured");
+    }
+
+    const resource = `/chats/${chatId}/messages`;
+    const request = {
+      changeType: "created,updated,deleted",
+      notificationUrl: this.notificationUrl,
+      lifecycleNotificationUrl: this.notificationUrl,
+      resource,
+      expirationDateTime: this.expirationFromNow(),
+      clientState: this.clientState
+    };
+
+    if (this.includesResourceData()) {
+      request.includeResourceData = true;
+      request.encryptionCertificate = this.encryptionCertificate;
+      request.encryptionCertificateId = this.encryptionCertificateId;
+    }
+
+    const subscription = await graph.post("/subscriptions", request);
+
+    const record = await storage.upsertItem(this.containerName, {
+      id: subscription.id,
+      meetingId,
+      chatId,
+      resource,
+      changeType: subscription.changeType,
+      includeResourceData: !!request.includeResourceData,
+      expirationDateTime: subscription.expirationDateTime,
+      createdAt: new Date().toISOString()
+    });
+
+    this.scheduleRenewal(record);
+    logger.info("🔔 Subscribed to chat messages", {
+      meetingId,
+      chatId,
+      subscriptionId: subscription.id,
+      expires: subscription.expirationDateTime
+    });
+    return record;
+  }
+
+  async getSubscription(subscriptionId) {
+    return await storage.getItem(this.containerName, subscriptionId, subscriptionId);
+  }
+
+  async renew(subscriptionId) {
+    const subscription = await graph.patch(`/subscriptions/${subscriptionId}`, {
+      expirationDateTime: this.expirationFromNow()
+    });
+
+    const record = await storage.updateItem(this.containerName, subscriptionId, subscriptionId, {
+      expirationDateTime: subscription.expirationDateTime,
+      renewedAt: new Date().toISOString()
+    });
+
+    this.scheduleRenewal(record);
+    logger.info("🔔 Subscription renewed", { subscriptionId, expires: subscription.expirationDateTime });
+    return record;
+  }
+
+  // Renew ahead of expiry; retry every minute until it works or the subscription has expired
+  scheduleRenewal(record) {
+    this.clearRenewal(record.id);
+
+    const renewAt = new Date(record.expirationDateTime).getTime() - this.renewBeforeMinutes * 60 * 1000;
+    const timer = setTimeout(() => this.renewOrGiveUp(record), Math.max(renewAt - Date.now(), 0));
+    timer.unref();
+    this.renewalTimers.set(record.id, timer);
+  }
+
+  async renewOrGiveUp(record) {
+    try {
+      await this.renew(record.id);
+    } catch (error) {
+      const status = error.status;
+      const expired = new Date(record.expirationDateTime) <= new Date();
+
+      if (status === 404 || expired) {
+        logger.warn("⚠️ Subscription could not be renewed", { subscriptionId: record.id, status, error: error.message });
+        await this.forget(record.id);
+        this.emit("lost", record);
+        return;
+      }
+
+      logger.warn("⚠️ Subscription renewal failed, retrying", { subscriptionId: record.id, status, error: error.message });
+      const timer = setTimeout(() => this.renewOrGiveUp(record), RENEWAL_RETRY_MS);
+      timer.unref();
+      this.renewalTimers.set(record.id, timer);
+    }
+  }
+
+  clearRenewal(subscriptionId) {
+    clearTimeout(this.renewalTimers.get(subscriptionId));
+    this.renewalTimers.delete(subscriptionId);
+  }
+
+  // Drop our record of a subscription without calling Graph
+  async forget(subscriptionId) {
+    this.clearRenewal(subscriptionId);
+    await storage.deleteItem(this.containerName, subscriptionId, subscriptionId).catch(error => {
+      if (error.code !== 404) throw error;
+    });
+  }
+
+  async unsubscribe(subscriptionId) {
+    try {
+      await graph.delete(`/subscriptions/${subscriptionId}`);
+    } catch (error) {
+      if (error.status !== 404) {
+        logger.warn("⚠️ Failed to delete Graph subscription", { subscriptionId, error: error.message });
+      }
+    }
+    await this.forget(subscriptionId);
+    logger.info("🔕 Unsubscribed from chat messages", { subscriptionId });
+  }
+
+  async unsubscribeMeeting(meetingId) {
+    const records = await storage.findItems(this.containerName, { meetingId });
+    for (const record of records) {
+      await this.unsubscribe(record.id);
+    }
+    return records.length;
+  }
+
+  // Resume renewals for subscriptions created before a restart; drop the expired ones
+  async restore() {
+    if (!this.isAvailable()) return;
+
+    const now = new Date().toISOString();
+    const records = await storage.findItems(this.containerName, {});
+    for (const record of records) {
+      if (record.expirationDateTime <= now) {
+        await this.forget(record.id);
+        this.emit("lost", record);
+      } else {
+        this.scheduleRenewal(record);
+      }
+    }
+
+    if (records.length > 0) {
+      logger.info(`🔔 Restored ${records.length} Graph subscription(s)`);
+    }
+  }
+
+  stop() {
+    this.renewalTimers.forEach(timer => clearTimeout(timer));
+    this.renewalTimers.clear();
+  }
+
+  // Notifications are only trusted when they carry our clientState
+  isValidClientState(notification) {
+    const expected = Buffer.from(this.clientState);
+    const received = Buffer.from(String(notification.clientState || ""));
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  // Graph encrypts resource data with a random AES key, which is itself encrypted with our
+  // certificate's public key; dataSignature is an HMAC-SHA256 of the data under the AES key
+  decryptResourceData(encryptedContent) {
+    if (!this.encryptionPrivateKey) {
+      throw new Error("No private key configured for encrypted resource data");
+    }
+    if (this.encryptionCertificateId && encryptedContent.encryptionCertificateId !== this.encryptionCertificateId) {
+      throw new Error(`Resource data encrypted for unknown certificate '${encryptedContent.encryptionCertificateId}'`);
+    }
+
+    const symmetricKey = crypto.privateDecrypt(
+      { key: this.encryptionPrivateKey, padding: crypto.constants.RSA_PKCS1_OAEP_PADDING },
+      Buffer.from(encryptedContent.dataKey, "base64")
+    );
+
+    const data = Buffer.from(encryptedContent.data, "base64");
+    const expectedSignature = crypto.createHmac("sha256", symmetricKey).update(data).digest();
+    const signature = Buffer.from(encryptedContent.dataSignature, "base64");
+    if (signature.length !== expectedSignature.length || !crypto.timingSafeEqual(signature, expectedSignature)) {
+      throw new Error("Resource data signature does not match");
+    }
+
+    const decipher = crypto.createDecipheriv("aes-256-cbc", symmetricKey, symmetricKey.subarray(0, 16));
+    const decrypted = Buffer.concat([decipher.update(data), decipher.final()]);
+    return JSON.parse(decrypted.toString("utf8"));
+  }
+
+  // The changed resource: decrypted from the notification, or fetched when it carries no data
+  async getNotificationResource(notification) {
+    if (notification.encryptedContent) {
+      return this.decryptResourceData(notification.encryptedContent);
+    }
+    return await graph.get(notification.resource);
+  }
+
+  // reauthorizationRequired: renew now; subscriptionRemoved: it is gone; missed: some notifications were dropped
+  async handleLifecycleNotification(notification) {
+    const record = await this.getSubscription(notification.subscriptionId);
+    if (!record) {
+      logger.warn("⚠️ Lifecycle notification for unknown subscription", {
+        subscriptionId: notification.subscriptionId,
+        lifecycleEvent: notification.lifecycleEvent
+      });
+      return;
+    }
+
+    logger.info("🔔 Subscription lifecycle event", {
+      subscriptionId: record.id,
+      meetingId: record.meetingId,
+      lifecycleEvent: notification.lifecycleEvent
+    });
+
+    switch (notification.lifecycleEvent) {
+      case "reauthorizationRequired":
+        await this.renewOrGiveUp(record);
+        break;
+      case "subscriptionRemoved":
+        await this.forget(record.id);
+        this.emit("lost", record);
+        break;
+      case "missed":
+        this.emit("missed", record);
+        break;
+      default:
+        logger.warn("⚠️ Unknown lifecycle event", { lifecycleEvent: notification.lifecycleEvent });
+    }
+  }
+}
+
+// Create singleton instance
+const graphSubscriptionService = new GraphSubscriptionService();
+
+module.exports = graphSubscriptionService;
@@ -0,0 +1,363 @@
+const crypto = require('crypto');
+const os = require('os');
+const moment = require('moment');
+const { v4: uuidv4 } = require('uuid');
+const storage = require('../storage');
+const { ConflictError, isConcurrencyError } = require('../storage/errors');
+const logger = require('../utils/logger');
+
+const STATUSES = ['queued', 'running', 'completed', 'dead', 'cancelled'];
+const FINISHED_STATUSES = ['completed', 'dead', 'cancelled'];
+const MAX_ERRORS_KEPT = 10;
+const PURGE_EVERY_MS = 60 * 60 * 1000;
+
+// Stable ids for keyed jobs, so enqueueing the same work twice finds the existing job
+const jobIdFor = (key) => `job-${crypto.createHash('sha256').update(key).digest('hex').slice(0, 24)}`;
+
+// Durable job queue on the storage layer. Jobs survive restarts and are shared by every
+// app instance: a worker claims a due job with an ETag-guarded update, so only one
+// instance runs it, and a claim that is not finished by `lockedUntil` (the instance died)
+// is picked up again. Failed jobs are retried with exponential backoff and moved to the
+// dead letters ("dead") after maxAttempts; admins can inspect and requeue them.
+// Job: { id, type, key, payload, meetingId, userId, status, runAt, attempts, maxAttempts,
+//        lockedBy, lockedUntil, lastError, errors: [{ at, message }], result, createdAt, finishedAt }
+// Handlers get (payload, job) and must be idempotent: a job may run again after a crash.
+// Returning { skipped: reason } completes the job without doing anything.
+class JobQueueService {
+  constructor() {
+    this.containerName = storage.containers.jobs;
+    this.handlers = new Map();
+    this.workerId = `${os.hostname()}-${process.pid}-${uuidv4().slice(0, 8)}`;
+    this.pollSeconds = parseFloat(process.env.JOB_POLL_SECONDS ?? 5);
+    this.lockSeconds = parseInt(process.env.JOB_LOCK_SECONDS) || 300;
+    this.maxAttempts = parseInt(process.env.JOB_MAX_ATTEMPTS) || 5;
+    this.retryBaseSeconds = parseFloat(process.env.JOB_RETRY_BASE_SECONDS ?? 30);
+    this.retryMaxSeconds = parseFloat(process.env.JOB_RETRY_MAX_SECONDS ?? 3600);
+    this.retentionDays = parseInt(process.env.JOB_RETENTION_DAYS ?? 7);
+    this.batchSize = 20;
+    this.timer = null;
+    this.running = null;
+    this.lastPurge = 0;
+  }
+
+  register(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  // Queue a job. With a `key` the job is unique: a queued job with that key is moved to the
+  // new runAt/payload, and one that is running or finished is returned as it is.
+  async enqueue(type, payload = {}, { runAt = new Date(), key = null, maxAttempts = this.maxAttempts, meetingId = null, userId = null } = {}) {
+    const now = new Date().toISOString();
+    const job = {
+      id: key ? jobIdFor(key) : `job-${uuidv4()}`,
+      type,
+      key,
+      payload,
+      meetingId,
+      userId,
+      status: 'queued',
+      runAt: new Date(runAt).toISOString(),
+      attempts: 0,
+      maxAttempts,
+      lockedBy: null,
+      lockedUntil: null,
+      lastError: null,
+      errors: [],
+      result: null,
+      createdAt: now,
+      finishedAt: null
+    };
+
+    if (!key) {
+      return await storage.createItem(this.containerName, job);
+    }
+
+    const existing = await this.getJob(job.id);
+    if (!existing) {
+      try {
+        return await storage.createItem(this.containerName, job);
+      } catch (error) {
+        if (!(error instanceof ConflictError)) throw error;
+        return await this.getJob(job.id);
+      }
+    }
+
+    if (existing.status !== 'queued') return existing;
+    return await storage.modifyItem(this.containerName, job.id, job.id, current =>
+      current.status === 'queued' ? { ...current, payload, runAt: job.runAt, meetingId, userId } : current);
+  }
+
+  async getJob(id) {
+    return await storage.getItem(this.containerName, id, id);
+  }
+
+  async findByKey(key) {
+    return await this.getJob(jobIdFor(key));
+  }
+
+  // filter: { status, type, meetingId, limit }; newest first
+  async listJobs({ status, type, meetingId, limit = 100 } = {}) {
+    const filter = {};
+    if (status) filter.status = { $in: String(status).split(',').map(value => value.trim()) };
+    if (type) filter.type = type;
+    if (meetingId) filter.meetingId = meetingId;
+    return await storage.findItems(this.containerName, filter, { sort: { createdAt: -1 }, limit });
+  }
+
+  validateFilter({ status } = {}) {
+    return String(status || '').split(',').map(value => value.trim()).filter(Boolean)
+      .filter(value => !STATUSES.includes(value))
+      .map(value => `Unknown status '${value}' (expected ${STATUSES.join(', ')})`);
+  }
+
+  // Jobs per status
+  async getCounts() {
+    const counts = Object.fromEntries(STATUSES.map(status => [status, 0]));
+    for (const status of STATUSES) {
+      counts[status] = (await storage.findItems(this.containerName, { status })).length;
+    }
+    return counts;
+  }
+
+  // Run a job again now, whatever happened to it; running jobs are left alone
+  async requeue(job, { by = null } = {}) {
+    return await storage.modifyItem(this.containerName, job.id, job.id, current => {
+      if (current.status === 'running') {
+        throw new ConflictError(`Job '${job.id}' is running`, { containerName: this.containerName, id: job.id });
+      }
+      return {
+        ...current,
+        status: 'queued',
+        runAt: new Date().toISOString(),
+        attempts: 0,
+        lastError: null,
+        finishedAt: null,
+        requeuedAt: new Date().toISOString(),
+        requeuedBy: by
+      };
+    });
+  }
+
+  async cancel(job, reason = null) {
+    if (job.status !== 'queued') return job;
+    return await storage.modifyItem(this.containerName, job.id, job.id, current =>
+      current.status === 'queued'
+        ? { ...current, status: 'cancelled', cancelReason: reason, finishedAt: new Date().toISOString() }
+        : current);
+  }
+
+  async cancelByKey(key, reason = null) {
+    const job = await this.findByKey(key);
+    return job ? await this.cancel(job, reason) : null;
+  }
+
+  retryDelaySeconds(attempts) {
+    return Math.min(this.retryBaseSeconds * 2 ** (attempts - 1), this.retryMaxSeconds);
+  }
+
+  // Take a due job for this worker; null when another worker got it first. A claim that
+  // outlived its lock on the last attempt (the worker kept dying) moves the job to the dead letters.
+  async claim(job, now = new Date()) {
+    let claimed;
+    try {
+      claimed = await storage.modifyItem(this.containerName, job.id, job.id, current => {
+        if (current.status === 'running' && current.attempts >= current.maxAttempts) {
+          const message = `Lock expired on attempt ${current.attempts}; the worker ${current.lockedBy} stopped`;
+          return {
+            ...current,
+            status: 'dead',
+            lastError: message,
+            errors: [...(current.errors || []), { at: new Date().toISOString(), attempt: current.attempts, message }]
+              .slice(-MAX_ERRORS_KEPT),
+            lockedBy: null,
+            lockedUntil: null,
+            finishedAt: new Date().toISOString()
+          };
+        }
+        return {
+          ...current,
+          status: 'running',
+          attempts: current.attempts + 1,
+          lockedBy: this.workerId,
+          lockedUntil: moment.utc(now).add(this.lockSeconds, 'seconds').toISOString(),
+          startedAt: new Date().toISOString()
+        };
+      }, { ifMatch: job._etag });
+    } catch (error) {
+      if (isConcurrencyError(error)) return null;
+      throw error;
+    }
+
+    if (claimed.status === 'dead') {
+      logger.error(`☠️ Job ${claimed.type} moved to dead letters after ${claimed.attempts} attempt(s): ${claimed.lastError}`, { jobId: claimed.id });
+    }
+    return claimed;
+  }
+
+  // Extend this worker's claim on a running job, so a long handler is not picked up again
+  async renewLock(job) {
+    return await storage.modifyItem(this.containerName, job.id, job.id, current => {
+      if (current.lockedBy !== job.lockedBy || current.status !== 'running') {
+        throw new ConflictError(`Job '${job.id}' was claimed by another worker`, { containerName: this.containerName, id: job.id });
+      }
+      return { ...current, lockedUntil: moment.utc().add(this.lockSeconds, 'seconds').toISOString() };
+    });
+  }
+
+  // Record how a claimed job went; only the worker holding the claim may
+  async finish(job, changes) {
+    return await storage.modifyItem(this.containerName, job.id, job.id, current => {
+      if (current.lockedBy !== job.lockedBy || current.status !== 'running') {
+        throw new ConflictError(`Job '${job.id}' was claimed by another worker`, { containerName: this.containerName, id: job.id });
+      }
+      return { ...current, ...changes, lockedBy: null, lockedUntil: null };
+    });
+  }
+
+  async execute(job, now = new Date()) {
+    const handler = this.handlers.get(job.type);
+    const recordOutcome = (changes) => this.finish(job, changes)
+      .catch(error => logger.warn(`⚠️ Could not record outcome of job ${job.id}:`, error.message));
+
+    // Heartbeat: renew the lock while the handler runs
+    const heartbeat = setInterval(() => {
+      this.renewLock(job).catch(error => logger.warn(`⚠️ Could not renew lock on job ${job.id}:`, error.message));
+    }, this.lockSeconds * 1000 / 3);
+    heartbeat.unref();
+
+    let result;
+    try {
+      if (!handler) {
+        throw new Error(`No handler registered for job type '${job.type}'`);
+      }
+      result = await handler(job.payload, job);
+    } catch (error) {
+      clearInterval(heartbeat);
+      const dead = !handler || job.attempts >= job.maxAttempts;
+      const errors = [...(job.errors || []), { at: new Date().toISOString(), attempt: job.attempts, message: error.message }]
+        .slice(-MAX_ERRORS_KEPT);
+
+      if (dead) {
+        await recordOutcome({ status: 'dead', lastError: error.message, errors, finishedAt: new Date().toISOString() });
+        logger.error(`☠️ Job ${job.type} moved to dead letters after ${job.attempts} attempt(s): ${error.message}`, { jobId: job.id });
+        return 'dead';
+      }
+
+      await recordOutcome({
+        status: 'queued',
+        lastError: error.message,
+        errors,
+        runAt: moment.utc(now).add(this.retryDelaySeconds(job.attempts), 'seconds').toISOString()
+      });
+      logger.warn(`⚠️ Job ${job.type} failed (attempt ${job.attempts}/${job.maxAttempts}), retrying: ${error.message}`, { jobId: job.id });
+      return 'retrying';
+    }
+
+    clearInterval(heartbeat);
+    await recordOutcome({ status: 'completed', result: result ?? null, lastError: null, finishedAt: new Date().toISOString() });
+    logger.info(`✅ Job ${job.type} ${result?.skipped ? `skipped (${result.skipped})` : 'completed'}`, { jobId: job.id });
+    return 'completed';
+  }
+
+  // Due jobs: queued ones whose time has come, and claims that outlived their lock
+  async findDue(now) {
+    const at = now.toISOString();
+    return await storage.findItems(this.containerName, {
+      $or: [
+        { status: 'queued', runAt: { $lte: at } },
+        { status: 'running', lockedUntil: { $lt: at } }
+      ]
+    }, { sort: { runAt: 1 }, limit: this.batchSize });
+  }
+
+  // Run a job that was just queued without waiting for the poll; null when another
+  // worker claimed it first. A failure is retried by the queue like any other job.
+  async runNow(job) {
+    const claimed = await this.claim(job);
+    if (!claimed) return null;
+    return claimed.status === 'dead' ? 'dead' : await this.execute(claimed);
+  }
+
+  // Run everything that is due, including jobs queued by the jobs themselves;
+  // returns { claimed, outcomes: { completed: 2, retrying: 1 } }
+  async runDue(now = new Date()) {
+    if (this.running) return await this.running;
+
+    this.running = (async () => {
+      const outcomes = {};
+      const attempted = new Set();
+      let claimed = 0;
+
+      for (;;) {
+        const due = (await this.findDue(now)).filter(job => !attempted.has(job.id));
+        if (due.length === 0) break;
+
+        for (const candidate of due) {
+          attempted.add(candidate.id);
+          const job = await this.claim(candidate, now);
+          if (!job) continue;
+
+          claimed++;
+          const outcome = job.status === 'dead' ? 'dead' : await this.execute(job, now);
+          outcomes[outcome] = (outcomes[outcome] || 0) + 1;
+        }
+      }
+
+      return { claimed, outcomes };
+    })();
+
+    try {
+      return await this.running;
+    } finally {
+      this.running = null;
+    }
+  }
+
+  // Delete finished jobs older than the retention period
+  async purgeFinished(now = new Date()) {
+    if (!(this.retentionDays > 0)) return 0;
+
+    const old = await storage.findItems(this.containerName, {
+      status: { $in: FINISHED_STATUSES },
+      finishedAt: { $lt: moment.utc(now).subtract(this.retentionDays, 'days').toISOString() }
+    });
+    for (const job of old) {
+      await storage.deleteItem(this.containerName, job.id, job.id).catch(error => {
+        if (error.code !== 404) throw error;
+      });
+    }
+    if (old.length > 0) {
+      logger.info(`🧹 Deleted ${old.length} finished job(s)`);
+    }
+    return old.length;
+  }
+
+  async tick() {
+    await this.runDue();
+    if (Date.now() - this.lastPurge >= PURGE_EVERY_MS) {
+      this.lastPurge = Date.now();
+      await this.purgeFinished();
+    }
+  }
+
+  start() {
+    if (this.timer || !(this.pollSeconds > 0)) return;
+
+    this.timer = setInterval(() => {
+      this.tick().catch(error => logger.error('❌ Job queue poll failed:', error));
+    }, this.pollSeconds * 1000);
+    this.timer.unref();
+
+    logger.info(`📬 Job queue worker ${this.workerId} polling every ${this.pollSeconds}s (${[...this.handlers.keys()].join(', ') || 'no handlers'})`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+// Create singleton instance
+const jobQueueService = new JobQueueService();
+
+module.exports = jobQueueService;
@@ -0,0 +1,164 @@
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+
+// Replies arrive as one or more lines; the last one has a space after the code ("250 OK")
+class SmtpConnection {
+  constructor(socket) {
+    this.socket = socket;
+    this.buffer = '';
+    this.lines = [];
+    this.replies = [];
+    this.waiting = null;
+    this.error = null;
+
+    socket.setEncoding('utf8');
+    socket.on('data', chunk => {
+      this.buffer += chunk;
+      this.drain();
+    });
+    socket.on('error', error => this.fail(error));
+    socket.on('close', () => this.fail(new Error('SMTP connection closed')));
+  }
+
+  drain() {
+    let end;
+    while ((end = this.buffer.indexOf('\n')) >= 0) {
+      const line = this.buffer.slice(0, end).replace(/\r$/, '');
+      this.buffer = this.buffer.slice(end + 1);
+      this.lines.push(line);
+
+      if (/^\d{3}(?: |$)/.test(line)) {
+        this.replies.push({ code: parseInt(line), text: this.lines.map(l => l.slice(4)).join('\n') });
+        this.lines = [];
+      }
+    }
+    this.settle();
+  }
+
+  fail(error) {
+    this.error = this.error || error;
+    this.settle();
+  }
+
+  settle() {
+    if (!this.waiting) return;
+    const { resolve, reject } = this.waiting;
+    if (this.replies.length > 0) {
+      this.waiting = null;
+      resolve(this.replies.shift());
+    } else if (this.error) {
+      this.waiting = null;
+      reject(this.error);
+    }
+  }
+
+  read() {
+    return new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject };
+      this.settle();
+    });
+  }
+
+  // Send a command (or just wait for the greeting) and insist on one of the expected codes
+  async command(line, expected) {
+    if (line !== null) this.socket.write(`${line}\r\n`);
+    const reply = await this.read();
+    if (![].concat(expected).includes(reply.code)) {
+      const shown = line && line.startsWith('AUTH') ? 'AUTH' : line;
+      const error = new Error(`SMTP ${shown || 'greeting'} failed: ${reply.code} ${reply.text}`);
+      error.responseCode = reply.code;
+      throw error;
+    }
+    return reply;
+  }
+
+  close() {
+    this.socket.destroy();
+  }
+}
+
+const encodeHeader = (value) =>
+  /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+
+// Plain-text email over SMTP (any relay, or the stand-in from `npm run mock-smtp`).
+// Only what reminders need: one recipient, a subject and a text body.
+class MailService {
+  constructor() {
+    this.host = process.env.SMTP_HOST || null;
+    this.port = parseInt(process.env.SMTP_PORT) || 25;
+    this.secure = process.env.SMTP_SECURE === 'true';
+    this.user = process.env.SMTP_USER || null;
+    this.password = process.env.SMTP_PASSWORD || null;
+    this.from = process.env.SMTP_FROM || process.env.MEETING_ORGANIZER_EMAIL || 'agent365@localhost';
+    this.timeoutMs = parseInt(process.env.SMTP_TIMEOUT_MS) || 10000;
+  }
+
+  isConfigured() {
+    return !!this.host;
+  }
+
+  connect() {
+    return new Promise((resolve, reject) => {
+      const options = { host: this.host, port: this.port };
+      const socket = this.secure
+        ? tls.connect({ ...options, servername: this.host }, () => resolve(socket))
+        : net.connect(options, () => resolve(socket));
+
+      socket.setTimeout(this.timeoutMs, () => socket.destroy(new Error(`SMTP server did not answer within ${this.timeoutMs}ms`)));
+      socket.once('error', reject);
+    });
+  }
+
+  buildMessage({ to, subject, text, messageId }) {
+    const body = Buffer.from(text, 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+    return [
+      `From: ${this.from}`,
+      `To: ${to}`,
+      `Subject: ${encodeHeader(subject)}`,
+      `Date: ${new Date().toUTCString()}`,
+      `Message-ID: <${messageId}>`,
+      'MIME-Version: 1.0',
+      'Content-Type: text/plain; charset=UTF-8',
+      'Content-Transfer-Encoding: base64',
+      '',
+      body
+    ].join('\r\n');
+  }
+
+  // Resolves with { messageId } once the server accepted the message
+  async send({ to, subject, text }) {
+    if (!this.isConfigured()) {
+      throw new Error('Email is not configured - set SMTP_HOST');
+    }
+
+    const messageId = `${uuidv4()}@${this.from.split('@')[1] || 'localhost'}`;
+    const connection = new SmtpConnection(await this.connect());
+
+    try {
+      await connection.command(null, 220);
+      await connection.command(`EHLO ${os.hostname()}`, 250);
+      if (this.user) {
+        const credentials = Buffer.from(`\0${this.user}\0${this.password || ''}`).toString('base64');
+        await connection.command(`AUTH PLAIN ${credentials}`, 235);
+      }
+      await connection.command(`MAIL FROM:<${this.from}>`, 250);
+      await connection.command(`RCPT TO:<${to}>`, [250, 251]);
+      await connection.command('DATA', 354);
+      await connection.command(`${this.buildMessage({ to, subject, text, messageId })}\r\n.`, 250);
+      await connection.command('QUIT', 221).catch(() => {});
+
+      logger.info(`📧 Email sent to ${to}`, { subject });
+      return { messageId };
+    } finally {
+      connection.close();
+    }
+  }
+}
+
+// Create singleton instance
+const mailService = new MailService();
+
+module.exports = mailService;
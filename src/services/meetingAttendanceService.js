@@ -1,11 +1,10 @@
-const axios = require('axios');
 const authService = require('./authService');
-const cosmosClient = require('../config/cosmosdb');
+const graph = require('../graph');
+const storage = require('../storage');
 const logger = require('../utils/logger');
 
 class MeetingAttendanceService {
   constructor() {
-    this.graphEndpoint = process.env.GRAPH_API_ENDPOINT || 'https://graph.microsoft.com/v1.0';
     this.activeMeetings = new Map(); // Track meetings the agent is attending
     this.botAppId = process.env.MICROSOFT_APP_ID;
   }
@@ -16,10 +15,7 @@ class MeetingAttendanceService {
       logger.info('🤖 AI Agent joining meeting', { meetingId, userId });
 
       // Get meeting details from database
-      const meetings = await cosmosClient.queryItems('meetings',
-        'SELECT * FROM c WHERE c.meetingId = @meetingId',
-        [{ name: '@meetingId', value: meetingId }]
-      );
+      const meetings = await storage.findItems('meetings', { meetingId });
 
       if (!meetings || meetings.length === 0) {
         throw new Error('Meeting not found');
@@ -61,7 +57,7 @@ class MeetingAttendanceService {
       this.activeMeetings.set(meetingId, attendanceRecord);
 
       // Update meeting record
-      await cosmosClient.updateItem('meetings', meeting.id, userId, {
+      await storage.updateItem('meetings', meeting.id, userId, {
         agentAttended: true,
         agentJoinedAt: now.toISOString(),
         agentStatus: 'attending',
@@ -103,8 +99,6 @@ class MeetingAttendanceService {
         return;
       }
 
-      const accessToken = await authService.getAppOnlyToken();
-
       // Add AI agent as a meeting participant
       if (meeting.graphEventId) {
         const agentAttendee = {
@@ -126,24 +120,12 @@ class MeetingAttendanceService {
           ]
         };
 
-        const usersResponse = await axios.get(
-          `${this.graphEndpoint}/users?$top=1&$select=id`,
-          { headers: { 'Authorization': `Bearer ${accessToken}` } }
-        );
+        const usersResponse = await graph.get('/users?$top=1&$select=id');
 
-        if (usersResponse.data.value && usersResponse.data.value.length > 0) {
-          const userId = usersResponse.data.value[0].id;
+        if (usersResponse.value && usersResponse.value.length > 0) {
+          const userId = usersResponse.value[0].id;
           
-          await axios.patch(
-            `${this.graphEndpoint}/users/${userId}/events/${meeting.graphEventId}`,
-            updatePayload,
-            {
-              headers: {
-                'Authorization': `Bearer ${accessToken}`,
-                'Content-Type': 'application/json'
-              }
-            }
-          );
+          await graph.patch(`/users/${userId}/events/${meeting.graphEventId}`, updatePayload);
 
           logger.info('✅ AI Agent added to meeting attendee list');
         }
@@ -194,8 +176,8 @@ class MeetingAttendanceService {
     }
   }
 
-  // Leave meeting
-  async leaveMeeting(meetingId, userId) {
+  // Leave meeting. The scheduler generates the summary as a job of its own ({ generateSummary: false }).
+  async leaveMeeting(meetingId, userId, { generateSummary = true } = {}) {
     try {
       logger.info('🤖 AI Agent leaving meeting', { meetingId });
 
@@ -213,17 +195,16 @@ class MeetingAttendanceService {
       await chatCaptureService.stopChatCapture(meetingId);
 
       // Generate final summary
-      await this.generateFinalSummary(meetingId);
+      if (generateSummary) {
+        await this.generateFinalSummary(meetingId);
+      }
 
       // Update meeting record
-      const meetings = await cosmosClient.queryItems('meetings',
-        'SELECT * FROM c WHERE c.meetingId = @meetingId',
-        [{ name: '@meetingId', value: meetingId }]
-      );
+      const meetings = await storage.findItems('meetings', { meetingId });
 
       if (meetings && meetings.length > 0) {
         const meeting = meetings[0];
-        await cosmosClient.updateItem('meetings', meeting.id, userId, {
+        await storage.updateItem('meetings', meeting.id, userId, {
           agentLeftAt: now.toISOString(),
           agentStatus: 'left'
         });
@@ -249,14 +230,23 @@ class MeetingAttendanceService {
   async generateFinalSummary(meetingId) {
     try {
       const meetingSummaryService = require('./meetingSummaryService');
-      const chatCaptureService = require('./chatCaptureService');
       
       logger.info('📋 Generating final meeting summary', { meetingId });
 
       // Generate comprehensive summary
       const summary = await meetingSummaryService.generateMeetingSummary(meetingId);
+      await this.announceSummary(meetingId, summary);
+
+    } catch (error) {
+      logger.warn('⚠️ Could not generate final summary:', error.message);
+    }
+  }
+
+  // Send the headline numbers of a summary to the meeting chat
+  async announceSummary(meetingId, summary) {
+    try {
+      const chatCaptureService = require('./chatCaptureService');
 
-      // Send summary to meeting chat
       const summaryMessage = `📋 **Meeting Summary Generated**\n\n` +
         `📝 **Key Points:** ${summary.executiveSummary}\n\n` +
         `🎯 **Action Items:** ${summary.actionItems.length} identified\n` +
@@ -269,7 +259,7 @@ class MeetingAttendanceService {
       await chatCaptureService.sendToMeetingChat(meetingId, summaryMessage);
 
     } catch (error) {
-      logger.warn('⚠️ Could not generate final summary:', error.message);
+      logger.warn('⚠️ Could not send summary to meeting chat:', error.message);
     }
   }
 
@@ -1,18 +1,32 @@
-const cron = require('node-cron');
 const moment = require('moment');
-const cosmosClient = require('../config/cosmosdb');
+const storage = require('../storage');
+const jobQueueService = require('./jobQueueService');
 const meetingAttendanceService = require('./meetingAttendanceService');
+const meetingSummaryService = require('./meetingSummaryService');
 const chatCaptureService = require('./chatCaptureService');
 const logger = require('../utils/logger');
 
+const JOB_TYPES = {
+  join: 'meeting.join',
+  chatCapture: 'meeting.chatCapture',
+  leave: 'meeting.leave',
+  summary: 'meeting.summary'
+};
+
+// One job of each type per meeting
+const jobKey = (type, meetingId) => `${type}:${meetingId}`;
+
+// Automatic join, leave and summary for meetings, as jobs on the durable job queue: joining
+// is queued for the start time when the meeting is created; once the agent joined, chat
+// capture runs as a job of its own (the chat may not exist yet) and leaving is queued for the
+// end time; the summary is queued once it left. Handlers check the meeting first, so a
+// job that runs twice (a retry, or a worker that died mid-way) does the work once.
 class MeetingSchedulerService {
   constructor() {
-    this.scheduledJobs = new Map(); // Track scheduled join jobs
-    this.activeMonitors = new Map(); // Track active meeting monitors
     this.isInitialized = false;
   }
 
-  // Initialize the scheduler service
+  // Register the job handlers; the job queue worker runs them
   initialize() {
     if (this.isInitialized) {
       return;
@@ -20,315 +34,206 @@ class MeetingSchedulerService {
 
     logger.info('🤖 Initializing Automatic Meeting Join Scheduler');
 
-    // Run every minute to check for meetings to join
-    cron.schedule('* * * * *', async () => {
-      await this.checkForMeetingsToJoin();
-    });
-
-    // Run every 5 minutes to clean up completed meetings
-    cron.schedule('*/5 * * * *', async () => {
-      await this.cleanupCompletedMeetings();
-    });
-
-    // Load existing scheduled meetings on startup
-    this.loadScheduledMeetings();
+    jobQueueService.register(JOB_TYPES.join, payload => this.handleJoin(payload));
+    jobQueueService.register(JOB_TYPES.chatCapture, payload => this.handleChatCapture(payload));
+    jobQueueService.register(JOB_TYPES.leave, payload => this.handleLeave(payload));
+    jobQueueService.register(JOB_TYPES.summary, payload => this.handleSummary(payload));
 
     this.isInitialized = true;
     logger.info('✅ Meeting Scheduler Service initialized');
   }
 
-  // Schedule automatic join for a meeting
-  async scheduleMeetingJoin(meeting) {
-    try {
-      if (!meeting.agentConfig?.autoJoin) {
-        logger.debug('Auto-join disabled for meeting:', meeting.meetingId);
-        return;
-      }
+  async findMeeting(meetingId) {
+    return await storage.findOne(storage.containers.meetings, { meetingId });
+  }
 
-      const meetingStart = moment(meeting.startTime);
-      const now = moment();
-      const minutesUntilStart = meetingStart.diff(now, 'minutes');
+  enqueue(type, meeting, runAt) {
+    return jobQueueService.enqueue(type, { meetingId: meeting.meetingId }, {
+      key: jobKey(type, meeting.meetingId),
+      runAt,
+      meetingId: meeting.meetingId,
+      userId: meeting.userId
+    });
+  }
 
-      logger.info('📅 Scheduling automatic join for meeting', {
-        meetingId: meeting.meetingId,
-        subject: meeting.subject,
-        startTime: meeting.startTime,
-        minutesUntilStart
-      });
+  // Schedule automatic join for a meeting; calling it again after the meeting moved
+  // moves the pending job
+  async scheduleMeetingJoin(meeting) {
+    if (!meeting.agentConfig?.autoJoin) {
+      logger.debug('Auto-join disabled for meeting:', meeting.meetingId);
+      return null;
+    }
 
-      // Store in database for persistence
-      const scheduleRecord = {
-        id: `schedule_${meeting.meetingId}`,
-        meetingId: meeting.meetingId,
-        meetingDbId: meeting.id,
-        userId: meeting.userId,
-        scheduledJoinTime: meetingStart.toISOString(),
-        status: 'scheduled',
-        createdAt: new Date().toISOString(),
-        autoJoinEnabled: true
-      };
-
-      await cosmosClient.createItem('schedules', scheduleRecord);
-
-      // If meeting starts within 2 minutes, join immediately
-      if (minutesUntilStart <= 2 && minutesUntilStart >= -1) {
-        logger.info('🚀 Meeting starting very soon, joining immediately');
-        await this.executeAutomaticJoin(meeting);
-      }
+    const job = await this.enqueue(JOB_TYPES.join, meeting, meeting.startTime);
 
-      logger.info('✅ Meeting join scheduled successfully');
+    logger.info('📅 Automatic join scheduled', {
+      meetingId: meeting.meetingId,
+      subject: meeting.subject,
+      runAt: job.runAt,
+      status: job.status
+    });
+    return job;
+  }
 
-    } catch (error) {
-      logger.error('❌ Failed to schedule meeting join:', error);
-      throw error;
-    }
+  async scheduleMeetingLeave(meeting) {
+    return await this.enqueue(JOB_TYPES.leave, meeting, meeting.endTime);
   }
 
-  // Check for meetings that need to be joined
-  async checkForMeetingsToJoin() {
-    try {
-      const now = moment();
-      const checkWindowStart = now.subtract(1, 'minute').toISOString();
-      const checkWindowEnd = now.add(3, 'minutes').toISOString();
-
-      // Get scheduled meetings within the join window
-      const scheduledMeetings = await cosmosClient.queryItems('schedules',
-        'SELECT * FROM c WHERE c.status = "scheduled" AND c.scheduledJoinTime >= @start AND c.scheduledJoinTime <= @end',
-        [
-          { name: '@start', value: checkWindowStart },
-          { name: '@end', value: checkWindowEnd }
-        ]
-      );
+  async scheduleChatCapture(meeting) {
+    return await this.enqueue(JOB_TYPES.chatCapture, meeting, new Date());
+  }
 
-      for (const schedule of scheduledMeetings) {
-        await this.processScheduledMeeting(schedule);
-      }
+  async scheduleSummary(meeting) {
+    return await this.enqueue(JOB_TYPES.summary, meeting, new Date());
+  }
 
-    } catch (error) {
-      logger.error('❌ Error checking for meetings to join:', error);
+  // meeting.join: join once the meeting starts, unless it is gone, cancelled or over
+  async handleJoin({ meetingId }) {
+    const meeting = await this.findMeeting(meetingId);
+
+    if (!meeting) return { skipped: 'meeting_not_found' };
+    if (meeting.status === 'cancelled') return { skipped: 'meeting_cancelled' };
+    if (!meeting.agentConfig?.autoJoin) return { skipped: 'auto_join_disabled' };
+    if (meeting.agentAttended) {
+      // Joined by hand or by an earlier run of this job; make sure it also leaves
+      await this.scheduleMeetingLeave(meeting);
+      if (meeting.autoJoinExecuted && meeting.agentConfig?.enableChatCapture !== false) {
+        await this.scheduleChatCapture(meeting);
+      }
+      return { skipped: 'already_joined' };
     }
+    if (moment().isAfter(meeting.endTime)) return { skipped: 'meeting_ended' };
+
+    await this.executeAutomaticJoin(meeting);
+    return { joined: true };
   }
 
-  // Process a scheduled meeting for auto-join
-  async processScheduledMeeting(schedule) {
-    try {
-      // Get the full meeting details
-      const meeting = await cosmosClient.getItem('meetings', schedule.meetingDbId, schedule.userId);
-      
-      if (!meeting) {
-        logger.warn('⚠️ Meeting not found for schedule:', schedule.meetingId);
-        await this.markScheduleCompleted(schedule.id, 'meeting_not_found');
-        return;
-      }
+  // meeting.chatCapture: capture the chat of a meeting the agent is in
+  async handleChatCapture({ meetingId }) {
+    const meeting = await this.findMeeting(meetingId);
 
-      if (meeting.agentAttended) {
-        logger.info('✅ Agent already joined meeting:', meeting.meetingId);
-        await this.markScheduleCompleted(schedule.id, 'already_joined');
-        return;
-      }
+    if (!meeting) return { skipped: 'meeting_not_found' };
+    if (meeting.status === 'cancelled' || meeting.autoLeaveExecuted || moment().isAfter(meeting.endTime)) {
+      return { skipped: 'meeting_over' };
+    }
+    if (chatCaptureService.activeCaptures.has(meetingId)) return { skipped: 'already_capturing' };
 
-      const meetingStart = moment(meeting.startTime);
-      const now = moment();
-      const minutesSinceStart = now.diff(meetingStart, 'minutes');
+    await chatCaptureService.initiateRealChatCapture(meeting);
+    return { capturing: true };
+  }
 
-      // Join if meeting has started (within 5 minutes of start time)
-      if (minutesSinceStart >= 0 && minutesSinceStart <= 5) {
-        logger.info('🤖 Meeting started, executing automatic join');
-        await this.executeAutomaticJoin(meeting);
-        await this.markScheduleCompleted(schedule.id, 'joined');
-      }
-      // If meeting started more than 5 minutes ago, mark as missed
-      else if (minutesSinceStart > 5) {
-        logger.warn('⚠️ Meeting start window missed:', meeting.meetingId);
-        await this.markScheduleCompleted(schedule.id, 'missed');
-      }
+  // meeting.leave: leave and queue the summary
+  async handleLeave({ meetingId }) {
+    const meeting = await this.findMeeting(meetingId);
 
-    } catch (error) {
-      logger.error('❌ Error processing scheduled meeting:', error);
-      await this.markScheduleCompleted(schedule.id, 'error');
+    if (!meeting) return { skipped: 'meeting_not_found' };
+    if (meeting.autoLeaveExecuted) {
+      await this.scheduleSummaryIfWanted(meeting);
+      return { skipped: 'already_left' };
     }
+
+    await this.executeAutomaticLeave(meeting);
+    return { left: true };
+  }
+
+  // meeting.summary: generate the summary unless one exists, and tell the meeting chat
+  async handleSummary({ meetingId }) {
+    const [existing] = await meetingSummaryService.getMeetingSummaries(meetingId);
+    if (existing) return { skipped: 'summary_exists', version: existing.version };
+
+    const summary = await meetingSummaryService.generateMeetingSummary(meetingId);
+    await meetingAttendanceService.announceSummary(meetingId, summary);
+    return { version: summary.version ?? null };
   }
 
-  // Execute automatic join for a meeting
+  async scheduleSummaryIfWanted(meeting) {
+    if (meeting.agentConfig?.generateSummary === false) return null;
+    return await this.scheduleSummary(meeting);
+  }
+
+  // Execute automatic join for a meeting. The join is recorded and the leave queued as soon as
+  // the agent is in, so a retry never joins twice and the agent always leaves.
   async executeAutomaticJoin(meeting) {
-    try {
-      logger.info('🚀 Executing automatic agent join for REAL Teams meeting', {
-        meetingId: meeting.meetingId,
-        subject: meeting.subject
-      });
+    logger.info('🚀 Executing automatic agent join for REAL Teams meeting', {
+      meetingId: meeting.meetingId,
+      subject: meeting.subject
+    });
 
+    let joinResult;
+    try {
       // Join the real Teams meeting
-      const joinResult = await meetingAttendanceService.joinMeeting(
+      joinResult = await meetingAttendanceService.joinMeeting(
         meeting.meetingId,
         meeting.userId
       );
-
-      // Start real chat capture if enabled
-      if (meeting.agentConfig?.enableChatCapture !== false) {
-        await chatCaptureService.initiateRealChatCapture(meeting);
-      }
-
-      // Update meeting status
-      await cosmosClient.updateItem('meetings', meeting.id, meeting.userId, {
-        agentAttended: true,
-        agentJoinedAt: new Date().toISOString(),
-        status: 'in_progress',
-        autoJoinExecuted: true
-      });
-
-      logger.info('✅ Automatic agent join completed successfully', {
-        meetingId: meeting.meetingId,
-        joinResult: joinResult?.success
-      });
-
-      // Start monitoring for meeting end
-      this.startMeetingEndMonitor(meeting);
-
     } catch (error) {
       logger.error('❌ Automatic agent join failed:', error);
-      
+
       // Update meeting with error info
-      await cosmosClient.updateItem('meetings', meeting.id, meeting.userId, {
+      await storage.updateItem('meetings', meeting.id, meeting.userId, {
         autoJoinError: error.message,
         autoJoinAttemptedAt: new Date().toISOString()
       });
 
       throw error;
     }
-  }
-
-  // Start monitoring for meeting end to auto-leave
-  startMeetingEndMonitor(meeting) {
-    const meetingEnd = moment(meeting.endTime);
-    const now = moment();
-    const minutesUntilEnd = meetingEnd.diff(now, 'minutes');
 
-    if (minutesUntilEnd > 0) {
-      logger.info('📊 Starting meeting end monitor', {
-        meetingId: meeting.meetingId,
-        minutesUntilEnd
-      });
+    // Update meeting status
+    await storage.updateItem('meetings', meeting.id, meeting.userId, {
+      agentAttended: true,
+      agentJoinedAt: new Date().toISOString(),
+      status: 'in_progress',
+      autoJoinExecuted: true
+    });
 
-      const endMonitor = setTimeout(async () => {
-        await this.executeAutomaticLeave(meeting);
-      }, minutesUntilEnd * 60 * 1000);
+    // Leave when the meeting ends
+    await this.scheduleMeetingLeave(meeting);
 
-      this.activeMonitors.set(meeting.meetingId, endMonitor);
+    // Start real chat capture if enabled; it retries on its own
+    if (meeting.agentConfig?.enableChatCapture !== false) {
+      await this.scheduleChatCapture(meeting);
     }
+
+    logger.info('✅ Automatic agent join completed successfully', {
+      meetingId: meeting.meetingId,
+      joinResult: joinResult?.success
+    });
   }
 
   // Execute automatic leave when meeting ends
   async executeAutomaticLeave(meeting) {
-    try {
-      logger.info('🚪 Executing automatic agent leave', {
-        meetingId: meeting.meetingId
-      });
-
-      // Leave the meeting
-      await meetingAttendanceService.leaveMeeting(meeting.meetingId, meeting.userId);
-
-      // Stop chat capture
-      await chatCaptureService.stopRealChatCapture(meeting.meetingId);
-
-      // Update meeting status
-      await cosmosClient.updateItem('meetings', meeting.id, meeting.userId, {
-        agentLeftAt: new Date().toISOString(),
-        status: 'completed',
-        autoLeaveExecuted: true
-      });
-
-      // Clean up monitor
-      this.activeMonitors.delete(meeting.meetingId);
-
-      logger.info('✅ Automatic agent leave completed');
-
-    } catch (error) {
-      logger.error('❌ Automatic agent leave failed:', error);
-    }
-  }
-
-  // Mark a schedule as completed
-  async markScheduleCompleted(scheduleId, status) {
-    try {
-      const schedules = await cosmosClient.queryItems('schedules',
-        'SELECT * FROM c WHERE c.id = @scheduleId',
-        [{ name: '@scheduleId', value: scheduleId }]
-      );
-
-      if (schedules.length > 0) {
-        const schedule = schedules[0];
-        await cosmosClient.updateItem('schedules', schedule.id, schedule.userId || 'system', {
-          status: 'completed',
-          completionReason: status,
-          completedAt: new Date().toISOString()
-        });
-      }
-    } catch (error) {
-      logger.error('❌ Failed to mark schedule completed:', error);
-    }
-  }
-
-  // Load existing scheduled meetings on startup
-  async loadScheduledMeetings() {
-    try {
-      const now = moment();
-      const futureThreshold = now.add(24, 'hours').toISOString();
-
-      const scheduledMeetings = await cosmosClient.queryItems('schedules',
-        'SELECT * FROM c WHERE c.status = "scheduled" AND c.scheduledJoinTime <= @threshold',
-        [{ name: '@threshold', value: futureThreshold }]
-      );
-
-      logger.info(`📋 Loaded ${scheduledMeetings.length} scheduled meetings on startup`);
+    logger.info('🚪 Executing automatic agent leave', {
+      meetingId: meeting.meetingId
+    });
 
-    } catch (error) {
-      logger.error('❌ Failed to load scheduled meetings:', error);
+    // The attendance record only lives in this process; after a restart there is nothing to
+    // leave, but the capture still has to stop and the meeting be marked as done
+    if (meetingAttendanceService.activeMeetings.has(meeting.meetingId)) {
+      await meetingAttendanceService.leaveMeeting(meeting.meetingId, meeting.userId, { generateSummary: false });
     }
-  }
 
-  // Clean up completed meetings
-  async cleanupCompletedMeetings() {
-    try {
-      const twentyFourHoursAgo = moment().subtract(24, 'hours').toISOString();
-
-      const oldSchedules = await cosmosClient.queryItems('schedules',
-        'SELECT * FROM c WHERE c.status = "completed" AND c.completedAt < @threshold',
-        [{ name: '@threshold', value: twentyFourHoursAgo }]
-      );
+    // Stop chat capture
+    await chatCaptureService.stopRealChatCapture(meeting.meetingId);
 
-      for (const schedule of oldSchedules) {
-        await cosmosClient.deleteItem('schedules', schedule.id, schedule.userId || 'system');
-      }
+    // Update meeting status
+    await storage.updateItem('meetings', meeting.id, meeting.userId, {
+      agentLeftAt: new Date().toISOString(),
+      agentStatus: 'left',
+      status: 'completed',
+      autoLeaveExecuted: true
+    });
 
-      if (oldSchedules.length > 0) {
-        logger.info(`🧹 Cleaned up ${oldSchedules.length} old schedule records`);
-      }
+    await this.scheduleSummaryIfWanted(meeting);
 
-    } catch (error) {
-      logger.error('❌ Failed to cleanup completed meetings:', error);
-    }
+    logger.info('✅ Automatic agent leave completed');
   }
 
-  // Cancel scheduled join for a meeting
+  // Cancel scheduled join (and chat capture and leave) for a meeting
   async cancelScheduledJoin(meetingId) {
     try {
-      const schedules = await cosmosClient.queryItems('schedules',
-        'SELECT * FROM c WHERE c.meetingId = @meetingId AND c.status = "scheduled"',
-        [{ name: '@meetingId', value: meetingId }]
-      );
-
-      for (const schedule of schedules) {
-        await cosmosClient.updateItem('schedules', schedule.id, schedule.userId || 'system', {
-          status: 'cancelled',
-          cancelledAt: new Date().toISOString()
-        });
-      }
-
-      // Cancel active monitor if exists
-      if (this.activeMonitors.has(meetingId)) {
-        clearTimeout(this.activeMonitors.get(meetingId));
-        this.activeMonitors.delete(meetingId);
-      }
+      await jobQueueService.cancelByKey(jobKey(JOB_TYPES.join, meetingId), 'meeting_cancelled');
+      await jobQueueService.cancelByKey(jobKey(JOB_TYPES.chatCapture, meetingId), 'meeting_cancelled');
+      await jobQueueService.cancelByKey(jobKey(JOB_TYPES.leave, meetingId), 'meeting_cancelled');
 
       logger.info('✅ Scheduled join cancelled for meeting:', meetingId);
 
@@ -337,29 +242,34 @@ class MeetingSchedulerService {
     }
   }
 
+  // The meeting's join, chat capture, leave and summary jobs
+  async getMeetingJobs(meetingId) {
+    const jobs = await Promise.all(Object.values(JOB_TYPES).map(type => jobQueueService.findByKey(jobKey(type, meetingId))));
+    return jobs.filter(Boolean);
+  }
+
   // Get scheduler status
-  getSchedulerStatus() {
+  async getSchedulerStatus() {
     return {
       initialized: this.isInitialized,
-      activeSchedules: this.scheduledJobs.size,
-      activeMonitors: this.activeMonitors.size,
+      jobs: await jobQueueService.getCounts(),
       features: {
         automaticJoin: true,
         automaticLeave: true,
-        realTimeMonitoring: true,
+        summaryGeneration: true,
         persistentScheduling: true
       }
     };
   }
 
-  // Force check for meetings (manual trigger)
+  // Run due jobs now (manual trigger)
   async forceCheckMeetings() {
     logger.info('🔄 Manually triggering meeting check');
-    await this.checkForMeetingsToJoin();
+    return await jobQueueService.runDue();
   }
 }
 
 // Create singleton instance
 const meetingSchedulerService = new MeetingSchedulerService();
 
-module.exports = meetingSchedulerService;
\ No newline at end of file
+module.exports = meetingSchedulerService;
@@ -0,0 +1,211 @@
+const { v4: uuidv4 } = require('uuid');
+const moment = require('moment');
+const storage = require('../storage');
+const teamsService = require('./teamsService');
+const chatCaptureService = require('./chatCaptureService');
+const meetingAttendanceService = require('./meetingAttendanceService');
+const meetingSchedulerService = require('./meetingSchedulerService');
+const logger = require('../utils/logger');
+
+// Meetings as seen by a user ({ userId, tenantId, email, roles }): the meetings API and the
+// bot both go through here. Access is decided by the caller with rbac's checks.
+class MeetingService {
+  // A stored meeting belongs to the user when it is in their partition and tenant
+  isOwnedByUser(meeting, user) {
+    return meeting.userId === user.userId &&
+      (!meeting.tenantId || meeting.tenantId === user.tenantId);
+  }
+
+  // A Teams calendar meeting is visible when the user organizes or attends it
+  isVisibleToUser(meeting, user) {
+    const email = (user.email || '').toLowerCase();
+    if (!email) return false;
+    return (meeting.organizer || '').toLowerCase() === email ||
+      (meeting.attendees || []).some(attendee => attendee.toLowerCase() === email);
+  }
+
+  // The user's meetings from the database, optionally merged with the Teams calendar
+  async getUserMeetings(user, includeCalendar = true) {
+    const dbMeetings = await storage.getMeetingsByUser(user.userId, user.tenantId);
+    const aiCreatedMeetings = dbMeetings.filter(meeting => meeting.isRealTeamsMeeting);
+
+    logger.info(`📊 Found ${aiCreatedMeetings.length} AI-created meetings in database`);
+
+    if (!includeCalendar || !teamsService.isAvailable()) {
+      return { allMeetings: aiCreatedMeetings, aiCreatedMeetings };
+    }
+
+    try {
+      const calendarMeetings = (await teamsService.getAllCalendarMeetings())
+        .filter(meeting => this.isVisibleToUser(meeting, user));
+      logger.info(`📅 Found ${calendarMeetings.length} meetings in Teams calendar`);
+
+      // Combine both sources, avoiding duplicates
+      const combinedMeetings = [...aiCreatedMeetings];
+
+      // Add calendar meetings that aren't already in database
+      calendarMeetings.forEach(calMeeting => {
+        const existsInDb = aiCreatedMeetings.some(dbMeeting =>
+          dbMeeting.graphEventId === calMeeting.graphEventId ||
+          dbMeeting.subject === calMeeting.subject
+        );
+
+        if (!existsInDb) {
+          combinedMeetings.push(calMeeting);
+        }
+      });
+
+      logger.info(`🔗 Combined total: ${combinedMeetings.length} meetings (${aiCreatedMeetings.length} from DB + ${combinedMeetings.length - aiCreatedMeetings.length} unique from calendar)`);
+      return { allMeetings: combinedMeetings, aiCreatedMeetings };
+
+    } catch (calendarError) {
+      logger.warn('⚠️ Could not fetch calendar meetings, using database only:', calendarError.message);
+      return { allMeetings: aiCreatedMeetings, aiCreatedMeetings };
+    }
+  }
+
+  // Find a meeting by database id or Teams meeting id. Looks in the user's own partition
+  // first, then across their tenant; access is decided by checkMeetingPermission.
+  async findMeeting(user, id, { includeCalendar = false, matchSubject = false } = {}) {
+    const meeting = await storage.getItem(storage.containers.meetings, id, user.userId);
+    if (meeting && this.isOwnedByUser(meeting, user)) {
+      return meeting;
+    }
+
+    const ownMeetings = await storage.findItems(storage.containers.meetings, {
+      meetingId: id,
+      userId: user.userId
+    });
+    const owned = (ownMeetings || []).find(m => this.isOwnedByUser(m, user));
+    if (owned) {
+      return owned;
+    }
+
+    // Meetings organized by someone else in the same tenant (attendee/delegate access)
+    if (user.tenantId) {
+      const tenantMeetings = await storage.findItems(storage.containers.meetings, {
+        $or: [{ id }, { meetingId: id }],
+        tenantId: user.tenantId
+      });
+      if (tenantMeetings && tenantMeetings.length > 0) {
+        return tenantMeetings[0];
+      }
+    }
+
+    if (includeCalendar) {
+      const { allMeetings } = await this.getUserMeetings(user, true);
+      return allMeetings.find(m =>
+        m.id === id ||
+        m.meetingId === id ||
+        m.graphEventId === id ||
+        (matchSubject && (m.subject || '').toLowerCase().includes(id.toLowerCase()))
+      ) || null;
+    }
+
+    return null;
+  }
+
+  // Create the Teams meeting on the user's calendar, store it and queue the automatic join.
+  // Attendees must already be validated. When the agent should join and the meeting starts
+  // within 15 minutes, it joins right away.
+  async createMeeting(user, {
+    subject,
+    description,
+    startTime,
+    endTime,
+    attendees = [],
+    recurrence = null,
+    autoJoinAgent = true,
+    enableChatCapture = true,
+    availabilityChecked = false
+  }) {
+    logger.info('🚀 Creating REAL Teams meeting via Graph API');
+
+    const teamsMeetingResult = await teamsService.createTeamsMeeting({
+      subject,
+      description,
+      startTime,
+      endTime,
+      attendees,
+      recurrence
+    }, user);
+
+    const meetingData = {
+      id: uuidv4(),
+      meetingId: teamsMeetingResult.meetingId,
+      userId: user.userId,
+      tenantId: user.tenantId,
+      subject: subject,
+      description: description,
+      startTime: startTime,
+      endTime: endTime,
+      attendees: attendees,
+      status: 'scheduled',
+      joinUrl: teamsMeetingResult.joinUrl,
+      webUrl: teamsMeetingResult.webUrl,
+      graphEventId: teamsMeetingResult.graphEventId,
+      isRealTeamsMeeting: true,
+      isRecurring: teamsMeetingResult.isRecurring || false,
+      agentAttended: false,
+      agentConfig: {
+        autoJoin: autoJoinAgent,
+        enableChatCapture: enableChatCapture,
+        generateSummary: true
+      },
+      availabilityChecked,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    const savedMeeting = await storage.createMeeting(meetingData);
+
+    if (autoJoinAgent) {
+      const minutesUntilStart = moment(startTime).diff(moment(), 'minutes');
+
+      if (minutesUntilStart <= 15 && minutesUntilStart >= -5) {
+        logger.info('🤖 Meeting starting soon, joining AI agent to REAL Teams meeting');
+
+        try {
+          await meetingAttendanceService.joinMeeting(savedMeeting.meetingId, user.userId);
+
+          if (enableChatCapture) {
+            await chatCaptureService.initiateRealChatCapture(savedMeeting);
+          }
+
+          await storage.updateItem(storage.containers.meetings, savedMeeting.id, user.userId, {
+            status: 'in_progress',
+            agentJoinedAt: new Date().toISOString(),
+            agentAttended: true
+          });
+
+          savedMeeting.agentJoinedImmediately = true;
+          savedMeeting.agentAttended = true;
+          savedMeeting.status = 'in_progress';
+
+        } catch (immediateJoinError) {
+          logger.error('❌ Immediate AI agent join failed:', immediateJoinError);
+          savedMeeting.agentJoinError = immediateJoinError.message;
+        }
+      }
+    }
+
+    // Queue the automatic join (or, if the agent joined above, its leave) on the job queue
+    await this.scheduleAutoJoin(savedMeeting);
+
+    return { meeting: savedMeeting, teamsMeeting: teamsMeetingResult };
+  }
+
+  // A meeting is saved even when its auto-join job cannot be queued
+  async scheduleAutoJoin(meeting) {
+    try {
+      await meetingSchedulerService.scheduleMeetingJoin(meeting);
+    } catch (error) {
+      logger.warn('⚠️ Could not schedule automatic join:', error.message);
+    }
+  }
+}
+
+// Create singleton instance
+const meetingService = new MeetingService();
+
+module.exports = meetingService;
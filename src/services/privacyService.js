@@ -0,0 +1,377 @@
+const crypto = require('crypto');
+const storage = require('../storage');
+const redactionService = require('./redactionService');
+const logger = require('../utils/logger');
+
+// Cosmos system properties that must not be copied into a new document
+const SYSTEM_FIELDS = ['_rid', '_self', '_etag', '_attachments', '_ts'];
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const unique = (values) => [...new Set(values.filter(Boolean))];
+
+// Data subject access and erasure (GDPR). A person is identified by email; their user
+// record adds their directory id and display name, which is how chats and summaries
+// refer to them. Erasure pseudonymizes shared records (meetings, chats, summaries) so
+// counts and statistics stay consistent, and deletes records that only concern them.
+// Both only reach the requesting tenant's records: emails and names are not unique
+// across tenants, directory ids are.
+class PrivacyService {
+  constructor() {
+    this.redactedText = '[erased at the request of the data subject]';
+    const secret = process.env.PRIVACY_PSEUDONYM_SECRET || process.env.TOKEN_ENCRYPTION_KEY;
+    if (!secret) {
+      logger.warn('⚠️ PRIVACY_PSEUDONYM_SECRET not configured. Pseudonyms fall back to an unkeyed hash.');
+    }
+    this.secret = secret || 'agent365-pseudonym';
+  }
+
+  // Same person -> same pseudonym, so per-participant counts still add up after erasure
+  pseudonymFor(email) {
+    const hash = crypto.createHmac('sha256', this.secret).update(email).digest('hex').slice(0, 12);
+    return {
+      id: `erased-${hash}`,
+      name: `Erased user ${hash.slice(0, 6)}`,
+      email: `erased-${hash}@erased.invalid`
+    };
+  }
+
+  async resolveSubject(rawEmail, tenantId) {
+    if (!tenantId) {
+      throw new Error('A tenant is required');
+    }
+
+    const email = String(rawEmail || '').trim().toLowerCase();
+    if (!email || !email.includes('@')) {
+      throw new Error('A valid email address is required');
+    }
+
+    const users = await storage.findItems(storage.containers.users, {
+      $or: unique([rawEmail.trim(), email]).map(value => ({ email: value })),
+      tenantId
+    });
+
+    const userIds = unique(users.map(user => user.userId));
+    const names = unique(users.map(user => user.name)).filter(name => name.length >= 3);
+    const emails = unique([email, rawEmail.trim(), ...users.map(user => user.email)]);
+
+    return {
+      email,
+      tenantId,
+      emails,
+      userIds,
+      names,
+      users,
+      pseudonym: this.pseudonymFor(email),
+      // How chats, notifications and transcripts name a sender
+      senderValues: unique([...names, ...emails])
+    };
+  }
+
+  isSubjectValue(subject, value) {
+    if (typeof value !== 'string') return false;
+    const lower = value.toLowerCase();
+    return subject.userIds.includes(value) ||
+      subject.emails.some(email => email.toLowerCase() === lower) ||
+      subject.names.some(name => name.toLowerCase() === lower);
+  }
+
+  // Replace every mention of the subject (ids, emails, names) anywhere in a value
+  pseudonymizeValue(subject, value) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.pseudonymizeValue(subject, item));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.pseudonymizeValue(subject, item)]));
+    }
+    if (typeof value !== 'string') {
+      return value;
+    }
+
+    if (subject.userIds.includes(value)) return subject.pseudonym.id;
+
+    let result = value;
+    subject.emails.forEach(email => {
+      result = result.replace(new RegExp(escapeRegExp(email), 'gi'), subject.pseudonym.email);
+    });
+    subject.names.forEach(name => {
+      result = result.replace(new RegExp(`\\b${escapeRegExp(name)}\\b`, 'gi'), subject.pseudonym.name);
+    });
+    return result;
+  }
+
+  mentionsSubject(subject, value) {
+    return JSON.stringify(this.pseudonymizeValue(subject, value)) !== JSON.stringify(value);
+  }
+
+  // Parts of someone else's message that can refer to a person: their words, @mentions and reactions
+  chatReferences(chat) {
+    return { content: chat.content, markdown: chat.markdown, mentions: chat.mentions, reactions: chat.reactions };
+  }
+
+  // Everything that refers to the subject in their tenant, grouped by container
+  async collect(subject) {
+    const { containers } = storage;
+    const inUserIds = { $in: subject.userIds };
+    // People outside the directory are reminded by email address
+    const inUserKeys = { $in: [...subject.userIds, ...subject.emails.map(email => email.toLowerCase())] };
+
+    // Attendee emails keep whatever casing they were entered with, which no backend filter
+    // can match case-insensitively, so walk the meetings (privacy requests are rare)
+    const meetings = [];
+    const tenantMeetingIds = new Set();
+    for await (const meeting of storage.scanItems(containers.meetings)) {
+      const inTenant = meeting.tenantId
+        ? meeting.tenantId === subject.tenantId
+        : subject.userIds.includes(meeting.userId);
+      if (!inTenant) continue;
+
+      tenantMeetingIds.add(meeting.meetingId);
+      if (subject.userIds.includes(meeting.userId) ||
+          (meeting.attendees || []).some(attendee => this.isSubjectValue(subject, attendee))) {
+        meetings.push(meeting);
+      }
+    }
+
+    // Records found by email or name: kept when they carry the tenant, or belong to one of its meetings
+    const inTenant = (doc) => doc.tenantId
+      ? doc.tenantId === subject.tenantId
+      : (tenantMeetingIds.has(doc.meetingId) || (!doc.meetingId && subject.userIds.includes(doc.userId)));
+
+    const ownChats = (await storage.findItems(containers.chats, {
+      $or: [{ senderId: inUserIds }, { sender: { $in: subject.senderValues } }]
+    })).filter(inTenant);
+
+    // Summaries and other people's messages can only mention them in meetings they were part of
+    const meetingIds = unique([...meetings.map(m => m.meetingId), ...ownChats.map(c => c.meetingId)]);
+    const meetingFilter = { meetingId: { $in: meetingIds } };
+
+    const ownChatIds = new Set(ownChats.map(chat => chat.id));
+    const mentioningChats = meetingIds.length === 0 ? [] :
+      (await storage.findItems(containers.chats, meetingFilter))
+        .filter(chat => !ownChatIds.has(chat.id) && this.mentionsSubject(subject, this.chatReferences(chat)));
+
+    const summaries = meetingIds.length === 0 ? [] :
+      (await storage.findItems(containers.summaries, meetingFilter))
+        .filter(summary => this.mentionsSubject(subject, summary));
+
+    // Items they own, plus items in their meetings that name them elsewhere
+    const ownerEmails = subject.emails.map(email => email.toLowerCase());
+    const actionItems = (await storage.findItems(containers.actionItems, {
+      $or: [{ ownerEmail: { $in: ownerEmails } }, meetingFilter]
+    })).filter(item => inTenant(item) &&
+      (ownerEmails.includes(item.ownerEmail) || this.mentionsSubject(subject, item)));
+
+    const userTokens = (await Promise.all(subject.userIds.map(userId =>
+      storage.getItem(containers.userTokens, userId, userId)))).filter(Boolean);
+
+    return {
+      users: subject.users,
+      userTokens,
+      meetings,
+      chats: ownChats,
+      chatMentions: mentioningChats,
+      summaries,
+      actionItems,
+      notifications: (await storage.findItems(containers.notifications, {
+        $or: [{ userId: inUserKeys }, { sender: { $in: subject.senderValues } }]
+      })).filter(inTenant),
+      reminders: (await storage.findItems(containers.reminders, { userId: inUserKeys })).filter(inTenant),
+      reminderPreferences: await storage.findItems(containers.reminderPreferences, { userId: inUserIds }),
+      botConversations: await storage.findItems(containers.botConversations, { userId: inUserIds }),
+      schedules: await storage.findItems(containers.schedules, { userId: inUserIds }),
+      jobs: await storage.findItems(containers.jobs, { userId: inUserIds }),
+      transcriptions: (await storage.findItems(containers.transcriptions, { speaker: { $in: subject.senderValues } }))
+        .filter(inTenant),
+      auditLogs: await storage.findItems(containers.auditLogs, {
+        $or: [{ userId: inUserIds }, { email: { $in: subject.emails }, tenantId: subject.tenantId }]
+      })
+    };
+  }
+
+  stripSystemFields(doc) {
+    return Object.fromEntries(Object.entries(doc).filter(([key]) => !SYSTEM_FIELDS.includes(key) && key !== 'ttl'));
+  }
+
+  // Subject access request: their data, without other people's personal data where records are shared
+  async exportUserData(email, { tenantId } = {}) {
+    const subject = await this.resolveSubject(email, tenantId);
+    const found = await this.collect(subject);
+    const clean = (docs) => docs.map(doc => this.stripSystemFields(doc));
+
+    const data = {
+      profile: clean(found.users),
+      signIn: found.userTokens.map(token => ({
+        userId: token.userId,
+        tenantId: token.tenantId,
+        username: token.username,
+        updatedAt: token.updatedAt,
+        note: 'Encrypted sign-in tokens are held for this account; their contents are not exported'
+      })),
+      meetingsOrganized: clean(found.meetings.filter(m => subject.userIds.includes(m.userId))),
+      meetingsAttended: found.meetings
+        .filter(m => !subject.userIds.includes(m.userId))
+        .map(m => ({
+          meetingId: m.meetingId,
+          subject: m.subject,
+          startTime: m.startTime,
+          endTime: m.endTime,
+          status: m.status
+        })),
+      chatMessages: clean(found.chats),
+      mentionsInChat: found.chatMentions.map(chat => ({
+        meetingId: chat.meetingId,
+        messageId: chat.id,
+        timestamp: chat.timestamp,
+        content: chat.content
+      })),
+      meetingSummaries: found.summaries.map(summary => this.summaryExtract(subject, summary)),
+      actionItems: clean(found.actionItems),
+      notifications: clean(found.notifications),
+      reminders: clean(found.reminders),
+      reminderPreferences: clean(found.reminderPreferences),
+      botConversations: found.botConversations.map(conversation => ({
+        userId: conversation.userId,
+        tenantId: conversation.tenantId,
+        updatedAt: conversation.updatedAt,
+        note: 'The bot can message this account in Teams; the conversation address is not exported'
+      })),
+      scheduledJoins: clean(found.schedules),
+      jobs: found.jobs.map(job => ({
+        type: job.type,
+        meetingId: job.meetingId,
+        status: job.status,
+        runAt: job.runAt,
+        finishedAt: job.finishedAt
+      })),
+      transcriptions: clean(found.transcriptions),
+      auditLog: clean(found.auditLogs)
+    };
+
+    return {
+      subject: { email: subject.email, userIds: subject.userIds, names: subject.names },
+      generatedAt: new Date().toISOString(),
+      counts: Object.fromEntries(Object.entries(data).map(([key, items]) => [key, items.length])),
+      data
+    };
+  }
+
+  // The parts of a summary that are about the subject
+  summaryExtract(subject, summary) {
+    const about = (value) => this.isSubjectValue(subject, value);
+
+    return {
+      meetingId: summary.meetingId,
+      summaryId: summary.id,
+      version: summary.version,
+      generatedAt: summary.generatedAt,
+      participation: (summary.participants || []).filter(p => about(p.name) || about(p.userId)),
+      actionItemsAssigned: (summary.actionItems || []).filter(item => about(item.assignee)),
+      decisionsMade: (summary.decisions || []).filter(decision => about(decision.madeBy)),
+      questionsAsked: (summary.openQuestions || []).filter(question => about(question.askedBy))
+    };
+  }
+
+  // Right to erasure. Returns per-container counts of what was deleted or pseudonymized.
+  async eraseUserData(email, { tenantId } = {}) {
+    const subject = await this.resolveSubject(email, tenantId);
+    const found = await this.collect(subject);
+    const { containers } = storage;
+    const counts = {};
+    const count = (container, action) => {
+      counts[container] = counts[container] || {};
+      counts[container][action] = (counts[container][action] || 0) + 1;
+    };
+    const pk = (container, doc) => doc[storage.getPartitionKeyField(container)];
+
+    const remove = async (container, docs) => {
+      for (const doc of docs) {
+        await storage.deleteItem(container, doc.id, pk(container, doc)).catch(error => {
+          if (error.code !== 404) throw error;
+        });
+        count(container, 'deleted');
+      }
+    };
+
+    const pseudonymize = async (container, docs, transform = (doc) => this.pseudonymizeValue(subject, doc)) => {
+      for (const doc of docs) {
+        await storage.modifyItem(container, doc.id, pk(container, doc), existing => ({
+          ...transform(existing),
+          id: existing.id,
+          [storage.getPartitionKeyField(container)]: pk(container, existing)
+        }));
+        count(container, 'pseudonymized');
+      }
+    };
+
+    // Records that only concern them. Their user records go last: they hold the ids and names
+    // that find everything else, so a failed erasure can be run again.
+    await remove(containers.userTokens, found.userTokens);
+    await remove(containers.reminders, found.reminders);
+    await remove(containers.reminderPreferences, found.reminderPreferences);
+    await remove(containers.botConversations, found.botConversations);
+    await remove(containers.schedules, found.schedules);
+    await remove(containers.notifications, found.notifications.filter(n => this.isSubjectValue(subject, n.userId)));
+
+    // Meetings they organized are partitioned by their user id: move them to the pseudonym
+    for (const meeting of found.meetings.filter(m => subject.userIds.includes(m.userId))) {
+      const moved = this.pseudonymizeValue(subject, this.stripSystemFields(meeting));
+      await storage.upsertItem(containers.meetings, { ...moved, id: meeting.id, userId: subject.pseudonym.id });
+      await storage.deleteItem(containers.meetings, meeting.id, meeting.userId);
+      count(containers.meetings, 'pseudonymized');
+    }
+    await pseudonymize(containers.meetings, found.meetings.filter(m => !subject.userIds.includes(m.userId)));
+
+    // Their messages keep their analysis flags (counts, sentiment) but lose their words
+    await pseudonymize(containers.chats, found.chats, chat => ({
+      ...this.pseudonymizeValue(subject, chat),
+      sender: subject.pseudonym.name,
+      senderId: subject.pseudonym.id,
+      content: this.redactedText,
+      markdown: this.redactedText,
+      attachments: [],
+      cards: [],
+      aiAnalysis: {
+        sentiment: chat.aiAnalysis?.sentiment,
+        urgency: chat.aiAnalysis?.urgency,
+        primaryCategory: chat.aiAnalysis?.primaryCategory,
+        isActionItem: chat.aiAnalysis?.isActionItem,
+        isQuestion: chat.aiAnalysis?.isQuestion,
+        isDecision: chat.aiAnalysis?.isDecision,
+        redacted: true
+      }
+    }));
+    await pseudonymize(containers.chats, found.chatMentions);
+
+    // Chat content tokenized their email address; make sure it can no longer be revealed
+    const forgotten = await redactionService.forgetValues(subject.emails, 'email', { tenantId: subject.tenantId });
+    if (forgotten > 0) {
+      counts[containers.redactionVault] = { deleted: forgotten };
+    }
+    // Jobs for their meetings still run, on the pseudonymized meetings
+    await pseudonymize(containers.jobs, found.jobs, job => ({ ...job, userId: subject.pseudonym.id }));
+    await pseudonymize(containers.summaries, found.summaries);
+    await pseudonymize(containers.actionItems, found.actionItems);
+    await pseudonymize(containers.notifications, found.notifications.filter(n => !this.isSubjectValue(subject, n.userId)));
+    await pseudonymize(containers.transcriptions, found.transcriptions, transcript => ({
+      ...this.pseudonymizeValue(subject, transcript),
+      speaker: subject.pseudonym.name,
+      content: this.redactedText
+    }));
+
+    // Audit records stay for accountability; only the email is pseudonymized
+    await pseudonymize(containers.auditLogs, found.auditLogs.filter(entry => entry.email), entry => ({
+      ...entry,
+      email: subject.pseudonym.email
+    }));
+
+    await remove(containers.users, found.users);
+
+    logger.info('🧽 Erased personal data', { subject: subject.pseudonym.id, counts });
+    return { subject: subject.pseudonym.id, erasedAt: new Date().toISOString(), counts };
+  }
+}
+
+// Create singleton instance
+const privacyService = new PrivacyService();
+
+module.exports = privacyService;
@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const moment = require('moment');
+const storage = require('../storage');
+const retentionService = require('./retentionService');
+const redactionService = require('./redactionService');
+const auditService = require('./auditService');
+const { detectInjection, screenReply } = require('../ai/promptGuard');
+const logger = require('../utils/logger');
+
+// Guards the prompts that carry participant text. Text is screened for known injection
+// phrasings before it reaches a model; flagged attempts are logged, audited and stored as a
+// notification for the meeting organizer. The meeting agent answers only from meetingScope(),
+// which holds nothing but the current meeting's details and recent chat.
+class PromptSafetyService {
+  constructor() {
+    this.notificationType = 'prompt_injection_attempt';
+    this.maxScopeMessages = 30;
+    this.refusal = "I can only help with this meeting's discussion, action items and decisions.";
+  }
+
+  // Screen untrusted text. context: { source, meetingId, userId, sender, tenantId }.
+  // Returns the detection ({ flagged, rules, matches }); flagged text should not be answered.
+  async screen(text, context = {}) {
+    const detection = detectInjection(text);
+    if (!detection.flagged) {
+      return detection;
+    }
+
+    const { source = 'unknown', meetingId = null, userId = null, sender = null } = context;
+    logger.warn('🛡️ Possible prompt injection detected', { source, meetingId, sender, rules: detection.rules });
+
+    const meeting = meetingId ? await storage.findOne(storage.containers.meetings, { meetingId }) : null;
+    await auditService.record({
+      type: 'prompt_injection_detected',
+      userId,
+      tenantId: context.tenantId || meeting?.tenantId || null,
+      meetingId,
+      source,
+      rules: detection.rules
+    });
+
+    if (meeting) {
+      await this.notifyOrganizer(meeting, text, detection, { source, sender });
+    }
+    return detection;
+  }
+
+  // One notification per meeting and text, however many places screened it
+  async notifyOrganizer(meeting, text, detection, { source, sender }) {
+    const id = `injection-${crypto.createHash('sha256').update(`${meeting.meetingId}\n${text}`).digest('hex').slice(0, 16)}`;
+
+    try {
+      if (await storage.getItem(storage.containers.notifications, id, meeting.userId)) {
+        return null;
+      }
+      const notification = {
+        id,
+        userId: meeting.userId,
+        meetingId: meeting.meetingId,
+        type: this.notificationType,
+        source,
+        sender,
+        rules: detection.rules,
+        matches: detection.matches,
+        createdAt: new Date().toISOString(),
+        handled: false
+      };
+      return await storage.createItem(storage.containers.notifications,
+        await retentionService.applyTtl('notifications', notification));
+    } catch (error) {
+      logger.error('❌ Failed to notify organizer of prompt injection:', { meetingId: meeting.meetingId, error: error.message });
+      return null;
+    }
+  }
+
+  // Flagged attempts in a meeting, newest first
+  async listAttempts(meeting) {
+    return await storage.findItems(storage.containers.notifications, {
+      userId: meeting.userId,
+      meetingId: meeting.meetingId,
+      type: this.notificationType
+    }, { sort: { createdAt: -1 } });
+  }
+
+  // The only data the meeting agent may answer from: this meeting's details and its latest
+  // captured messages, minus flagged ones (already redacted when captured; redacted again
+  // for older ones).
+  // Returns { text, allowedUrls } for the prompt and for screenReply.
+  async meetingScope(meetingId) {
+    if (!meetingId) {
+      return { text: 'No meeting data is available.', allowedUrls: [] };
+    }
+
+    const meeting = await storage.findOne(storage.containers.meetings, { meetingId });
+    // Messages deleted in Teams are kept as empty records (see chatCaptureService)
+    const messages = (await storage.findItems(storage.containers.chats, {
+      meetingId,
+      $or: [{ isDeleted: { $exists: false } }, { isDeleted: false }]
+    }, {
+      sort: { timestamp: -1 },
+      limit: this.maxScopeMessages
+    })).reverse();
+
+    const lines = [];
+    if (meeting) {
+      lines.push(`Subject: ${meeting.subject || 'Untitled meeting'}`);
+      if (meeting.startTime) {
+        lines.push(`Time: ${moment(meeting.startTime).format('YYYY-MM-DD HH:mm')} to ${moment(meeting.endTime).format('HH:mm')}`);
+      }
+      lines.push(`Attendees: ${(meeting.attendees || []).length}`);
+    }
+    lines.push(messages.length > 0 ? 'Recent chat:' : 'No chat messages have been captured yet.');
+    messages.filter(msg => !msg.promptInjection).forEach(msg => lines.push(`${msg.sender || 'Unknown'}: ${msg.content}`));
+
+    const { text } = await redactionService.redactText(lines.join('\n'), {
+      tenantId: meeting?.tenantId || null
+    });
+    return { text, allowedUrls: meeting?.joinUrl ? [meeting.joinUrl] : [] };
+  }
+
+  // The reply to post: the model's, unless it leaks the prompt or other meetings' links
+  checkReply(reply, scope, { source, meetingId = null, refusal = this.refusal } = {}) {
+    const { safe, reasons } = screenReply(reply, scope);
+    if (safe) {
+      return reply;
+    }
+    logger.warn('🛡️ AI reply withheld', { source, meetingId, reasons });
+    return refusal;
+  }
+}
+
+// Create singleton instance
+const promptSafetyService = new PromptSafetyService();
+
+module.exports = promptSafetyService;
@@ -0,0 +1,488 @@
+const crypto = require('crypto');
+const storage = require('../storage');
+const logger = require('../utils/logger');
+
+// Luhn checksum, so order numbers and timestamps are not taken for card numbers
+const passesLuhn = (digits) => {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+// ISO 13616 mod-97 check
+const isValidIban = (value) => {
+  const compact = value.replace(/\s/g, '').toUpperCase();
+  const rearranged = compact.slice(4) + compact.slice(0, 4);
+  const numeric = rearranged.replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+  return numeric.match(/\d{1,7}/g).reduce((remainder, chunk) => Number(String(remainder) + chunk) % 97, 0) === 1;
+};
+
+const digitsOf = (value) => value.replace(/\D/g, '');
+
+// Built-in detectors. `group` redacts only that capture group (the value, not its label).
+// Secrets run first: keys often contain digit runs the other detectors would half-match.
+const DETECTORS = {
+  secret: {
+    label: 'SECRET',
+    patterns: [
+      { pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g },
+      { pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+      { pattern: /\bgh[pousr]_[A-Za-z0-9]{36,}\b/g },
+      { pattern: /\bgithub_pat_[A-Za-z0-9_]{50,}\b/g },
+      { pattern: /\bxox[abprs]-[A-Za-z0-9-]{10,}\b/g },
+      { pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+      { pattern: /\b(?:sk|pk|rk)_(?:live|test)_[0-9A-Za-z]{16,}\b/g },
+      { pattern: /\bsk-[A-Za-z0-9_-]{20,}\b/g },
+      { pattern: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g },
+      { pattern: /\bBearer\s+([A-Za-z0-9._~+/-]{20,}=*)/g, group: 1 },
+      { pattern: /[?&]sig=([A-Za-z0-9%+/=]{20,})/g, group: 1 },
+      { pattern: /\b(?:AccountKey|SharedAccessKey|Password|Pwd)=([^;\s]+)/gi, group: 1 },
+      { pattern: /\b(?:api[_-]?key|secret|token|password|passwd|client[_-]?secret)\s*[:=]\s*["']?([^\s"',;]{8,})/gi, group: 1 }
+    ]
+  },
+  email: {
+    label: 'EMAIL',
+    patterns: [{ pattern: /\b[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}\b/gi }]
+  },
+  creditCard: {
+    label: 'CARD',
+    patterns: [{
+      pattern: /\b(?:\d[ -]?){12,18}\d\b/g,
+      validate: (value) => digitsOf(value).length >= 13 && passesLuhn(digitsOf(value))
+    }]
+  },
+  iban: {
+    label: 'IBAN',
+    patterns: [{ pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/g, validate: isValidIban }]
+  },
+  ssn: {
+    label: 'SSN',
+    patterns: [{ pattern: /\b\d{3}-\d{2}-\d{4}\b/g }]
+  },
+  // Needs a + prefix or separators: a bare run of digits is more often an id than a phone
+  phone: {
+    label: 'PHONE',
+    patterns: [{
+      pattern: /(?<![\w+])(?:\+\d{1,3}[ .-]?)?(?:\(\d{1,4}\)[ .-]?)?\d{2,4}(?:[ .-]\d{2,4}){1,4}(?![\w-])|\+\d{9,15}\b/g,
+      validate: (value) => {
+        const count = digitsOf(value).length;
+        return count >= 9 && count <= 15 && /^\+|[ .()-]/.test(value);
+      }
+    }]
+  }
+};
+
+const DETECTOR_TYPES = Object.keys(DETECTORS);
+const RULE_TYPES = ['regex', 'dictionary'];
+const RULE_NAME = /^[a-z][a-z0-9_]{0,39}$/i;
+const MAX_PATTERN_LENGTH = 500;
+const TOKEN_PATTERN = /\[([A-Z][A-Z0-9_]*):([0-9a-f]{12})\]/g;
+// Tokens (and plain labels) already in the text, kept out of reach of later rules
+const TOKEN_SEGMENTS = /(\[[A-Z][A-Z0-9_]*(?::[0-9a-f]{12})?\])/;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const enabledFromEnv = () => {
+  const configured = (process.env.REDACTION_DETECTORS || '').split(',').map(type => type.trim()).filter(Boolean);
+  const enabled = configured.length > 0 ? configured : DETECTOR_TYPES;
+  return Object.fromEntries(DETECTOR_TYPES.map(type => [type, enabled.includes(type)]));
+};
+
+// Removes personal data and secrets from chat content before it reaches an AI prompt or storage.
+// Each tenant's policy (defaults plus overrides stored in redactionPolicies, like retention):
+//   { enabled: true, detectors: { email: true, phone: false, ... },
+//     customRules: [{ name: 'customer_id', type: 'regex', pattern: 'CUST-\\d{6}', flags: 'i' },
+//                   { name: 'codename', type: 'dictionary', terms: ['Bluebird'] }] }
+// Matches become tokens such as [EMAIL:3f9a1c2b7e10]. With REDACTION_VAULT_KEY set, the same
+// value always gets the same token and the original is kept encrypted in redactionVault, so
+// users granted the reveal capability can read it back; without a key, tokens are plain labels.
+class RedactionService {
+  constructor() {
+    this.containerName = storage.containers.redactionPolicies;
+    this.vaultContainer = storage.containers.redactionVault;
+    this.algorithm = 'aes-256-gcm';
+    this.policyCache = new Map();
+    this.policyCacheMs = 60 * 1000;
+    this.meetingTenants = new Map();
+    this.vaulted = new Set();
+
+    const secret = process.env.REDACTION_VAULT_KEY;
+    if (!secret) {
+      logger.warn('⚠️ REDACTION_VAULT_KEY not configured. Redacted values cannot be revealed.');
+      this.key = null;
+      return;
+    }
+
+    this.key = crypto.createHash('sha256').update(secret).digest();
+  }
+
+  isReversible() {
+    return this.key !== null;
+  }
+
+  getDefaultPolicy() {
+    return {
+      enabled: process.env.REDACTION_ENABLED !== 'false',
+      detectors: enabledFromEnv(),
+      customRules: []
+    };
+  }
+
+  // Returns a list of problems; empty when the (partial) policy is valid
+  validatePolicy(policy) {
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+      return ['Policy must be an object'];
+    }
+
+    const errors = [];
+    Object.entries(policy).forEach(([field, value]) => {
+      if (field === 'enabled') {
+        if (typeof value !== 'boolean') errors.push('enabled must be true or false');
+      } else if (field === 'detectors') {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+          errors.push('detectors must be an object of { detector: true|false }');
+          return;
+        }
+        Object.entries(value).forEach(([type, on]) => {
+          if (!DETECTORS[type]) errors.push(`Unknown detector '${type}' (expected ${DETECTOR_TYPES.join(', ')})`);
+          else if (typeof on !== 'boolean') errors.push(`detectors.${type} must be true or false`);
+        });
+      } else if (field === 'customRules') {
+        if (!Array.isArray(value)) {
+          errors.push('customRules must be an array');
+          return;
+        }
+        value.forEach((rule, index) => errors.push(...this.validateRule(rule, index)));
+      } else {
+        errors.push(`Unknown policy field '${field}' (expected enabled, detectors, customRules)`);
+      }
+    });
+    return errors;
+  }
+
+  validateRule(rule, index) {
+    const where = `customRules[${index}]`;
+    if (!rule || typeof rule !== 'object') return [`${where} must be an object`];
+
+    const errors = [];
+    if (typeof rule.name !== 'string' || !RULE_NAME.test(rule.name)) {
+      errors.push(`${where}.name must be a letter followed by up to 39 letters, digits or underscores`);
+    }
+    if (!RULE_TYPES.includes(rule.type)) {
+      errors.push(`${where}.type must be one of ${RULE_TYPES.join(', ')}`);
+    } else if (rule.type === 'regex') {
+      if (typeof rule.pattern !== 'string' || !rule.pattern || rule.pattern.length > MAX_PATTERN_LENGTH) {
+        errors.push(`${where}.pattern must be a regular expression of at most ${MAX_PATTERN_LENGTH} characters`);
+      } else {
+        try {
+          new RegExp(rule.pattern, this.ruleFlags(rule));
+        } catch (error) {
+          errors.push(`${where}.pattern is not a valid regular expression: ${error.message}`);
+        }
+      }
+    } else if (!Array.isArray(rule.terms) || rule.terms.length === 0 ||
+        rule.terms.some(term => typeof term !== 'string' || !term.trim())) {
+      errors.push(`${where}.terms must be a non-empty array of strings`);
+    }
+    return errors;
+  }
+
+  // Only case-insensitivity and unicode may be chosen; matching is always global
+  ruleFlags(rule) {
+    return 'g' + (rule.flags || '').replace(/[^iu]/g, '');
+  }
+
+  async getTenantOverride(tenantId) {
+    if (!tenantId) return null;
+    return await storage.getItem(this.containerName, tenantId, tenantId);
+  }
+
+  // Effective policy for a tenant: defaults with the tenant's overrides on top
+  async getPolicy(tenantId = null) {
+    const cacheKey = tenantId || '';
+    const cached = this.policyCache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.policy;
+    }
+
+    const override = await this.getTenantOverride(tenantId);
+    const policy = this.withDefaults(override?.policy);
+
+    this.policyCache.set(cacheKey, { policy, expiresAt: Date.now() + this.policyCacheMs });
+    return policy;
+  }
+
+  // Defaults with a (partial) policy on top; detectors merge one by one
+  withDefaults(override = {}) {
+    const defaults = this.getDefaultPolicy();
+    return {
+      ...defaults,
+      ...override,
+      detectors: { ...defaults.detectors, ...(override.detectors || {}) }
+    };
+  }
+
+  async listPolicies() {
+    return {
+      default: this.getDefaultPolicy(),
+      detectors: DETECTOR_TYPES,
+      reversible: this.isReversible(),
+      tenants: await storage.findItems(this.containerName, {}, { sort: { tenantId: 1 } })
+    };
+  }
+
+  async setTenantPolicy(tenantId, policy, updatedBy) {
+    const doc = await storage.upsertItem(this.containerName, {
+      id: tenantId,
+      tenantId,
+      policy,
+      updatedBy,
+      updatedAt: new Date().toISOString()
+    });
+
+    this.policyCache.delete(tenantId);
+    logger.info('🕶️ Redaction policy updated', { tenantId, updatedBy });
+    return doc;
+  }
+
+  async deleteTenantPolicy(tenantId) {
+    const existing = await this.getTenantOverride(tenantId);
+    if (!existing) return false;
+
+    await storage.deleteItem(this.containerName, tenantId, tenantId);
+    this.policyCache.delete(tenantId);
+    return true;
+  }
+
+  // Chat content is tenant-scoped through its meeting
+  async tenantForMeeting(meetingId) {
+    if (!meetingId) return null;
+    if (!this.meetingTenants.has(meetingId)) {
+      const meeting = await storage.findOne(storage.containers.meetings, { meetingId });
+      if (!meeting) return null;
+      this.meetingTenants.set(meetingId, meeting.tenantId || null);
+    }
+    return this.meetingTenants.get(meetingId);
+  }
+
+  // Rules in the order they run: the tenant's own first, then the enabled built-ins
+  rulesFor(policy) {
+    const custom = (policy.customRules || []).map(rule => ({
+      type: rule.name,
+      label: rule.name.toUpperCase(),
+      patterns: [{
+        pattern: rule.type === 'regex'
+          ? new RegExp(rule.pattern, this.ruleFlags(rule))
+          : new RegExp(`(?<!\\w)(?:${rule.terms.map(escapeRegExp).join('|')})(?!\\w)`, rule.caseSensitive ? 'g' : 'gi')
+      }]
+    }));
+
+    const builtIn = DETECTOR_TYPES
+      .filter(type => policy.detectors?.[type])
+      .map(type => ({ type, ...DETECTORS[type] }));
+
+    return [...custom, ...builtIn];
+  }
+
+  // Email addresses are case-insensitive, so every spelling of one shares a token
+  hashFor(label, value) {
+    const normalized = label === DETECTORS.email.label ? value.toLowerCase() : value;
+    return crypto.createHmac('sha256', this.key).update(`${label}:${normalized}`).digest('hex').slice(0, 12);
+  }
+
+  // Replace every match in `text`, recording each distinct value found in `findings`
+  // (token -> { label, type, value })
+  applyRules(text, rules, findings) {
+    let result = text;
+
+    rules.forEach(({ type, label, patterns }) => {
+      patterns.forEach(({ pattern, group = 0, validate }) => {
+        const replace = (segment) => segment.replace(pattern, (match, ...args) => {
+          const value = group ? args[group - 1] : match;
+          if (!value || (validate && !validate(value))) return match;
+
+          const token = this.isReversible()
+            ? `[${label}:${this.hashFor(label, value)}]`
+            : `[${label}]`;
+          const key = this.isReversible() ? token : `${label}:${value}`;
+          if (!findings.has(key)) findings.set(key, { label, type, value });
+
+          return group ? match.replace(value, token) : token;
+        });
+
+        result = result
+          .split(TOKEN_SEGMENTS)
+          .map((segment, index) => (index % 2 === 1 ? segment : replace(segment)))
+          .join('');
+      });
+    });
+
+    return result;
+  }
+
+  // Keep originals so authorized users can reveal them; already stored values are skipped
+  async storeInVault(tenantId, findings) {
+    const tenantKey = tenantId || 'default';
+    for (const { label, type, value } of findings.values()) {
+      const hash = this.hashFor(label, value);
+      const id = `${tenantKey}-${hash}`;
+      if (this.vaulted.has(id)) continue;
+
+      await storage.upsertItem(this.vaultContainer, {
+        id,
+        tenantId: tenantKey,
+        hash,
+        label,
+        type,
+        value: this.encrypt(value),
+        createdAt: new Date().toISOString()
+      });
+      this.vaulted.add(id);
+    }
+  }
+
+  // Redact every string inside `value` (a string, array or object) with the tenant's policy,
+  // or with `policy` when given. dryRun leaves the vault alone (for previews).
+  // Returns { value, report: { count, byType } } counting distinct values, so a value that
+  // appears in both a message's text and its markdown is reported once.
+  async redact(value, { tenantId = null, policy = null, dryRun = false } = {}) {
+    policy = policy || await this.getPolicy(tenantId);
+    const report = { count: 0, byType: {} };
+    if (!policy.enabled) return { value, report };
+
+    const rules = this.rulesFor(policy);
+    const findings = new Map();
+
+    const walk = (item) => {
+      if (Array.isArray(item)) return item.map(walk);
+      if (item && typeof item === 'object') {
+        return Object.fromEntries(Object.entries(item).map(([key, inner]) => [key, walk(inner)]));
+      }
+      if (typeof item !== 'string' || !item) return item;
+      return this.applyRules(item, rules, findings);
+    };
+
+    const redacted = walk(value);
+    findings.forEach(({ type }) => {
+      report.count++;
+      report.byType[type] = (report.byType[type] || 0) + 1;
+    });
+
+    if (report.count > 0) {
+      if (this.isReversible() && !dryRun) {
+        await this.storeInVault(tenantId, findings);
+      }
+      logger.debug('🕶️ Redacted content', { tenantId, ...report });
+    }
+    return { value: redacted, report };
+  }
+
+  async redactText(text, options = {}) {
+    const { value, report } = await this.redact(text || '', options);
+    return { text: value, report };
+  }
+
+  // Put the original values back into every token in `value`. Tokens from other tenants,
+  // or whose original was forgotten, stay as they are.
+  async reveal(value, { tenantId = null } = {}) {
+    if (!this.isReversible()) return value;
+
+    const hashes = new Set();
+    const collect = (item) => {
+      if (Array.isArray(item)) item.forEach(collect);
+      else if (item && typeof item === 'object') Object.values(item).forEach(collect);
+      else if (typeof item === 'string') {
+        for (const match of item.matchAll(TOKEN_PATTERN)) hashes.add(match[2]);
+      }
+    };
+    collect(value);
+    if (hashes.size === 0) return value;
+
+    const tenantKey = tenantId || 'default';
+    const entries = await storage.findItems(this.vaultContainer, { tenantId: tenantKey, hash: { $in: [...hashes] } });
+    const originals = new Map();
+    entries.forEach(entry => {
+      try {
+        originals.set(`${entry.label}:${entry.hash}`, this.decrypt(entry.value));
+      } catch (error) {
+        logger.error('❌ Failed to decrypt redacted value', { id: entry.id, error: error.message });
+      }
+    });
+
+    const restore = (item) => {
+      if (Array.isArray(item)) return item.map(restore);
+      if (item && typeof item === 'object') {
+        return Object.fromEntries(Object.entries(item).map(([key, inner]) => [key, restore(inner)]));
+      }
+      if (typeof item !== 'string') return item;
+      return item.replace(TOKEN_PATTERN, (token, label, hash) => originals.get(`${label}:${hash}`) ?? token);
+    };
+    return restore(value);
+  }
+
+  // Drop the stored originals of these values (e.g. an erased person's email addresses),
+  // so their tokens can no longer be revealed. With a tenantId, only that tenant's vault
+  // (and the default one) is touched. Returns how many were removed.
+  async forgetValues(values, type = 'email', { tenantId = null } = {}) {
+    if (!this.isReversible() || values.length === 0 || !DETECTORS[type]) return 0;
+
+    const label = DETECTORS[type].label;
+    const hashes = values.map(value => this.hashFor(label, value));
+    const filter = { hash: { $in: hashes } };
+    if (tenantId) filter.tenantId = { $in: [tenantId, 'default'] };
+    const entries = await storage.findItems(this.vaultContainer, filter);
+
+    for (const entry of entries) {
+      await storage.deleteItem(this.vaultContainer, entry.id, entry.tenantId);
+      this.vaulted.delete(entry.id);
+    }
+    return entries.length;
+  }
+
+  // Totals across stored redaction reports (chat messages carry one each)
+  summarizeReports(reports) {
+    return reports.reduce((summary, report) => {
+      if (!report?.count) return summary;
+      summary.total += report.count;
+      summary.items++;
+      Object.entries(report.byType || {}).forEach(([type, count]) => {
+        summary.byType[type] = (summary.byType[type] || 0) + count;
+      });
+      return summary;
+    }, { total: 0, items: 0, byType: {} });
+  }
+
+  encrypt(plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(this.algorithm, this.key, iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+    return {
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: ciphertext.toString('base64')
+    };
+  }
+
+  decrypt(payload) {
+    const decipher = crypto.createDecipheriv(this.algorithm, this.key, Buffer.from(payload.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(payload.tag, 'base64'));
+
+    return Buffer.concat([
+      decipher.update(Buffer.from(payload.data, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+  }
+}
+
+// Create singleton instance
+const redactionService = new RedactionService();
+
+module.exports = redactionService;
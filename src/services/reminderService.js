@@ -0,0 +1,681 @@
+const crypto = require('crypto');
+const moment = require('moment');
+const storage = require('../storage');
+const graph = require('../graph');
+const teamsService = require('./teamsService');
+const chatCaptureService = require('./chatCaptureService');
+const botMessagingService = require('./botMessagingService');
+const mailService = require('./mailService');
+const retentionService = require('./retentionService');
+const logger = require('../utils/logger');
+
+const TYPES = ['pre_meeting', 'action_item_due', 'summary_follow_up'];
+const CHANNELS = ['bot', 'chat', 'email'];
+const OPEN_ACTION_ITEM_STATUSES = ['open', 'in_progress'];
+const SUMMARY_FOLLOW_UP_DAYS = 7;
+const MAX_SNOOZE_MINUTES = 7 * 24 * 60;
+const RETRY_MINUTES = 5;
+const DELIVERY_BATCH_SIZE = 200;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const parseChannels = (value) => String(value).split(',').map(channel => channel.trim()).filter(channel => CHANNELS.includes(channel));
+
+const normalizeEmail = (email) => (email ? String(email).trim().toLowerCase() : null);
+
+// Stable ids, so scheduling the same thing twice finds the existing reminder
+const reminderId = (type, subjectId, userId) =>
+  `rem-${crypto.createHash('sha256').update([type, subjectId, userId].join('\n')).digest('hex').slice(0, 24)}`;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const isTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Minutes past midnight on the wall clock of `timeZone`
+const minutesOfDay = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-GB', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }).formatToParts(date);
+  const part = (type) => parseInt(parts.find(p => p.type === type).value);
+  return part('hour') * 60 + part('minute');
+};
+
+const formatTime = (date, timeZone = 'UTC') =>
+  new Intl.DateTimeFormat('en-GB', { timeZone, hour: '2-digit', minute: '2-digit', timeZoneName: 'short' }).format(new Date(date));
+
+const escapeHtml = (text) => String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+
+// Reminders: pre-meeting reminders for organizers and attendees, due-date nudges for action
+// item owners and "no summary sent yet" follow-ups for organizers.
+// schedule() creates and reschedules them from meetings and action items; deliverDue() sends
+// the due ones through each user's channels in order (bot, meeting chat, email), falling back
+// to the next channel when one is unavailable or fails, and holds them during quiet hours.
+// Reminder: { id, userId (AAD object id, or the email for people outside the directory), email,
+//             name, tenantId, type, meetingId, actionItemId, anchor, dueAt, expiresAt,
+//             status: scheduled|sent|dismissed|cancelled|expired|failed, attempts, ... }
+// `anchor` is what the reminder hangs off (meeting start, due date, meeting end); when it
+// moves, the reminder is scheduled again.
+class ReminderService {
+  constructor() {
+    this.containerName = storage.containers.reminders;
+    this.preferencesContainer = storage.containers.reminderPreferences;
+    this.channels = parseChannels(process.env.REMINDER_CHANNELS || CHANNELS.join(','));
+    this.preMeetingMinutes = parseInt(process.env.REMINDER_PRE_MEETING_MINUTES ?? 15);
+    this.dueTime = TIME_PATTERN.test(process.env.REMINDER_DUE_TIME || '') ? process.env.REMINDER_DUE_TIME : '09:00';
+    this.summaryAfterMinutes = parseInt(process.env.REMINDER_SUMMARY_AFTER_MINUTES ?? 60);
+    this.lookaheadHours = parseFloat(process.env.REMINDER_LOOKAHEAD_HOURS ?? 24);
+    this.maxAttempts = parseInt(process.env.REMINDER_MAX_ATTEMPTS) || 3;
+    this.intervalMinutes = parseFloat(process.env.REMINDER_INTERVAL_MINUTES ?? 1);
+    this.timer = null;
+    this.running = null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Preferences: { channels: ['bot', 'email'], quietHours: { start: '22:00', end: '07:00', timeZone } | null }
+  // ---------------------------------------------------------------------------
+
+  async getPreferences(userId) {
+    const stored = await storage.getItem(this.preferencesContainer, userId, userId);
+    return {
+      channels: stored?.channels || this.channels,
+      quietHours: stored?.quietHours ?? null
+    };
+  }
+
+  // Returns a list of problems; empty when the (partial) preferences are valid
+  validatePreferences(preferences) {
+    if (!preferences || typeof preferences !== 'object' || Array.isArray(preferences)) {
+      return ['Preferences must be an object'];
+    }
+
+    const errors = [];
+    const { channels, quietHours } = preferences;
+
+    Object.keys(preferences).filter(key => !['channels', 'quietHours'].includes(key))
+      .forEach(key => errors.push(`Unknown preference '${key}' (expected channels, quietHours)`));
+
+    if (channels !== undefined) {
+      if (!Array.isArray(channels) || channels.length === 0) {
+        errors.push(`channels must be a non-empty list of ${CHANNELS.join(', ')}`);
+      } else {
+        channels.filter(channel => !CHANNELS.includes(channel))
+          .forEach(channel => errors.push(`Unknown channel '${channel}' (expected ${CHANNELS.join(', ')})`));
+        if (new Set(channels).size !== channels.length) errors.push('channels must not repeat');
+      }
+    }
+
+    if (quietHours) {
+      const { start, end, timeZone = 'UTC' } = quietHours;
+      if (!TIME_PATTERN.test(start || '') || !TIME_PATTERN.test(end || '')) {
+        errors.push('quietHours.start and quietHours.end must be HH:mm');
+      } else if (start === end) {
+        errors.push('quietHours.start and quietHours.end must differ');
+      }
+      if (!isTimeZone(timeZone)) {
+        errors.push(`Unknown time zone '${timeZone}'`);
+      }
+    }
+
+    return errors;
+  }
+
+  async savePreferences(user, preferences) {
+    const current = await this.getPreferences(user.userId);
+    const quietHours = preferences.quietHours === undefined ? current.quietHours : preferences.quietHours;
+
+    const saved = await storage.upsertItem(this.preferencesContainer, {
+      id: user.userId,
+      userId: user.userId,
+      email: normalizeEmail(user.email),
+      channels: preferences.channels || current.channels,
+      quietHours: quietHours ? { start: quietHours.start, end: quietHours.end, timeZone: quietHours.timeZone || 'UTC' } : null,
+      updatedAt: new Date().toISOString()
+    });
+    return { channels: saved.channels, quietHours: saved.quietHours };
+  }
+
+  // When quiet hours end, if `date` falls inside them; null otherwise
+  quietUntil(date, quietHours) {
+    if (!quietHours) return null;
+
+    const start = toMinutes(quietHours.start);
+    const end = toMinutes(quietHours.end);
+    const now = minutesOfDay(date, quietHours.timeZone || 'UTC');
+    const inside = start < end ? now >= start && now < end : now >= start || now < end;
+    if (!inside) return null;
+
+    return moment.utc(date).startOf('minute').add((end - now + 1440) % 1440, 'minutes').toDate();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Scheduling
+  // ---------------------------------------------------------------------------
+
+  // Create the reminder, or schedule it again when what it hangs off moved or it was
+  // cancelled and applies again. Dismissed reminders stay dismissed.
+  async upsertReminder(recipient, fields) {
+    const subjectId = fields.actionItemId || fields.meetingId;
+    const id = reminderId(fields.type, subjectId, recipient.userId);
+    const existing = await storage.getItem(this.containerName, id, recipient.userId);
+    const now = new Date().toISOString();
+
+    if (!existing) {
+      await storage.createItem(this.containerName, {
+        id,
+        userId: recipient.userId,
+        email: normalizeEmail(recipient.email),
+        name: recipient.name || recipient.email || null,
+        actionItemId: null,
+        expiresAt: null,
+        ...fields,
+        status: 'scheduled',
+        attempts: 0,
+        snoozeCount: 0,
+        deliveries: [],
+        lastError: null,
+        createdAt: now,
+        updatedAt: now
+      });
+      return 'created';
+    }
+
+    const moved = existing.anchor !== fields.anchor;
+    if (!(existing.status === 'cancelled' || (moved && existing.status !== 'dismissed'))) {
+      return 'unchanged';
+    }
+
+    await storage.modifyItem(this.containerName, id, recipient.userId, reminder => ({
+      ...reminder,
+      ...fields,
+      email: normalizeEmail(recipient.email) || reminder.email,
+      name: recipient.name || reminder.name,
+      status: 'scheduled',
+      attempts: 0,
+      lastError: null,
+      cancelReason: null
+    }));
+    return 'rescheduled';
+  }
+
+  // Organizer and attendees, by directory id where Graph knows them
+  async meetingRecipients(meeting, directory) {
+    const organizer = await storage.findOne(storage.containers.users, { userId: meeting.userId });
+    const recipients = [{ userId: meeting.userId, email: organizer?.email || null, name: organizer?.name || null }];
+
+    const emails = (meeting.attendees || []).map(normalizeEmail).filter(Boolean)
+      .filter(email => !directory.has(email) && email !== normalizeEmail(organizer?.email));
+    if (emails.length > 0 && teamsService.isAvailable()) {
+      const { validUsers } = await teamsService.validateTeamsUsers(emails);
+      validUsers.forEach(user => directory.set(normalizeEmail(user.email), { id: user.id, name: user.displayName }));
+    }
+
+    for (const email of (meeting.attendees || []).map(normalizeEmail).filter(Boolean)) {
+      const known = directory.get(email);
+      const userId = known?.id || email;
+      if (recipients.some(r => r.userId === userId || r.email === email)) continue;
+      recipients.push({ userId, email, name: known?.name || email });
+    }
+    return recipients;
+  }
+
+  actionItemRecipient(item) {
+    if (item.owner?.id) return { userId: item.owner.id, email: item.owner.email, name: item.owner.name };
+    if (item.ownerEmail) return { userId: item.ownerEmail, email: item.ownerEmail, name: item.owner?.name };
+    return null;
+  }
+
+  // Create and reschedule reminders for what is coming up; returns counts per type and outcome
+  async schedule(now = new Date()) {
+    const report = Object.fromEntries(TYPES.map(type => [type, {}]));
+    const count = (type, outcome) => { report[type][outcome] = (report[type][outcome] || 0) + 1; };
+    const horizon = moment.utc(now).add(this.lookaheadHours, 'hours');
+    const directory = new Map();
+
+    if (this.preMeetingMinutes > 0) {
+      const meetings = await storage.findItems(storage.containers.meetings, {
+        status: 'scheduled',
+        startTime: { $gt: now.toISOString(), $lte: horizon.toISOString() }
+      });
+
+      for (const meeting of meetings) {
+        try {
+          for (const recipient of await this.meetingRecipients(meeting, directory)) {
+            count('pre_meeting', await this.upsertReminder(recipient, {
+              type: 'pre_meeting',
+              tenantId: meeting.tenantId || null,
+              meetingId: meeting.meetingId,
+              anchor: meeting.startTime,
+              dueAt: moment.utc(meeting.startTime).subtract(this.preMeetingMinutes, 'minutes').toISOString(),
+              expiresAt: moment.utc(meeting.startTime).toISOString()
+            }));
+          }
+        } catch (error) {
+          logger.warn(`⚠️ Could not schedule reminders for meeting ${meeting.meetingId}:`, error.message);
+          count('pre_meeting', 'failed');
+        }
+      }
+    }
+
+    const items = await storage.findItems(storage.containers.actionItems, {
+      status: { $in: OPEN_ACTION_ITEM_STATUSES },
+      dueDate: { $gte: moment.utc(now).format('YYYY-MM-DD'), $lte: horizon.format('YYYY-MM-DD') }
+    });
+    for (const item of items) {
+      const recipient = this.actionItemRecipient(item);
+      if (!recipient) continue;
+      count('action_item_due', await this.upsertReminder(recipient, {
+        type: 'action_item_due',
+        tenantId: item.tenantId || null,
+        meetingId: item.meetingId,
+        actionItemId: item.id,
+        anchor: item.dueDate,
+        dueAt: moment.utc(`${item.dueDate}T${this.dueTime}`).toISOString()
+      }));
+    }
+
+    if (this.summaryAfterMinutes > 0) {
+      const ended = await storage.findItems(storage.containers.meetings, {
+        status: { $ne: 'cancelled' },
+        endTime: {
+          $gte: moment.utc(now).subtract(SUMMARY_FOLLOW_UP_DAYS, 'days').toISOString(),
+          $lte: moment.utc(now).subtract(this.summaryAfterMinutes, 'minutes').toISOString()
+        }
+      });
+
+      for (const meeting of ended) {
+        if (meeting.agentConfig?.generateSummary === false) continue;
+        if (await storage.findOne(storage.containers.summaries, { meetingId: meeting.meetingId })) continue;
+
+        const [organizer] = await this.meetingRecipients({ ...meeting, attendees: [] }, directory);
+        count('summary_follow_up', await this.upsertReminder(organizer, {
+          type: 'summary_follow_up',
+          tenantId: meeting.tenantId || null,
+          meetingId: meeting.meetingId,
+          anchor: meeting.endTime,
+          dueAt: moment.utc(meeting.endTime).add(this.summaryAfterMinutes, 'minutes').toISOString()
+        }));
+      }
+    }
+
+    return report;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Delivery
+  // ---------------------------------------------------------------------------
+
+  // Why a reminder no longer applies, or null if it still does
+  async staleReason(reminder, context) {
+    const meeting = reminder.meetingId ? await context.meeting(reminder.meetingId) : null;
+
+    if (reminder.type === 'action_item_due') {
+      const item = await context.actionItem(reminder.actionItemId);
+      if (!item || !OPEN_ACTION_ITEM_STATUSES.includes(item.status)) return 'Action item is closed';
+      if (item.dueDate !== reminder.anchor) return 'Due date changed';
+      if (this.actionItemRecipient(item)?.userId !== reminder.userId) return 'Action item was reassigned';
+      return null;
+    }
+
+    if (!meeting) return 'Meeting no longer exists';
+    if (meeting.status === 'cancelled') return 'Meeting was cancelled';
+
+    if (reminder.type === 'pre_meeting') {
+      if (!meeting.startTime || !moment.utc(meeting.startTime).isSame(reminder.anchor)) return 'Meeting was moved';
+      const invited = meeting.userId === reminder.userId ||
+        (meeting.attendees || []).some(email => normalizeEmail(email) === reminder.email);
+      return invited ? null : 'No longer invited';
+    }
+
+    if (!meeting.endTime) return 'Meeting has no end time';
+    if (await storage.findOne(storage.containers.summaries, { meetingId: reminder.meetingId })) {
+      return 'Summary was sent';
+    }
+    return null;
+  }
+
+  // { subject, text } for a reminder, worded for its recipient's time zone. Only called after
+  // staleReason, which cancels reminders whose meeting, times or action item are gone.
+  async compose(reminder, context, now, timeZone) {
+    const meeting = reminder.meetingId ? await context.meeting(reminder.meetingId) : null;
+    const title = meeting?.subject || 'your meeting';
+
+    if (reminder.type === 'pre_meeting') {
+      const minutes = Math.max(0, Math.round((new Date(meeting.startTime) - now) / 60000));
+      return {
+        subject: `⏰ ${title} starts in ${minutes} min`,
+        text: `"${title}" starts in ${minutes} minutes, at ${formatTime(meeting.startTime, timeZone)}.` +
+          (meeting.joinUrl ? `\nJoin: ${meeting.joinUrl}` : '')
+      };
+    }
+
+    if (reminder.type === 'action_item_due') {
+      const item = await context.actionItem(reminder.actionItemId);
+      const when = item.dueDate === moment.utc(now).format('YYYY-MM-DD') ? 'today' : `on ${item.dueDate}`;
+      return {
+        subject: `📋 Due ${when}: ${item.title}`,
+        text: `Your action item "${item.title}"${meeting ? ` from "${title}"` : ''} is due ${when}.`
+      };
+    }
+
+    return {
+      subject: `📝 No summary sent yet for ${title}`,
+      text: `"${title}" ended ${moment.utc(meeting.endTime).from(now)} and no summary has been sent yet. ` +
+        'Generate and share it from Agent 365 so attendees get the decisions and action items.'
+    };
+  }
+
+  // Per-run lookups shared by every reminder being delivered
+  deliveryContext() {
+    const cached = (load) => {
+      const cache = new Map();
+      return (key) => {
+        if (!cache.has(key)) cache.set(key, load(key));
+        return cache.get(key);
+      };
+    };
+
+    return {
+      meeting: cached(meetingId => storage.findOne(storage.containers.meetings, { meetingId })),
+      actionItem: cached(id => storage.findOne(storage.containers.actionItems, { id })),
+      chatId: cached(async meetingId => {
+        const cursor = await storage.findOne(storage.containers.chatCursors, { meetingId });
+        if (cursor) return cursor.id;
+
+        const meeting = await storage.findOne(storage.containers.meetings, { meetingId });
+        if (!meeting?.graphEventId) return null;
+        return await chatCaptureService.findChatIdWithRetries(meeting.graphEventId, 1).catch(() => null);
+      }),
+      hasConversation: cached(userId => botMessagingService.hasConversation(userId))
+    };
+  }
+
+  // The user's channels that can reach them for this reminder, in their order
+  async availableChannels(reminder, channels, context) {
+    const available = [];
+    for (const channel of channels) {
+      if (channel === 'bot' && botMessagingService.isAvailable() && await context.hasConversation(reminder.userId)) {
+        available.push(channel);
+      } else if (channel === 'chat' && reminder.meetingId && graph.isAvailable() && await context.chatId(reminder.meetingId)) {
+        available.push(channel);
+      } else if (channel === 'email' && mailService.isConfigured() && reminder.email) {
+        available.push(channel);
+      }
+    }
+    return available;
+  }
+
+  async update(reminder, changes) {
+    return await storage.modifyItem(this.containerName, reminder.id, reminder.userId, current => ({ ...current, ...changes }));
+  }
+
+  // Check a due reminder and work out how to send it. Returns { outcome } when it is not sent
+  // now (cancelled, expired, deferred for quiet hours, no channel), else { channels, message }.
+  async prepare(reminder, context, now) {
+    const reason = await this.staleReason(reminder, context);
+    if (reason) {
+      await this.update(reminder, { status: 'cancelled', cancelReason: reason });
+      return { outcome: 'cancelled' };
+    }
+
+    if (reminder.expiresAt && now >= new Date(reminder.expiresAt)) {
+      await this.update(reminder, { status: 'expired' });
+      return { outcome: 'expired' };
+    }
+
+    const preferences = await this.getPreferences(reminder.userId);
+    const quietUntil = this.quietUntil(now, preferences.quietHours);
+    if (quietUntil) {
+      if (reminder.expiresAt && quietUntil >= new Date(reminder.expiresAt)) {
+        await this.update(reminder, { status: 'expired', lastError: 'Quiet hours until it was no longer useful' });
+        return { outcome: 'expired' };
+      }
+      await this.update(reminder, { dueAt: quietUntil.toISOString(), deferredForQuietHours: true });
+      return { outcome: 'deferred' };
+    }
+
+    const channels = await this.availableChannels(reminder, preferences.channels, context);
+    if (channels.length === 0) {
+      return { outcome: await this.recordFailure(reminder, ['No delivery channel available'], now) };
+    }
+
+    return { channels, message: await this.compose(reminder, context, now, preferences.quietHours?.timeZone) };
+  }
+
+  async recordFailure(reminder, errors, now) {
+    const attempts = (reminder.attempts || 0) + 1;
+    const gaveUp = attempts >= this.maxAttempts;
+
+    await this.update(reminder, {
+      attempts,
+      lastError: errors.join('; '),
+      status: gaveUp ? 'failed' : 'scheduled',
+      dueAt: gaveUp ? reminder.dueAt : moment.utc(now).add(RETRY_MINUTES * attempts, 'minutes').toISOString()
+    });
+    logger.warn(`⚠️ Reminder ${reminder.id} not delivered (attempt ${attempts}/${this.maxAttempts}): ${errors.join('; ')}`);
+    return gaveUp ? 'failed' : 'retrying';
+  }
+
+  async recordDelivery(reminder, channel, message, now) {
+    await this.update(reminder, {
+      status: 'sent',
+      sentAt: now.toISOString(),
+      channel,
+      attempts: 0,
+      lastError: null,
+      deliveries: [...(reminder.deliveries || []), { channel, at: now.toISOString() }]
+    });
+
+    // Also listed in the user's in-app notifications
+    await storage.createItem(storage.containers.notifications, await retentionService.applyTtl('notifications', {
+      id: `${reminder.id}-${(reminder.deliveries || []).length + 1}`,
+      userId: reminder.userId,
+      meetingId: reminder.meetingId,
+      type: 'reminder',
+      reminderId: reminder.id,
+      reminderType: reminder.type,
+      title: message.subject,
+      content: message.text,
+      channel,
+      createdAt: now.toISOString(),
+      handled: false
+    }));
+    return 'sent';
+  }
+
+  async sendVia(channel, reminder, message, context) {
+    if (channel === 'bot') {
+      return await botMessagingService.sendToUser(reminder.userId, `**${message.subject}**\n\n${message.text}`);
+    }
+    if (channel === 'email') {
+      return await mailService.send({
+        to: reminder.email,
+        subject: message.subject,
+        text: `${message.text}\n\nYou can snooze or dismiss this reminder in Agent 365.`
+      });
+    }
+    return await this.postToChat(await context.chatId(reminder.meetingId), [reminder], message);
+  }
+
+  // One meeting chat message for everyone it reminds, @mentioning the directory users
+  async postToChat(chatId, reminders, message) {
+    const mentions = reminders.filter(r => !r.userId.includes('@')).map((r, index) => ({
+      id: index,
+      mentionText: r.name,
+      mentioned: { user: { id: r.userId, displayName: r.name, userIdentityType: 'aadUser' } }
+    }));
+    const mentioned = mentions.map(m => `<at id="${m.id}">${escapeHtml(m.mentionText)}</at>`).join(' ');
+
+    await graph.post(`/chats/${chatId}/messages`, {
+      body: {
+        contentType: 'html',
+        content: `${mentioned ? `${mentioned} ` : ''}<strong>${escapeHtml(message.subject)}</strong><br/>${escapeHtml(message.text).replace(/\n/g, '<br/>')}`
+      },
+      mentions
+    });
+  }
+
+  // Try the channels in order until one works
+  async deliver(reminder, channels, message, context, now) {
+    const errors = [];
+    for (const channel of channels) {
+      try {
+        await this.sendVia(channel, reminder, message, context);
+        return await this.recordDelivery(reminder, channel, message, now);
+      } catch (error) {
+        errors.push(`${channel}: ${error.message}`);
+      }
+    }
+    return await this.recordFailure(reminder, errors, now);
+  }
+
+  // Send every reminder that is due; returns { total, outcomes: { sent: 3, deferred: 1, ... } }
+  async deliverDue(now = new Date()) {
+    const due = await storage.findItems(this.containerName,
+      { status: 'scheduled', dueAt: { $lte: now.toISOString() } },
+      { sort: { dueAt: 1 }, limit: DELIVERY_BATCH_SIZE });
+
+    const outcomes = {};
+    const count = (outcome) => { outcomes[outcome] = (outcomes[outcome] || 0) + 1; };
+    const context = this.deliveryContext();
+    const chatPosts = new Map();
+
+    for (const reminder of due) {
+      try {
+        const prepared = await this.prepare(reminder, context, now);
+        if (prepared.outcome) {
+          count(prepared.outcome);
+          continue;
+        }
+
+        // People reminded in the meeting chat about the same thing share one message
+        if (prepared.channels[0] === 'chat') {
+          const key = [reminder.type, reminder.meetingId, reminder.actionItemId].join('|');
+          if (!chatPosts.has(key)) chatPosts.set(key, { message: prepared.message, entries: [] });
+          chatPosts.get(key).entries.push({ reminder, fallback: prepared.channels.slice(1) });
+          continue;
+        }
+
+        count(await this.deliver(reminder, prepared.channels, prepared.message, context, now));
+      } catch (error) {
+        logger.error(`❌ Reminder ${reminder.id} delivery failed:`, error);
+        count('error');
+      }
+    }
+
+    for (const { message, entries } of chatPosts.values()) {
+      const reminders = entries.map(entry => entry.reminder);
+      try {
+        await this.postToChat(await context.chatId(reminders[0].meetingId), reminders, message);
+        for (const reminder of reminders) count(await this.recordDelivery(reminder, 'chat', message, now));
+      } catch (error) {
+        for (const { reminder, fallback } of entries) {
+          count(fallback.length > 0
+            ? await this.deliver(reminder, fallback, message, context, now)
+            : await this.recordFailure(reminder, [`chat: ${error.message}`], now));
+        }
+      }
+    }
+
+    return { total: due.length, outcomes };
+  }
+
+  // One pass of both; concurrent callers share the pass in progress
+  async run(now = new Date()) {
+    if (this.running) return await this.running;
+
+    this.running = (async () => {
+      const startedAt = new Date().toISOString();
+      const scheduled = await this.schedule(now);
+      const delivered = await this.deliverDue(now);
+      return { startedAt, scheduled, delivered, finishedAt: new Date().toISOString() };
+    })();
+
+    try {
+      return await this.running;
+    } finally {
+      this.running = null;
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Recipients' own reminders
+  // ---------------------------------------------------------------------------
+
+  // A user is addressed by their object id, or by email when they were not in the directory
+  ownKeys(user) {
+    return [user.userId, normalizeEmail(user.email)].filter(Boolean);
+  }
+
+  async listForUser(user, { status } = {}) {
+    const filter = { userId: { $in: this.ownKeys(user) } };
+    if (status) filter.status = { $in: String(status).split(',').map(value => value.trim()) };
+    return await storage.findItems(this.containerName, filter, { sort: { dueAt: -1 } });
+  }
+
+  async findForUser(user, id) {
+    for (const key of this.ownKeys(user)) {
+      const reminder = await storage.getItem(this.containerName, id, key);
+      if (reminder) return reminder;
+    }
+    return null;
+  }
+
+  // { minutes } or { until }; returns [errors, until]
+  snoozeUntil({ minutes, until } = {}, now = new Date()) {
+    if (until !== undefined) {
+      const date = new Date(until);
+      if (typeof until !== 'string' || isNaN(date)) return [['until must be an ISO date-time'], null];
+      if (date <= now) return [['until must be in the future'], null];
+      if (date - now > MAX_SNOOZE_MINUTES * 60000) return [[`Reminders can be snoozed for at most ${MAX_SNOOZE_MINUTES / 1440} days`], null];
+      return [[], date];
+    }
+
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_SNOOZE_MINUTES) {
+      return [[`minutes must be a whole number from 1 to ${MAX_SNOOZE_MINUTES}`], null];
+    }
+    return [[], moment.utc(now).add(minutes, 'minutes').toDate()];
+  }
+
+  async snooze(reminder, until) {
+    return await this.update(reminder, {
+      status: 'scheduled',
+      dueAt: until.toISOString(),
+      snoozeCount: (reminder.snoozeCount || 0) + 1,
+      snoozedAt: new Date().toISOString(),
+      attempts: 0,
+      lastError: null
+    });
+  }
+
+  async dismiss(reminder) {
+    return await this.update(reminder, { status: 'dismissed', dismissedAt: new Date().toISOString() });
+  }
+
+  start() {
+    if (this.timer || !(this.intervalMinutes > 0)) return;
+
+    this.timer = setInterval(() => {
+      this.run().catch(error => logger.error('❌ Scheduled reminder run failed:', error));
+    }, this.intervalMinutes * 60 * 1000);
+    this.timer.unref();
+
+    logger.info(`⏰ Reminders checked every ${this.intervalMinutes}min via ${this.channels.join(', ')}`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+// Create singleton instance
+const reminderService = new ReminderService();
+
+module.exports = reminderService;
@@ -0,0 +1,345 @@
+const { v4: uuidv4 } = require('uuid');
+const moment = require('moment');
+const storage = require('../storage');
+const { ConflictError } = require('../storage/errors');
+const auditService = require('./auditService');
+const logger = require('../utils/logger');
+
+const OPEN_ACTION_ITEM_STATUSES = ['open', 'in_progress'];
+const CLOSED_ACTION_ITEM_STATUSES = ['completed', 'cancelled'];
+
+// Data types under retention: where they live, which field dates them and which policy
+// period applies. Summaries can be held by their meeting's open action items; closed action
+// items expire with the summaries they came from, counted from when they were closed.
+const DATA_TYPES = {
+  chats: { container: storage.containers.chats, dateField: 'timestamp' },
+  summaries: { container: storage.containers.summaries, dateField: 'createdAt', heldByOpenActionItems: true },
+  notifications: { container: storage.containers.notifications, dateField: 'createdAt' },
+  actionItems: {
+    container: storage.containers.actionItems,
+    dateField: 'closedAt',
+    policyKey: 'summaries',
+    filter: { status: { $in: CLOSED_ACTION_ITEM_STATUSES } }
+  }
+};
+
+// Types with a retention period of their own in the policy
+const PERIOD_TYPES = Object.keys(DATA_TYPES).filter(type => !DATA_TYPES[type].policyKey);
+
+const PERIOD_UNITS = ['days', 'months'];
+const MAX_REPORTED_IDS = 500;
+
+const periodFromEnv = (name, unit) => {
+  const value = parseInt(process.env[name]);
+  return value > 0 ? { [unit]: value } : null;
+};
+
+const describePeriod = (period) => {
+  const [unit, amount] = Object.entries(period)[0];
+  return `${amount} ${unit}`;
+};
+
+// Retention policies per data type, with per-tenant overrides stored in retentionPolicies:
+//   { chats: { days: 30 }, summaries: { months: 12 }, notifications: null, actionItems: { untilClosed: true } }
+// null keeps data forever. Expiry is enforced by Cosmos TTL (set on write) where the backend
+// supports it; the scheduled purge covers other backends, older data and changed policies.
+// Summaries that open action items may hold get no TTL: only the purge can tell when to go.
+class RetentionService {
+  constructor() {
+    this.containerName = storage.containers.retentionPolicies;
+    this.reportsContainer = storage.containers.retentionReports;
+    this.policyCache = new Map();
+    this.policyCacheMs = 60 * 1000;
+    this.purgeIntervalHours = parseFloat(process.env.RETENTION_PURGE_INTERVAL_HOURS ?? 24);
+    this.timer = null;
+    this.running = false;
+  }
+
+  // Environment defaults; nothing is deleted unless a period is configured
+  getDefaultPolicy() {
+    return {
+      chats: periodFromEnv('RETENTION_CHATS_DAYS', 'days'),
+      summaries: periodFromEnv('RETENTION_SUMMARIES_MONTHS', 'months'),
+      notifications: periodFromEnv('RETENTION_NOTIFICATIONS_DAYS', 'days'),
+      actionItems: { untilClosed: process.env.RETENTION_KEEP_OPEN_ACTION_ITEMS !== 'false' }
+    };
+  }
+
+  // Returns a list of problems; empty when the (partial) policy is valid
+  validatePolicy(policy) {
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+      return ['Policy must be an object'];
+    }
+
+    const errors = [];
+    Object.entries(policy).forEach(([type, value]) => {
+      if (type === 'actionItems') {
+        if (!value || typeof value.untilClosed !== 'boolean') {
+          errors.push('actionItems must be { untilClosed: true|false }');
+        }
+        return;
+      }
+
+      if (!PERIOD_TYPES.includes(type)) {
+        errors.push(`Unknown data type '${type}' (expected ${PERIOD_TYPES.join(', ')}, actionItems)`);
+        return;
+      }
+      if (value === null) return;
+
+      const entries = Object.entries(value || {});
+      const valid = entries.length === 1 &&
+        PERIOD_UNITS.includes(entries[0][0]) &&
+        Number.isInteger(entries[0][1]) && entries[0][1] > 0;
+
+      if (!valid) {
+        errors.push(`${type} must be null or a single positive whole { days } or { months }`);
+      }
+    });
+    return errors;
+  }
+
+  async getTenantOverride(tenantId) {
+    if (!tenantId) return null;
+    return await storage.getItem(this.containerName, tenantId, tenantId);
+  }
+
+  // Effective policy for a tenant: defaults with the tenant's overrides on top
+  async getPolicy(tenantId = null) {
+    const cacheKey = tenantId || '';
+    const cached = this.policyCache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.policy;
+    }
+
+    const override = await this.getTenantOverride(tenantId);
+    const policy = { ...this.getDefaultPolicy(), ...(override?.policy || {}) };
+
+    this.policyCache.set(cacheKey, { policy, expiresAt: Date.now() + this.policyCacheMs });
+    return policy;
+  }
+
+  async listPolicies() {
+    return {
+      default: this.getDefaultPolicy(),
+      tenants: await storage.findItems(this.containerName, {}, { sort: { tenantId: 1 } })
+    };
+  }
+
+  async setTenantPolicy(tenantId, policy, updatedBy) {
+    const doc = await storage.upsertItem(this.containerName, {
+      id: tenantId,
+      tenantId,
+      policy,
+      updatedBy,
+      updatedAt: new Date().toISOString()
+    });
+
+    this.policyCache.delete(tenantId);
+    logger.info('🗂️ Retention policy updated', { tenantId, updatedBy });
+    return doc;
+  }
+
+  async deleteTenantPolicy(tenantId) {
+    const existing = await this.getTenantOverride(tenantId);
+    if (!existing) return false;
+
+    await storage.deleteItem(this.containerName, tenantId, tenantId);
+    this.policyCache.delete(tenantId);
+    return true;
+  }
+
+  // The retention period of a data type under a policy
+  periodFor(type, policy) {
+    return policy[DATA_TYPES[type].policyKey || type] || null;
+  }
+
+  cutoffFor(period, now = moment()) {
+    const [unit, amount] = Object.entries(period)[0];
+    return now.clone().subtract(amount, unit).toISOString();
+  }
+
+  ttlSecondsFor(period, now = moment()) {
+    const [unit, amount] = Object.entries(period)[0];
+    return now.clone().add(amount, unit).diff(now, 'seconds');
+  }
+
+  // Summaries of meetings with open action items (in the actionItems store) outlive their
+  // retention period while the policy says so
+  async isHeld(type, item, policy) {
+    if (!DATA_TYPES[type].heldByOpenActionItems || !policy.actionItems?.untilClosed || !item.meetingId) return false;
+    const open = await storage.findOne(storage.containers.actionItems, {
+      meetingId: item.meetingId,
+      status: { $in: OPEN_ACTION_ITEM_STATUSES }
+    });
+    return !!open;
+  }
+
+  // Chats, summaries and notifications are tenant-scoped through their meeting
+  async resolveTenant(item, meetingTenants = new Map()) {
+    if (item.tenantId !== undefined) return item.tenantId;
+    if (!item.meetingId) return null;
+
+    if (!meetingTenants.has(item.meetingId)) {
+      const meeting = await storage.findOne(storage.containers.meetings, { meetingId: item.meetingId });
+      meetingTenants.set(item.meetingId, meeting?.tenantId || null);
+    }
+    return meetingTenants.get(item.meetingId);
+  }
+
+  typeForContainer(containerName) {
+    return Object.keys(DATA_TYPES).find(type => DATA_TYPES[type].container === containerName) || null;
+  }
+
+  // Set the item's Cosmos `ttl` from its tenant's policy before it is written.
+  // Never blocks the write: on any problem the item is stored without a ttl and the purge catches it.
+  async applyTtl(containerName, item) {
+    const type = this.typeForContainer(containerName);
+    if (!storage.supportsTtl || !type) return item;
+
+    try {
+      const policy = await this.getPolicy(await this.resolveTenant(item));
+      const period = this.periodFor(type, policy);
+
+      // Action items opened later would have to lift the TTL; leave these to the purge
+      if (DATA_TYPES[type].heldByOpenActionItems && policy.actionItems?.untilClosed) {
+        return item;
+      }
+      return period ? { ...item, ttl: this.ttlSecondsFor(period) } : item;
+    } catch (error) {
+      logger.warn('⚠️ Could not apply retention TTL', { containerName, id: item.id, error: error.message });
+      return item;
+    }
+  }
+
+  // Delete everything past its tenant's retention period and store a report of what went
+  async purge({ dryRun = false, tenantId = null, triggeredBy = 'schedule' } = {}) {
+    if (this.running) {
+      throw new ConflictError('A retention purge is already running');
+    }
+    this.running = true;
+
+    const startedAt = moment();
+    const report = {
+      id: uuidv4(),
+      type: 'retention_purge',
+      dryRun,
+      tenantId,
+      triggeredBy,
+      startedAt: startedAt.toISOString(),
+      totals: { deleted: 0, held: 0, errors: 0 },
+      containers: {}
+    };
+
+    try {
+      logger.info('🧹 Retention purge started', { dryRun, tenantId });
+      const overrides = await storage.findItems(this.containerName, tenantId ? { tenantId } : {});
+      const meetingTenants = new Map();
+
+      for (const [type, { container, dateField, filter = {} }] of Object.entries(DATA_TYPES)) {
+        const summary = { deleted: 0, held: 0, errors: 0, byTenant: {}, deletedIds: [], truncated: false };
+        report.containers[type] = summary;
+
+        // Only items older than the shortest configured period can be due
+        const periods = [this.getDefaultPolicy(), ...overrides.map(o => o.policy || {})]
+          .map(policy => this.periodFor(type, policy))
+          .filter(Boolean);
+        if (periods.length === 0) continue;
+        const latestCutoff = periods.map(period => this.cutoffFor(period, startedAt)).sort().pop();
+
+        const pkField = storage.getPartitionKeyField(container);
+        for await (const item of storage.scanItems(container, { ...filter, [dateField]: { $lt: latestCutoff } })) {
+          const itemTenant = await this.resolveTenant(item, meetingTenants);
+          if (tenantId && itemTenant !== tenantId) continue;
+
+          const policy = await this.getPolicy(itemTenant);
+          const period = this.periodFor(type, policy);
+          if (!period || item[dateField] >= this.cutoffFor(period, startedAt)) continue;
+
+          if (await this.isHeld(type, item, policy)) {
+            summary.held++;
+            continue;
+          }
+
+          try {
+            if (!dryRun) {
+              await storage.deleteItem(container, item.id, item[pkField]);
+            }
+          } catch (error) {
+            // Cosmos TTL may have removed it in the meantime
+            if (error.code !== 404) {
+              summary.errors++;
+              logger.error('❌ Retention purge failed to delete item', { container, id: item.id, error: error.message });
+            }
+            continue;
+          }
+
+          const tenantKey = itemTenant || 'default';
+          summary.deleted++;
+          summary.byTenant[tenantKey] = (summary.byTenant[tenantKey] || 0) + 1;
+          if (summary.deletedIds.length < MAX_REPORTED_IDS) {
+            summary.deletedIds.push(item.id);
+          } else {
+            summary.truncated = true;
+          }
+        }
+
+        report.totals.deleted += summary.deleted;
+        report.totals.held += summary.held;
+        report.totals.errors += summary.errors;
+      }
+    } finally {
+      this.running = false;
+    }
+
+    report.completedAt = new Date().toISOString();
+    report.durationMs = moment(report.completedAt).diff(startedAt);
+
+    await storage.createItem(this.reportsContainer, report);
+    await auditService.record({
+      type: 'retention_purge',
+      userId: triggeredBy,
+      tenantId,
+      reportId: report.id,
+      dryRun,
+      totals: report.totals
+    });
+
+    logger.info(`🧹 Retention purge ${dryRun ? '(dry run) ' : ''}finished`, { reportId: report.id, ...report.totals });
+    return report;
+  }
+
+  async listReports(limit = 20) {
+    return await storage.findItems(this.reportsContainer, {}, { sort: { startedAt: -1 }, limit });
+  }
+
+  async getReport(reportId) {
+    return await storage.getItem(this.reportsContainer, reportId, reportId);
+  }
+
+  describePolicy(policy) {
+    return Object.fromEntries(PERIOD_TYPES.map(type =>
+      [type, policy[type] ? describePeriod(policy[type]) : 'kept indefinitely']));
+  }
+
+  // Run the purge periodically (RETENTION_PURGE_INTERVAL_HOURS, 0 disables)
+  start() {
+    if (this.timer || !(this.purgeIntervalHours > 0)) return;
+
+    this.timer = setInterval(() => {
+      this.purge().catch(error => logger.error('❌ Scheduled retention purge failed:', error));
+    }, this.purgeIntervalHours * 60 * 60 * 1000);
+    this.timer.unref();
+
+    logger.info(`🗂️ Retention purge scheduled every ${this.purgeIntervalHours}h`, this.describePolicy(this.getDefaultPolicy()));
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+// Create singleton instance
+const retentionService = new RetentionService();
+
+module.exports = retentionService;
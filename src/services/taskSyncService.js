@@ -0,0 +1,478 @@
+const moment = require('moment');
+const storage = require('../storage');
+const graph = require('../graph');
+const actionItemService = require('./actionItemService');
+const auditService = require('./auditService');
+const logger = require('../utils/logger');
+
+// Fields kept in step between an action item and its task
+const SYNCED_FIELDS = ['title', 'status', 'dueDate'];
+// Items that get a task; completed items keep theirs in step but never get a new one
+const ACTIVE_STATUSES = ['open', 'in_progress'];
+// Recorded as the author of changes pulled from To Do or Planner
+const SYNC_USER = 'task-sync';
+
+const TODO_STATUS = { open: 'notStarted', in_progress: 'inProgress', completed: 'completed' };
+const FROM_TODO_STATUS = { notStarted: 'open', waitingOnOthers: 'open', deferred: 'open', inProgress: 'in_progress', completed: 'completed' };
+const PLANNER_PERCENT = { open: 0, in_progress: 50, completed: 100 };
+const PLANNER_ASSIGNMENT = { '@odata.type': '#microsoft.graph.plannerAssignment', orderHint: ' !' };
+
+const userPath = (key) => `/users/${encodeURIComponent(key)}`;
+
+// The synced fields of an action item (cancelled items are never compared)
+const stateOf = (item) => ({ title: item.title, status: item.status, dueDate: item.dueDate || null });
+
+const describe = (item) =>
+  [item.description, item.meetingSubject ? `From the meeting "${item.meetingSubject}"` : null].filter(Boolean).join('\n\n');
+
+const pick = (state, fields) => Object.fromEntries(fields.map(field => [field, state[field]]));
+
+// Microsoft To Do: each item becomes a task in a list of its owner's, created on first use.
+// A reassigned item's task moves to the new owner's list; without an owner it is removed.
+class TodoTarget {
+  constructor(service) {
+    this.service = service;
+    this.name = 'todo';
+    this.listIds = new Map(); // owner -> list id
+  }
+
+  ownerKey(item) {
+    return item.owner?.id || item.ownerEmail || null;
+  }
+
+  // Tasks live in a mailbox, so items nobody owns stay local
+  accepts(item) {
+    return !!this.ownerKey(item);
+  }
+
+  async listId(ownerKey) {
+    if (this.listIds.has(ownerKey)) {
+      return this.listIds.get(ownerKey);
+    }
+    const name = this.service.todoListName;
+    const found = await graph.get(`${userPath(ownerKey)}/todo/lists`, {
+      params: { $filter: `displayName eq '${name.replace(/'/g, "''")}'` }
+    });
+    const list = found.value?.[0] || await graph.post(`${userPath(ownerKey)}/todo/lists`, { displayName: name });
+    this.listIds.set(ownerKey, list.id);
+    return list.id;
+  }
+
+  taskPath(link) {
+    return `${userPath(link.ownerKey)}/todo/lists/${encodeURIComponent(link.listId)}/tasks/${encodeURIComponent(link.taskId)}`;
+  }
+
+  payload(fields) {
+    const payload = {};
+    if (fields.title !== undefined) payload.title = fields.title;
+    if (fields.status !== undefined) payload.status = TODO_STATUS[fields.status];
+    if (fields.dueDate !== undefined) {
+      payload.dueDateTime = fields.dueDate ? { dateTime: `${fields.dueDate}T00:00:00`, timeZone: 'UTC' } : null;
+    }
+    return payload;
+  }
+
+  async create(item) {
+    const ownerKey = this.ownerKey(item);
+    const listId = await this.listId(ownerKey);
+    const task = await graph.post(`${userPath(ownerKey)}/todo/lists/${encodeURIComponent(listId)}/tasks`, {
+      ...this.payload(stateOf(item)),
+      body: { content: describe(item), contentType: 'text' }
+    });
+    return { task, location: { ownerKey, listId } };
+  }
+
+  async get(link) {
+    return await graph.get(this.taskPath(link));
+  }
+
+  async update(link, task, fields) {
+    return await graph.patch(this.taskPath(link), this.payload(fields));
+  }
+
+  async remove(link) {
+    await graph.delete(this.taskPath(link));
+  }
+
+  async reassign(link, task, item) {
+    const moved = await this.create(item);
+    await this.service.ignoreNotFound(() => this.remove(link, task));
+    return moved;
+  }
+
+  // The task has no mailbox to live in without an owner
+  async unassign(link, task) {
+    await this.service.ignoreNotFound(() => this.remove(link, task));
+    return null;
+  }
+
+  stateOf(task) {
+    return {
+      title: task.title,
+      status: FROM_TODO_STATUS[task.status] || 'open',
+      dueDate: task.dueDateTime?.dateTime?.slice(0, 10) || null
+    };
+  }
+
+  modifiedAt(task) {
+    return task.lastModifiedDateTime || null;
+  }
+}
+
+// Planner: every item becomes a task in the configured plan, assigned to its owner when the
+// owner is a directory user. Planner only accepts changes carrying the task's current ETag.
+class PlannerTarget {
+  constructor(service) {
+    this.service = service;
+    this.name = 'planner';
+  }
+
+  ownerKey(item) {
+    return item.owner?.id || null;
+  }
+
+  accepts() {
+    return true;
+  }
+
+  taskPath(link) {
+    return `/planner/tasks/${encodeURIComponent(link.taskId)}`;
+  }
+
+  payload(fields) {
+    const payload = {};
+    if (fields.title !== undefined) payload.title = fields.title;
+    if (fields.status !== undefined) payload.percentComplete = PLANNER_PERCENT[fields.status];
+    if (fields.dueDate !== undefined) payload.dueDateTime = fields.dueDate ? `${fields.dueDate}T00:00:00Z` : null;
+    return payload;
+  }
+
+  async create(item) {
+    const ownerKey = this.ownerKey(item);
+    const { plannerPlanId: planId, plannerBucketId: bucketId } = this.service;
+    const task = await graph.post('/planner/tasks', {
+      planId,
+      ...(bucketId ? { bucketId } : {}),
+      ...this.payload(stateOf(item)),
+      assignments: ownerKey ? { [ownerKey]: PLANNER_ASSIGNMENT } : {}
+    });
+    return { task, location: { ownerKey, planId } };
+  }
+
+  async get(link) {
+    return await graph.get(this.taskPath(link));
+  }
+
+  async patch(link, task, payload) {
+    return await graph.patch(this.taskPath(link), payload, {
+      headers: { 'If-Match': task['@odata.etag'], Prefer: 'return=representation' }
+    });
+  }
+
+  async update(link, task, fields) {
+    return await this.patch(link, task, this.payload(fields));
+  }
+
+  async remove(link, task) {
+    await graph.delete(this.taskPath(link), { headers: { 'If-Match': task['@odata.etag'] } });
+  }
+
+  async reassign(link, task, item) {
+    const ownerKey = this.ownerKey(item);
+    const assignments = { [ownerKey]: PLANNER_ASSIGNMENT };
+    if (link.ownerKey) assignments[link.ownerKey] = null;
+    return { task: await this.patch(link, task, { assignments }), location: { ownerKey } };
+  }
+
+  // Owners outside the directory cannot be assigned: the task stays in the plan, unassigned
+  async unassign(link, task) {
+    const assignments = link.ownerKey ? { [link.ownerKey]: null } : {};
+    return { task: await this.patch(link, task, { assignments }), location: { ownerKey: null } };
+  }
+
+  stateOf(task) {
+    return {
+      title: task.title,
+      status: task.percentComplete >= 100 ? 'completed' : task.percentComplete > 0 ? 'in_progress' : 'open',
+      dueDate: task.dueDateTime ? task.dueDateTime.slice(0, 10) : null
+    };
+  }
+
+  // Planner does not say when a task last changed; completion is the one change it dates,
+  // so it only times conflicts over the status
+  modifiedAt(task, fields) {
+    return fields.every(field => field === 'status') ? task.completedDateTime || null : null;
+  }
+}
+
+// Keeps action items in step with tasks in Microsoft To Do (the owner's list) or a Planner
+// plan (TASK_SYNC_TARGET). Each item's link records where its task lives and the fields both
+// sides last agreed on, so a sync can tell which side changed what. When both changed the
+// same field, the later change wins and the conflict is audited; when the task does not say
+// when it changed (Planner), the app's edit wins.
+// Link: { id (action item id), meetingId, tenantId, target, status: active|cancelled|remote_deleted,
+//         ownerKey, listId | planId, taskId, synced: { title, status, dueDate }, lastSyncedAt, error }
+class TaskSyncService {
+  constructor() {
+    this.target = (process.env.TASK_SYNC_TARGET || 'todo').toLowerCase(); // todo, planner or none
+    this.todoListName = process.env.TASK_SYNC_TODO_LIST || 'Meeting action items';
+    this.plannerPlanId = process.env.TASK_SYNC_PLANNER_PLAN_ID || null;
+    this.plannerBucketId = process.env.TASK_SYNC_PLANNER_BUCKET_ID || null;
+    this.intervalMinutes = parseFloat(process.env.TASK_SYNC_INTERVAL_MINUTES || '5');
+    this.containerName = storage.containers.taskLinks;
+    this.targets = { todo: new TodoTarget(this), planner: new PlannerTarget(this) };
+    this.running = null;
+    this.timer = null;
+  }
+
+  isEnabled() {
+    if (!this.targets[this.target] || !graph.isAvailable()) return false;
+    return this.target !== 'planner' || !!this.plannerPlanId;
+  }
+
+  async getLink(actionItemId) {
+    return await storage.getItem(this.containerName, actionItemId, actionItemId);
+  }
+
+  async saveLink(link) {
+    return await storage.upsertItem(this.containerName, link);
+  }
+
+  // Tasks deleted in To Do or Planner answer 404
+  async ignoreNotFound(fn) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (error.status === 404) return null;
+      throw error;
+    }
+  }
+
+  // Bring one item and its task in step.
+  // Returns { item, link, action, pushed, pulled, conflicts } where action is one of
+  // created, updated, unchanged, skipped, cancelled, remote_deleted, failed or disabled.
+  async syncItem(item) {
+    const result = { item, link: null, action: 'skipped', pushed: [], pulled: [], conflicts: [] };
+    if (!this.isEnabled()) {
+      return { ...result, action: 'disabled' };
+    }
+
+    let link = await this.getLink(item.id);
+    // A reopened item, or one that has an owner again, gets a new task; one deleted in To Do or Planner stays local
+    if (link?.status === 'cancelled' && item.status !== 'cancelled') link = null;
+    if (link && link.status !== 'active') {
+      return { ...result, link };
+    }
+
+    // Linked items stay with the target they were created in
+    const target = this.targets[link ? link.target : this.target];
+
+    try {
+      return link ? await this.reconcile(item, link, target, result) : await this.createTask(item, target, result);
+    } catch (error) {
+      logger.error('❌ Task sync failed:', { actionItemId: item.id, target: target.name, error: error.message });
+      if (link) {
+        link = await this.saveLink({ ...link, error: { message: error.message, status: error.status || null, at: new Date().toISOString() } });
+      }
+      return { ...result, link, action: 'failed', error: error.message };
+    }
+  }
+
+  async createTask(item, target, result) {
+    if (!ACTIVE_STATUSES.includes(item.status) || !target.accepts(item)) {
+      return result;
+    }
+
+    const { task, location } = await target.create(item);
+    const now = new Date().toISOString();
+    const link = await this.saveLink({
+      id: item.id,
+      meetingId: item.meetingId,
+      tenantId: item.tenantId || null,
+      target: target.name,
+      status: 'active',
+      ...location,
+      taskId: task.id,
+      synced: target.stateOf(task),
+      createdAt: now,
+      lastSyncedAt: now,
+      error: null
+    });
+
+    logger.info(`📤 Action item pushed to ${target.name}`, { actionItemId: item.id, taskId: task.id });
+    return { ...result, link, action: 'created' };
+  }
+
+  async reconcile(item, link, target, result) {
+    const now = new Date().toISOString();
+    const task = await this.ignoreNotFound(() => target.get(link));
+
+    if (!task) {
+      logger.warn('⚠️ Synced task was deleted, the action item is no longer synced', { actionItemId: item.id, target: target.name });
+      const saved = await this.saveLink({ ...link, status: 'remote_deleted', lastSyncedAt: now, error: null });
+      return { ...result, link: saved, action: 'remote_deleted' };
+    }
+
+    // Neither To Do nor Planner can show a cancelled task, so it is removed there
+    if (item.status === 'cancelled') {
+      await this.ignoreNotFound(() => target.remove(link, task));
+      const saved = await this.saveLink({ ...link, status: 'cancelled', lastSyncedAt: now, error: null });
+      return { ...result, link: saved, action: 'cancelled' };
+    }
+
+    const base = link.synced;
+    const local = stateOf(item);
+    const remote = target.stateOf(task);
+    const localChanged = SYNCED_FIELDS.filter(field => local[field] !== base[field]);
+    const remoteChanged = SYNCED_FIELDS.filter(field => remote[field] !== base[field]);
+    const conflicts = localChanged.filter(field => remoteChanged.includes(field) && local[field] !== remote[field]);
+
+    const localModifiedAt = item.updatedAt || item.createdAt;
+    const remoteModifiedAt = target.modifiedAt(task, conflicts);
+    const remoteWins = conflicts.length > 0 && !!remoteModifiedAt && moment(remoteModifiedAt).isAfter(localModifiedAt);
+
+    const toRemote = {};
+    const toLocal = {};
+    SYNCED_FIELDS.filter(field => local[field] !== remote[field]).forEach(field => {
+      if (remoteChanged.includes(field) && (!localChanged.includes(field) || remoteWins)) {
+        toLocal[field] = remote[field];
+      } else {
+        toRemote[field] = local[field];
+      }
+    });
+
+    if (conflicts.length > 0) {
+      await this.recordConflict(item, link, {
+        fields: conflicts,
+        winner: remoteWins ? 'remote' : 'local',
+        local: pick(local, conflicts),
+        remote: pick(remote, conflicts),
+        localModifiedAt,
+        remoteModifiedAt
+      });
+    }
+
+    let current = task;
+    let updatedItem = item;
+    if (Object.keys(toRemote).length > 0) {
+      current = await target.update(link, task, toRemote) || await target.get(link);
+    }
+    if (Object.keys(toLocal).length > 0) {
+      updatedItem = await this.applyLocal(item, toLocal);
+    }
+
+    let saved = { ...link, synced: { ...local, ...toLocal }, lastSyncedAt: now, error: null };
+    let action = null;
+    const ownerKey = target.ownerKey(updatedItem);
+    if (ownerKey !== (link.ownerKey || null)) {
+      const moved = ownerKey
+        ? await target.reassign(link, current, updatedItem)
+        : await target.unassign(link, current);
+      if (moved) {
+        saved = { ...saved, ...moved.location, taskId: moved.task?.id || link.taskId };
+      } else {
+        // The task was removed; it is created again once the item has an owner it can go to
+        saved = { ...saved, status: 'cancelled' };
+        action = 'cancelled';
+      }
+    }
+    saved = await this.saveLink(saved);
+
+    const changed = Object.keys(toRemote).length + Object.keys(toLocal).length > 0 || saved.ownerKey !== link.ownerKey;
+    return {
+      ...result,
+      item: updatedItem,
+      link: saved,
+      action: action || (changed ? 'updated' : 'unchanged'),
+      pushed: Object.keys(toRemote),
+      pulled: Object.keys(toLocal),
+      conflicts
+    };
+  }
+
+  // Changes from To Do or Planner follow the item's lifecycle: one that the lifecycle does
+  // not allow directly (completed -> in progress) reopens the item first
+  async applyLocal(item, fields) {
+    let current = item;
+    if (fields.status && actionItemService.validateUpdate(current, { status: fields.status }).length > 0) {
+      current = await actionItemService.updateItem(current, { status: 'open' }, SYNC_USER);
+    }
+    return await actionItemService.updateItem(current, fields, SYNC_USER);
+  }
+
+  async recordConflict(item, link, conflict) {
+    logger.warn('⚠️ Task sync conflict, last writer wins', { actionItemId: item.id, target: link.target, ...conflict });
+    await auditService.record({
+      type: 'task_sync_conflict',
+      userId: SYNC_USER,
+      tenantId: item.tenantId || null,
+      meetingId: item.meetingId,
+      actionItemId: item.id,
+      target: link.target,
+      taskId: link.taskId,
+      ...conflict
+    });
+  }
+
+  // Sync every item that has a task or should get one. Overlapping runs share the first.
+  async syncAll() {
+    if (!this.running) {
+      this.running = this.runAll().finally(() => {
+        this.running = null;
+      });
+    }
+    return await this.running;
+  }
+
+  async runAll() {
+    const report = { target: this.target, startedAt: new Date().toISOString(), total: 0, outcomes: {}, conflicts: 0 };
+    if (!this.isEnabled()) {
+      return { ...report, disabled: true };
+    }
+
+    const items = new Map((await storage.findItems(storage.containers.actionItems, {
+      status: { $in: ACTIVE_STATUSES }
+    })).map(item => [item.id, item]));
+
+    // Completed and cancelled items keep syncing while they have a task
+    for (const link of await storage.findItems(this.containerName, { status: 'active' })) {
+      if (!items.has(link.id)) {
+        const item = await actionItemService.getItem(link.id, link.meetingId);
+        if (item) items.set(item.id, item);
+      }
+    }
+
+    for (const item of items.values()) {
+      const { action, conflicts } = await this.syncItem(item);
+      report.outcomes[action] = (report.outcomes[action] || 0) + 1;
+      report.conflicts += conflicts.length > 0 ? 1 : 0;
+    }
+
+    report.total = items.size;
+    report.finishedAt = new Date().toISOString();
+    logger.info('🔄 Task sync finished', report);
+    return report;
+  }
+
+  // Run the sync periodically (TASK_SYNC_INTERVAL_MINUTES, 0 disables)
+  start() {
+    if (this.timer || !(this.intervalMinutes > 0) || !this.isEnabled()) return;
+
+    this.timer = setInterval(() => {
+      this.syncAll().catch(error => logger.error('❌ Scheduled task sync failed:', error));
+    }, this.intervalMinutes * 60 * 1000);
+    this.timer.unref();
+
+    logger.info(`🔄 Action items sync to ${this.target} every ${this.intervalMinutes}min`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+// Create singleton instance
+const taskSyncService = new TaskSyncService();
+
+module.exports = taskSyncService;
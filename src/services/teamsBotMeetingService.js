@@ -1,6 +1,8 @@
 // src/services/teamsBotMeetingService.js
 const { ActivityHandler, MessageFactory } = require('botbuilder');
-const axios = require('axios');
+const storage = require('../storage');
+const redactionService = require('./redactionService');
+const promptSafetyService = require('./promptSafetyService');
 const logger = require('../utils/logger');
 
 class TeamsBotMeetingService {
@@ -118,7 +120,7 @@ class TeamsBotMeetingService {
                              messageText.toLowerCase().includes('ai assistant');
 
       if (isDirectedAtBot) {
-        const response = await this.processAIRequest(messageText, conversationId);
+        const response = await this.processAIRequest(messageText, conversationId, context.activity.from);
         
         const replyMessage = MessageFactory.text(
           `🤖 **AI Assistant**: ${response}`
@@ -134,31 +136,36 @@ class TeamsBotMeetingService {
     }
   }
 
-  // Process AI requests from meeting participants
-  async processAIRequest(message, conversationId) {
+  // Process AI requests from meeting participants. Answers come only from the data of the
+  // meeting whose chat the message was posted in.
+  async processAIRequest(message, conversationId, from = {}) {
     try {
-      const geminiAI = require('./geminiAI');
+      const ai = require('../ai');
       
-      if (!geminiAI.isAvailable()) {
+      if (!ai.isAvailable('assistant')) {
         return "I'm here monitoring the meeting, but AI processing is temporarily unavailable.";
       }
 
-      const prompt = `
-        You are an AI Meeting Assistant in a live Microsoft Teams meeting. 
-        A participant said: "${message}"
-        
-        Respond helpfully and concisely (1-2 sentences max). You can:
-        - Answer questions about the meeting
-        - Track action items and decisions
-        - Provide meeting insights
-        - Help with meeting facilitation
-        
-        Keep your response professional and meeting-appropriate.
-      `;
+      // Captured meeting chats keep an ingestion cursor under the chat (conversation) id
+      const cursor = await storage.getItem(storage.containers.chatCursors, conversationId, conversationId);
+      const meetingId = cursor?.meetingId || null;
+      ({ text: message } = await redactionService.redactText(message, {
+        tenantId: await redactionService.tenantForMeeting(meetingId)
+      }));
+
+      const { flagged } = await promptSafetyService.screen(message, {
+        source: 'meeting_agent',
+        meetingId,
+        userId: from.aadObjectId || from.id,
+        sender: from.name
+      });
+      if (flagged) {
+        return promptSafetyService.refusal;
+      }
 
-      const result = await geminiAI.model.generateContent(prompt);
-      const response = await result.response;
-      return response.text();
+      const scope = await promptSafetyService.meetingScope(meetingId);
+      const { output } = await ai.run('meetingAgentReply', { message, meetingData: scope.text });
+      return promptSafetyService.checkReply(output, scope, { source: 'meeting_agent', meetingId });
 
     } catch (error) {
       logger.error('❌ Error processing AI request:', error);
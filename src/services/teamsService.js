@@ -1,13 +1,13 @@
-const axios = require('axios');
 const moment = require('moment');
 const authService = require('./authService');
+const graph = require('../graph');
+const { withQuery } = require('../graph/client');
 const logger = require('../utils/logger');
 
-class TeamsService {
-  constructor() {
-    this.graphEndpoint = process.env.GRAPH_API_ENDPOINT || 'https://graph.microsoft.com/v1.0';
-  }
+// getSchedule accepts at most 20 mailboxes per call
+const SCHEDULES_PER_REQUEST = 20;
 
+class TeamsService {
   // Check if service is available
   isAvailable() {
     return authService.isAvailable();
@@ -22,18 +22,14 @@ async findTeamMembers(searchTerm) {
   }
 
   try {
-    const accessToken = await authService.getAppOnlyToken();
     const filter = `$filter=startswith(displayName, '${searchTerm}') or startswith(givenName, '${searchTerm}') or startswith(surname, '${searchTerm}')`;
     const select = `$select=id,displayName,userPrincipalName,jobTitle,department`;
-    const url = `${this.graphEndpoint}/users?${filter}&${select}&$top=20`;
 
     logger.info(`🔍 Searching for real Teams members: ${searchTerm}`);
     
-    const response = await axios.get(url, {
-      headers: { 'Authorization': `Bearer ${accessToken}` }
-    });
+    const response = await graph.get(`/users?${filter}&${select}&$top=20`);
 
-    const users = response.data.value || [];
+    const users = response.value || [];
     return users.map(user => ({
       id: user.id,
       name: user.displayName,
@@ -55,17 +51,13 @@ async getAllTeamMembers(limit = 50) {
   }
 
   try {
-    const accessToken = await authService.getAppOnlyToken();
+    if (!(limit > 0)) limit = 50;
     const select = `$select=id,displayName,userPrincipalName,jobTitle,department`;
-    const url = `${this.graphEndpoint}/users?${select}&$top=${limit}`;
 
     logger.info(`📋 Getting real Teams members (limit: ${limit})`);
     
-    const response = await axios.get(url, {
-      headers: { 'Authorization': `Bearer ${accessToken}` }
-    });
-
-    const users = response.data.value || [];
+    // Graph pages at 999 users at most, so follow nextLink until the limit is reached
+    const users = await graph.getAll(`/users?${select}&$top=${Math.min(limit, 999)}`, { maxItems: limit });
     return users.map(user => ({
       id: user.id,
       name: user.displayName,
@@ -86,16 +78,12 @@ async getAllCalendarMeetings(startDate = null, endDate = null, limit = 100) {
   }
 
   try {
-    const accessToken = await authService.getAppOnlyToken();
     const organizerEmail = process.env.MEETING_ORGANIZER_EMAIL || 'support@legacynote.ai';
     
     // Get organizer user ID
-    const userResponse = await axios.get(
-      `${this.graphEndpoint}/users/${encodeURIComponent(organizerEmail)}?$select=id`,
-      { headers: { 'Authorization': `Bearer ${accessToken}` } }
-    );
+    const organizer = await graph.get(`/users/${encodeURIComponent(organizerEmail)}?$select=id`);
     
-    const organizerUserId = userResponse.data.id;
+    const organizerUserId = organizer.id;
     
     // Set date range (default: last 30 days to next 30 days)
     if (!startDate) {
@@ -109,25 +97,17 @@ async getAllCalendarMeetings(startDate = null, endDate = null, limit = 100) {
       startDate, endDate, limit
     });
     
-    // Get ALL calendar events (not just AI-created ones)
-    const response = await axios.get(
-      `${this.graphEndpoint}/users/${organizerUserId}/calendar/calendarView`,
-      {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Content-Type': 'application/json'
-        },
-        params: {
-          startDateTime: startDate,
-          endDateTime: endDate,
-          $select: 'id,subject,start,end,attendees,organizer,onlineMeeting,webLink,createdDateTime,lastModifiedDateTime,isOnlineMeeting',
-          $orderby: 'start/dateTime desc',
-          $top: limit
-        }
-      }
-    );
-
-    const events = response.data.value || [];
+    // Get ALL calendar events (not just AI-created ones), following pages up to the limit
+    const events = await graph.getAll(`/users/${organizerUserId}/calendar/calendarView`, {
+      params: {
+        startDateTime: startDate,
+        endDateTime: endDate,
+        $select: 'id,subject,start,end,attendees,organizer,onlineMeeting,webLink,createdDateTime,lastModifiedDateTime,isOnlineMeeting',
+        $orderby: 'start/dateTime desc',
+        $top: Math.min(limit, 100)
+      },
+      maxItems: limit
+    });
     
     logger.info(`✅ Found ${events.length} calendar meetings from Teams`);
     
@@ -163,13 +143,13 @@ async getAllCalendarMeetings(startDate = null, endDate = null, limit = 100) {
   } catch (error) {
     logger.error('❌ Failed to get ALL calendar meetings:', {
       error: error.message,
-      status: error.response?.status,
-      statusText: error.response?.statusText
+      status: error.status,
+      requestId: error.requestId
     });
     
-    if (error.response?.status === 403) {
+    if (error.status === 403) {
       throw new Error(`Permission denied: Cannot access Teams calendar. Check app permissions.`);
-    } else if (error.response?.status === 404) {
+    } else if (error.status === 404) {
       throw new Error(`User not found: ${organizerEmail} does not exist in your organization`);
     } else {
       throw new Error(`Teams calendar lookup failed: ${error.message}`);
@@ -246,13 +226,19 @@ buildRecurrencePattern(recurrence) {
 
 // Enhanced version that adds organizer info to meeting subject and body
 
-async createTeamsMeeting(meetingData) {
+// When a signed-in user is passed, the meeting is created on their own calendar with
+// their delegated token; otherwise the shared MEETING_ORGANIZER_EMAIL calendar is used.
+async createTeamsMeeting(meetingData, user = null) {
   if (!this.isAvailable()) {
     throw new Error('Teams service not available - check Azure AD configuration');
   }
 
+  let organizerEmail = process.env.MEETING_ORGANIZER_EMAIL || 'support@legacynote.ai';
+
   try {
-    const accessToken = await authService.getAppOnlyToken();
+    const accessToken = user
+      ? await authService.getUserToken(user.userId)
+      : undefined; // the Graph client uses the app-only token
     const { subject, startTime, endTime, attendees = [], recurrence, description } = meetingData;
 
     console.log('🔄 createTeamsMeeting called with:', {
@@ -264,23 +250,23 @@ async createTeamsMeeting(meetingData) {
       recurrenceData: recurrence
     });
 
-    // Use the specific organizer email from environment variable
-    const organizerEmail = process.env.MEETING_ORGANIZER_EMAIL || 'support@legacynote.ai';
+    // Signed-in users organize their own meetings; app-only calls use the configured organizer
+    const organizerPath = user ? 'me' : `users/${encodeURIComponent(organizerEmail)}`;
     
     // Get the specific user ID for the organizer
-    logger.info(`🔍 Creating meeting for organizer: ${organizerEmail}`);
+    logger.info(`🔍 Creating meeting for organizer: ${user ? user.email : organizerEmail}`);
     
-    const userResponse = await axios.get(
-      `${this.graphEndpoint}/users/${encodeURIComponent(organizerEmail)}?$select=id,displayName,userPrincipalName`,
-      { headers: { 'Authorization': `Bearer ${accessToken}` } }
-    );
+    const organizer = await graph.get(`/${organizerPath}?$select=id,displayName,userPrincipalName,mail`, { accessToken });
 
-    if (!userResponse.data || !userResponse.data.id) {
+    if (!organizer || !organizer.id) {
       throw new Error(`Organizer ${organizerEmail} not found in tenant`);
     }
 
-    const organizerUserId = userResponse.data.id;
-    const organizerName = userResponse.data.displayName;
+    const organizerUserId = organizer.id;
+    const organizerName = organizer.displayName;
+    if (user) {
+      organizerEmail = organizer.mail || organizer.userPrincipalName;
+    }
     
     logger.info(`✅ Found organizer: ${organizerName} (${organizerEmail}) - ID: ${organizerUserId}`);
 
@@ -348,19 +334,10 @@ async createTeamsMeeting(meetingData) {
     // Create the meeting using the specific organizer's calendar
     logger.info(`🔄 Creating Teams meeting on ${organizerName}'s calendar`);
     
-    const response = await axios.post(
-      `${this.graphEndpoint}/users/${organizerUserId}/events`,
-      eventDetails,
-      { 
-        headers: { 
-          'Authorization': `Bearer ${accessToken}`, 
-          'Content-Type': 'application/json',
-          'Prefer': 'return=representation'  // Get full response back
-        } 
-      }
-    );
-
-    const eventData = response.data;
+    const eventData = await graph.post(`/users/${organizerUserId}/events`, eventDetails, {
+      accessToken,
+      headers: { 'Prefer': 'return=representation' }  // Get full response back
+    });
     
     console.log('📨 Microsoft Graph response:', {
       id: eventData.id,
@@ -422,23 +399,25 @@ async createTeamsMeeting(meetingData) {
     // Better error logging that avoids circular references
     const errorInfo = {
       message: error.message,
-      status: error.response?.status,
-      statusText: error.response?.statusText,
-      data: error.response?.data,
-      url: error.config?.url,
-      method: error.config?.method
+      status: error.status,
+      code: error.code,
+      requestId: error.requestId,
+      url: error.url,
+      method: error.method
     };
     
     logger.error('❌ Failed to create Teams meeting:', errorInfo);
     
     // More specific error messages
-    if (error.response?.status === 403) {
+    if (error.code === 'LOGIN_REQUIRED') {
+      throw error;
+    } else if (error.status === 403) {
       throw new Error(`Permission denied: Check if your app has Calendars.ReadWrite permission for ${organizerEmail}`);
-    } else if (error.response?.status === 404) {
+    } else if (error.status === 404) {
       throw new Error(`User not found: ${organizerEmail} does not exist or is not accessible`);
-    } else if (error.response?.status === 400) {
+    } else if (error.status === 400) {
       // Check if it's a recurrence-related error
-      const errorMessage = error.response?.data?.error?.message || 'Invalid meeting data';
+      const errorMessage = error.message || 'Invalid meeting data';
       if (errorMessage.toLowerCase().includes('recurrence')) {
         throw new Error(`Recurrence error: ${errorMessage}. Check recurrence pattern format.`);
       }
@@ -457,21 +436,16 @@ async updateTeamsMeeting(graphEventId, updateData) {
   }
 
   try {
-    const accessToken = await authService.getAppOnlyToken();
-    
     // Get organizer email and user ID
     const organizerEmail = process.env.MEETING_ORGANIZER_EMAIL || 'support@legacynote.ai';
     
-    const userResponse = await axios.get(
-      `${this.graphEndpoint}/users/${encodeURIComponent(organizerEmail)}?$select=id`,
-      { headers: { 'Authorization': `Bearer ${accessToken}` } }
-    );
+    const organizer = await graph.get(`/users/${encodeURIComponent(organizerEmail)}?$select=id`);
     
-    if (!userResponse.data || !userResponse.data.id) {
+    if (!organizer || !organizer.id) {
       throw new Error(`Organizer ${organizerEmail} not found in tenant`);
     }
     
-    const organizerUserId = userResponse.data.id;
+    const organizerUserId = organizer.id;
     
     logger.info(`🔄 Updating Teams meeting: ${graphEventId}`, {
       organizer: organizerEmail,
@@ -524,19 +498,9 @@ async updateTeamsMeeting(graphEventId, updateData) {
     }
 
     // Update the meeting via Microsoft Graph API
-    const response = await axios.patch(
-      `${this.graphEndpoint}/users/${organizerUserId}/events/${graphEventId}`,
-      updatePayload,
-      { 
-        headers: { 
-          'Authorization': `Bearer ${accessToken}`, 
-          'Content-Type': 'application/json',
-          'Prefer': 'return=representation'
-        } 
-      }
-    );
-
-    const updatedEvent = response.data;
+    const updatedEvent = await graph.patch(`/users/${organizerUserId}/events/${graphEventId}`, updatePayload, {
+      headers: { 'Prefer': 'return=representation' }
+    });
     
     logger.info('✅ Teams meeting updated successfully', {
       meetingId: updatedEvent.id,
@@ -563,19 +527,19 @@ async updateTeamsMeeting(graphEventId, updateData) {
   } catch (error) {
     const errorInfo = {
       message: error.message,
-      status: error.response?.status,
-      statusText: error.response?.statusText,
-      data: error.response?.data
+      status: error.status,
+      code: error.code,
+      requestId: error.requestId
     };
     
     logger.error('❌ Failed to update Teams meeting:', errorInfo);
     
-    if (error.response?.status === 403) {
+    if (error.status === 403) {
       throw new Error(`Permission denied: Check if your app has Calendars.ReadWrite permission`);
-    } else if (error.response?.status === 404) {
+    } else if (error.status === 404) {
       throw new Error(`Meeting not found: ${graphEventId} does not exist or is not accessible`);
-    } else if (error.response?.status === 400) {
-      throw new Error(`Bad request: ${error.response?.data?.error?.message || 'Invalid update data'}`);
+    } else if (error.status === 400) {
+      throw new Error(`Bad request: ${error.message || 'Invalid update data'}`);
     } else {
       throw new Error(`Teams meeting update failed: ${error.message}`);
     }
@@ -588,27 +552,15 @@ async getTeamsMeetingDetails(graphEventId) {
   }
 
   try {
-    const accessToken = await authService.getAppOnlyToken();
     const organizerEmail = process.env.MEETING_ORGANIZER_EMAIL || 'support@legacynote.ai';
     
-    const userResponse = await axios.get(
-      `${this.graphEndpoint}/users/${encodeURIComponent(organizerEmail)}?$select=id`,
-      { headers: { 'Authorization': `Bearer ${accessToken}` } }
-    );
-    
-    const organizerUserId = userResponse.data.id;
+    const organizer = await graph.get(`/users/${encodeURIComponent(organizerEmail)}?$select=id`);
     
-    const response = await axios.get(
-      `${this.graphEndpoint}/users/${organizerUserId}/events/${graphEventId}`,
-      { 
-        headers: { 'Authorization': `Bearer ${accessToken}` },
-        params: {
-          $select: 'id,subject,start,end,attendees,organizer,onlineMeeting,webLink,lastModifiedDateTime'
-        }
+    const meeting = await graph.get(`/users/${organizer.id}/events/${graphEventId}`, {
+      params: {
+        $select: 'id,subject,start,end,attendees,organizer,onlineMeeting,webLink,lastModifiedDateTime'
       }
-    );
-
-    const meeting = response.data;
+    });
     
     return {
       id: meeting.id,
@@ -629,145 +581,58 @@ async getTeamsMeetingDetails(graphEventId) {
 }
 
 
-// Add these methods to your teamsService.js file
-
-// Get free/busy information for team members
-// Add these methods to your teamsService.js file
-
-// Get free/busy information for team members
+// Get free/busy information for team members (REAL TEAMS ONLY).
+// getSchedule takes up to 20 schedules per call; larger lists go out as several calls in one batch.
 async getFreeBusyInfo(attendeeEmails, startTime, endTime) {
   if (!this.isAvailable()) {
-    // Return simulated free/busy data when Teams is not available
-    return attendeeEmails.map(email => ({
-      email: email,
-      freeBusyStatus: Math.random() > 0.5 ? 'free' : 'busy',
-      busyTimes: Math.random() > 0.5 ? [] : [{
-        start: moment(startTime).add(30, 'minutes').toISOString(),
-        end: moment(startTime).add(90, 'minutes').toISOString()
-      }]
-    }));
+    throw new Error('Teams service not available - Azure AD configuration required for real Teams integration');
   }
 
   try {
-    const accessToken = await authService.getAppOnlyToken();
-    
-    // FIXED: Use correct endpoint and request format
-    const scheduleRequest = {
-      schedules: attendeeEmails,
-      startTime: {
-        dateTime: startTime,
-        timeZone: "UTC"
-      },
-      endTime: {
-        dateTime: endTime,
-        timeZone: "UTC"
-      },
-      availabilityViewInterval: 60 // Optional: view interval in minutes
-    };
-
-    logger.info(`🔍 Checking availability for ${attendeeEmails.length} attendees`, {
+    logger.info(`🔍 Checking REAL Teams calendar availability for ${attendeeEmails.length} attendees`, {
       attendees: attendeeEmails,
       timeSlot: `${startTime} to ${endTime}`
     });
 
-    // FIXED: Use the correct endpoint - /calendar/getSchedule (not /me/calendar/getSchedule)
-    const response = await axios.post(
-      `${this.graphEndpoint}/calendar/getSchedule`,
-      scheduleRequest,
-      {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-
-    const schedules = response.data.value || [];
-    
-    return schedules.map((schedule, index) => {
-      const email = attendeeEmails[index];
-      const busyTimes = schedule.busyTimes || [];
-      
-      return {
-        email: email,
-        freeBusyStatus: busyTimes.length === 0 ? 'free' : 'busy',
-        busyTimes: busyTimes.map(busyTime => ({
-          start: busyTime.start.dateTime,
-          end: busyTime.end.dateTime
-        })),
-        workingHours: schedule.workingHours || null,
-        availabilityView: schedule.availabilityView || null
-      };
-    });
-
-  } catch (error) {
-    logger.error('❌ Failed to get free/busy information:', {
-      message: error.message,
-      status: error.response?.status,
-      statusText: error.response?.statusText,
-      data: error.response?.data
-    });
-    
-    // If it's a permission or authentication error, throw specific message
-    if (error.response?.status === 403) {
-      throw new Error(`Permission denied: Check if your app has Calendars.Read permission`);
-    } else if (error.response?.status === 401) {
-      throw new Error(`Authentication failed: Check your access token`);
-    } else if (error.response?.status === 400) {
-      throw new Error(`Bad request: ${error.response?.data?.error?.message || 'Invalid request format'}`);
-    } else {
-      throw new Error(`Free/busy lookup failed: ${error.message}`);
+    // App-only getSchedule has to run against a mailbox; the organizer's is always there
+    const organizerEmail = process.env.MEETING_ORGANIZER_EMAIL || 'support@legacynote.ai';
+    const chunks = [];
+    for (let i = 0; i < attendeeEmails.length; i += SCHEDULES_PER_REQUEST) {
+      chunks.push(attendeeEmails.slice(i, i + SCHEDULES_PER_REQUEST));
     }
-  }
-}
 
-// Add these methods to your teamsService.js file
-
-// Get free/busy information for team members (REAL TEAMS ONLY)
-async getFreeBusyInfo(attendeeEmails, startTime, endTime) {
-  if (!this.isAvailable()) {
-    throw new Error('Teams service not available - Azure AD configuration required for real Teams integration');
-  }
+    const responses = await graph.batch(chunks.map(schedules => ({
+      method: 'POST',
+      url: `/users/${encodeURIComponent(organizerEmail)}/calendar/getSchedule`,
+      body: {
+        schedules,
+        startTime: {
+          dateTime: startTime,
+          timeZone: "UTC"
+        },
+        endTime: {
+          dateTime: endTime,
+          timeZone: "UTC"
+        },
+        availabilityViewInterval: 60 // Optional: view interval in minutes
+      }
+    })));
 
-  try {
-    const accessToken = await authService.getAppOnlyToken();
-    
-    // FIXED: Use correct endpoint and request format
-    const scheduleRequest = {
-      schedules: attendeeEmails,
-      startTime: {
-        dateTime: startTime,
-        timeZone: "UTC"
-      },
-      endTime: {
-        dateTime: endTime,
-        timeZone: "UTC"
-      },
-      availabilityViewInterval: 60 // Optional: view interval in minutes
-    };
+    const failed = responses.find(response => response.error);
+    if (failed) {
+      throw failed.error;
+    }
 
-    logger.info(`🔍 Checking REAL Teams calendar availability for ${attendeeEmails.length} attendees`, {
-      attendees: attendeeEmails,
-      timeSlot: `${startTime} to ${endTime}`
+    const schedulesById = new Map();
+    responses.forEach(response => {
+      (response.body?.value || []).forEach(schedule => {
+        schedulesById.set(schedule.scheduleId?.toLowerCase(), schedule);
+      });
     });
 
-    // FIXED: Use the correct endpoint - /calendar/getSchedule (not /me/calendar/getSchedule)
-    const response = await axios.post(
-      `${this.graphEndpoint}/calendar/getSchedule`,
-      scheduleRequest,
-      {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-
-    const schedules = response.data.value || [];
-    
-    return schedules.map((schedule, index) => {
-      const email = attendeeEmails[index];
-      const busyTimes = schedule.busyTimes || [];
+    return attendeeEmails.map(email => {
+      const schedule = schedulesById.get(email.toLowerCase()) || {};
+      const busyTimes = (schedule.scheduleItems || []).filter(item => item.status !== 'free');
       
       return {
         email: email,
@@ -784,18 +649,18 @@ async getFreeBusyInfo(attendeeEmails, startTime, endTime) {
   } catch (error) {
     logger.error('❌ Failed to get REAL Teams free/busy information:', {
       message: error.message,
-      status: error.response?.status,
-      statusText: error.response?.statusText,
-      data: error.response?.data
+      status: error.status,
+      code: error.code,
+      requestId: error.requestId
     });
     
     // If it's a permission or authentication error, throw specific message
-    if (error.response?.status === 403) {
+    if (error.status === 403) {
       throw new Error(`Permission denied: Check if your app has Calendars.Read permission for real Teams calendars`);
-    } else if (error.response?.status === 401) {
+    } else if (error.status === 401) {
       throw new Error(`Authentication failed: Check your Azure AD access token`);
-    } else if (error.response?.status === 400) {
-      throw new Error(`Bad request: ${error.response?.data?.error?.message || 'Invalid request format for Teams calendar API'}`);
+    } else if (error.status === 400) {
+      throw new Error(`Bad request: ${error.message || 'Invalid request format for Teams calendar API'}`);
     } else {
       throw new Error(`Real Teams calendar lookup failed: ${error.message}`);
     }
@@ -803,121 +668,166 @@ async getFreeBusyInfo(attendeeEmails, startTime, endTime) {
 }
 
 // Get real calendar events for a specific Teams user (FIXED - proper time filtering)
-async getUserCalendarEvents(userEmail, startTime, endTime) {
+// With a signed-in user the lookup runs on their behalf, so other people's calendars
+// are only visible where they have been shared with that user
+async getUserCalendarEvents(userEmail, startTime, endTime, user = null) {
   if (!this.isAvailable()) {
     throw new Error('Teams service not available - Azure AD configuration required');
   }
 
   try {
-    const accessToken = await authService.getAppOnlyToken();
-    
-    // FIXED: Proper date formatting for Microsoft Graph API
-    const startDate = moment(startTime).utc().format('YYYY-MM-DDTHH:mm:ss.SSS[Z]');
-    const endDate = moment(endTime).utc().format('YYYY-MM-DDTHH:mm:ss.SSS[Z]');
+    const accessToken = user
+      ? await authService.getUserToken(user.userId)
+      : undefined; // the Graph client uses the app-only token
+    const calendarOwnerPath = user && user.email && user.email.toLowerCase() === userEmail.toLowerCase()
+      ? 'me'
+      : `users/${encodeURIComponent(userEmail)}`;
     
     logger.info(`📅 Getting REAL calendar events for Teams user: ${userEmail}`, {
-      timeRange: `${startDate} to ${endDate}`,
+      timeRange: `${startTime} to ${endTime}`,
       duration: moment(endTime).diff(moment(startTime), 'hours', true) + ' hours'
     });
     
-    // FIXED: Use calendarView endpoint with proper time filtering
-    const response = await axios.get(
-      `${this.graphEndpoint}/users/${encodeURIComponent(userEmail)}/calendar/calendarView`,
-      {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Content-Type': 'application/json'
-        },
-        params: {
-          startDateTime: startDate,
-          endDateTime: endDate,
-          $select: 'subject,start,end,showAs,organizer,sensitivity,isAllDay',
-          $orderby: 'start/dateTime',
-          $top: 100 // Limit to prevent too much data
-        }
-      }
-    );
-
-    const events = response.data.value || [];
-    
-    // FIXED: Filter events that actually overlap with the requested time range
-    const requestStart = moment(startTime).utc();
-    const requestEnd = moment(endTime).utc();
-    
-    const overlappingEvents = events.filter(event => {
-      const eventStart = moment(event.start.dateTime).utc();
-      const eventEnd = moment(event.end.dateTime).utc();
-      
-      // Check if event overlaps with requested time range
-      return eventStart.isBefore(requestEnd) && eventEnd.isAfter(requestStart);
-    });
-    
-    // FIXED: Only consider events that make the user "busy"
-    const busyEvents = overlappingEvents.filter(event => 
-      event.showAs === 'busy' || 
-      event.showAs === 'tentative' || 
-      event.showAs === 'outOfOffice' ||
-      event.showAs === 'workingElsewhere'
-    );
-
-    const isBusy = busyEvents.length > 0;
+    const events = await graph.getAll(this.calendarViewPath(calendarOwnerPath, startTime, endTime), { accessToken });
+    const calendar = this.summarizeCalendar(userEmail, events, startTime, endTime);
 
     logger.info(`✅ Calendar check for ${userEmail}:`, {
-      totalEventsInRange: overlappingEvents.length,
-      busyEvents: busyEvents.length,
-      status: isBusy ? 'BUSY' : 'FREE',
-      timeRange: `${startDate} to ${endDate}`
+      totalEventsInRange: calendar.summary.totalEventsInTimeRange,
+      busyEvents: calendar.summary.busyEventsCount,
+      status: calendar.freeBusyStatus.toUpperCase(),
+      timeRange: `${startTime} to ${endTime}`
     });
 
-    return {
-      email: userEmail,
-      timeRange: {
-        start: startTime,
-        end: endTime,
-        durationHours: moment(endTime).diff(moment(startTime), 'hours', true)
-      },
-      events: overlappingEvents.map(event => ({
-        subject: event.subject,
-        start: event.start.dateTime,
-        end: event.end.dateTime,
-        showAs: event.showAs,
-        isAllDay: event.isAllDay || false,
-        organizer: event.organizer?.emailAddress?.address
-      })),
-      freeBusyStatus: isBusy ? 'busy' : 'free',
-      busyTimes: busyEvents.map(event => ({
-        start: event.start.dateTime,
-        end: event.end.dateTime,
-        subject: event.subject,
-        showAs: event.showAs
-      })),
-      summary: {
-        totalEventsInTimeRange: overlappingEvents.length,
-        busyEventsCount: busyEvents.length,
-        freeEventsCount: overlappingEvents.length - busyEvents.length,
-        isAvailable: !isBusy
-      }
-    };
+    return calendar;
 
   } catch (error) {
     logger.error('❌ Failed to get REAL Teams user calendar events:', {
       userEmail,
       error: error.message,
-      status: error.response?.status,
-      statusText: error.response?.statusText,
+      status: error.status,
+      requestId: error.requestId,
       timeRange: `${startTime} to ${endTime}`
     });
     
-    if (error.response?.status === 403) {
-      throw new Error(`Permission denied: Cannot access real Teams calendar for ${userEmail}. Check app permissions.`);
-    } else if (error.response?.status === 404) {
-      throw new Error(`Teams user not found: ${userEmail} does not exist in your organization`);
-    } else if (error.response?.status === 400) {
-      throw new Error(`Bad request for ${userEmail}: ${error.response?.data?.error?.message || 'Invalid time range or parameters'}`);
-    } else {
-      throw new Error(`Real Teams calendar lookup failed for ${userEmail}: ${error.message}`);
+    if (error.code === 'LOGIN_REQUIRED') {
+      throw error;
     }
+    throw new Error(this.calendarErrorMessage(userEmail, error));
+  }
+}
+
+calendarErrorMessage(userEmail, error) {
+  if (error.status === 403) {
+    return `Permission denied: Cannot access real Teams calendar for ${userEmail}. Check app permissions.`;
+  } else if (error.status === 404) {
+    return `Teams user not found: ${userEmail} does not exist in your organization`;
+  } else if (error.status === 400) {
+    return `Bad request for ${userEmail}: ${error.message || 'Invalid time range or parameters'}`;
   }
+  return `Real Teams calendar lookup failed for ${userEmail}: ${error.message}`;
+}
+
+// calendarView request for [startTime, endTime]; the path carries its query so it can go in a batch
+calendarViewPath(calendarOwnerPath, startTime, endTime) {
+  // FIXED: Proper date formatting for Microsoft Graph API
+  return withQuery(`/${calendarOwnerPath}/calendar/calendarView`, {
+    startDateTime: moment(startTime).utc().format('YYYY-MM-DDTHH:mm:ss.SSS[Z]'),
+    endDateTime: moment(endTime).utc().format('YYYY-MM-DDTHH:mm:ss.SSS[Z]'),
+    $select: 'subject,start,end,showAs,organizer,sensitivity,isAllDay',
+    $orderby: 'start/dateTime',
+    $top: 100
+  });
+}
+
+// Calendars of many users over one time range, fetched in JSON batches.
+// Returns Map(email -> { events, error })
+async getCalendarsForUsers(userEmails, startTime, endTime) {
+  const emails = [...new Set(userEmails)];
+  const results = await graph.batchGetAll(
+    emails.map(email => this.calendarViewPath(`users/${encodeURIComponent(email)}`, startTime, endTime))
+  );
+  return new Map(emails.map((email, i) => [email, { events: results[i].value, error: results[i].error }]));
+}
+
+// Free/busy view of a user's events for a time range (events may span a wider range)
+summarizeCalendar(userEmail, events, startTime, endTime) {
+  // FIXED: Filter events that actually overlap with the requested time range
+  const requestStart = moment(startTime).utc();
+  const requestEnd = moment(endTime).utc();
+  
+  const overlappingEvents = events.filter(event => {
+    const eventStart = moment(event.start.dateTime).utc();
+    const eventEnd = moment(event.end.dateTime).utc();
+    
+    // Check if event overlaps with requested time range
+    return eventStart.isBefore(requestEnd) && eventEnd.isAfter(requestStart);
+  });
+  
+  // FIXED: Only consider events that make the user "busy"
+  const busyEvents = overlappingEvents.filter(event => 
+    event.showAs === 'busy' || 
+    event.showAs === 'tentative' || 
+    event.showAs === 'outOfOffice' ||
+    event.showAs === 'workingElsewhere'
+  );
+
+  const isBusy = busyEvents.length > 0;
+
+  return {
+    email: userEmail,
+    timeRange: {
+      start: startTime,
+      end: endTime,
+      durationHours: moment(endTime).diff(moment(startTime), 'hours', true)
+    },
+    events: overlappingEvents.map(event => ({
+      subject: event.subject,
+      start: event.start.dateTime,
+      end: event.end.dateTime,
+      showAs: event.showAs,
+      isAllDay: event.isAllDay || false,
+      organizer: event.organizer?.emailAddress?.address
+    })),
+    freeBusyStatus: isBusy ? 'busy' : 'free',
+    busyTimes: busyEvents.map(event => ({
+      start: event.start.dateTime,
+      end: event.end.dateTime,
+      subject: event.subject,
+      showAs: event.showAs
+    })),
+    summary: {
+      totalEventsInTimeRange: overlappingEvents.length,
+      busyEventsCount: busyEvents.length,
+      freeEventsCount: overlappingEvents.length - busyEvents.length,
+      isAvailable: !isBusy
+    }
+  };
+}
+
+// One attendee's status for a slot, given their calendar ({ events, error }) from getCalendarsForUsers
+attendeeSlotStatus(email, calendar, startTime, endTime) {
+  if (calendar.error) {
+    return {
+      email: email,
+      available: false,
+      status: 'error',
+      conflicts: [],
+      error: this.calendarErrorMessage(email, calendar.error),
+      eventsInTimeRange: 0,
+      busyEventsCount: 0
+    };
+  }
+
+  const userCalendar = this.summarizeCalendar(email, calendar.events, startTime, endTime);
+  return {
+    email: email,
+    available: userCalendar.freeBusyStatus === 'free',
+    status: userCalendar.freeBusyStatus,
+    conflicts: userCalendar.busyTimes || [],
+    eventsInTimeRange: userCalendar.summary.totalEventsInTimeRange,
+    busyEventsCount: userCalendar.summary.busyEventsCount,
+    details: userCalendar.summary
+  };
 }
 
 // FIXED: Check if specific time slot is available for all REAL Teams attendees
@@ -947,39 +857,22 @@ async checkTimeSlotAvailability(attendeeEmails, startTime, endTime) {
     durationMinutes: durationMinutes
   });
 
+  // Every attendee's calendar in one or two batched calls
+  const calendars = await this.getCalendarsForUsers(attendeeEmails, startTime, endTime);
+
   for (const email of attendeeEmails) {
-    try {
-      const userCalendar = await this.getUserCalendarEvents(email, startTime, endTime);
-      
-      const isAvailable = userCalendar.freeBusyStatus === 'free';
-      attendeeStatus.push({
-        email: email,
-        available: isAvailable,
-        status: userCalendar.freeBusyStatus,
-        conflicts: userCalendar.busyTimes || [],
-        eventsInTimeRange: userCalendar.summary.totalEventsInTimeRange,
-        busyEventsCount: userCalendar.summary.busyEventsCount,
-        details: userCalendar.summary
-      });
-      
-      if (!isAvailable) {
-        allAvailable = false;
-      }
+    const status = this.attendeeSlotStatus(email, calendars.get(email), startTime, endTime);
+    attendeeStatus.push(status);
 
-      logger.info(`📊 ${email}: ${userCalendar.freeBusyStatus.toUpperCase()} (${userCalendar.summary.busyEventsCount} busy events in range)`);
-    } catch (error) {
-      logger.error(`❌ Could not check REAL Teams availability for ${email}:`, error.message);
-      attendeeStatus.push({
-        email: email,
-        available: false,
-        status: 'error',
-        conflicts: [],
-        error: error.message,
-        eventsInTimeRange: 0,
-        busyEventsCount: 0
-      });
+    if (!status.available) {
       allAvailable = false;
     }
+
+    if (status.status === 'error') {
+      logger.error(`❌ Could not check REAL Teams availability for ${email}:`, status.error);
+    } else {
+      logger.info(`📊 ${email}: ${status.status.toUpperCase()} (${status.busyEventsCount} busy events in range)`);
+    }
   }
 
   const result = {
@@ -1023,6 +916,9 @@ async findAvailableTimeSlots(attendeeEmails, duration = 30, searchDays = 7) {
     const endSearch = moment().add(searchDays, 'days');
     
     logger.info(`🔍 Finding REAL Teams available slots for ${attendeeEmails.length} users over ${searchDays} days`);
+
+    // Fetch every attendee's calendar for the whole search window once, then check slots locally
+    const calendars = await this.getCalendarsForUsers(attendeeEmails, startSearch.toISOString(), endSearch.toISOString());
     
     // Generate time slots to check (every 30 minutes during business hours)
     const current = moment(startSearch);
@@ -1038,29 +934,22 @@ async findAvailableTimeSlots(attendeeEmails, duration = 30, searchDays = 7) {
         
         // Don't check slots that end after business hours
         if (slotEnd.hour() <= 17) {
-          try {
-            slotsChecked++;
-            const availability = await this.checkTimeSlotAvailability(
-              attendeeEmails, 
-              slotStart.toISOString(), 
-              slotEnd.toISOString()
-            );
+          slotsChecked++;
+          const attendeeStatus = attendeeEmails.map(email =>
+            this.attendeeSlotStatus(email, calendars.get(email), slotStart.toISOString(), slotEnd.toISOString()));
+          
+          if (attendeeStatus.every(status => status.available)) {
+            slots.push({
+              start: slotStart.toISOString(),
+              end: slotEnd.toISOString(),
+              confidence: 'high',
+              allAttendeesAvailable: true,
+              attendeeAvailability: attendeeStatus,
+              dayOfWeek: slotStart.format('dddd'),
+              timeOfDay: slotStart.format('h:mm A')
+            });
             
-            if (availability.allAvailable) {
-              slots.push({
-                start: slotStart.toISOString(),
-                end: slotEnd.toISOString(),
-                confidence: 'high',
-                allAttendeesAvailable: true,
-                attendeeAvailability: availability.attendeeStatus,
-                dayOfWeek: slotStart.format('dddd'),
-                timeOfDay: slotStart.format('h:mm A')
-              });
-              
-              logger.info(`✅ Found available slot: ${slotStart.format('dddd, MMMM Do YYYY, h:mm A')}`);
-            }
-          } catch (error) {
-            logger.warn(`Failed to check REAL Teams slot ${slotStart.format()}:`, error.message);
+            logger.info(`✅ Found available slot: ${slotStart.format('dddd, MMMM Do YYYY, h:mm A')}`);
           }
         }
       }
@@ -1087,33 +976,32 @@ async validateTeamsUsers(attendeeEmails) {
   const validUsers = [];
   const invalidUsers = [];
 
-  for (const email of attendeeEmails) {
-    try {
-      const accessToken = await authService.getAppOnlyToken();
-      
-      const response = await axios.get(
-        `${this.graphEndpoint}/users/${encodeURIComponent(email)}?$select=id,displayName,userPrincipalName,mail`,
-        { headers: { 'Authorization': `Bearer ${accessToken}` } }
-      );
-
-      if (response.data && response.data.id) {
-        validUsers.push({
-          email: email,
-          displayName: response.data.displayName,
-          userPrincipalName: response.data.userPrincipalName,
-          exists: true
-        });
-        logger.info(`✅ Validated Teams user: ${response.data.displayName} (${email})`);
-      }
-    } catch (error) {
+  const responses = await graph.batch(attendeeEmails.map(email => ({
+    url: `/users/${encodeURIComponent(email)}?$select=id,displayName,userPrincipalName,mail`
+  })));
+
+  responses.forEach((response, index) => {
+    const email = attendeeEmails[index];
+    const teamsUser = response.body;
+
+    if (response.error) {
       invalidUsers.push({
         email: email,
         exists: false,
-        error: error.response?.status === 404 ? 'User not found in Teams organization' : error.message
+        error: response.status === 404 ? 'User not found in Teams organization' : response.error.message
       });
-      logger.warn(`❌ Invalid Teams user: ${email} - ${error.message}`);
+      logger.warn(`❌ Invalid Teams user: ${email} - ${response.error.message}`);
+    } else if (teamsUser && teamsUser.id) {
+      validUsers.push({
+        email: email,
+        id: teamsUser.id,
+        displayName: teamsUser.displayName,
+        userPrincipalName: teamsUser.userPrincipalName,
+        exists: true
+      });
+      logger.info(`✅ Validated Teams user: ${teamsUser.displayName} (${email})`);
     }
-  }
+  });
 
   return {
     validUsers,
@@ -1137,23 +1025,32 @@ async validateTeamsUsers(attendeeEmails) {
     }
 
     try {
-      const accessToken = await authService.getAppOnlyToken();
-      const resolvedUsers = [];
+      logger.info(`🔍 Searching for ${displayNames.length} user(s): ${displayNames.join(', ')}`);
+
+      // OData string literals escape a quote by doubling it
+      const responses = await graph.batch(displayNames.map(name => ({
+        url: withQuery('/users', {
+          $filter: `startswith(displayName, '${String(name).replace(/'/g, "''")}')`,
+          $select: 'id,displayName,userPrincipalName'
+        })
+      })));
+
+      const failed = responses.find(response => response.error);
+      if (failed) {
+        throw failed.error;
+      }
 
-      for (const name of displayNames) {
-        const filter = `$filter=startswith(displayName, '${name}')`;
-        const select = `$select=displayName,userPrincipalName`;
-        const url = `${this.graphEndpoint}/users?${filter}&${select}`;
+      const resolvedUsers = [];
 
-        logger.info(`🔍 Searching for user: ${name}`);
-        
-        const response = await axios.get(url, {
-          headers: { 'Authorization': `Bearer ${accessToken}` }
-        });
+      responses.forEach((response, index) => {
+        const name = displayNames[index];
+        const users = response.body?.value || [];
 
-        if (response.data.value && response.data.value.length > 0) {
-          const foundUser = response.data.value[0];
+        if (users.length > 0) {
+          const foundUser = users[0];
           resolvedUsers.push({
+            query: name,
+            id: foundUser.id,
             name: foundUser.displayName,
             email: foundUser.userPrincipalName
           });
@@ -1161,7 +1058,7 @@ async validateTeamsUsers(attendeeEmails) {
         } else {
           logger.warn(`⚠️ Could not find user: ${name}`);
         }
-      }
+      });
 
       return resolvedUsers;
 
@@ -1184,35 +1081,36 @@ async findMeetingTimes(attendees, duration = 30, searchDays = 7, timePreferences
       searchDays
     });
 
-    // STEP 1: Resolve any names to email addresses
-    let resolvedAttendees = [];
-    
-    for (const attendee of attendees) {
+    // STEP 1: Resolve any names to email addresses (all names in one batched lookup)
+    const names = attendees.filter(attendee => !attendee.includes('@'));
+    let resolvedByName = new Map();
+
+    if (names.length > 0) {
+      logger.info(`🔍 Resolving names to email: ${names.join(', ')}`);
+      try {
+        const resolvedUsers = await this.findUsersByDisplayName(names);
+        resolvedByName = new Map(resolvedUsers.map(user => [user.query, user.email]));
+      } catch (resolutionError) {
+        logger.error(`❌ Failed to resolve names ${names.join(', ')}:`, resolutionError.message);
+        throw new Error(`Cannot resolve "${names.join('", "')}" to email address. Please use a valid email address like "rohit@company.com" or exact display name from Teams directory.`);
+      }
+    }
+
+    const resolvedAttendees = attendees.map(attendee => {
       // Check if it's already an email (contains @)
       if (attendee.includes('@')) {
-        resolvedAttendees.push(attendee);
         logger.info(`✅ Already email format: ${attendee}`);
-      } else {
-        // It's a name, try to resolve it
-        logger.info(`🔍 Resolving name to email: ${attendee}`);
-        
-        try {
-          const resolvedUsers = await this.findUsersByDisplayName([attendee]);
-          
-          if (resolvedUsers && resolvedUsers.length > 0) {
-            const resolvedEmail = resolvedUsers[0].email;
-            resolvedAttendees.push(resolvedEmail);
-            logger.info(`✅ Resolved name: ${attendee} -> ${resolvedEmail}`);
-          } else {
-            logger.warn(`⚠️ Could not resolve name: ${attendee}`);
-            throw new Error(`Cannot find Teams user with name "${attendee}". Please use email address or exact display name.`);
-          }
-        } catch (resolutionError) {
-          logger.error(`❌ Failed to resolve name ${attendee}:`, resolutionError.message);
-          throw new Error(`Cannot resolve "${attendee}" to email address. Please use a valid email address like "rohit@company.com" or exact display name from Teams directory.`);
-        }
+        return attendee;
       }
-    }
+
+      const resolvedEmail = resolvedByName.get(attendee);
+      if (!resolvedEmail) {
+        logger.warn(`⚠️ Could not resolve name: ${attendee}`);
+        throw new Error(`Cannot resolve "${attendee}" to email address. Please use a valid email address like "rohit@company.com" or exact display name from Teams directory.`);
+      }
+      logger.info(`✅ Resolved name: ${attendee} -> ${resolvedEmail}`);
+      return resolvedEmail;
+    });
 
     logger.info(`📧 Resolved attendees: ${JSON.stringify(resolvedAttendees)}`);
 
@@ -1227,7 +1125,6 @@ async findMeetingTimes(attendees, duration = 30, searchDays = 7, timePreferences
     logger.info(`✅ All ${resolvedAttendees.length} attendees validated as real Teams users`);
 
     // STEP 3: Try Microsoft Graph findMeetingTimes API first
-    const accessToken = await authService.getAppOnlyToken();
     const startTime = moment().add(1, 'hour').startOf('hour');
     const endTime = moment().add(searchDays, 'days').endOf('day');
     
@@ -1264,19 +1161,10 @@ async findMeetingTimes(attendees, duration = 30, searchDays = 7, timePreferences
       logger.info('🔍 Trying Microsoft Graph findMeetingTimes API');
       
       // FIXED: Use the correct Microsoft Graph endpoint
-      const response = await axios.post(
-        `${this.graphEndpoint}/me/calendar/getSchedule`, // WRONG ENDPOINT
-        findMeetingTimesRequest,
-        {
-          headers: {
-            'Authorization': `Bearer ${accessToken}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
+      const response = await graph.post('/me/calendar/getSchedule', findMeetingTimesRequest); // WRONG ENDPOINT
 
-      if (response.data.meetingTimeSuggestions) {
-        suggestions = response.data.meetingTimeSuggestions.map(suggestion => ({
+      if (response.meetingTimeSuggestions) {
+        suggestions = response.meetingTimeSuggestions.map(suggestion => ({
           start: suggestion.meetingTimeSlot.start.dateTime,
           end: suggestion.meetingTimeSlot.end.dateTime,
           confidence: this.mapConfidenceScore(suggestion.confidence),
@@ -1478,7 +1366,6 @@ async createTeamsChannel(channelData) {
   }
 
   try {
-    const accessToken = await authService.getAppOnlyToken();
     const { teamId, displayName, description, membershipType = 'standard' } = channelData;
 
     // Channel creation payload
@@ -1491,18 +1378,7 @@ async createTeamsChannel(channelData) {
 
     logger.info(`🆕 Creating Teams channel: ${displayName} in team: ${teamId}`);
     
-    const response = await axios.post(
-      `${this.graphEndpoint}/teams/${teamId}/channels`,
-      channelDetails,
-      { 
-        headers: { 
-          'Authorization': `Bearer ${accessToken}`, 
-          'Content-Type': 'application/json'
-        } 
-      }
-    );
-
-    const channelDataResult = response.data;
+    const channelDataResult = await graph.post(`/teams/${teamId}/channels`, channelDetails);
     
     logger.info('✅ Teams channel created successfully', {
       channelId: channelDataResult.id,
@@ -1524,11 +1400,11 @@ async createTeamsChannel(channelData) {
   } catch (error) {
     logger.error('❌ Failed to create Teams channel:', error);
     
-    if (error.response?.status === 403) {
+    if (error.status === 403) {
       throw new Error(`Permission denied: Check if your app has Channel.Create permission for team ${teamId}`);
-    } else if (error.response?.status === 404) {
+    } else if (error.status === 404) {
       throw new Error(`Team not found: ${teamId} does not exist or is not accessible`);
-    } else if (error.response?.status === 409) {
+    } else if (error.status === 409) {
       throw new Error(`Channel already exists: A channel with name "${displayName}" already exists in this team`);
     } else {
       throw new Error(`Teams channel creation failed: ${error.message}`);
@@ -1545,17 +1421,11 @@ async getAvailableTeams() {
   }
 
   try {
-    const accessToken = await authService.getAppOnlyToken();
-    
     logger.info('📋 Getting available real Teams for channel creation');
     
-    const url = `${this.graphEndpoint}/groups?$filter=resourceProvisioningOptions/Any(x:x eq 'Team')&$select=id,displayName,description&$top=10`;
-    
-    const response = await axios.get(url, {
-      headers: { 'Authorization': `Bearer ${accessToken}` }
-    });
-
-    const teams = response.data.value || [];
+    const teams = await graph.getAll(
+      `/groups?$filter=resourceProvisioningOptions/Any(x:x eq 'Team')&$select=id,displayName,description&$top=100`
+    );
     const result = teams.map(team => ({
       id: team.id,
       displayName: team.displayName,
@@ -1574,6 +1444,55 @@ async getAvailableTeams() {
 
 
 
+// Check whether a user is an owner of a team (teams are backed by M365 groups)
+async isTeamOwner(teamId, userId) {
+  if (!this.isAvailable()) {
+    throw new Error('Teams service not available - Azure AD configuration required');
+  }
+
+  try {
+    const owners = await graph.getAll(`/groups/${encodeURIComponent(teamId)}/owners?$select=id`);
+
+    return owners.some(owner => owner.id === userId);
+
+  } catch (error) {
+    if (error.status === 404) {
+      return false;
+    }
+    logger.error('❌ Failed to check team ownership:', error.message);
+    throw new Error(`Team ownership check failed: ${error.message}`);
+  }
+}
+
+// App role values assigned to a user on this app, as the `roles` claim of their token would
+// carry them; for callers that have no token (the bot)
+async getUserAppRoles(userId) {
+  if (!this.isAvailable()) {
+    throw new Error('Teams service not available - Azure AD configuration required');
+  }
+
+  try {
+    const { value: [app] = [] } = await graph.get('/servicePrincipals', {
+      params: { $filter: `appId eq '${process.env.AZURE_CLIENT_ID}'`, $select: 'id,appRoles' }
+    });
+    if (!app) {
+      return [];
+    }
+
+    const roleValues = new Map((app.appRoles || []).map(role => [role.id, role.value]));
+    const assignments = await graph.getAll(`/users/${encodeURIComponent(userId)}/appRoleAssignments`);
+
+    return assignments
+      .filter(assignment => assignment.resourceId === app.id)
+      .map(assignment => roleValues.get(assignment.appRoleId))
+      .filter(Boolean);
+
+  } catch (error) {
+    logger.error('❌ Failed to get user app roles:', error.message);
+    throw new Error(`App role lookup failed: ${error.message}`);
+  }
+}
+
 // List channels in a team
 async getTeamChannels(teamId) {
   if (!this.isAvailable()) {
@@ -1581,14 +1500,7 @@ async getTeamChannels(teamId) {
   }
 
   try {
-    const accessToken = await authService.getAppOnlyToken();
-    
-    const response = await axios.get(
-      `${this.graphEndpoint}/teams/${teamId}/channels`,
-      { headers: { 'Authorization': `Bearer ${accessToken}` } }
-    );
-
-    const channels = response.data.value || [];
+    const channels = await graph.getAll(`/teams/${teamId}/channels`);
     return channels.map(channel => ({
       id: channel.id,
       displayName: channel.displayName,
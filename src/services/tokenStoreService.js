@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const storage = require('../storage');
+const logger = require('../utils/logger');
+
+// Persists each user's MSAL token cache (which holds their refresh token) in storage,
+// encrypted with AES-256-GCM so the stored documents never contain usable tokens
+class TokenStoreService {
+  constructor() {
+    this.containerName = storage.containers.userTokens;
+    this.algorithm = 'aes-256-gcm';
+
+    const secret = process.env.TOKEN_ENCRYPTION_KEY;
+    if (!secret) {
+      logger.warn('⚠️ TOKEN_ENCRYPTION_KEY not configured. Delegated sign-in disabled.');
+      this.key = null;
+      return;
+    }
+
+    // Accept any secret string; derive a fixed-length key from it
+    this.key = crypto.createHash('sha256').update(secret).digest();
+  }
+
+  isAvailable() {
+    return this.key !== null;
+  }
+
+  encrypt(plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(this.algorithm, this.key, iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+    return {
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: ciphertext.toString('base64')
+    };
+  }
+
+  decrypt(payload) {
+    const decipher = crypto.createDecipheriv(
+      this.algorithm,
+      this.key,
+      Buffer.from(payload.iv, 'base64')
+    );
+    decipher.setAuthTag(Buffer.from(payload.tag, 'base64'));
+
+    return Buffer.concat([
+      decipher.update(Buffer.from(payload.data, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+  }
+
+  // Returns the serialized MSAL cache for a user, or null if they never signed in
+  async loadCache(userId) {
+    if (!this.isAvailable()) return null;
+
+    const doc = await storage.getItem(this.containerName, userId, userId);
+    if (!doc) return null;
+
+    try {
+      return this.decrypt(doc.cache);
+    } catch (error) {
+      // Wrong key or tampered document; the user has to sign in again
+      logger.error('❌ Failed to decrypt stored token cache', { userId, error: error.message });
+      return null;
+    }
+  }
+
+  async saveCache(userId, serializedCache, account = {}) {
+    if (!this.isAvailable()) {
+      throw new Error('Token store not available - TOKEN_ENCRYPTION_KEY required');
+    }
+
+    const now = new Date().toISOString();
+    await storage.upsertItem(this.containerName, {
+      id: userId,
+      userId: userId,
+      tenantId: account.tenantId || null,
+      username: account.username || null,
+      cache: this.encrypt(serializedCache),
+      updatedAt: now
+    });
+
+    logger.debug('🔐 Stored encrypted token cache', { userId });
+  }
+
+  async hasCache(userId) {
+    if (!this.isAvailable()) return false;
+    const doc = await storage.getItem(this.containerName, userId, userId);
+    return !!doc;
+  }
+
+  async deleteCache(userId) {
+    if (!this.isAvailable()) return;
+
+    const doc = await storage.getItem(this.containerName, userId, userId);
+    if (doc) {
+      await storage.deleteItem(this.containerName, userId, userId);
+      logger.info('🗑️ Removed stored token cache', { userId });
+    }
+  }
+}
+
+// Create singleton instance
+const tokenStoreService = new TokenStoreService();
+
+module.exports = tokenStoreService;
@@ -0,0 +1,210 @@
+const { v4: uuidv4 } = require('uuid');
+const { containerDefinitions, getPartitionKeyField } = require('./containers');
+const { parseSqlQuery } = require('./sqlQuery');
+const { validateFilter } = require('./filter');
+const { validatePatchOperations, applyPatch } = require('./patch');
+const { NotFoundError, ConflictError, PreconditionFailedError } = require('./errors');
+const { toUtcIso } = require('../utils/time');
+const logger = require('../utils/logger');
+
+// Common storage interface. Backends implement the primitive operations
+// (initialize, createItem, getItem, replaceItem, upsertItem, deleteItem, findItems);
+// everything else is built on top of them here.
+//
+// Every stored document carries an `_etag` that changes on each write. replaceItem
+// accepts { ifMatch: etag } and throws PreconditionFailedError when the document moved on.
+class BaseStore {
+  constructor(name) {
+    this.name = name;
+    this.maxUpdateRetries = parseInt(process.env.STORAGE_UPDATE_RETRIES) || 3;
+    // Whether the backend expires items carrying a `ttl` (seconds) by itself
+    this.supportsTtl = false;
+    this.containerDefinitions = containerDefinitions;
+    this.containers = Object.fromEntries(containerDefinitions.map(def => [def.key, def.id]));
+  }
+
+  getContainerDefinition(containerName) {
+    const definition = this.containerDefinitions.find(def => def.id === containerName);
+    if (!definition) {
+      throw new Error(`Container '${containerName}' not found`);
+    }
+    return definition;
+  }
+
+  getPartitionKeyField(containerName) {
+    return getPartitionKeyField(this.getContainerDefinition(containerName));
+  }
+
+  // Errors carry Cosmos-style numeric codes so callers can treat every backend alike
+  notFoundError(containerName, id) {
+    return new NotFoundError(containerName, id);
+  }
+
+  conflictError(containerName, id) {
+    return new ConflictError(`Item '${id}' already exists in ${containerName}`, { containerName, id });
+  }
+
+  preconditionFailedError(containerName, id) {
+    return new PreconditionFailedError(containerName, id);
+  }
+
+  async initialize() {
+    throw new Error(`${this.name} storage does not implement initialize()`);
+  }
+
+  // Bring existing containers in line with the registry (indexes, TTL). Creating missing
+  // containers is enough for backends without per-container settings.
+  async syncSchema() {
+    await this.initialize();
+    return this.containerDefinitions.map(def => ({ container: def.id, action: 'ensured' }));
+  }
+
+  // Merge `updates` into the stored document. Pass { ifMatch: etag } to fail with a
+  // PreconditionFailedError if the document changed since the caller read it.
+  async updateItem(containerName, id, partitionKey, updates, options = {}) {
+    return await this.modifyItem(containerName, id, partitionKey, existing => ({
+      ...existing,
+      ...updates
+    }), options);
+  }
+
+  // Apply set/unset/incr/append operations (see ./patch) to the stored document
+  async patchItem(containerName, id, partitionKey, operations, options = {}) {
+    validatePatchOperations(operations, this.getPartitionKeyField(containerName));
+    return await this.modifyItem(containerName, id, partitionKey, existing => applyPatch(existing, operations), options);
+  }
+
+  // Read-modify-write guarded by the document's ETag. When another writer gets in first
+  // we re-read and re-apply the change on top of theirs, up to maxRetries times.
+  // A caller-supplied ifMatch is never retried: the caller's view is stale.
+  async modifyItem(containerName, id, partitionKey, modify, { ifMatch = null, maxRetries = this.maxUpdateRetries } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      const existing = await this.getItem(containerName, id, partitionKey);
+      if (!existing) {
+        throw this.notFoundError(containerName, id);
+      }
+      if (ifMatch && existing._etag !== ifMatch) {
+        throw this.preconditionFailedError(containerName, id);
+      }
+
+      const updated = {
+        ...modify(existing),
+        updatedAt: new Date().toISOString()
+      };
+
+      try {
+        return await this.replaceItem(containerName, id, partitionKey, updated, { ifMatch: existing._etag });
+      } catch (error) {
+        if (!(error instanceof PreconditionFailedError) || ifMatch) {
+          throw error;
+        }
+        if (attempt >= maxRetries) {
+          throw new ConflictError(
+            `Item '${id}' in ${containerName} kept changing; gave up after ${attempt + 1} attempts`,
+            { containerName, id }
+          );
+        }
+        logger.warn(`🔁 Concurrent update on ${containerName}/${id}, retrying`, { attempt: attempt + 1 });
+      }
+    }
+  }
+
+  // Query with a backend-neutral filter, e.g. findItems('meetings', { userId }, { sort: { startTime: -1 } })
+  async findItems(containerName, filter = {}, options = {}) {
+    throw new Error(`${this.name} storage does not implement findItems()`);
+  }
+
+  // Walk every matching item in batches, ordered by id. Safe to modify items while scanning.
+  async *scanItems(containerName, filter = {}, { batchSize = 100 } = {}) {
+    let lastId = null;
+
+    for (;;) {
+      const pageFilter = lastId === null ? filter : { $and: [filter, { id: { $gt: lastId } }] };
+      const items = await this.findItems(containerName, pageFilter, { sort: { id: 1 }, limit: batchSize });
+      yield* items;
+
+      if (items.length < batchSize) return;
+      lastId = items[items.length - 1].id;
+    }
+  }
+
+  async findOne(containerName, filter = {}, options = {}) {
+    const items = await this.findItems(containerName, filter, { ...options, limit: 1 });
+    return items[0] || null;
+  }
+
+  // Cosmos SQL compatibility: backends without SQL translate the query into a filter
+  async queryItems(containerName, query, parameters = []) {
+    const { filter, sort, limit } = parseSqlQuery(query, parameters);
+    return await this.findItems(containerName, filter, { sort, limit });
+  }
+
+  checkFilter(filter) {
+    validateFilter(filter);
+  }
+
+  // Meeting-specific methods
+  async createMeeting(meetingData) {
+    const now = new Date().toISOString();
+    const meeting = {
+      ...meetingData,
+      id: meetingData.id || uuidv4(),
+      startTime: toUtcIso(meetingData.startTime),
+      endTime: toUtcIso(meetingData.endTime),
+      status: meetingData.status || 'scheduled',
+      attendees: meetingData.attendees || [],
+      agentAttended: false,
+      isRecurring: meetingData.isRecurring || false,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    return await this.createItem(this.containers.meetings, meeting);
+  }
+
+  async getMeetingsByUser(userId, tenantId = null) {
+    const filter = { userId };
+    if (tenantId) {
+      // Meetings created before tenant tracking have no tenantId and stay visible to their owner
+      filter.$or = [{ tenantId: { $exists: false } }, { tenantId }];
+    }
+
+    return await this.findItems(this.containers.meetings, filter, { sort: { startTime: -1 } });
+  }
+
+  async getMeetingsByDateRange(userId, startDate, endDate) {
+    return await this.findItems(
+      this.containers.meetings,
+      { userId, startTime: { $gte: startDate, $lte: endDate } },
+      { sort: { startTime: 1 } }
+    );
+  }
+
+  // User-specific methods
+  async createOrUpdateUser(userData) {
+    const user = {
+      id: userData.id || userData.userId,
+      userId: userData.userId,
+      email: userData.email,
+      name: userData.name,
+      tenantId: userData.tenantId,
+      preferences: userData.preferences || {},
+      lastLogin: new Date().toISOString(),
+      createdAt: userData.createdAt || new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    const existing = await this.getItem(this.containers.users, user.id, user.userId);
+    if (existing) {
+      return await this.updateItem(this.containers.users, user.id, user.userId, {
+        lastLogin: user.lastLogin,
+        name: user.name,
+        preferences: userData.preferences || existing.preferences || {}
+      });
+    }
+
+    return await this.createItem(this.containers.users, user);
+  }
+}
+
+module.exports = BaseStore;
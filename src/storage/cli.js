@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+// Storage schema and migration commands:
+//   npm run migrate -- status
+//   npm run migrate -- up [--to <version>]
+//   npm run migrate -- down [--steps <n> | --to <version>]
+//   npm run migrate -- sync          apply registry indexes/TTL to existing containers
+//   npm run migrate -- containers    list the schema registry
+
+require('dotenv').config();
+
+const storage = require('./index');
+const { Migrator } = require('./migrator');
+
+const USAGE = 'Usage: npm run migrate -- <status|up|down|sync|containers> [--to <version>] [--steps <n>]';
+
+const parseArgs = (argv) => {
+  const [command, ...rest] = argv;
+  const options = {};
+
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i] === '--to') options.to = rest[++i];
+    else if (rest[i] === '--steps') options.steps = parseInt(rest[++i]);
+    else throw new Error(`Unknown argument '${rest[i]}'\n${USAGE}`);
+  }
+
+  if (options.steps !== undefined && !(options.steps > 0)) {
+    throw new Error('--steps must be a positive number');
+  }
+  return { command, options };
+};
+
+const printResults = (label, results) => {
+  if (results.length === 0) {
+    console.log(`✅ Nothing to ${label}`);
+    return;
+  }
+  results.forEach(({ version, name, result }) =>
+    console.log(`✅ ${label} ${version}-${name}`, result ? JSON.stringify(result) : ''));
+};
+
+const commands = {
+  async containers() {
+    storage.containerDefinitions.forEach(def => {
+      const ttl = def.defaultTtl === undefined ? 'off' : def.defaultTtl;
+      console.log(`${def.id.padEnd(16)} partition ${def.partitionKey.padEnd(11)} ttl ${String(ttl).padEnd(9)} indexes ${def.indexes.join(', ') || '-'}`);
+    });
+  },
+
+  async sync() {
+    const results = await storage.syncSchema();
+    results.forEach(({ container, action }) => console.log(`${action === 'partition_key_mismatch' ? '⚠️' : '✅'} ${container}: ${action}`));
+  },
+
+  async status(migrator) {
+    const status = await migrator.status();
+    if (status.length === 0) {
+      console.log('No migrations defined');
+      return;
+    }
+    status.forEach(m =>
+      console.log(`${m.applied ? '✅' : '⏳'} ${m.version}-${m.name}  ${m.applied ? `applied ${m.appliedAt}` : 'pending'}  ${m.description || ''}`));
+  },
+
+  async up(migrator, options) {
+    printResults('Applied', await migrator.up({ to: options.to ?? null }));
+  },
+
+  async down(migrator, options) {
+    printResults('Rolled back', await migrator.down({ to: options.to ?? null, steps: options.steps ?? 1 }));
+  }
+};
+
+const main = async () => {
+  const { command, options } = parseArgs(process.argv.slice(2));
+  if (!commands[command]) {
+    throw new Error(USAGE);
+  }
+
+  // sync initializes storage itself
+  if (command === 'status' || command === 'up' || command === 'down') {
+    await storage.initialize();
+  }
+  await commands[command](new Migrator(storage), options);
+};
+
+main()
+  .then(() => 0, error => {
+    console.error(`❌ ${error.message}`);
+    return 1;
+  })
+  .then(async (exitCode) => {
+    if (storage.close) await storage.close();
+    process.exit(exitCode);
+  });
@@ -0,0 +1,175 @@
+// Schema registry: every container (collection) the app uses, shared by all storage backends.
+//   key           how code refers to it (storage.containers.<key>)
+//   id            actual container name (overridable per environment)
+//   partitionKey  Cosmos partition key path; other backends index it with `id`
+//   indexes       fields queried on; Cosmos indexes them, MongoDB creates one index per field
+//   indexAll      index every other path too (Cosmos only; defaults to true)
+//   defaultTtl    seconds until items expire; -1 = no default, items may set their own `ttl`
+//
+// Add new containers here, never by calling createContainer elsewhere.
+
+const containerDefinitions = [
+  {
+    key: 'meetings',
+    id: process.env.COSMOS_CONTAINER_MEETINGS || 'meetings',
+    partitionKey: '/userId',
+    indexes: ['meetingId', 'userId', 'startTime', 'status']
+  },
+  {
+    key: 'users',
+    id: process.env.COSMOS_CONTAINER_USERS || 'users',
+    partitionKey: '/userId',
+    indexes: ['userId', 'email', 'lastLogin']
+  },
+  {
+    key: 'chats',
+    id: process.env.COSMOS_CONTAINER_CHATS || 'chats',
+    partitionKey: '/meetingId',
+    indexes: ['meetingId', 'timestamp'],
+    defaultTtl: -1  // per-item ttl set by retentionService
+  },
+  {
+    key: 'summaries',
+    id: process.env.COSMOS_CONTAINER_SUMMARIES || 'summaries',
+    partitionKey: '/meetingId',
+    indexes: ['meetingId', 'version', 'createdAt'],
+    defaultTtl: -1
+  },
+  {
+    key: 'notifications',
+    id: process.env.COSMOS_CONTAINER_NOTIFICATIONS || 'notifications',
+    partitionKey: '/userId',
+    indexes: ['userId', 'createdAt'],
+    defaultTtl: -1
+  },
+  {
+    key: 'reminders',
+    id: process.env.COSMOS_CONTAINER_REMINDERS || 'reminders',
+    partitionKey: '/userId',
+    indexes: ['userId', 'email', 'status', 'dueAt', 'meetingId', 'type']
+  },
+  {
+    key: 'reminderPreferences',
+    id: process.env.COSMOS_CONTAINER_REMINDER_PREFERENCES || 'reminderPreferences',
+    partitionKey: '/userId',
+    indexes: ['userId']
+  },
+  {
+    key: 'botConversations',
+    id: process.env.COSMOS_CONTAINER_BOT_CONVERSATIONS || 'botConversations',
+    partitionKey: '/userId',
+    indexes: ['userId']
+  },
+  {
+    key: 'schedules',
+    id: process.env.COSMOS_CONTAINER_SCHEDULES || 'schedules',
+    partitionKey: '/userId',
+    indexes: ['meetingId', 'status', 'scheduledJoinTime', 'completedAt']
+  },
+  {
+    key: 'transcriptions',
+    id: process.env.COSMOS_CONTAINER_TRANSCRIPTIONS || 'transcriptions',
+    partitionKey: '/meetingId',
+    indexes: ['meetingId', 'timestamp']
+  },
+  {
+    key: 'userTokens',
+    id: process.env.COSMOS_CONTAINER_USER_TOKENS || 'userTokens',
+    partitionKey: '/userId',
+    indexes: ['userId', 'updatedAt'],
+    indexAll: false
+  },
+  {
+    key: 'auditLogs',
+    id: process.env.COSMOS_CONTAINER_AUDIT_LOGS || 'auditLogs',
+    partitionKey: '/userId',
+    indexes: ['userId', 'type', 'timestamp']
+  },
+  {
+    key: 'retentionPolicies',
+    id: process.env.COSMOS_CONTAINER_RETENTION_POLICIES || 'retentionPolicies',
+    partitionKey: '/tenantId',
+    indexes: []
+  },
+  {
+    key: 'retentionReports',
+    id: process.env.COSMOS_CONTAINER_RETENTION_REPORTS || 'retentionReports',
+    partitionKey: '/id',
+    indexes: ['startedAt']
+  },
+  {
+    key: 'redactionPolicies',
+    id: process.env.COSMOS_CONTAINER_REDACTION_POLICIES || 'redactionPolicies',
+    partitionKey: '/tenantId',
+    indexes: []
+  },
+  {
+    key: 'redactionVault',
+    id: process.env.COSMOS_CONTAINER_REDACTION_VAULT || 'redactionVault',
+    partitionKey: '/tenantId',
+    indexes: ['hash'],
+    indexAll: false
+  },
+  {
+    key: 'graphSubscriptions',
+    id: process.env.COSMOS_CONTAINER_GRAPH_SUBSCRIPTIONS || 'graphSubscriptions',
+    partitionKey: '/id',
+    indexes: ['meetingId', 'expirationDateTime']
+  },
+  {
+    key: 'chatCursors',
+    id: process.env.COSMOS_CONTAINER_CHAT_CURSORS || 'chatCursors',
+    partitionKey: '/id',  // the chat id
+    indexes: ['meetingId', 'active']
+  },
+  {
+    key: 'actionItems',
+    id: process.env.COSMOS_CONTAINER_ACTION_ITEMS || 'actionItems',
+    partitionKey: '/meetingId',
+    indexes: ['meetingId', 'tenantId', 'ownerEmail', 'organizerId', 'status', 'dueDate']
+  },
+  {
+    key: 'taskLinks',
+    id: process.env.COSMOS_CONTAINER_TASK_LINKS || 'taskLinks',
+    partitionKey: '/id',  // the action item id
+    indexes: ['meetingId', 'tenantId', 'target', 'status']
+  },
+  {
+    key: 'jobs',
+    id: process.env.COSMOS_CONTAINER_JOBS || 'jobs',
+    partitionKey: '/id',
+    indexes: ['type', 'status', 'runAt', 'lockedUntil', 'meetingId', 'userId', 'finishedAt']
+  },
+  {
+    key: 'migrations',
+    id: process.env.COSMOS_CONTAINER_MIGRATIONS || 'migrations',
+    partitionKey: '/id',
+    indexes: []
+  }
+];
+
+// Field name of a container's partition key ('/userId' -> 'userId')
+const getPartitionKeyField = (definition) => definition.partitionKey.replace(/^\//, '');
+
+// Cosmos indexing policy for a definition
+const buildIndexingPolicy = (definition) => {
+  const fieldPaths = (definition.indexes || []).map(field => ({ path: `/${field.split('.').join('/')}/?` }));
+  const indexAll = definition.indexAll !== false;
+
+  return {
+    automatic: true,
+    indexingMode: 'consistent',
+    includedPaths: indexAll ? [{ path: '/*' }, ...fieldPaths] : fieldPaths,
+    excludedPaths: indexAll ? [{ path: '/"_etag"/?' }] : [{ path: '/*' }]
+  };
+};
+
+containerDefinitions.forEach(definition => {
+  definition.indexingPolicy = buildIndexingPolicy(definition);
+});
+
+module.exports = {
+  containerDefinitions,
+  getPartitionKeyField,
+  buildIndexingPolicy
+};
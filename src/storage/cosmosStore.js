@@ -0,0 +1,270 @@
+const BaseStore = require('./baseStore');
+const { isOperatorObject, normalizeSort } = require('./filter');
+const logger = require('../utils/logger');
+
+const COSMOS_OPERATORS = { $eq: '=', $ne: '!=', $gt: '>', $gte: '>=', $lt: '<', $lte: '<=' };
+
+// Azure Cosmos DB backend. The client is created in initialize(), not at require time,
+// so the rest of the app can load without Cosmos credentials.
+class CosmosStore extends BaseStore {
+  constructor() {
+    super('cosmos');
+    this.supportsTtl = true;
+    this.endpoint = process.env.COSMOS_ENDPOINT;
+    this.key = process.env.COSMOS_KEY;
+    this.databaseId = process.env.COSMOS_DATABASE_ID || 'agent365db';
+
+    this.client = null;
+    this.database = null;
+    this.containerClients = {};
+  }
+
+  createClient() {
+    if (!this.endpoint || !this.key) {
+      throw new Error('Cosmos DB endpoint and key must be provided in environment variables');
+    }
+
+    const { CosmosClient } = require('@azure/cosmos');
+
+    return new CosmosClient({
+      endpoint: this.endpoint,
+      key: this.key,
+      userAgentSuffix: 'Agent365DigitalWorker',
+      // For the local emulator's self-signed certificate
+      connectionPolicy: {
+        DisableSSLVerification: true
+      },
+      agent: process.env.NODE_ENV === 'development' ?
+        require('https').Agent({ rejectUnauthorized: false }) : undefined
+    });
+  }
+
+  async initialize() {
+    this.client = this.client || this.createClient();
+    await this.createDatabaseIfNotExists();
+    await this.createContainersIfNotExists();
+  }
+
+  async createDatabaseIfNotExists() {
+    try {
+      const { database } = await this.client.databases.createIfNotExists({
+        id: this.databaseId
+      });
+
+      this.database = database;
+      logger.info(`✅ Database '${this.databaseId}' ready`);
+      return database;
+    } catch (error) {
+      logger.error('❌ Error creating database:', error);
+      throw error;
+    }
+  }
+
+  async createContainersIfNotExists() {
+    try {
+      for (const definition of this.containerDefinitions) {
+        const { container } = await this.database.containers.createIfNotExists(this.containerSpec(definition));
+        this.containerClients[definition.id] = container;
+        logger.info(`✅ Container '${definition.id}' ready`);
+      }
+    } catch (error) {
+      logger.error('❌ Error creating containers:', error);
+      throw error;
+    }
+  }
+
+  containerSpec({ id, partitionKey, indexingPolicy, defaultTtl }) {
+    const spec = { id, partitionKey, indexingPolicy };
+    if (defaultTtl !== undefined) {
+      spec.defaultTtl = defaultTtl;
+    }
+    return spec;
+  }
+
+  // createIfNotExists leaves existing containers alone, so push registry changes explicitly.
+  // The partition key of an existing container cannot change; that needs a data migration.
+  async syncSchema() {
+    await this.initialize();
+    const results = [];
+
+    for (const definition of this.containerDefinitions) {
+      const container = this.getContainer(definition.id);
+      const { resource: current } = await container.read();
+
+      if (current.partitionKey?.paths?.[0] !== definition.partitionKey) {
+        logger.warn(`⚠️ Container '${definition.id}' is partitioned on ${current.partitionKey?.paths?.[0]}, registry says ${definition.partitionKey}`);
+        results.push({ container: definition.id, action: 'partition_key_mismatch' });
+        continue;
+      }
+
+      await container.replace({ ...this.containerSpec(definition), partitionKey: current.partitionKey });
+      logger.info(`✅ Container '${definition.id}' settings synced`);
+      results.push({ container: definition.id, action: 'synced' });
+    }
+
+    return results;
+  }
+
+  getContainer(containerName) {
+    const container = this.containerClients[containerName];
+    if (!container) {
+      throw new Error(`Container '${containerName}' not found`);
+    }
+    return container;
+  }
+
+  // Generic CRUD operations
+  async createItem(containerName, item) {
+    try {
+      const container = this.getContainer(containerName);
+      const { resource } = await container.items.create(item);
+      logger.debug(`✅ Created item in ${containerName}:`, resource.id);
+      return resource;
+    } catch (error) {
+      if (error.code === 409) {
+        throw this.conflictError(containerName, item.id);
+      }
+      logger.error(`❌ Error creating item in ${containerName}:`, error);
+      throw error;
+    }
+  }
+
+  async getItem(containerName, id, partitionKey) {
+    try {
+      const container = this.getContainer(containerName);
+      const { resource } = await container.item(id, partitionKey).read();
+      return resource || null;
+    } catch (error) {
+      if (error.code === 404) {
+        return null;
+      }
+      logger.error(`❌ Error getting item from ${containerName}:`, error);
+      throw error;
+    }
+  }
+
+  async replaceItem(containerName, id, partitionKey, item, { ifMatch } = {}) {
+    try {
+      const container = this.getContainer(containerName);
+      const options = ifMatch ? { accessCondition: { type: 'IfMatch', condition: ifMatch } } : undefined;
+      const { resource } = await container.item(id, partitionKey).replace(item, options);
+      logger.debug(`✅ Updated item in ${containerName}:`, resource.id);
+      return resource;
+    } catch (error) {
+      if (error.code === 412) {
+        throw this.preconditionFailedError(containerName, id);
+      }
+      if (error.code === 404) {
+        throw this.notFoundError(containerName, id);
+      }
+      logger.error(`❌ Error updating item in ${containerName}:`, error);
+      throw error;
+    }
+  }
+
+  async upsertItem(containerName, item) {
+    try {
+      const container = this.getContainer(containerName);
+      const { resource } = await container.items.upsert(item);
+      logger.debug(`✅ Upserted item in ${containerName}:`, resource.id);
+      return resource;
+    } catch (error) {
+      logger.error(`❌ Error upserting item in ${containerName}:`, error);
+      throw error;
+    }
+  }
+
+  async deleteItem(containerName, id, partitionKey) {
+    try {
+      const container = this.getContainer(containerName);
+      await container.item(id, partitionKey).delete();
+      logger.debug(`✅ Deleted item from ${containerName}:`, id);
+    } catch (error) {
+      if (error.code === 404) {
+        throw this.notFoundError(containerName, id);
+      }
+      logger.error(`❌ Error deleting item from ${containerName}:`, error);
+      throw error;
+    }
+  }
+
+  // Native SQL; other backends translate it (see BaseStore.queryItems)
+  async queryItems(containerName, query, parameters = []) {
+    try {
+      const container = this.getContainer(containerName);
+      const { resources } = await container.items.query({
+        query,
+        parameters
+      }).fetchAll();
+
+      return resources;
+    } catch (error) {
+      logger.error(`❌ Error querying items from ${containerName}:`, error);
+      throw error;
+    }
+  }
+
+  async findItems(containerName, filter = {}, options = {}) {
+    this.checkFilter(filter);
+    const { query, parameters } = this.buildQuery(filter, options);
+    return await this.queryItems(containerName, query, parameters);
+  }
+
+  // Translate a storage filter into a parameterized Cosmos SQL query
+  buildQuery(filter, { sort, limit, offset } = {}) {
+    const parameters = [];
+    const addParameter = (value) => {
+      const name = `@p${parameters.length}`;
+      parameters.push({ name, value });
+      return name;
+    };
+
+    const fieldRef = (path) => 'c' + path.split('.').map(key => `[${JSON.stringify(key)}]`).join('');
+
+    const conditionFor = (field, op, value) => {
+      const ref = fieldRef(field);
+      switch (op) {
+        case '$in': return `ARRAY_CONTAINS(${addParameter(value)}, ${ref})`;
+        case '$exists': return value ? `IS_DEFINED(${ref})` : `NOT IS_DEFINED(${ref})`;
+        case '$contains': return `ARRAY_CONTAINS(${ref}, ${addParameter(value)})`;
+        default: return `${ref} ${COSMOS_OPERATORS[op]} ${addParameter(value)}`;
+      }
+    };
+
+    const buildWhere = (f) => {
+      const clauses = Object.entries(f).map(([key, condition]) => {
+        const group = (joiner) => condition.map(sub => `(${buildWhere(sub)})`).join(joiner);
+        if (key === '$and') return `(${group(' AND ')})`;
+        if (key === '$or') return `(${group(' OR ')})`;
+        if (key === '$nor') return `NOT (${group(' OR ')})`;
+
+        if (isOperatorObject(condition)) {
+          return Object.entries(condition).map(([op, value]) => conditionFor(key, op, value)).join(' AND ');
+        }
+        return conditionFor(key, '$eq', condition);
+      });
+
+      return clauses.length > 0 ? clauses.join(' AND ') : 'true';
+    };
+
+    let query = 'SELECT * FROM c';
+    if (Object.keys(filter).length > 0) {
+      query += ` WHERE ${buildWhere(filter)}`;
+    }
+
+    const sortFields = normalizeSort(sort);
+    if (sortFields.length > 0) {
+      query += ' ORDER BY ' + sortFields
+        .map(([field, direction]) => `${fieldRef(field)} ${direction === -1 ? 'DESC' : 'ASC'}`)
+        .join(', ');
+    }
+
+    if (limit) {
+      query += ` OFFSET ${parseInt(offset) || 0} LIMIT ${parseInt(limit)}`;
+    }
+
+    return { query, parameters };
+  }
+}
+
+module.exports = CosmosStore;
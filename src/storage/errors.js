@@ -0,0 +1,56 @@
+// Typed storage errors. `code` keeps the Cosmos-style numeric code existing callers check
+// (error.code === 404); `status` is the HTTP status routes should answer with.
+
+class StorageError extends Error {
+  constructor(message, { code = 500, status = code, containerName = null, id = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.status = status;
+    this.containerName = containerName;
+    this.id = id;
+  }
+}
+
+class NotFoundError extends StorageError {
+  constructor(containerName, id) {
+    super(`Item '${id}' not found in ${containerName}`, { code: 404, containerName, id });
+  }
+}
+
+// Duplicate id on create, or an update that kept losing to concurrent writers
+class ConflictError extends StorageError {
+  constructor(message, { containerName = null, id = null } = {}) {
+    super(message, { code: 409, containerName, id });
+  }
+}
+
+// The caller's If-Match ETag no longer matches the stored document
+class PreconditionFailedError extends StorageError {
+  constructor(containerName, id) {
+    super(`Item '${id}' in ${containerName} was modified by someone else`, { code: 412, containerName, id });
+  }
+}
+
+class InvalidPatchError extends StorageError {
+  constructor(message) {
+    super(message, { code: 400 });
+  }
+}
+
+// HTTP status for an error thrown while handling a request
+const httpStatusFor = (error) => (error instanceof StorageError ? error.status : 500);
+
+// Lost a race with another writer; callers should re-read rather than ignore it
+const isConcurrencyError = (error) =>
+  error instanceof ConflictError || error instanceof PreconditionFailedError;
+
+module.exports = {
+  StorageError,
+  NotFoundError,
+  ConflictError,
+  PreconditionFailedError,
+  InvalidPatchError,
+  httpStatusFor,
+  isConcurrencyError
+};
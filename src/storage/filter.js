@@ -0,0 +1,133 @@
+// Backend-neutral query filters used by storage.findItems().
+//
+// A filter is a MongoDB-style object:
+//   { status: 'scheduled' }                           equality
+//   { startTime: { $gte: start, $lte: end } }         comparison ($eq $ne $gt $gte $lt $lte)
+//   { status: { $in: ['scheduled', 'in_progress'] } } membership
+//   { tenantId: { $exists: false } }                  field presence
+//   { attendees: { $contains: email } }               array contains value
+//   { $or: [filterA, filterB] }, { $and: [...] }, { $nor: [...] }
+// Nested fields use dot paths ('aiAnalysis.sentiment').
+// Every backend follows Cosmos semantics: equality compares whole values (an array field
+// only equals an array; use $contains to look inside it), and a document without the field
+// matches neither $ne nor equality with null. Only $exists: false selects missing fields.
+// Sort is { field: 1 | -1 } (or 'asc' / 'desc').
+
+const COMPARISON_OPERATORS = ['$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$exists', '$contains'];
+const LOGICAL_OPERATORS = ['$and', '$or', '$nor'];
+
+const isOperatorObject = (value) =>
+  value !== null &&
+  typeof value === 'object' &&
+  !Array.isArray(value) &&
+  Object.keys(value).length > 0 &&
+  Object.keys(value).every(key => key.startsWith('$'));
+
+const getFieldValue = (doc, path) =>
+  path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), doc);
+
+// Throws on operators no backend understands, so typos fail loudly instead of matching nothing
+const validateFilter = (filter) => {
+  Object.entries(filter || {}).forEach(([key, value]) => {
+    if (key.startsWith('$')) {
+      if (!LOGICAL_OPERATORS.includes(key)) {
+        throw new Error(`Unsupported filter operator: ${key}`);
+      }
+      if (!Array.isArray(value)) {
+        throw new Error(`${key} expects an array of filters`);
+      }
+      value.forEach(validateFilter);
+      return;
+    }
+
+    if (isOperatorObject(value)) {
+      Object.keys(value).forEach(op => {
+        if (!COMPARISON_OPERATORS.includes(op)) {
+          throw new Error(`Unsupported filter operator: ${op}`);
+        }
+      });
+      if (value.$in !== undefined && !Array.isArray(value.$in)) {
+        throw new Error(`$in on '${key}' expects an array`);
+      }
+    }
+  });
+};
+
+const compare = (a, b) => {
+  if (a === undefined || b === undefined || a === null || b === null) return null;
+  if (typeof a !== typeof b) return null;
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+};
+
+const valuesEqual = (a, b) => {
+  if (a === b) return true;
+  if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') return false;
+  return JSON.stringify(a) === JSON.stringify(b);
+};
+
+const matchesOperator = (actual, op, expected) => {
+  switch (op) {
+    case '$eq': return valuesEqual(actual, expected);
+    case '$ne': return actual !== undefined && !valuesEqual(actual, expected);
+    case '$gt': return compare(actual, expected) === 1;
+    case '$gte': return [0, 1].includes(compare(actual, expected));
+    case '$lt': return compare(actual, expected) === -1;
+    case '$lte': return [-1, 0].includes(compare(actual, expected));
+    case '$in': return expected.some(value => valuesEqual(actual, value));
+    case '$exists': return (actual !== undefined) === !!expected;
+    case '$contains': return Array.isArray(actual) && actual.some(value => valuesEqual(value, expected));
+    default: throw new Error(`Unsupported filter operator: ${op}`);
+  }
+};
+
+// Evaluate a filter against a plain document (used by the memory backend)
+const matchesFilter = (doc, filter = {}) =>
+  Object.entries(filter).every(([key, condition]) => {
+    if (key === '$and') return condition.every(f => matchesFilter(doc, f));
+    if (key === '$or') return condition.some(f => matchesFilter(doc, f));
+    if (key === '$nor') return !condition.some(f => matchesFilter(doc, f));
+
+    const actual = getFieldValue(doc, key);
+
+    if (isOperatorObject(condition)) {
+      return Object.entries(condition).every(([op, expected]) => matchesOperator(actual, op, expected));
+    }
+
+    return valuesEqual(actual, condition);
+  });
+
+// Normalize { field: 1 | -1 | 'asc' | 'desc' } into [[field, 1 | -1], ...]
+const normalizeSort = (sort) =>
+  Object.entries(sort || {}).map(([field, direction]) => [
+    field,
+    direction === -1 || String(direction).toLowerCase() === 'desc' ? -1 : 1
+  ]);
+
+const sortItems = (items, sort) => {
+  const fields = normalizeSort(sort);
+  if (fields.length === 0) return items;
+
+  return [...items].sort((a, b) => {
+    for (const [field, direction] of fields) {
+      const av = getFieldValue(a, field);
+      const bv = getFieldValue(b, field);
+      if (av === bv) continue;
+      // Undefined values sort first ascending, like Cosmos
+      if (av === undefined || av === null) return -direction;
+      if (bv === undefined || bv === null) return direction;
+      return (av < bv ? -1 : 1) * direction;
+    }
+    return 0;
+  });
+};
+
+module.exports = {
+  validateFilter,
+  matchesFilter,
+  normalizeSort,
+  sortItems,
+  getFieldValue,
+  isOperatorObject
+};
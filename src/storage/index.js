@@ -0,0 +1,34 @@
+const logger = require('../utils/logger');
+
+const BACKENDS = {
+  cosmos: () => require('./cosmosStore'),
+  mongodb: () => require('./mongoStore'),
+  memory: () => require('./memoryStore')
+};
+
+// STORAGE_BACKEND picks the backend; without it we use Cosmos when it is configured
+// and fall back to the in-memory store so the server can run offline.
+const resolveBackend = () => {
+  const requested = (process.env.STORAGE_BACKEND || '').toLowerCase();
+
+  if (requested) {
+    if (!BACKENDS[requested]) {
+      throw new Error(`Unknown STORAGE_BACKEND '${requested}' (expected ${Object.keys(BACKENDS).join(', ')})`);
+    }
+    return requested;
+  }
+
+  if (process.env.COSMOS_ENDPOINT && process.env.COSMOS_KEY) {
+    return 'cosmos';
+  }
+
+  logger.warn('⚠️ No storage backend configured. Using in-memory storage (data is not persisted).');
+  return 'memory';
+};
+
+const Store = BACKENDS[resolveBackend()]();
+
+// Create singleton instance
+const storage = new Store();
+
+module.exports = storage;
@@ -0,0 +1,119 @@
+const { v4: uuidv4 } = require('uuid');
+const BaseStore = require('./baseStore');
+const { matchesFilter, sortItems } = require('./filter');
+const logger = require('../utils/logger');
+
+// In-process store for local development and tests. Data lives only as long as the process.
+class MemoryStore extends BaseStore {
+  constructor() {
+    super('memory');
+    this.data = new Map();
+  }
+
+  async initialize() {
+    this.containerDefinitions.forEach(def => {
+      if (!this.data.has(def.id)) {
+        this.data.set(def.id, new Map());
+      }
+    });
+    logger.info('✅ In-memory storage ready (data is not persisted)');
+  }
+
+  getCollection(containerName) {
+    this.getContainerDefinition(containerName);
+    if (!this.data.has(containerName)) {
+      this.data.set(containerName, new Map());
+    }
+    return this.data.get(containerName);
+  }
+
+  // Items are unique per (partition key, id), as in Cosmos
+  itemKey(containerName, id, partitionKey) {
+    return JSON.stringify([partitionKey ?? null, id]);
+  }
+
+  keyForItem(containerName, item) {
+    return this.itemKey(containerName, item.id, item[this.getPartitionKeyField(containerName)]);
+  }
+
+  // Copies in and out so callers can't mutate stored documents by accident
+  clone(item) {
+    return item === undefined || item === null ? null : structuredClone(item);
+  }
+
+  // Stored copy with a fresh ETag, as Cosmos assigns on every write
+  stamp(item) {
+    return { ...this.clone(item), _etag: `"${uuidv4()}"` };
+  }
+
+  async createItem(containerName, item) {
+    const collection = this.getCollection(containerName);
+    const key = this.keyForItem(containerName, item);
+
+    if (collection.has(key)) {
+      throw this.conflictError(containerName, item.id);
+    }
+
+    const stored = this.stamp(item);
+    collection.set(key, stored);
+    logger.debug(`✅ Created item in ${containerName}:`, item.id);
+    return this.clone(stored);
+  }
+
+  async getItem(containerName, id, partitionKey) {
+    const collection = this.getCollection(containerName);
+    return this.clone(collection.get(this.itemKey(containerName, id, partitionKey)));
+  }
+
+  async replaceItem(containerName, id, partitionKey, item, { ifMatch } = {}) {
+    const collection = this.getCollection(containerName);
+    const key = this.itemKey(containerName, id, partitionKey);
+    const current = collection.get(key);
+
+    if (!current) {
+      throw this.notFoundError(containerName, id);
+    }
+    if (ifMatch && current._etag !== ifMatch) {
+      throw this.preconditionFailedError(containerName, id);
+    }
+
+    const stored = this.stamp(item);
+    collection.set(key, stored);
+    logger.debug(`✅ Updated item in ${containerName}:`, id);
+    return this.clone(stored);
+  }
+
+  async upsertItem(containerName, item) {
+    const collection = this.getCollection(containerName);
+    const stored = this.stamp(item);
+    collection.set(this.keyForItem(containerName, item), stored);
+    logger.debug(`✅ Upserted item in ${containerName}:`, item.id);
+    return this.clone(stored);
+  }
+
+  async deleteItem(containerName, id, partitionKey) {
+    const collection = this.getCollection(containerName);
+    if (!collection.delete(this.itemKey(containerName, id, partitionKey))) {
+      throw this.notFoundError(containerName, id);
+    }
+    logger.debug(`✅ Deleted item from ${containerName}:`, id);
+  }
+
+  async findItems(containerName, filter = {}, { sort, limit, offset = 0 } = {}) {
+    this.checkFilter(filter);
+
+    const matches = Array.from(this.getCollection(containerName).values())
+      .filter(item => matchesFilter(item, filter));
+
+    const start = parseInt(offset) || 0;
+    const sorted = sortItems(matches, sort).slice(start, limit ? start + parseInt(limit) : undefined);
+    return sorted.map(item => this.clone(item));
+  }
+
+  // Drop all data (tests)
+  clear() {
+    this.data.clear();
+  }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,54 @@
+// Older meetings were saved before agentConfig / agentAttended (and friends) were always
+// written. Give them the defaults new meetings get, and remember which fields were filled
+// in so rolling back removes exactly those.
+
+const DEFAULTS = {
+  attendees: [],
+  isRecurring: false,
+  agentAttended: false,
+  agentConfig: {
+    autoJoin: false,
+    enableChatCapture: true,
+    generateSummary: true
+  }
+};
+
+module.exports = {
+  description: 'Backfill agent fields on meetings that predate them',
+
+  async up({ storage, version }) {
+    const meetings = storage.containers.meetings;
+    let updated = 0;
+
+    for await (const meeting of storage.scanItems(meetings)) {
+      const missing = Object.keys(DEFAULTS).filter(field => meeting[field] === undefined);
+      if (missing.length === 0) continue;
+
+      await storage.patchItem(meetings, meeting.id, meeting.userId, [
+        ...missing.map(field => ({ op: 'set', path: field, value: DEFAULTS[field] })),
+        { op: 'set', path: `_backfill.${version}`, value: missing }
+      ]);
+      updated++;
+    }
+
+    return { updated };
+  },
+
+  async down({ storage, version }) {
+    const meetings = storage.containers.meetings;
+    let reverted = 0;
+
+    for await (const meeting of storage.scanItems(meetings, { [`_backfill.${version}`]: { $exists: true } })) {
+      const filled = meeting._backfill[version];
+      const remaining = Object.keys(meeting._backfill).filter(key => key !== version);
+
+      await storage.patchItem(meetings, meeting.id, meeting.userId, [
+        ...filled.map(field => ({ op: 'unset', path: field })),
+        { op: 'unset', path: remaining.length > 0 ? `_backfill.${version}` : '_backfill' }
+      ]);
+      reverted++;
+    }
+
+    return { reverted };
+  }
+};
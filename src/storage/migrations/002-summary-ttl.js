@@ -0,0 +1,24 @@
+// Summaries used to get a Cosmos TTL when written, before their meeting's action items
+// existed, so Cosmos could delete summaries that open action items should hold. The
+// retention purge decides for them now; drop the TTLs already stamped on them.
+
+module.exports = {
+  description: 'Remove per-item TTLs from summaries so open action items can hold them',
+
+  async up({ storage }) {
+    const summaries = storage.containers.summaries;
+    let updated = 0;
+
+    for await (const summary of storage.scanItems(summaries, { ttl: { $exists: true } })) {
+      await storage.patchItem(summaries, summary.id, summary.meetingId, [{ op: 'unset', path: 'ttl' }]);
+      updated++;
+    }
+
+    return { updated };
+  },
+
+  // The TTLs came from the retention policy, which the purge still enforces
+  async down() {
+    return { reverted: 0 };
+  }
+};
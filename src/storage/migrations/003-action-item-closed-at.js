@@ -0,0 +1,40 @@
+// Retention dates closed action items by closedAt. Items closed before it was written get
+// their completion time, or their last change for cancelled ones.
+
+const CLOSED_STATUSES = ['completed', 'cancelled'];
+
+module.exports = {
+  description: 'Backfill closedAt on completed and cancelled action items',
+
+  async up({ storage, version }) {
+    const actionItems = storage.containers.actionItems;
+    let updated = 0;
+
+    for await (const item of storage.scanItems(actionItems, { status: { $in: CLOSED_STATUSES }, closedAt: { $exists: false } })) {
+      await storage.patchItem(actionItems, item.id, item.meetingId, [
+        { op: 'set', path: 'closedAt', value: item.completedAt || item.updatedAt },
+        { op: 'set', path: `_backfill.${version}`, value: ['closedAt'] }
+      ]);
+      updated++;
+    }
+
+    return { updated };
+  },
+
+  async down({ storage, version }) {
+    const actionItems = storage.containers.actionItems;
+    let reverted = 0;
+
+    for await (const item of storage.scanItems(actionItems, { [`_backfill.${version}`]: { $exists: true } })) {
+      const remaining = Object.keys(item._backfill).filter(key => key !== version);
+
+      await storage.patchItem(actionItems, item.id, item.meetingId, [
+        { op: 'unset', path: 'closedAt' },
+        { op: 'unset', path: remaining.length > 0 ? `_backfill.${version}` : '_backfill' }
+      ]);
+      reverted++;
+    }
+
+    return { reverted };
+  }
+};
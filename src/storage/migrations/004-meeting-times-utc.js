@@ -0,0 +1,47 @@
+// Reminders find meetings with string range filters on startTime and endTime, which only
+// work when every meeting stores them as UTC ISO strings. Older meetings kept the times
+// as they were sent (offsets, no milliseconds); rewrite them, keeping the originals for rollback.
+
+const { toUtcIso } = require('../../utils/time');
+
+const FIELDS = ['startTime', 'endTime'];
+
+module.exports = {
+  description: 'Store meeting start and end times as UTC ISO strings',
+
+  async up({ storage, version }) {
+    const meetings = storage.containers.meetings;
+    let updated = 0;
+
+    for await (const meeting of storage.scanItems(meetings)) {
+      const changed = FIELDS.filter(field => meeting[field] && toUtcIso(meeting[field]) !== meeting[field]);
+      if (changed.length === 0) continue;
+
+      await storage.patchItem(meetings, meeting.id, meeting.userId, [
+        ...changed.map(field => ({ op: 'set', path: field, value: toUtcIso(meeting[field]) })),
+        { op: 'set', path: `_backfill.${version}`, value: Object.fromEntries(changed.map(field => [field, meeting[field]])) }
+      ]);
+      updated++;
+    }
+
+    return { updated };
+  },
+
+  async down({ storage, version }) {
+    const meetings = storage.containers.meetings;
+    let reverted = 0;
+
+    for await (const meeting of storage.scanItems(meetings, { [`_backfill.${version}`]: { $exists: true } })) {
+      const original = meeting._backfill[version];
+      const remaining = Object.keys(meeting._backfill).filter(key => key !== version);
+
+      await storage.patchItem(meetings, meeting.id, meeting.userId, [
+        ...Object.entries(original).map(([field, value]) => ({ op: 'set', path: field, value })),
+        { op: 'unset', path: remaining.length > 0 ? `_backfill.${version}` : '_backfill' }
+      ]);
+      reverted++;
+    }
+
+    return { reverted };
+  }
+};
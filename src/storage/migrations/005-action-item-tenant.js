@@ -0,0 +1,46 @@
+// Action item lists are filtered by tenantId, which items took from their meeting. Items of
+// meetings saved before tenant tracking have none and were hidden; give them the tenant of
+// their meeting, or of its organizer's user record.
+
+module.exports = {
+  description: 'Backfill tenantId on action items from their meeting or its organizer',
+
+  async up({ storage, version }) {
+    const { actionItems, meetings, users } = storage.containers;
+    let updated = 0;
+
+    for await (const item of storage.scanItems(actionItems, { tenantId: null })) {
+      const meeting = await storage.findOne(meetings, { meetingId: item.meetingId });
+      const organizer = meeting && !meeting.tenantId
+        ? await storage.findOne(users, { userId: meeting.userId })
+        : null;
+      const tenantId = meeting?.tenantId || organizer?.tenantId;
+      if (!tenantId) continue;
+
+      await storage.patchItem(actionItems, item.id, item.meetingId, [
+        { op: 'set', path: 'tenantId', value: tenantId },
+        { op: 'set', path: `_backfill.${version}`, value: ['tenantId'] }
+      ]);
+      updated++;
+    }
+
+    return { updated };
+  },
+
+  async down({ storage, version }) {
+    const actionItems = storage.containers.actionItems;
+    let reverted = 0;
+
+    for await (const item of storage.scanItems(actionItems, { [`_backfill.${version}`]: { $exists: true } })) {
+      const remaining = Object.keys(item._backfill).filter(key => key !== version);
+
+      await storage.patchItem(actionItems, item.id, item.meetingId, [
+        { op: 'set', path: 'tenantId', value: null },
+        { op: 'unset', path: remaining.length > 0 ? `_backfill.${version}` : '_backfill' }
+      ]);
+      reverted++;
+    }
+
+    return { reverted };
+  }
+};
@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { ConflictError } = require('./errors');
+const logger = require('../utils/logger');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d{3,})-([a-z0-9-]+)\.js$/;
+const LOCK_ID = 'lock';
+
+// Versioned data migrations. Each file in ./migrations is named `<version>-<name>.js`
+// and exports { description, up(context), down(context) }; context is
+// { storage, logger, version }. Applied versions are recorded in the migrations container.
+const loadMigrations = (dir = MIGRATIONS_DIR) => {
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .map(file => ({ file, match: file.match(MIGRATION_FILE) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const migration = require(path.join(dir, file));
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up() and down()`);
+      }
+      return { version: match[1], name: match[2], ...migration };
+    })
+    .sort((a, b) => a.version.localeCompare(b.version));
+};
+
+class Migrator {
+  constructor(storage, { migrations = loadMigrations(), lockTimeoutMs = 15 * 60 * 1000 } = {}) {
+    this.storage = storage;
+    this.migrations = migrations;
+    this.lockTimeoutMs = lockTimeoutMs;
+    this.containerName = storage.containers.migrations;
+  }
+
+  async appliedRecords() {
+    return await this.storage.findItems(this.containerName, { type: 'migration' }, { sort: { id: 1 } });
+  }
+
+  async status() {
+    const applied = new Map((await this.appliedRecords()).map(record => [record.id, record]));
+
+    return this.migrations.map(({ version, name, description }) => ({
+      version,
+      name,
+      description,
+      applied: applied.has(version),
+      appliedAt: applied.get(version)?.appliedAt || null
+    }));
+  }
+
+  async pending() {
+    return (await this.status()).filter(migration => !migration.applied);
+  }
+
+  // Apply pending migrations in order, optionally stopping after version `to`
+  async up({ to = null } = {}) {
+    return await this.withLock(async () => {
+      const applied = new Set((await this.appliedRecords()).map(record => record.id));
+      const toRun = this.migrations
+        .filter(m => !applied.has(m.version))
+        .filter(m => to === null || m.version <= to);
+
+      const results = [];
+      for (const migration of toRun) {
+        logger.info(`⬆️ Applying migration ${migration.version}-${migration.name}`);
+        const startedAt = Date.now();
+        const result = await migration.up(this.context(migration));
+
+        await this.storage.createItem(this.containerName, {
+          id: migration.version,
+          type: 'migration',
+          name: migration.name,
+          description: migration.description || null,
+          result: result || null,
+          durationMs: Date.now() - startedAt,
+          appliedAt: new Date().toISOString()
+        });
+
+        results.push({ version: migration.version, name: migration.name, result: result || null });
+      }
+      return results;
+    });
+  }
+
+  // Roll back applied migrations newest first: the last `steps`, or everything after version `to`
+  async down({ to = null, steps = 1 } = {}) {
+    return await this.withLock(async () => {
+      const applied = (await this.appliedRecords()).map(record => record.id).reverse();
+      const toUndo = to !== null ? applied.filter(version => version > to) : applied.slice(0, steps);
+
+      const results = [];
+      for (const version of toUndo) {
+        const migration = this.migrations.find(m => m.version === version);
+        if (!migration) {
+          throw new Error(`Migration ${version} is applied but its file is missing; cannot roll back`);
+        }
+
+        logger.info(`⬇️ Rolling back migration ${migration.version}-${migration.name}`);
+        const result = await migration.down(this.context(migration));
+        await this.storage.deleteItem(this.containerName, version, version);
+
+        results.push({ version, name: migration.name, result: result || null });
+      }
+      return results;
+    });
+  }
+
+  context(migration) {
+    return { storage: this.storage, logger, version: migration.version };
+  }
+
+  // Only one migrator may run at a time; a lock older than lockTimeoutMs is treated as abandoned
+  async withLock(fn) {
+    await this.acquireLock();
+    try {
+      return await fn();
+    } finally {
+      await this.storage.deleteItem(this.containerName, LOCK_ID, LOCK_ID).catch(error =>
+        logger.error('❌ Failed to release migration lock:', error.message)
+      );
+    }
+  }
+
+  async acquireLock(retried = false) {
+    const now = Date.now();
+    try {
+      await this.storage.createItem(this.containerName, {
+        id: LOCK_ID,
+        type: 'lock',
+        owner: `${os.hostname()}:${process.pid}`,
+        acquiredAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + this.lockTimeoutMs).toISOString()
+      });
+    } catch (error) {
+      if (!(error instanceof ConflictError)) throw error;
+
+      const lock = await this.storage.getItem(this.containerName, LOCK_ID, LOCK_ID);
+      if (!retried && (!lock || lock.expiresAt < new Date(now).toISOString())) {
+        logger.warn('⚠️ Removing abandoned migration lock', { owner: lock?.owner });
+        await this.storage.deleteItem(this.containerName, LOCK_ID, LOCK_ID).catch(() => {});
+        return await this.acquireLock(true);
+      }
+      throw new ConflictError(`Migrations are already running (${lock?.owner}, since ${lock?.acquiredAt})`);
+    }
+  }
+}
+
+module.exports = {
+  Migrator,
+  loadMigrations
+};
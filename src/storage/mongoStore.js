@@ -0,0 +1,226 @@
+const { v4: uuidv4 } = require('uuid');
+const BaseStore = require('./baseStore');
+const { isOperatorObject, normalizeSort } = require('./filter');
+const logger = require('../utils/logger');
+
+// MongoDB backend. Each container maps to a collection; documents keep their own `id`
+// and are unique per (partition key, id) like in Cosmos. The `_etag` field is maintained
+// here since Mongo has no equivalent.
+class MongoStore extends BaseStore {
+  constructor() {
+    super('mongodb');
+    this.uri = process.env.MONGODB_URI;
+    this.databaseId = process.env.MONGODB_DATABASE || process.env.COSMOS_DATABASE_ID || 'agent365db';
+
+    this.client = null;
+    this.db = null;
+  }
+
+  async initialize() {
+    if (!this.uri) {
+      throw new Error('MONGODB_URI must be provided in environment variables');
+    }
+
+    const { MongoClient } = require('mongodb');
+
+    try {
+      this.client = new MongoClient(this.uri);
+      await this.client.connect();
+      this.db = this.client.db(this.databaseId);
+      logger.info(`✅ MongoDB database '${this.databaseId}' ready`);
+
+      for (const def of this.containerDefinitions) {
+        await this.createIndexes(def);
+        logger.info(`✅ Collection '${def.id}' ready`);
+      }
+    } catch (error) {
+      logger.error('❌ Error initializing MongoDB:', error);
+      throw error;
+    }
+  }
+
+  // Unique (partition key, id) plus one index per registry field; createIndex is idempotent
+  async createIndexes(def) {
+    const collection = this.db.collection(def.id);
+    const partitionField = this.getPartitionKeyField(def.id);
+
+    await collection.createIndex(
+      { [partitionField]: 1, id: 1 },
+      { unique: true, name: 'partition_id' }
+    );
+
+    for (const field of def.indexes || []) {
+      await collection.createIndex({ [field]: 1 }, { name: `idx_${field}` });
+    }
+  }
+
+  getCollection(containerName) {
+    this.getContainerDefinition(containerName);
+    if (!this.db) {
+      throw new Error('MongoDB storage not initialized');
+    }
+    return this.db.collection(containerName);
+  }
+
+  itemQuery(containerName, id, partitionKey) {
+    return { id, [this.getPartitionKeyField(containerName)]: partitionKey };
+  }
+
+  // Strip Mongo's internal _id so documents look the same as from other backends
+  toItem(doc) {
+    if (!doc) return null;
+    const { _id, ...item } = doc;
+    return item;
+  }
+
+  // Document to write, with a fresh ETag
+  toDocument(item) {
+    const { _id, ...doc } = item;
+    return { ...doc, _etag: `"${uuidv4()}"` };
+  }
+
+  async createItem(containerName, item) {
+    try {
+      const doc = this.toDocument(item);
+      await this.getCollection(containerName).insertOne({ ...doc });
+      logger.debug(`✅ Created item in ${containerName}:`, item.id);
+      return doc;
+    } catch (error) {
+      if (error.code === 11000) {
+        throw this.conflictError(containerName, item.id);
+      }
+      logger.error(`❌ Error creating item in ${containerName}:`, error);
+      throw error;
+    }
+  }
+
+  async getItem(containerName, id, partitionKey) {
+    try {
+      const doc = await this.getCollection(containerName).findOne(this.itemQuery(containerName, id, partitionKey));
+      return this.toItem(doc);
+    } catch (error) {
+      logger.error(`❌ Error getting item from ${containerName}:`, error);
+      throw error;
+    }
+  }
+
+  async replaceItem(containerName, id, partitionKey, item, { ifMatch } = {}) {
+    try {
+      const query = this.itemQuery(containerName, id, partitionKey);
+      const replacement = this.toDocument(item);
+      const result = await this.getCollection(containerName).replaceOne(
+        ifMatch ? { ...query, _etag: ifMatch } : query,
+        replacement
+      );
+      if (result.matchedCount === 0) {
+        const exists = ifMatch && await this.getCollection(containerName).countDocuments(query, { limit: 1 });
+        throw exists ? this.preconditionFailedError(containerName, id) : this.notFoundError(containerName, id);
+      }
+      logger.debug(`✅ Updated item in ${containerName}:`, id);
+      return replacement;
+    } catch (error) {
+      if (error.code !== 412) {
+        logger.error(`❌ Error updating item in ${containerName}:`, error);
+      }
+      throw error;
+    }
+  }
+
+  async upsertItem(containerName, item) {
+    try {
+      const partitionKey = item[this.getPartitionKeyField(containerName)];
+      const replacement = this.toDocument(item);
+      await this.getCollection(containerName).replaceOne(
+        this.itemQuery(containerName, item.id, partitionKey),
+        replacement,
+        { upsert: true }
+      );
+      logger.debug(`✅ Upserted item in ${containerName}:`, item.id);
+      return replacement;
+    } catch (error) {
+      logger.error(`❌ Error upserting item in ${containerName}:`, error);
+      throw error;
+    }
+  }
+
+  async deleteItem(containerName, id, partitionKey) {
+    try {
+      const result = await this.getCollection(containerName).deleteOne(this.itemQuery(containerName, id, partitionKey));
+      if (result.deletedCount === 0) {
+        throw this.notFoundError(containerName, id);
+      }
+      logger.debug(`✅ Deleted item from ${containerName}:`, id);
+    } catch (error) {
+      logger.error(`❌ Error deleting item from ${containerName}:`, error);
+      throw error;
+    }
+  }
+
+  async findItems(containerName, filter = {}, { sort, limit, offset } = {}) {
+    this.checkFilter(filter);
+
+    try {
+      let cursor = this.getCollection(containerName)
+        .find(this.toMongoFilter(filter))
+        .project({ _id: 0 });
+
+      const sortFields = normalizeSort(sort);
+      if (sortFields.length > 0) {
+        cursor = cursor.sort(sortFields);
+      }
+      if (offset) {
+        cursor = cursor.skip(parseInt(offset));
+      }
+      if (limit) {
+        cursor = cursor.limit(parseInt(limit));
+      }
+
+      return await cursor.toArray();
+    } catch (error) {
+      logger.error(`❌ Error querying items from ${containerName}:`, error);
+      throw error;
+    }
+  }
+
+  // Storage filters are already Mongo-shaped, but Mongo matches differently from Cosmos
+  // (and the memory store) in ways the translation has to even out:
+  //   - equality on a scalar also matches arrays holding it ({ tags: 'x' } matches ['x']),
+  //     so scalar $eq / $in rule arrays out; $contains is how to look inside an array
+  //   - $ne and equality with null match documents without the field, where Cosmos
+  //     never matches an undefined field, so they require the field to exist
+  //   - $contains becomes $elemMatch
+  toMongoFilter(filter) {
+    return Object.fromEntries(Object.entries(filter).map(([key, condition]) => {
+      if (['$and', '$or', '$nor'].includes(key)) {
+        return [key, condition.map(sub => this.toMongoFilter(sub))];
+      }
+
+      return [key, this.toMongoCondition(isOperatorObject(condition) ? condition : { $eq: condition })];
+    }));
+  }
+
+  toMongoCondition(condition) {
+    const translated = { ...condition };
+    const compared = [...('$eq' in condition ? [condition.$eq] : []), ...(condition.$in || [])];
+
+    if ('$contains' in translated) {
+      translated.$elemMatch = { $eq: translated.$contains };
+      delete translated.$contains;
+    }
+    if (compared.length > 0 && compared.every(value => !Array.isArray(value))) {
+      translated.$not = { $type: 'array' };
+    }
+    if (!('$exists' in translated) && ('$ne' in condition || compared.includes(null))) {
+      translated.$exists = true;
+    }
+    return translated;
+  }
+
+  async close() {
+    if (this.client) {
+      await this.client.close();
+    }
+  }
+}
+
+module.exports = MongoStore;
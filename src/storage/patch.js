@@ -0,0 +1,106 @@
+const { InvalidPatchError } = require('./errors');
+
+// Partial updates, applied the same way on every backend:
+//   { op: 'set', path: 'status', value: 'completed' }
+//   { op: 'unset', path: 'agentJoinedAt' }
+//   { op: 'incr', path: 'stats.messageCount', value: 1 }
+//   { op: 'append', path: 'attendees', value: { email } }   (an array value appends each element)
+// Paths use dots for nested fields.
+const PATCH_OPS = ['set', 'unset', 'incr', 'append'];
+
+// Fields the store maintains itself
+const PROTECTED_FIELDS = ['id', '_etag', '_rid', '_self', '_ts', '_attachments'];
+
+const splitPath = (path) => {
+  if (typeof path !== 'string' || path.length === 0) {
+    throw new InvalidPatchError('Patch path must be a non-empty string');
+  }
+  const parts = path.split('.');
+  if (parts.some(part => part.length === 0 || part === '__proto__' || part === 'constructor' || part === 'prototype')) {
+    throw new InvalidPatchError(`Invalid patch path '${path}'`);
+  }
+  return parts;
+};
+
+const validatePatchOperations = (operations, partitionKeyField = null) => {
+  if (!Array.isArray(operations) || operations.length === 0) {
+    throw new InvalidPatchError('Patch operations must be a non-empty array');
+  }
+
+  operations.forEach(operation => {
+    if (!operation || !PATCH_OPS.includes(operation.op)) {
+      throw new InvalidPatchError(`Unsupported patch operation '${operation?.op}' (expected ${PATCH_OPS.join(', ')})`);
+    }
+
+    const [root] = splitPath(operation.path);
+    if (PROTECTED_FIELDS.includes(root) || root === partitionKeyField) {
+      throw new InvalidPatchError(`Field '${root}' cannot be patched`);
+    }
+
+    if (operation.op === 'incr' && operation.value !== undefined && typeof operation.value !== 'number') {
+      throw new InvalidPatchError(`incr on '${operation.path}' needs a numeric value`);
+    }
+    if ((operation.op === 'set' || operation.op === 'append') && operation.value === undefined) {
+      throw new InvalidPatchError(`${operation.op} on '${operation.path}' needs a value`);
+    }
+  });
+};
+
+// Walk to the parent object of a path, creating intermediate objects when asked
+const resolveParent = (doc, parts, create) => {
+  let current = doc;
+  for (const part of parts.slice(0, -1)) {
+    if (current[part] === undefined || current[part] === null) {
+      if (!create) return null;
+      current[part] = {};
+    } else if (typeof current[part] !== 'object' || Array.isArray(current[part])) {
+      throw new InvalidPatchError(`Cannot patch through non-object field '${part}'`);
+    }
+    current = current[part];
+  }
+  return current;
+};
+
+// Apply operations to a copy of the document and return it
+const applyPatch = (doc, operations) => {
+  const result = structuredClone(doc);
+
+  operations.forEach(({ op, path, value }) => {
+    const parts = splitPath(path);
+    const field = parts[parts.length - 1];
+    const parent = resolveParent(result, parts, op !== 'unset');
+
+    switch (op) {
+      case 'set':
+        parent[field] = value;
+        break;
+      case 'unset':
+        if (parent) delete parent[field];
+        break;
+      case 'incr': {
+        const current = parent[field] ?? 0;
+        if (typeof current !== 'number') {
+          throw new InvalidPatchError(`Cannot increment non-numeric field '${path}'`);
+        }
+        parent[field] = current + (value ?? 1);
+        break;
+      }
+      case 'append': {
+        const current = parent[field] ?? [];
+        if (!Array.isArray(current)) {
+          throw new InvalidPatchError(`Cannot append to non-array field '${path}'`);
+        }
+        parent[field] = [...current, ...(Array.isArray(value) ? value : [value])];
+        break;
+      }
+    }
+  });
+
+  return result;
+};
+
+module.exports = {
+  PATCH_OPS,
+  validatePatchOperations,
+  applyPatch
+};
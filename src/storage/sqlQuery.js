@@ -0,0 +1,240 @@
+// Translates the subset of Cosmos SQL this codebase uses into a storage filter, so
+// queryItems() keeps working on backends that don't speak SQL (memory, MongoDB).
+//
+// Supported: SELECT [TOP n] * FROM c [WHERE ...] [ORDER BY c.a [ASC|DESC], ...]
+// WHERE supports AND / OR / NOT, parentheses, = != <> < <= > >=, @parameters,
+// string / number / true / false / null literals, IS_DEFINED(c.x) and ARRAY_CONTAINS(...).
+
+const TOKEN_PATTERN = /\s*(?:(@\w+)|('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")|(-?\d+(?:\.\d+)?)|(<=|>=|!=|<>|=|<|>)|([(),*])|([A-Za-z_][\w.]*))/y;
+
+const tokenize = (sql) => {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  let position = 0;
+
+  while (position < sql.length) {
+    if (/^\s*$/.test(sql.slice(position))) break;
+
+    TOKEN_PATTERN.lastIndex = position;
+    const match = TOKEN_PATTERN.exec(sql);
+    if (!match) {
+      throw new Error(`Unsupported query syntax near: ${sql.slice(position, position + 20)}`);
+    }
+
+    const [, param, string, number, operator, punctuation, word] = match;
+    if (param) tokens.push({ type: 'param', value: param });
+    else if (string) tokens.push({ type: 'literal', value: string.slice(1, -1).replace(/\\(.)/g, '$1') });
+    else if (number) tokens.push({ type: 'literal', value: Number(number) });
+    else if (operator) tokens.push({ type: 'operator', value: operator });
+    else if (punctuation) tokens.push({ type: 'punct', value: punctuation });
+    else tokens.push({ type: 'word', value: word });
+
+    position = TOKEN_PATTERN.lastIndex;
+  }
+
+  return tokens;
+};
+
+const FLIPPED_OPERATORS = { '<': '>', '<=': '>=', '>': '<', '>=': '<=', '=': '=', '!=': '!=', '<>': '<>' };
+const OPERATOR_FILTERS = { '=': '$eq', '!=': '$ne', '<>': '$ne', '<': '$lt', '<=': '$lte', '>': '$gt', '>=': '$gte' };
+
+class SqlQueryParser {
+  constructor(sql, parameters = []) {
+    this.sql = sql;
+    this.tokens = tokenize(sql);
+    this.index = 0;
+    this.parameters = new Map(parameters.map(p => [p.name, p.value]));
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  isKeyword(word) {
+    const token = this.peek();
+    return token && token.type === 'word' && token.value.toUpperCase() === word;
+  }
+
+  expectKeyword(word) {
+    if (!this.isKeyword(word)) {
+      throw new Error(`Expected ${word} in query: ${this.sql}`);
+    }
+    this.next();
+  }
+
+  expectPunct(value) {
+    const token = this.next();
+    if (!token || token.type !== 'punct' || token.value !== value) {
+      throw new Error(`Expected '${value}' in query: ${this.sql}`);
+    }
+  }
+
+  parse() {
+    this.expectKeyword('SELECT');
+
+    let limit = null;
+    if (this.isKeyword('TOP')) {
+      this.next();
+      limit = this.parseValue();
+    }
+
+    this.expectPunct('*');
+    this.expectKeyword('FROM');
+    this.alias = this.next().value;
+
+    let filter = {};
+    if (this.isKeyword('WHERE')) {
+      this.next();
+      filter = this.parseOr();
+    }
+
+    const sort = {};
+    if (this.isKeyword('ORDER')) {
+      this.next();
+      this.expectKeyword('BY');
+      do {
+        if (this.peek()?.value === ',') this.next();
+        const field = this.parseField(this.next());
+        let direction = 1;
+        if (this.isKeyword('ASC') || this.isKeyword('DESC')) {
+          direction = this.next().value.toUpperCase() === 'DESC' ? -1 : 1;
+        }
+        sort[field] = direction;
+      } while (this.peek()?.value === ',');
+    }
+
+    if (this.index < this.tokens.length) {
+      throw new Error(`Unsupported query syntax near '${this.peek().value}': ${this.sql}`);
+    }
+
+    return { filter, sort, limit };
+  }
+
+  parseOr() {
+    const clauses = [this.parseAnd()];
+    while (this.isKeyword('OR')) {
+      this.next();
+      clauses.push(this.parseAnd());
+    }
+    return clauses.length === 1 ? clauses[0] : { $or: clauses };
+  }
+
+  parseAnd() {
+    const clauses = [this.parseNot()];
+    while (this.isKeyword('AND')) {
+      this.next();
+      clauses.push(this.parseNot());
+    }
+    return clauses.length === 1 ? clauses[0] : { $and: clauses };
+  }
+
+  parseNot() {
+    if (this.isKeyword('NOT')) {
+      this.next();
+      return { $nor: [this.parseNot()] };
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+
+    if (token?.type === 'punct' && token.value === '(') {
+      this.next();
+      const filter = this.parseOr();
+      this.expectPunct(')');
+      return filter;
+    }
+
+    if (this.isKeyword('IS_DEFINED')) {
+      this.next();
+      this.expectPunct('(');
+      const field = this.parseField(this.next());
+      this.expectPunct(')');
+      return { [field]: { $exists: true } };
+    }
+
+    if (this.isKeyword('ARRAY_CONTAINS')) {
+      this.next();
+      this.expectPunct('(');
+      const first = this.next();
+      this.expectPunct(',');
+      const second = this.next();
+      this.expectPunct(')');
+
+      // ARRAY_CONTAINS(c.list, value) or ARRAY_CONTAINS(@values, c.field)
+      if (this.isField(first)) {
+        return { [this.parseField(first)]: { $contains: this.resolveValue(second) } };
+      }
+      return { [this.parseField(second)]: { $in: this.resolveValue(first) } };
+    }
+
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const left = this.next();
+    const operator = this.next();
+    const right = this.next();
+
+    if (!operator || operator.type !== 'operator') {
+      throw new Error(`Expected comparison operator in query: ${this.sql}`);
+    }
+
+    if (this.isField(left)) {
+      return { [this.parseField(left)]: { [OPERATOR_FILTERS[operator.value]]: this.resolveValue(right) } };
+    }
+    if (this.isField(right)) {
+      const flipped = FLIPPED_OPERATORS[operator.value];
+      return { [this.parseField(right)]: { [OPERATOR_FILTERS[flipped]]: this.resolveValue(left) } };
+    }
+
+    throw new Error(`Comparison must reference a document field: ${this.sql}`);
+  }
+
+  isField(token) {
+    return token && token.type === 'word' && token.value.startsWith(`${this.alias}.`);
+  }
+
+  parseField(token) {
+    if (!this.isField(token)) {
+      throw new Error(`Expected a field like ${this.alias}.name in query: ${this.sql}`);
+    }
+    return token.value.slice(this.alias.length + 1);
+  }
+
+  parseValue() {
+    return this.resolveValue(this.next());
+  }
+
+  resolveValue(token) {
+    if (!token) {
+      throw new Error(`Unexpected end of query: ${this.sql}`);
+    }
+    if (token.type === 'param') {
+      if (!this.parameters.has(token.value)) {
+        throw new Error(`Missing query parameter ${token.value}`);
+      }
+      return this.parameters.get(token.value);
+    }
+    if (token.type === 'literal') return token.value;
+    if (token.type === 'word') {
+      const word = token.value.toLowerCase();
+      if (word === 'true') return true;
+      if (word === 'false') return false;
+      if (word === 'null') return null;
+    }
+    throw new Error(`Unsupported value '${token.value}' in query: ${this.sql}`);
+  }
+}
+
+// Parse a Cosmos SQL query into { filter, sort, limit }
+const parseSqlQuery = (sql, parameters = []) => new SqlQueryParser(sql, parameters).parse();
+
+module.exports = {
+  parseSqlQuery
+};
@@ -0,0 +1,275 @@
+// Normalizes Graph chatMessage resources into the model the chats container stores:
+//   text         plain text, mentions rendered as @Name
+//   markdown     the same content with formatting, links and quotes kept
+//   mentions     [{ id, text, userId, displayName, kind }], one entry per mentioned identity
+//   replyToId    id of the message this one replies to or quotes
+//   attachments  [{ id, kind: 'file' | 'image', name, url, contentType }]
+//   reactions    [{ reactionType, count, userIds }]
+//   cards        [{ id, type, title, text }] for adaptive, hero and thumbnail cards
+
+const CARD_PREFIX = 'application/vnd.microsoft.card.';
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+const decodeEntities = (value) => value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+  if (code[0] !== '#') return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+  const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+  return Number.isFinite(point) ? String.fromCodePoint(point) : entity;
+});
+
+const attribute = (tag, name) => {
+  const match = tag.match(new RegExp(`\\b${name}\\s*=\\s*"([^"]*)"`, 'i'));
+  return match ? decodeEntities(match[1]) : null;
+};
+
+const stripTags = (html) => html.replace(/<[^>]+>/g, '');
+
+// Blank lines collapsed, trailing spaces dropped
+const tidy = (value) => value
+  .split('\n')
+  .map(line => line.replace(/[ \t]+$/g, ''))
+  .join('\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+// Tags rendered as text or markdown; entities are left for the caller to decode once
+const renderHtml = (html, markdown) => {
+  const inline = (pattern, wrap) => (value) => value.replace(pattern, (match, tag, inner) => (markdown ? wrap(inner) : inner));
+
+  let out = html
+    .replace(/\r\n?/g, '\n')
+    // Attachments are parsed from message.attachments; the body only holds placeholders
+    .replace(/<attachment\b[^>]*>[\s\S]*?<\/attachment>|<attachment\b[^>]*\/>/gi, '')
+    .replace(/<pre\b[^>]*>([\s\S]*?)<\/pre>/gi, (match, inner) => {
+      const code = stripTags(inner).replace(/\n$/, '');
+      return markdown ? `\n\`\`\`\n${code}\n\`\`\`\n` : `\n${code}\n`;
+    })
+    .replace(/<blockquote\b[^>]*>([\s\S]*?)<\/blockquote>/gi, (match, inner) => {
+      const quoted = tidy(renderHtml(inner, markdown));
+      return `\n${markdown ? quoted.split('\n').map(line => `> ${line}`).join('\n') : quoted}\n`;
+    })
+    .replace(/<at\b[^>]*>([\s\S]*?)<\/at>/gi, (match, name) => `@${stripTags(name)}`)
+    .replace(/<emoji\b[^>]*>(?:[\s\S]*?<\/emoji>)?/gi, tag => attribute(tag, 'alt') || '')
+    .replace(/<img\b[^>]*>/gi, tag => {
+      const alt = attribute(tag, 'alt') || 'image';
+      return markdown ? `![${alt}](${attribute(tag, 'src') || ''})` : `[${alt}]`;
+    })
+    .replace(/<a\b([^>]*)>([\s\S]*?)<\/a>/gi, (match, attrs, inner) => {
+      const href = attribute(attrs, 'href');
+      const label = stripTags(inner).trim() || href || '';
+      if (!href) return label;
+      if (markdown) return `[${label}](${href})`;
+      return label === href ? label : `${label} (${href})`;
+    })
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<\/?(?:p|div|ul|ol|table|tr|h[1-6])\b[^>]*>/gi, '\n');
+
+  out = [
+    inline(/<(strong|b)\b[^>]*>([\s\S]*?)<\/\1>/gi, inner => `**${inner}**`),
+    inline(/<(em|i)\b[^>]*>([\s\S]*?)<\/\1>/gi, inner => `_${inner}_`),
+    inline(/<(s|strike|del)\b[^>]*>([\s\S]*?)<\/\1>/gi, inner => `~~${inner}~~`),
+    inline(/<(code)\b[^>]*>([\s\S]*?)<\/\1>/gi, inner => `\`${inner}\``)
+  ].reduce((value, convert) => convert(value), out);
+
+  return stripTags(out);
+};
+
+const convertHtml = (html, markdown) => tidy(decodeEntities(renderHtml(html, markdown)));
+
+const htmlToText = (html) => convertHtml(html || '', false);
+const htmlToMarkdown = (html) => convertHtml(html || '', true);
+
+// Teams splits a mention of "Adele Vance" into <at id="0">Adele</at>&nbsp;<at id="1">Vance</at>
+const mentionTarget = (mention) => {
+  const mentioned = mention.mentioned || {};
+  if (mentioned.user) return { kind: 'user', id: mentioned.user.id, displayName: mentioned.user.displayName };
+  if (mentioned.application) return { kind: 'application', id: mentioned.application.id, displayName: mentioned.application.displayName };
+  if (mentioned.tag) return { kind: 'tag', id: mentioned.tag.id, displayName: mentioned.tag.displayName };
+  if (mentioned.conversation) return { kind: 'conversation', id: mentioned.conversation.id, displayName: mentioned.conversation.displayName };
+  return { kind: 'unknown', id: null, displayName: null };
+};
+
+const parseMentions = (mentions = []) => {
+  const merged = [];
+  const byTarget = new Map();
+
+  mentions.forEach(mention => {
+    const target = mentionTarget(mention);
+    const key = target.id ? `${target.kind}:${target.id}` : `mention:${mention.id}`;
+    const existing = byTarget.get(key);
+
+    if (existing) {
+      existing.text = `${existing.text} ${mention.mentionText}`.trim();
+      return;
+    }
+
+    const entry = {
+      id: mention.id,
+      text: mention.mentionText || '',
+      userId: target.kind === 'user' ? target.id : null,
+      displayName: target.displayName || mention.mentionText || null,
+      kind: target.kind
+    };
+    byTarget.set(key, entry);
+    merged.push(entry);
+  });
+
+  return merged;
+};
+
+// Rewrite split mentions of one identity into a single <at> so text reads "@Adele Vance"
+const joinSplitMentions = (html, mentions = []) => {
+  const targetOf = new Map(mentions.map(mention => {
+    const target = mentionTarget(mention);
+    return [String(mention.id), target.id ? `${target.kind}:${target.id}` : null];
+  }));
+  const adjacent = /<at\b[^>]*\bid="(\d+)"[^>]*>([^<]*)<\/at>(?:\s|&nbsp;)*<at\b[^>]*\bid="(\d+)"[^>]*>([^<]*)<\/at>/i;
+
+  let current = html;
+  let match = current.match(adjacent);
+  while (match && targetOf.get(match[1]) && targetOf.get(match[1]) === targetOf.get(match[3])) {
+    current = current.replace(match[0], `<at id="${match[1]}">${match[2]} ${match[4]}</at>`);
+    match = current.match(adjacent);
+  }
+  return current;
+};
+
+const parseJson = (value) => {
+  if (value === null || value === undefined || typeof value === 'object') return value || null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+};
+
+// Visible text of an adaptive card, one line per text element
+const adaptiveCardLines = (element) => {
+  if (!element || typeof element !== 'object') return [];
+  if (Array.isArray(element)) return element.flatMap(adaptiveCardLines);
+
+  const lines = [];
+  if (element.type === 'TextBlock' || element.type === 'TextRun') lines.push(element.text);
+  if (element.type === 'FactSet') {
+    (element.facts || []).forEach(fact => lines.push(`${fact.title}: ${fact.value}`));
+  }
+  if (element.type === 'RichTextBlock') {
+    lines.push((element.inlines || []).map(run => (typeof run === 'string' ? run : run.text)).join(''));
+    return lines.filter(Boolean);
+  }
+
+  ['body', 'items', 'columns', 'inlines'].forEach(field => lines.push(...adaptiveCardLines(element[field])));
+  return lines.filter(Boolean);
+};
+
+const parseCard = (attachment) => {
+  const type = attachment.contentType.slice(CARD_PREFIX.length);
+  const content = parseJson(attachment.content) || {};
+
+  if (type === 'adaptive') {
+    const lines = adaptiveCardLines(content.body || []);
+    return { id: attachment.id, type, title: content.title || lines[0] || null, text: lines.join('\n') };
+  }
+
+  const lines = [content.title, content.subtitle, content.text && htmlToText(content.text)].filter(Boolean);
+  return { id: attachment.id, type, title: content.title || null, text: lines.join('\n') };
+};
+
+const fileExtension = (name) => {
+  const match = (name || '').match(/\.([a-z0-9]+)$/i);
+  return match ? match[1].toLowerCase() : null;
+};
+
+const parseAttachments = (attachments = [], html = '') => {
+  const files = [];
+  const cards = [];
+  let quotedMessageId = null;
+
+  attachments.forEach(attachment => {
+    const contentType = attachment.contentType || '';
+
+    if (contentType === 'messageReference') {
+      quotedMessageId = parseJson(attachment.content)?.messageId || attachment.id || null;
+    } else if (contentType.startsWith(CARD_PREFIX)) {
+      cards.push(parseCard(attachment));
+    } else {
+      files.push({
+        id: attachment.id,
+        kind: contentType.startsWith('image/') ? 'image' : 'file',
+        name: attachment.name || null,
+        url: attachment.contentUrl || null,
+        contentType: contentType === 'reference' ? fileExtension(attachment.name) || 'reference' : contentType
+      });
+    }
+  });
+
+  // Pasted images live in the body as hosted content rather than as attachments
+  (html.match(/<img\b[^>]*>/gi) || [])
+    .map(tag => ({ src: attribute(tag, 'src'), alt: attribute(tag, 'alt') }))
+    .filter(image => image.src && /\/hostedContents\//.test(image.src))
+    .forEach(image => {
+      const id = (image.src.match(/hostedContents\/([^/]+)/) || [])[1];
+      files.push({ id, kind: 'image', name: image.alt || null, url: image.src, contentType: 'image' });
+    });
+
+  return { files, cards, quotedMessageId };
+};
+
+// Reactions grouped per type, in the order each type first appeared
+const parseReactions = (reactions = []) => {
+  const grouped = new Map();
+
+  reactions.forEach(reaction => {
+    const type = reaction.reactionType || reaction.displayName || 'unknown';
+    if (!grouped.has(type)) {
+      grouped.set(type, { reactionType: type, count: 0, userIds: [] });
+    }
+    const entry = grouped.get(type);
+    const userId = reaction.user?.user?.id;
+    entry.count++;
+    if (userId && !entry.userIds.includes(userId)) entry.userIds.push(userId);
+  });
+
+  return [...grouped.values()];
+};
+
+const parseSender = (from) => {
+  if (from?.user) return { kind: 'user', id: from.user.id, displayName: from.user.displayName || null };
+  if (from?.application) return { kind: 'application', id: from.application.id, displayName: from.application.displayName || null };
+  return null;
+};
+
+const parseChatMessage = (message) => {
+  const contentType = message.body?.contentType === 'html' ? 'html' : 'text';
+  const rawContent = message.body?.content || '';
+  const html = contentType === 'html' ? joinSplitMentions(rawContent, message.mentions) : rawContent;
+  const { files, cards, quotedMessageId } = parseAttachments(message.attachments, contentType === 'html' ? html : '');
+
+  return {
+    id: message.id,
+    messageType: message.messageType || 'message',
+    contentType,
+    sender: parseSender(message.from),
+    text: contentType === 'html' ? htmlToText(html) : rawContent.trim(),
+    markdown: contentType === 'html' ? htmlToMarkdown(html) : rawContent.trim(),
+    mentions: parseMentions(message.mentions),
+    replyToId: message.replyToId || quotedMessageId,
+    attachments: files,
+    reactions: parseReactions(message.reactions),
+    cards,
+    importance: message.importance || 'normal',
+    subject: message.subject || null
+  };
+};
+
+// True when a parsed message carries nothing worth storing
+const isEmptyMessage = (parsed) =>
+  !parsed.text && parsed.attachments.length === 0 && parsed.cards.length === 0;
+
+module.exports = {
+  parseChatMessage,
+  isEmptyMessage,
+  htmlToText,
+  htmlToMarkdown
+};
@@ -0,0 +1,12 @@
+const moment = require('moment');
+
+// Stored times are compared as strings by range filters, so they are kept as UTC ISO
+// strings. Like Graph, a time without an offset is taken as UTC. Unparseable values are
+// returned as they are.
+const toUtcIso = (value) => {
+  if (!value) return value;
+  const time = moment.utc(value, moment.ISO_8601);
+  return time.isValid() ? time.toISOString() : value;
+};
+
+module.exports = { toUtcIso };
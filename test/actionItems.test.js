@@ -0,0 +1,246 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const moment = require('moment');
+const { startTestServer } = require('./helpers/testServer');
+const { ORGANIZER, USERS } = require('./fixtures/tenant');
+const { createMeetingBody, roadmapDiscussion } = require('./fixtures/meetings');
+
+describe('action items', () => {
+  let env;
+  let organizer;
+  let adele;
+  let actionItemService;
+
+  const createMeeting = async () => {
+    const created = await organizer.post('/api/meetings/create', createMeetingBody({ skipAvailabilityCheck: true }));
+    assert.equal(created.status, 201, JSON.stringify(created.data));
+    return created.data.meeting;
+  };
+
+  before(async () => {
+    process.env.RETENTION_SUMMARIES_MONTHS = '12';
+    env = await startTestServer();
+    organizer = await env.as(ORGANIZER);
+    adele = await env.as(USERS.adele.userPrincipalName);
+    actionItemService = require('../src/services/actionItemService');
+    require('../src/services/chatCaptureService').autoInsightsEnabled = false;
+  });
+
+  after(() => env.close());
+
+  describe('due dates', () => {
+    const monday = '2026-10-19T09:00:00Z';
+
+    it('reads deadlines relative to when they were written', () => {
+      assert.equal(actionItemService.parseDueDate('Friday', monday), '2026-10-23');
+      assert.equal(actionItemService.parseDueDate('by monday', monday), '2026-10-19');
+      assert.equal(actionItemService.parseDueDate('next Monday', monday), '2026-10-26');
+      assert.equal(actionItemService.parseDueDate('tomorrow', monday), '2026-10-20');
+      assert.equal(actionItemService.parseDueDate('March 5', monday), '2027-03-05');
+      assert.equal(actionItemService.parseDueDate('2026-11-02', monday), '2026-11-02');
+      assert.equal(actionItemService.parseDueDate('when we can', monday), null);
+    });
+  });
+
+  describe('created from chat', () => {
+    let meeting;
+    let chatCaptureService;
+    let chatId;
+    let item;
+
+    before(async () => {
+      chatCaptureService = require('../src/services/chatCaptureService');
+      meeting = await createMeeting();
+      chatId = env.mock.store.onlineMeetings.find(m => m.joinWebUrl === meeting.joinUrl).chatInfo.threadId;
+
+      env.mock.store.postMessage(chatId, {
+        from: ORGANIZER,
+        body: { contentType: 'text', content: 'We need to update the pricing page by Friday, assigned to Adele' }
+      });
+      env.mock.store.postMessage(chatId, { from: USERS.adele.userPrincipalName, body: { contentType: 'text', content: 'Sounds good' } });
+      await chatCaptureService.captureNewMessages({ meetingId: meeting.meetingId, chatId, lastCaptureTime: null, messageCount: 0 });
+    });
+
+    it('links the item to its message and resolves the owner in the directory', async () => {
+      const items = await env.storage.findItems('actionItems', { meetingId: meeting.meetingId });
+      assert.equal(items.length, 1);
+      [item] = items;
+
+      const [message] = await env.storage.findItems('chats', { meetingId: meeting.meetingId, isActionItem: true });
+      assert.equal(item.source.type, 'chat');
+      assert.equal(item.source.messageId, message.id);
+      assert.deepEqual({ name: item.owner.name, email: item.owner.email }, { name: USERS.adele.displayName, email: USERS.adele.userPrincipalName });
+      assert.equal(item.dueDate, actionItemService.parseDueDate('Friday', message.timestamp));
+      assert.equal(moment.utc(item.dueDate).day(), 5);
+      assert.equal(item.status, 'open');
+      assert.equal(item.organizerId, meeting.userId);
+    });
+
+    it('shows items to their owner and the organizer only', async () => {
+      const mine = await adele.get('/api/action-items', { params: { owner: 'me', status: 'open' } });
+      assert.equal(mine.status, 200, JSON.stringify(mine.data));
+      assert.deepEqual(mine.data.items.map(i => i.id), [item.id]);
+
+      const byMeeting = await organizer.get('/api/action-items', { params: { meetingId: meeting.meetingId } });
+      assert.deepEqual(byMeeting.data.items.map(i => i.id), [item.id]);
+
+      const megan = await env.as(USERS.megan.userPrincipalName);
+      assert.equal((await megan.get('/api/action-items')).data.total, 0);
+      assert.equal((await megan.get(`/api/action-items/${item.id}`)).status, 403);
+      assert.equal((await megan.get('/api/action-items', { params: { meetingId: meeting.meetingId } })).status, 403);
+
+      const invalid = await organizer.get('/api/action-items', { params: { status: 'finished' } });
+      assert.equal(invalid.status, 400);
+    });
+
+    it('lets browsers send PATCH', async () => {
+      const preflight = await env.anonymous.options(`/api/action-items/${item.id}`, {
+        headers: { Origin: 'https://teams.microsoft.com', 'Access-Control-Request-Method': 'PATCH' }
+      });
+      assert.equal(preflight.status, 200);
+      assert.match(preflight.headers['access-control-allow-methods'], /\bPATCH\b/);
+    });
+
+    it('moves through its status lifecycle', async () => {
+      const started = await adele.patch(`/api/action-items/${item.id}`, { status: 'in_progress', dueDate: '2030-01-31' });
+      assert.equal(started.status, 200, JSON.stringify(started.data));
+      assert.equal(started.data.item.dueDate, '2030-01-31');
+
+      const completed = await adele.post(`/api/action-items/${item.id}/complete`);
+      assert.equal(completed.status, 200, JSON.stringify(completed.data));
+      assert.equal(completed.data.item.status, 'completed');
+      assert.ok(completed.data.item.completedAt);
+
+      assert.equal((await adele.post(`/api/action-items/${item.id}/complete`)).status, 409);
+      const refused = await adele.patch(`/api/action-items/${item.id}`, { status: 'in_progress' });
+      assert.equal(refused.status, 400);
+      assert.match(refused.data.details[0], /completed cannot become in_progress/);
+
+      const reopened = await organizer.patch(`/api/action-items/${item.id}`, { status: 'open' });
+      assert.equal(reopened.data.item.completedAt, null);
+      assert.deepEqual(reopened.data.item.history.map(entry => entry.action),
+        ['created', 'status_changed', 'updated', 'status_changed', 'status_changed']);
+    });
+
+    it('reassigns through the directory and refuses stale edits', async () => {
+      const fetched = await organizer.get(`/api/action-items/${item.id}`);
+      const current = fetched.data.item;
+      assert.equal(fetched.headers.etag, current._etag);
+
+      const reassigned = await organizer.post(`/api/action-items/${item.id}/reassign`, { owner: 'Megan' },
+        { headers: { 'If-Match': fetched.headers.etag } });
+      assert.equal(reassigned.status, 200, JSON.stringify(reassigned.data));
+      assert.equal(reassigned.data.item.ownerEmail, USERS.megan.userPrincipalName);
+      assert.equal(reassigned.headers.etag, reassigned.data.item._etag);
+
+      const renamed = await organizer.patch(`/api/action-items/${item.id}`, { title: 'Update the pricing page' },
+        { headers: { 'If-Match': reassigned.headers.etag } });
+      assert.equal(renamed.status, 200, JSON.stringify(renamed.data));
+      assert.equal(renamed.headers.etag, renamed.data.item._etag);
+
+      const stale = await organizer.patch(`/api/action-items/${item.id}`, { title: 'Old view' },
+        { headers: { 'If-Match': current._etag } });
+      assert.equal(stale.status, 412);
+
+      // Adele no longer owns it and is only an attendee
+      assert.equal((await adele.post(`/api/action-items/${item.id}/complete`)).status, 403);
+    });
+
+    it('does not duplicate items when a message is captured again', async () => {
+      await chatCaptureService.captureNewMessages({ meetingId: meeting.meetingId, chatId, lastCaptureTime: null, messageCount: 0 });
+      assert.equal((await env.storage.findItems('actionItems', { meetingId: meeting.meetingId })).length, 1);
+    });
+  });
+
+  describe('created from summaries', () => {
+    it('creates items from summary action items once, linked to their message', async () => {
+      const meeting = await createMeeting();
+      const messages = roadmapDiscussion(meeting.meetingId, meeting.startTime);
+      for (const message of messages) {
+        await env.storage.createItem('chats', message);
+      }
+
+      await organizer.get(`/api/meetings/${meeting.id}/summary`);
+      await organizer.get(`/api/meetings/${meeting.id}/summary`, { params: { regenerate: 'true' } });
+
+      const items = await env.storage.findItems('actionItems', { meetingId: meeting.meetingId });
+      assert.equal(items.length, 1);
+      assert.equal(items[0].title, 'Draft the release notes');
+      assert.equal(items[0].ownerEmail, USERS.adele.userPrincipalName);
+      assert.deepEqual([items[0].source.type, items[0].source.messageId, items[0].source.summaryVersion],
+        ['summary', messages[2].id, 1]);
+    });
+
+    it('takes the organizer\'s tenant when the meeting predates tenant tracking', async () => {
+      const organizerId = env.mock.store.findUser(ORGANIZER).id;
+      await env.storage.createOrUpdateUser({ userId: organizerId, email: ORGANIZER, name: USERS.organizer.displayName, tenantId: env.mock.tenantId });
+      const legacy = await env.storage.createMeeting({ meetingId: 'legacy-meeting', userId: organizerId, subject: 'Before tenants' });
+
+      const [created] = await actionItemService.createMany(legacy.meetingId, [{ id: 'legacy-item', task: 'Archive the old notes', source: { type: 'chat' } }]);
+      assert.equal(created.tenantId, env.mock.tenantId);
+
+      const listed = await organizer.get('/api/action-items');
+      assert.ok(listed.data.items.some(listedItem => listedItem.id === created.id));
+    });
+
+    it('matches AI-written tasks to the message they paraphrase', () => {
+      const messages = roadmapDiscussion('m-1', '2026-10-19T14:00:00Z');
+      assert.equal(actionItemService.findSourceMessage('Draft release notes', messages), messages[2]);
+      assert.equal(actionItemService.findSourceMessage('Book the offsite venue', messages), null);
+    });
+  });
+
+  describe('retention', () => {
+    it('keeps old summaries while their meeting has open items, and lets them expire once closed', async () => {
+      const retentionService = require('../src/services/retentionService');
+      const meeting = await createMeeting();
+      for (const message of roadmapDiscussion(meeting.meetingId, meeting.startTime)) {
+        await env.storage.createItem('chats', message);
+      }
+      await organizer.get(`/api/meetings/${meeting.id}/summary`);
+
+      const [summary] = await env.storage.findItems('summaries', { meetingId: meeting.meetingId });
+      assert.equal(summary.actionItems.length, 1);
+      await env.storage.modifyItem('summaries', summary.id, summary.meetingId, s => ({
+        ...s,
+        createdAt: moment.utc().subtract(2, 'years').toISOString()
+      }));
+
+      const held = await retentionService.purge({ triggeredBy: 'test' });
+      assert.equal(held.containers.summaries.held, 1);
+
+      const [item] = await env.storage.findItems('actionItems', { meetingId: meeting.meetingId });
+      const closed = await adele.patch(`/api/action-items/${item.id}`, { status: 'completed' });
+      assert.equal(closed.status, 200, JSON.stringify(closed.data));
+
+      const purged = await retentionService.purge({ triggeredBy: 'test' });
+      assert.deepEqual(purged.containers.summaries.deletedIds, [summary.id]);
+      assert.deepEqual(await env.storage.findItems('summaries', { meetingId: meeting.meetingId }), []);
+      assert.equal(purged.containers.actionItems.deleted, 0, 'closed just now');
+
+      // Closed items go once the summaries period has passed since they were closed
+      await env.storage.modifyItem('actionItems', item.id, item.meetingId, i => ({
+        ...i,
+        closedAt: moment.utc().subtract(2, 'years').toISOString()
+      }));
+      const expired = await retentionService.purge({ triggeredBy: 'test' });
+      assert.deepEqual(expired.containers.actionItems.deletedIds, [item.id]);
+    });
+
+    it('leaves expiry of summaries that action items may hold to the purge', async () => {
+      const retentionService = require('../src/services/retentionService');
+      const summary = { id: 'summary-ttl', meetingId: 'm-ttl', tenantId: env.mock.tenantId, createdAt: new Date().toISOString() };
+
+      env.storage.supportsTtl = true;
+      try {
+        assert.equal((await retentionService.applyTtl('summaries', summary)).ttl, undefined);
+
+        await retentionService.setTenantPolicy(env.mock.tenantId, { actionItems: { untilClosed: false } }, 'test');
+        assert.equal((await retentionService.applyTtl('summaries', summary)).ttl, moment.utc().add(12, 'months').diff(moment.utc(), 'seconds'));
+      } finally {
+        env.storage.supportsTtl = false;
+        await retentionService.deleteTenantPolicy(env.mock.tenantId);
+      }
+    });
+  });
+});
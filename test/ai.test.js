@@ -0,0 +1,327 @@
+require('./helpers/quiet');
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const ai = require('../src/ai');
+const OpenAIProvider = require('../src/ai/openaiProvider');
+const AzureOpenAIProvider = require('../src/ai/azureOpenAIProvider');
+const schemas = require('../src/ai/schemas');
+const { validate } = require('../src/ai/jsonSchema');
+const { resetValidationMetrics } = require('../src/ai/structured');
+const prompts = require('../src/ai/prompts');
+const { compareVersions, loadDataset } = require('../src/ai/evaluation');
+const { AIUnavailableError, AIResponseError, AIRequestError, AISchemaError, AIPromptError } = require('../src/ai/errors');
+
+const AI_ENV = ['AI_PROVIDER', 'AI_MODEL', 'AI_SUMMARY_MODEL', 'AI_INTENT_PROVIDER', 'AI_AGENDA_PROVIDER', 'GEMINI_API_KEY',
+  'AI_MESSAGE_ANALYSIS_PROVIDER', 'PROMPT_VERSIONS'];
+
+// Collect an async iterable into an array
+const collect = async (iterable) => {
+  const items = [];
+  for await (const item of iterable) items.push(item);
+  return items;
+};
+
+describe('ai providers', () => {
+  const saved = Object.fromEntries(AI_ENV.map(name => [name, process.env[name]]));
+
+  afterEach(() => {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+    ai.provider('stub').reset();
+  });
+
+  describe('feature routing', () => {
+    it('picks the provider and model per feature', async () => {
+      Object.assign(process.env, { AI_PROVIDER: 'stub', AI_SUMMARY_MODEL: 'stub-large', AI_INTENT_PROVIDER: 'none' });
+
+      assert.deepEqual(ai.settingsFor('summary'), { feature: 'summary', provider: 'stub', model: 'stub-large' });
+      assert.deepEqual(ai.settingsFor('agenda'), { feature: 'agenda', provider: 'stub', model: 'stub' });
+      assert.equal(ai.isAvailable('intent'), false);
+      await assert.rejects(ai.generate('intent', 'hi'), AIUnavailableError);
+
+      await ai.generate('summary', 'Summarize this');
+      assert.equal(ai.provider('stub').calls[0].options.model, 'stub-large');
+    });
+
+    it('applies AI_MODEL only to features on the default provider', () => {
+      Object.assign(process.env, { AI_PROVIDER: 'gemini', AI_MODEL: 'gemini-1.5-pro', AI_AGENDA_PROVIDER: 'stub' });
+
+      assert.equal(ai.settingsFor('summary').model, 'gemini-1.5-pro');
+      assert.equal(ai.settingsFor('agenda').model, 'stub');
+    });
+
+    it('is off without configuration and rejects unknown names', () => {
+      delete process.env.AI_PROVIDER;
+      delete process.env.GEMINI_API_KEY;
+      assert.equal(ai.settingsFor('messageAnalysis').provider, null);
+
+      process.env.AI_PROVIDER = 'watson';
+      assert.throws(() => ai.settingsFor('agenda'), /Unknown AI provider 'watson'/);
+      assert.throws(() => ai.settingsFor('poetry'), /Unknown AI feature 'poetry'/);
+    });
+  });
+
+  describe('stub provider', () => {
+    const stub = ai.provider('stub');
+
+    it('answers the same prompt the same way', async () => {
+      assert.equal(await stub.generate('Plan the launch\nmore'), await stub.generate('Plan the launch\nmore'));
+      assert.deepEqual(await stub.generateJson('anything'), {});
+
+      const chunks = await collect(stub.stream('Plan the launch'));
+      assert.ok(chunks.length > 1);
+      assert.equal(chunks.join(''), await stub.generate('Plan the launch'));
+    });
+
+    it('parses fenced JSON and reports replies that are not JSON', async () => {
+      stub.respondWith('```json\n{"action": "help"}\n```');
+      assert.deepEqual(await stub.generateJson('intent?'), { action: 'help' });
+
+      stub.respondWith('Sure, happy to help!');
+      await assert.rejects(stub.generateJson('intent?'), (error) =>
+        error instanceof AIResponseError && error.text === 'Sure, happy to help!');
+    });
+
+    it('embeds equal texts equally as unit vectors', async () => {
+      const [a, b, c] = await stub.embed(['roadmap', 'roadmap', 'budget']);
+      assert.deepEqual(a, b);
+      assert.notDeepEqual(a, c);
+      assert.ok(Math.abs(Math.hypot(...a) - 1) < 1e-9);
+    });
+  });
+
+  describe('structured outputs', () => {
+    const stub = ai.provider('stub');
+    const analyze = () => ai.generateJson('messageAnalysis', 'Analyze "Will do by Friday"', { schema: schemas.chatMessageAnalysis });
+
+    afterEach(() => resetValidationMetrics());
+
+    it('reports where a value breaks its schema', () => {
+      assert.deepEqual(validate(schemas.userIntent, { action: 'order_pizza', confidence: 2, meetingDetails: { attendees: 'adele' } }), [
+        { path: 'action', message: 'must be one of "create_meeting", "list_meetings", "meeting_status", "help", "greeting", "general_query"' },
+        { path: 'confidence', message: 'must be <= 1' },
+        { path: 'meetingDetails.attendees', message: 'expected array, got string' }
+      ]);
+    });
+
+    it('fixes aliased keys, loose enums and scalar types without asking again', async () => {
+      process.env.AI_PROVIDER = 'stub';
+      stub.respondWith('{"category": "Action Item", "isActionItem": "true", "urgency": "HIGH", "sentiment": "neutral", "mood": "ok"}');
+
+      assert.deepEqual(await analyze(), {
+        primaryCategory: 'action_item',
+        isActionItem: true,
+        urgency: 'high',
+        sentiment: 'neutral',
+        mood: 'ok',
+        isQuestion: false,
+        isDecision: false,
+        sharedResource: null
+      });
+      assert.equal(stub.calls.length, 1);
+      assert.equal(ai.getValidationMetrics().chatMessageAnalysis.coerced, 1);
+    });
+
+    it('asks the model again with the validation errors', async () => {
+      process.env.AI_PROVIDER = 'stub';
+      const replies = ['{"primaryCategory": "chit-chat", "urgency": "low"}', '{"primaryCategory": "general", "urgency": "low", "sentiment": "neutral"}'];
+      stub.respondWith(() => replies.shift());
+
+      assert.equal((await analyze()).primaryCategory, 'general');
+      assert.equal(stub.calls.length, 2);
+      assert.match(stub.calls[1].prompt, /- primaryCategory: must be one of/);
+      assert.match(stub.calls[1].prompt, /- sentiment: is required/);
+      assert.deepEqual(
+        Object.fromEntries(['requests', 'invalidReplies', 'rePrompts', 'repaired', 'failed'].map(key => [key, ai.getValidationMetrics().chatMessageAnalysis[key]])),
+        { requests: 1, invalidReplies: 1, rePrompts: 1, repaired: 1, failed: 0 }
+      );
+    });
+
+    it('gives up after a bounded number of re-prompts', async () => {
+      process.env.AI_PROVIDER = 'stub';
+      stub.respondWith('I am not sure what you mean.');
+
+      await assert.rejects(analyze(), (error) =>
+        error instanceof AISchemaError && error instanceof AIResponseError && error.errors[0].message === 'reply is not valid JSON');
+      assert.equal(stub.calls.length, 3, 'first reply plus two repairs');
+
+      const metrics = ai.getValidationMetrics().chatMessageAnalysis;
+      assert.equal(metrics.failed, 1);
+      assert.equal(metrics.invalidReplies, 3);
+      assert.equal(metrics.lastFailure.provider, 'stub');
+    });
+  });
+
+  describe('OpenAI-compatible endpoints', () => {
+    let server;
+    let baseUrl;
+    const requests = [];
+    let reply = null;
+
+    before(async () => {
+      server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          requests.push({ method: req.method, url: req.url, headers: req.headers, body: JSON.parse(body) });
+          reply(req, res, JSON.parse(body));
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    afterEach(() => {
+      requests.length = 0;
+    });
+
+    const json = (res, status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    it('sends chat completions and reads the reply', async () => {
+      reply = (req, res) => json(res, 200, { choices: [{ message: { role: 'assistant', content: '{"ok": true}' } }] });
+      const openai = new OpenAIProvider('openai', { apiKey: 'sk-test', baseUrl: `${baseUrl}/v1` });
+
+      assert.deepEqual(await openai.generateJson('Check this', { system: 'Be brief', temperature: 0, model: 'gpt-4o' }), { ok: true });
+
+      const [request] = requests;
+      assert.equal(request.url, '/v1/chat/completions');
+      assert.equal(request.headers.authorization, 'Bearer sk-test');
+      assert.deepEqual(request.body, {
+        model: 'gpt-4o',
+        messages: [{ role: 'system', content: 'Be brief' }, { role: 'user', content: 'Check this' }],
+        temperature: 0,
+        response_format: { type: 'json_object' }
+      });
+    });
+
+    it('streams server-sent deltas', async () => {
+      reply = (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        for (const content of ['Hel', 'lo', ' there']) {
+          res.write(`data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`);
+        }
+        res.end('data: [DONE]\n\n');
+      };
+      const local = new OpenAIProvider('openai', { apiKey: null, baseUrl });
+
+      assert.equal(local.isAvailable(), true, 'self-hosted endpoints need no key');
+      assert.deepEqual(await collect(local.stream('Greet')), ['Hel', 'lo', ' there']);
+      assert.equal(requests[0].body.stream, true);
+      assert.equal(requests[0].headers.authorization, undefined);
+    });
+
+    it('returns embeddings in input order', async () => {
+      reply = (req, res) => json(res, 200, {
+        data: [{ index: 1, embedding: [0, 1] }, { index: 0, embedding: [1, 0] }]
+      });
+      const openai = new OpenAIProvider('openai', { apiKey: 'sk-test', baseUrl });
+
+      assert.deepEqual(await openai.embed(['first', 'second']), [[1, 0], [0, 1]]);
+      assert.deepEqual(requests[0].body, { model: 'text-embedding-3-small', input: ['first', 'second'] });
+    });
+
+    it('raises typed errors for refused calls', async () => {
+      reply = (req, res) => json(res, 429, { error: { code: 'rate_limit_exceeded', message: 'Slow down' } });
+      const openai = new OpenAIProvider('openai', { apiKey: 'sk-test', baseUrl });
+
+      await assert.rejects(openai.generate('hi'), (error) =>
+        error instanceof AIRequestError && error.status === 429 && error.code === 'rate_limit_exceeded');
+    });
+
+    it('addresses Azure OpenAI deployments with an api-key header', async () => {
+      reply = (req, res) => json(res, 200, { choices: [{ message: { content: 'Hi from Azure' } }] });
+      Object.assign(process.env, {
+        AZURE_OPENAI_ENDPOINT: baseUrl,
+        AZURE_OPENAI_API_KEY: 'azure-key',
+        AZURE_OPENAI_DEPLOYMENT: 'summaries-gpt4o'
+      });
+
+      try {
+        const azure = new AzureOpenAIProvider();
+        assert.equal(await azure.generate('Hello'), 'Hi from Azure');
+      } finally {
+        delete process.env.AZURE_OPENAI_ENDPOINT;
+        delete process.env.AZURE_OPENAI_API_KEY;
+        delete process.env.AZURE_OPENAI_DEPLOYMENT;
+      }
+
+      const [request] = requests;
+      assert.equal(request.url, '/openai/deployments/summaries-gpt4o/chat/completions?api-version=2024-06-01');
+      assert.equal(request.headers['api-key'], 'azure-key');
+      assert.equal(request.headers.authorization, undefined);
+    });
+  });
+
+  describe('prompt templates', () => {
+    it('renders typed variables and rejects bad values', () => {
+      const prompt = prompts.render('chatMessageInsights', { content: 'Ship it?' });
+
+      assert.equal(prompt.id, 'chatMessageInsights@2');
+      assert.equal(prompt.schema, 'chatMessageInsights');
+      assert.deepEqual(prompt.untrusted, ['content', 'meetingSubject']);
+      assert.match(prompt.text, /BEGIN UNTRUSTED CONTENT ([0-9a-f]{12})\nShip it\?\nEND UNTRUSTED CONTENT \1/);
+      assert.match(prompt.text, /\nbusiness topics\nEND UNTRUSTED MEETING_SUBJECT/);
+      assert.match(prompts.render('chatMessageInsights', { content: 'Ship it?' }, { version: 1 }).text,
+        /Message: "Ship it\?"\nContext: Meeting about business topics/);
+      assert.throws(() => prompts.render('chatMessageInsights', {}), /variable 'content' is required/);
+      assert.throws(() => prompts.render('chatMessageInsights', { content: 42 }), AIPromptError);
+      assert.throws(() => prompts.render('noSuchPrompt'), /Unknown prompt 'noSuchPrompt'/);
+    });
+
+    it('refuses templates whose placeholders and variables disagree', () => {
+      const template = { name: 'broken', version: 1, feature: 'assistant', variables: {}, template: 'Hi {{name}}' };
+      assert.throws(() => prompts.register(template), /uses undeclared variable 'name'/);
+    });
+
+    it('uses candidates only when pinned', () => {
+      assert.equal(prompts.activeVersion('chatMessageAnalysis'), 1);
+
+      process.env.PROMPT_VERSIONS = 'chatMessageAnalysis@2';
+      assert.equal(prompts.activeVersion('chatMessageAnalysis'), 2);
+      assert.equal(prompts.describe().find(prompt => prompt.name === 'chatMessageAnalysis').activeVersion, 2);
+    });
+
+    it('reports which version produced an output', async () => {
+      process.env.AI_MESSAGE_ANALYSIS_PROVIDER = 'stub';
+      ai.provider('stub').respondWith(JSON.stringify({ primaryCategory: 'question', isQuestion: true, urgency: 'low', sentiment: 'neutral' }));
+
+      const { output, prompt } = await ai.run('chatMessageAnalysis', { content: 'Can we ship?' }, { promptVersion: 2 });
+
+      assert.equal(prompt, 'chatMessageAnalysis@2');
+      assert.equal(output.primaryCategory, 'question');
+      assert.match(ai.provider('stub').calls[0].prompt, /You label messages/);
+    });
+
+    it('compares two versions on the labelled dataset', async () => {
+      process.env.AI_MESSAGE_ANALYSIS_PROVIDER = 'stub';
+      const examples = loadDataset().filter(example => example.id.startsWith('chat-question'));
+      // v2 gets every question right, v1 calls them all general
+      ai.provider('stub').respondWith(prompt => JSON.stringify({
+        ...(/You label messages/.test(prompt)
+          ? { primaryCategory: 'question', isQuestion: true }
+          : { primaryCategory: 'general', isQuestion: false }),
+        urgency: 'low',
+        sentiment: 'neutral'
+      }));
+
+      const report = await compareVersions('chatMessageAnalysis', examples);
+
+      assert.equal(report.a.version, 1);
+      assert.equal(report.b.version, 2);
+      assert.equal(report.a.exampleAccuracy, 0);
+      assert.equal(report.b.exampleAccuracy, 1);
+      assert.equal(report.difference.byField.primaryCategory, 1);
+      assert.equal(report.difference.byField.isActionItem, 0);
+      assert.deepEqual(report.changed.map(change => change.id), ['chat-question-1', 'chat-question-2', 'chat-question-3']);
+    });
+  });
+});
@@ -0,0 +1,102 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/testServer');
+const { ORGANIZER, USERS } = require('./fixtures/tenant');
+const { createMeetingBody } = require('./fixtures/meetings');
+
+describe('meetings: attendee add and remove', () => {
+  let env;
+  let organizer;
+  let meeting;
+
+  before(async () => {
+    env = await startTestServer();
+    organizer = await env.as(ORGANIZER);
+  });
+
+  after(() => env.close());
+
+  // Every test gets its own meeting in the same slot, so skip the free/busy check
+  beforeEach(async () => {
+    const created = await organizer.post('/api/meetings/create', createMeetingBody({ skipAvailabilityCheck: true }));
+    assert.equal(created.status, 201, JSON.stringify(created.data));
+    meeting = created.data.meeting;
+  });
+
+  const storedAttendees = async () => (await organizer.get(`/api/meetings/${meeting.id}`)).data.attendees;
+
+  it('adds attendees by email', async () => {
+    const response = await organizer.post(`/api/meetings/${meeting.id}/attendees/add`, {
+      attendees: [USERS.alex.userPrincipalName]
+    });
+
+    assert.equal(response.status, 200, JSON.stringify(response.data));
+    assert.deepEqual(response.data.changes.attendeesAdded, [USERS.alex.userPrincipalName]);
+    assert.deepEqual(await storedAttendees(), [USERS.adele.userPrincipalName, USERS.alex.userPrincipalName]);
+  });
+
+  it('resolves attendee names through the directory', async () => {
+    const response = await organizer.post(`/api/meetings/${meeting.id}/attendees/add`, {
+      attendeeNames: ['Megan']
+    });
+
+    assert.equal(response.status, 200, JSON.stringify(response.data));
+    assert.deepEqual(response.data.changes.attendeesAdded, [USERS.megan.userPrincipalName]);
+  });
+
+  it('refuses people outside the directory and existing attendees', async () => {
+    const stranger = await organizer.post(`/api/meetings/${meeting.id}/attendees/add`, {
+      attendees: ['stranger@example.com']
+    });
+    assert.equal(stranger.status, 400);
+    assert.equal(stranger.data.invalidUsers[0].email, 'stranger@example.com');
+
+    const duplicate = await organizer.post(`/api/meetings/${meeting.id}/attendees/add`, {
+      attendees: [USERS.adele.userPrincipalName]
+    });
+    assert.equal(duplicate.status, 400);
+    assert.match(duplicate.data.error, /already in the meeting/);
+
+    assert.deepEqual(await storedAttendees(), [USERS.adele.userPrincipalName]);
+  });
+
+  it('removes attendees', async () => {
+    await organizer.post(`/api/meetings/${meeting.id}/attendees/add`, { attendees: [USERS.alex.userPrincipalName] });
+
+    const response = await organizer.delete(`/api/meetings/${meeting.id}/attendees/remove`, {
+      data: { attendees: [USERS.adele.userPrincipalName] }
+    });
+
+    assert.equal(response.status, 200, JSON.stringify(response.data));
+    assert.deepEqual(response.data.changes.attendeesRemoved, [USERS.adele.userPrincipalName]);
+    assert.deepEqual(await storedAttendees(), [USERS.alex.userPrincipalName]);
+
+    const missing = await organizer.delete(`/api/meetings/${meeting.id}/attendees/remove`, {
+      data: { attendees: [USERS.megan.userPrincipalName] }
+    });
+    assert.equal(missing.status, 400);
+  });
+
+  it('rejects edits based on a stale ETag', async () => {
+    const { headers } = await organizer.get(`/api/meetings/${meeting.id}`);
+    const staleEtag = headers.etag;
+    assert.ok(staleEtag, 'meeting has an ETag');
+
+    await organizer.post(`/api/meetings/${meeting.id}/attendees/add`, { attendees: [USERS.alex.userPrincipalName] });
+
+    const response = await organizer.post(`/api/meetings/${meeting.id}/attendees/add`,
+      { attendees: [USERS.megan.userPrincipalName] },
+      { headers: { 'If-Match': staleEtag } });
+
+    assert.equal(response.status, 412);
+    assert.deepEqual(await storedAttendees(), [USERS.adele.userPrincipalName, USERS.alex.userPrincipalName]);
+  });
+
+  it('only lets organizers and delegates change attendees', async () => {
+    const attendee = await env.as(USERS.adele.userPrincipalName);
+    const response = await attendee.post(`/api/meetings/${meeting.id}/attendees/add`, {
+      attendees: [USERS.alex.userPrincipalName]
+    });
+    assert.equal(response.status, 403);
+  });
+});
@@ -0,0 +1,149 @@
+require('./helpers/quiet');
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const moment = require('moment');
+const { TestAdapter, MessageFactory } = require('botbuilder');
+const Agent365Bot = require('../src/bot/bot');
+const ai = require('../src/ai');
+
+// Reply text of an activity or a plain string
+const textOf = (reply) => (typeof reply === 'string' ? reply : reply.text);
+
+describe('bot: intent routing', () => {
+  let bot;
+
+  beforeEach(() => {
+    bot = new Agent365Bot();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('without AI (keyword analysis)', () => {
+    const cases = [
+      ['Create a meeting about quarterly review tomorrow at 2 PM', 'create_meeting'],
+      ['Schedule a brainstorming session next week', 'create_meeting'],
+      ['Show my meetings', 'list_meetings'],
+      ['list recent meetings', 'list_meetings'],
+      ['help', 'help'],
+      ['What can you do?', 'help'],
+      ['Hi there', 'greeting'],
+      ['I think the weather is nice', 'general_query']
+    ];
+
+    for (const [message, action] of cases) {
+      it(`"${message}" -> ${action}`, () => {
+        assert.equal(bot.basicIntentAnalysis(message).action, action);
+      });
+    }
+
+    it('extracts the subject and time of a meeting request', () => {
+      const intent = bot.basicIntentAnalysis('Create a meeting about quarterly review tomorrow at 2 PM');
+      assert.equal(intent.meetingDetails.subject, 'quarterly review');
+
+      const when = moment(intent.meetingDetails.dateTime);
+      assert.equal(when.format('YYYY-MM-DD HH:mm'), moment().add(1, 'day').format('YYYY-MM-DD') + ' 14:00');
+    });
+  });
+
+  describe('dispatch', () => {
+    it('sends each intent to its handler', async () => {
+      const handlers = {
+        create_meeting: mock.method(bot, 'handleCreateMeeting', async () => 'created'),
+        list_meetings: mock.method(bot, 'handleListMeetings', async () => 'listed'),
+        meeting_status: mock.method(bot, 'handleMeetingStatus', async () => 'status'),
+        help: mock.method(bot, 'handleHelp', async () => 'help'),
+        greeting: mock.method(bot, 'handleGreeting', async () => 'greeting'),
+        general_query: mock.method(bot, 'handleGeneralQuery', async () => 'general')
+      };
+
+      for (const action of Object.keys(handlers)) {
+        mock.method(bot, 'analyzeUserIntent', async () => ({ action, meetingId: 'm-1', meetingDetails: {} }));
+        await bot.processUserRequest('anything', 'user-1', 'Adele', {});
+      }
+
+      for (const [action, handler] of Object.entries(handlers)) {
+        assert.equal(handler.mock.callCount(), 1, `${action} handled once`);
+      }
+      assert.equal(handlers.meeting_status.mock.calls[0].arguments[0], 'm-1');
+      assert.equal(handlers.greeting.mock.calls[0].arguments[0], 'Adele');
+    });
+
+    it('treats unknown intents as general questions', async () => {
+      const general = mock.method(bot, 'handleGeneralQuery', async () => 'general');
+      mock.method(bot, 'analyzeUserIntent', async () => ({ action: 'order_pizza' }));
+
+      assert.equal(await bot.processUserRequest('pizza?', 'user-1', 'Adele', {}), 'general');
+      assert.equal(general.mock.callCount(), 1);
+    });
+
+    it('asks the user to rephrase when a handler fails', async () => {
+      mock.method(bot, 'handleHelp', async () => { throw new Error('boom'); });
+
+      const reply = await bot.processUserRequest('help', 'user-1', 'Adele', {});
+      assert.match(textOf(reply), /rephrasing/);
+    });
+  });
+
+  describe('with AI', () => {
+    const stub = ai.provider('stub');
+
+    beforeEach(() => {
+      process.env.AI_INTENT_PROVIDER = 'stub';
+    });
+
+    afterEach(() => {
+      delete process.env.AI_INTENT_PROVIDER;
+      stub.reset();
+    });
+
+    it('uses the intent the model returns', async () => {
+      stub.respondWith('```json\n{"action": "meeting_status", "confidence": 0.9, "meetingId": "m-42"}\n```');
+      const status = mock.method(bot, 'handleMeetingStatus', async () => 'status');
+
+      await bot.processUserRequest('How did the roadmap meeting go?', 'user-1', 'Adele', {});
+
+      assert.equal(status.mock.callCount(), 1);
+      assert.equal(status.mock.calls[0].arguments[0], 'm-42');
+    });
+
+    it('falls back to keywords when the model reply is not JSON', async () => {
+      stub.respondWith('Sure! You want to see your meetings.');
+      const list = mock.method(bot, 'handleListMeetings', async () => 'listed');
+
+      await bot.processUserRequest('show my meetings', 'user-1', 'Adele', {});
+
+      assert.equal(list.mock.callCount(), 1);
+    });
+  });
+
+  describe('conversation', () => {
+    it('answers a Teams message through the adapter', async () => {
+      const adapter = new TestAdapter(context => bot.run(context));
+
+      await adapter
+        .send('help')
+        .assertReply(reply => assert.match(reply.text, /Your AI Meeting Assistant/))
+        .send('hello')
+        .assertReply(reply => assert.match(reply.text, /^👋 Hi/));
+    });
+
+    it('replies with an error message when processing throws', async () => {
+      mock.method(bot, 'processUserRequest', async () => { throw new Error('boom'); });
+      const adapter = new TestAdapter(context => bot.run(context));
+
+      await adapter
+        .send('help')
+        .assertReply('Sorry, I encountered an error. Please try again.');
+    });
+
+    it('passes handler replies through unchanged', async () => {
+      mock.method(bot, 'handleHelp', async () => MessageFactory.text('custom help'));
+      const adapter = new TestAdapter(context => bot.run(context));
+
+      await adapter.send('help').assertReply('custom help');
+    });
+  });
+});
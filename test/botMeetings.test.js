@@ -0,0 +1,86 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/testServer');
+const { ORGANIZER, USERS } = require('./fixtures/tenant');
+
+describe('bot: meetings on behalf of the Teams user', () => {
+  let env;
+  let bot;
+  let TestAdapter;
+
+  // A Teams conversation with the seeded user `upn`
+  const conversationWith = (upn) => {
+    const user = env.mock.store.findUser(upn);
+    return new TestAdapter(context => bot.run(context), {
+      from: { id: `29:${user.id}`, name: user.displayName, aadObjectId: user.id },
+      conversation: { id: `a:${user.id}`, tenantId: env.mock.tenantId }
+    });
+  };
+
+  // The bot's reply to `text`
+  const ask = async (upn, text) => {
+    let reply;
+    await conversationWith(upn).send(text).assertReply(activity => { reply = activity; });
+    return reply;
+  };
+
+  before(async () => {
+    env = await startTestServer();
+    ({ TestAdapter } = require('botbuilder'));
+    const Agent365Bot = require('../src/bot/bot');
+    bot = new Agent365Bot();
+  });
+
+  after(() => {
+    mock.restoreAll();
+    return env.close();
+  });
+
+  it('creates the meeting on the organizer\'s calendar and lists it', async () => {
+    const reply = await ask(ORGANIZER, 'Create a meeting about launch readiness tomorrow at 3 PM');
+    const [card] = reply.attachments || [];
+    assert.ok(card, reply.text);
+    assert.match(JSON.stringify(card.content), /Meeting Created Successfully/);
+
+    const organizerId = env.mock.store.findUser(ORGANIZER).id;
+    const [meeting] = await env.storage.findItems('meetings', { userId: organizerId });
+    assert.equal(meeting.tenantId, env.mock.tenantId);
+    assert.ok(env.mock.store.events.some(event => event.id === meeting.graphEventId), 'event created in Graph');
+
+    const listed = await ask(ORGANIZER, 'show my meetings');
+    assert.match(listed.text, new RegExp(meeting.subject));
+  });
+
+  it('refuses to create meetings for people without the organizer role', async () => {
+    const reply = await ask(USERS.viewer.userPrincipalName, 'Create a meeting about budget tomorrow at 2 PM');
+    assert.match(reply.text, /you can't do that/);
+
+    const viewerId = env.mock.store.findUser(USERS.viewer.userPrincipalName).id;
+    assert.deepEqual(await env.storage.findItems('meetings', { userId: viewerId }), []);
+    const [denial] = await env.storage.findItems('auditLogs', { type: 'access_denied', userId: viewerId });
+    assert.equal(denial.path, '/api/messages#create_meeting');
+  });
+
+  it('only reports the status of meetings the user may see', async () => {
+    const organizerId = env.mock.store.findUser(ORGANIZER).id;
+    const [meeting] = await env.storage.findItems('meetings', { userId: organizerId });
+    mock.method(bot, 'analyzeUserIntent', async () => ({ action: 'meeting_status', meetingId: meeting.meetingId }));
+
+    const status = await ask(ORGANIZER, 'How is my meeting going?');
+    assert.match(status.text, /Meeting Status/);
+    assert.match(status.text, /Status:\*\* scheduled/);
+
+    const outsider = await ask(USERS.megan.userPrincipalName, 'How is that meeting going?');
+    assert.match(outsider.text, /you can't do that: Not an organizer, delegate or attendee/);
+  });
+
+  it('ignores people from other tenants', async () => {
+    const user = env.mock.store.findUser(ORGANIZER);
+    const adapter = new TestAdapter(context => bot.run(context), {
+      from: { id: `29:${user.id}`, name: user.displayName, aadObjectId: user.id },
+      conversation: { id: 'a:elsewhere', tenantId: 'other-tenant' }
+    });
+
+    await adapter.send('show my meetings').assertReply(reply => assert.match(reply.text, /only help people signed in to Teams in this organization/));
+  });
+});
@@ -0,0 +1,264 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/testServer');
+const { ORGANIZER, USERS, at } = require('./fixtures/tenant');
+const { createMeetingBody } = require('./fixtures/meetings');
+
+describe('chat capture: incremental ingestion', () => {
+  let env;
+  let organizer;
+  let chatCaptureService;
+  let meetingSummaryService;
+  let meeting;
+  let chatId;
+
+  before(async () => {
+    env = await startTestServer();
+    organizer = await env.as(ORGANIZER);
+    chatCaptureService = require('../src/services/chatCaptureService');
+    meetingSummaryService = require('../src/services/meetingSummaryService');
+    chatCaptureService.autoInsightsEnabled = false;
+  });
+
+  after(async () => {
+    await chatCaptureService.stopChatCapture(meeting.meetingId);
+    await env.close();
+  });
+
+  // A fresh meeting and chat for every test
+  beforeEach(async () => {
+    const created = await organizer.post('/api/meetings/create', createMeetingBody({ skipAvailabilityCheck: true }));
+    assert.equal(created.status, 201, JSON.stringify(created.data));
+    meeting = created.data.meeting;
+    chatId = env.mock.store.onlineMeetings.find(m => m.joinWebUrl === meeting.joinUrl).chatInfo.threadId;
+  });
+
+  const post = (from, content, createdDateTime) =>
+    env.mock.store.postMessage(chatId, { from, body: { contentType: 'text', content }, createdDateTime });
+
+  const session = () => ({ meetingId: meeting.meetingId, chatId, lastCaptureTime: null, messageCount: 0 });
+
+  const storedChats = async () =>
+    env.storage.findItems('chats', { meetingId: meeting.meetingId }, { sort: { timestamp: 1 } });
+
+  it('stores each message once, however often the chat is read', async () => {
+    // Sent before capture started and stamped by Graph's clock, not ours
+    post(USERS.adele.userPrincipalName, 'Agenda: beta scope', at(0, 0, 1));
+    post(USERS.alex.userPrincipalName, 'I will do the estimates', at(0, 0, 2));
+
+    const first = session();
+    await chatCaptureService.captureNewMessages(first);
+    await chatCaptureService.captureNewMessages(first);
+    assert.equal(first.messageCount, 2);
+
+    const cursor = await chatCaptureService.getCursor(chatId);
+    const latest = env.mock.store.messages.get(chatId).at(-1);
+    assert.equal(cursor.lastModifiedDateTime, latest.lastModifiedDateTime);
+    assert.equal(cursor.lastMessageId, latest.id);
+
+    // A notification for a message polling already stored changes nothing
+    const record = { meetingId: meeting.meetingId, chatId };
+    await chatCaptureService.handleMessageNotification(record, {
+      changeType: 'created',
+      resource: `chats('${chatId}')/messages('${latest.id}')`
+    });
+
+    const stored = await storedChats();
+    assert.deepEqual(stored.map(m => m.content), ['Agenda: beta scope', 'I will do the estimates']);
+    assert.ok(stored[1].isActionItem);
+  });
+
+  it('picks up edited and deleted messages', async () => {
+    const decision = post(USERS.organizer.userPrincipalName, 'Decided: phased rollout');
+    const question = env.mock.store.postMessage(chatId, {
+      from: USERS.adele.userPrincipalName,
+      replyToId: decision.id,
+      body: { contentType: 'html', content: '<p><at id="0">Megan Bowen</at> can we ship Friday? Ask adele@contoso.com</p><attachment id="plan"></attachment>' },
+      mentions: [{ id: 0, mentionText: 'Megan Bowen', mentioned: { user: USERS.megan.userPrincipalName } }],
+      attachments: [{ id: 'plan', contentType: 'reference', name: 'Plan.docx', contentUrl: 'https://contoso.sharepoint.com/Plan.docx' }]
+    });
+    env.mock.store.reactToMessage(chatId, question.id, { user: USERS.organizer.userPrincipalName, reactionType: 'like' });
+    await chatCaptureService.captureNewMessages(session());
+    assert.ok((await storedChats()).find(m => m.id === question.id).redaction);
+
+    env.mock.store.updateMessage(chatId, decision.id, { content: 'Decided: big-bang rollout' });
+    env.mock.store.updateMessage(chatId, question.id, { deleted: true });
+    await chatCaptureService.captureNewMessages(session());
+
+    const stored = await storedChats();
+    const edited = stored.find(m => m.id === decision.id);
+    const deleted = stored.find(m => m.id === question.id);
+    assert.equal(edited.content, 'Decided: big-bang rollout');
+    assert.ok(edited.editedAt);
+    assert.ok(edited.isDecision);
+    assert.equal(deleted.isDeleted, true);
+    assert.deepEqual(
+      [deleted.content, deleted.markdown, deleted.mentions, deleted.replyToId, deleted.attachments, deleted.reactions, deleted.cards, deleted.redaction],
+      ['', '', [], null, [], [], [], null]
+    );
+
+    const summary = await meetingSummaryService.generateMeetingSummary(meeting.meetingId);
+    assert.equal(summary.metrics.totalMessages, 1);
+    assert.deepEqual(summary.openQuestions, []);
+  });
+
+  it('applies deletions delivered by change notification', async () => {
+    const message = post(USERS.adele.userPrincipalName, 'Wrong chat, sorry');
+    await chatCaptureService.captureNewMessages(session());
+
+    await chatCaptureService.handleMessageNotification({ meetingId: meeting.meetingId, chatId }, {
+      changeType: 'deleted',
+      resource: `chats('${chatId}')/messages('${message.id}')`,
+      resourceData: { id: message.id }
+    });
+
+    const [stored] = await storedChats();
+    assert.equal(stored.isDeleted, true);
+  });
+
+  it('retries a change notification that failed to process', async () => {
+    const jobQueueService = require('../src/services/jobQueueService');
+    const graphSubscriptionService = require('../src/services/graphSubscriptionService');
+    const subscriptionId = `sub-${meeting.meetingId}`;
+    await env.storage.upsertItem('graphSubscriptions', { id: subscriptionId, meetingId: meeting.meetingId, chatId });
+    const message = post(USERS.adele.userPrincipalName, 'Arrived while storage was down');
+
+    const handleMessageNotification = chatCaptureService.handleMessageNotification;
+    chatCaptureService.handleMessageNotification = async () => { throw new Error('Storage unavailable'); };
+    let job;
+    try {
+      const response = await env.anonymous.post('/api/webhooks/graph', {
+        value: [{
+          subscriptionId,
+          clientState: graphSubscriptionService.clientState,
+          changeType: 'created',
+          resource: `chats('${chatId}')/messages('${message.id}')`
+        }]
+      });
+      assert.equal(response.status, 202);
+
+      // Processed after the acknowledgement
+      for (let wait = 0; wait < 50 && !job?.lastError; wait++) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+        [job] = await env.storage.findItems('jobs', { type: 'graph.notification', 'payload.notification.subscriptionId': subscriptionId });
+      }
+    } finally {
+      chatCaptureService.handleMessageNotification = handleMessageNotification;
+    }
+
+    assert.equal(job.status, 'queued');
+    assert.equal(job.lastError, 'Storage unavailable');
+    assert.equal(job.payload.notification.clientState, undefined, 'the secret is not stored');
+    assert.deepEqual(await storedChats(), []);
+
+    await jobQueueService.runDue(new Date(job.runAt));
+    assert.equal((await jobQueueService.getJob(job.id)).status, 'completed');
+    assert.deepEqual((await storedChats()).map(m => m.content), ['Arrived while storage was down']);
+  });
+
+  it('does not move the cursor past a message whose notification failed', async () => {
+    const record = { meetingId: meeting.meetingId, chatId };
+    const notify = (message) => chatCaptureService.handleMessageNotification(record, {
+      changeType: 'created',
+      resource: `chats('${chatId}')/messages('${message.id}')`
+    });
+    post(USERS.adele.userPrincipalName, 'Before', at(0, 0, 1));
+    await chatCaptureService.captureNewMessages(session());
+
+    const lost = post(USERS.adele.userPrincipalName, 'Lost notification', at(0, 0, 2));
+    const captureMessage = chatCaptureService.captureMessage;
+    chatCaptureService.captureMessage = async () => { throw new Error('Storage unavailable'); };
+    try {
+      await assert.rejects(notify(lost), /Storage unavailable/);
+    } finally {
+      chatCaptureService.captureMessage = captureMessage;
+    }
+
+    const latest = post(USERS.alex.userPrincipalName, 'Next one', at(0, 0, 3));
+    await notify(latest);
+    assert.deepEqual((await storedChats()).map(m => m.content), ['Before', 'Lost notification', 'Next one']);
+    assert.equal((await chatCaptureService.getCursor(chatId)).lastMessageId, latest.id);
+
+    // A capture that read the chat earlier finishes last: the cursor stays where it is
+    await chatCaptureService.advanceCursor(session(), lost);
+    assert.equal((await chatCaptureService.getCursor(chatId)).lastMessageId, latest.id);
+  });
+
+  it('stores mentions, replies, files and reactions with the message', async () => {
+    const question = post(USERS.adele.userPrincipalName, 'Where is the spec?');
+    const answer = env.mock.store.postMessage(chatId, {
+      from: USERS.organizer.userPrincipalName,
+      replyToId: question.id,
+      body: { contentType: 'html', content: '<p><at id="0">Adele Vance</at> it is here, please review by Friday</p><attachment id="spec"></attachment>' },
+      mentions: [{ id: 0, mentionText: 'Adele Vance', mentioned: { user: USERS.adele.userPrincipalName } }],
+      attachments: [{ id: 'spec', contentType: 'reference', name: 'Spec.docx', contentUrl: 'https://contoso.sharepoint.com/Spec.docx' }]
+    });
+    await chatCaptureService.captureNewMessages(session());
+
+    env.mock.store.reactToMessage(chatId, answer.id, { user: USERS.adele.userPrincipalName, reactionType: 'like' });
+    await chatCaptureService.captureNewMessages(session());
+
+    const stored = (await storedChats()).find(m => m.id === answer.id);
+    assert.equal(stored.content, '@Adele Vance it is here, please review by Friday');
+    assert.equal(stored.replyToId, question.id);
+    assert.deepEqual(stored.mentions.map(m => m.userId), [env.mock.store.findUser(USERS.adele.userPrincipalName).id]);
+    assert.deepEqual(stored.attachments.map(a => a.name), ['Spec.docx']);
+    assert.deepEqual(stored.reactions.map(r => [r.reactionType, r.count]), [['like', 1]]);
+    assert.equal(stored.editedAt, null, 'a reaction is not an edit');
+
+    assert.equal(stored.aiAnalysis.sharedResource, 'Spec.docx');
+    assert.deepEqual(stored.aiAnalysis.extractedActionItems.map(item => item.assignee), [USERS.adele.displayName]);
+  });
+
+  it('skips a message that keeps failing to store, so later messages still arrive', async () => {
+    const poison = post(USERS.adele.userPrincipalName, 'Too large to store', new Date(Date.now() - 1000).toISOString());
+    post(USERS.alex.userPrincipalName, 'Posted after it');
+
+    const captureMessage = chatCaptureService.captureMessage;
+    chatCaptureService.captureMessage = async function (meetingId, message) {
+      if (message.id === poison.id) throw new Error('Request size is too large');
+      return captureMessage.call(this, meetingId, message);
+    };
+    try {
+      for (let poll = 1; poll < chatCaptureService.maxMessageAttempts; poll++) {
+        await chatCaptureService.captureNewMessages(session());
+        assert.deepEqual(await storedChats(), [], `held up on poll ${poll}`);
+      }
+      await chatCaptureService.captureNewMessages(session());
+      assert.deepEqual((await storedChats()).map(m => m.content), ['Posted after it']);
+
+      // Re-read through the cursor overlap, it is not tried again
+      post(USERS.megan.userPrincipalName, 'And another');
+      await chatCaptureService.captureNewMessages(session());
+      assert.deepEqual((await storedChats()).map(m => m.content), ['Posted after it', 'And another']);
+    } finally {
+      chatCaptureService.captureMessage = captureMessage;
+    }
+
+    const cursor = await chatCaptureService.getCursor(chatId);
+    assert.deepEqual(cursor.skipped.map(entry => [entry.messageId, entry.error]), [[poison.id, 'Request size is too large']]);
+    assert.deepEqual(cursor.failures, {});
+  });
+
+  it('resumes from the stored cursor after a restart', async () => {
+    post(USERS.adele.userPrincipalName, 'First');
+    await chatCaptureService.startChatCapture(meeting.meetingId, meeting, chatId);
+    assert.equal((await storedChats()).length, 1);
+
+    // Restart: in-memory sessions are gone, the cursor is not
+    await chatCaptureService.stopChatCapture(meeting.meetingId);
+    await chatCaptureService.saveCursor(chatId, { active: true });
+
+    post(USERS.alex.userPrincipalName, 'Posted while we were down');
+    await chatCaptureService.restore();
+
+    const resumed = chatCaptureService.activeCaptures.get(meeting.meetingId);
+    assert.ok(resumed, 'capture resumed');
+    assert.equal(resumed.mode, 'polling');
+    assert.equal(resumed.messageCount, 1, 'only the missed message is new');
+    assert.deepEqual((await storedChats()).map(m => m.content), ['First', 'Posted while we were down']);
+
+    await chatCaptureService.stopChatCapture(meeting.meetingId);
+    assert.equal((await chatCaptureService.getCursor(chatId)).active, false);
+  });
+});
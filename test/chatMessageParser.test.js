@@ -0,0 +1,102 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseChatMessage, isEmptyMessage } = require('../src/utils/chatMessageParser');
+
+const adele = { id: 'u-adele', displayName: 'Adele Vance' };
+
+// A Graph chatMessage as Teams delivers it, with the given overrides
+const graphMessage = (overrides = {}) => ({
+  id: '1700000000000',
+  messageType: 'message',
+  replyToId: null,
+  from: { user: { id: 'u-megan', displayName: 'Megan Bowen' }, application: null },
+  body: { contentType: 'html', content: '' },
+  mentions: [],
+  attachments: [],
+  reactions: [],
+  ...overrides
+});
+
+describe('chat message parser', () => {
+  it('renders html as plain text and markdown', () => {
+    const parsed = parseChatMessage(graphMessage({
+      body: {
+        contentType: 'html',
+        content: '<p>Please <b>review</b> <a href="https://contoso.com/spec">the spec</a> &amp; reply</p>' +
+          '<ul><li>scope</li><li>dates</li></ul><pre><code>if (a &lt; b) ship();</code></pre><emoji alt="👍"></emoji>'
+      }
+    }));
+
+    assert.equal(parsed.text, 'Please review the spec (https://contoso.com/spec) & reply\n\n- scope\n- dates\n\nif (a < b) ship();\n👍');
+    assert.equal(parsed.markdown, 'Please **review** [the spec](https://contoso.com/spec) & reply\n\n- scope\n- dates\n\n```\nif (a < b) ship();\n```\n👍');
+  });
+
+  it('joins the parts of a split mention into one', () => {
+    const parsed = parseChatMessage(graphMessage({
+      body: { contentType: 'html', content: '<p><at id="0">Adele</at>&nbsp;<at id="1">Vance</at> can you take this?</p>' },
+      mentions: [
+        { id: 0, mentionText: 'Adele', mentioned: { user: adele } },
+        { id: 1, mentionText: 'Vance', mentioned: { user: adele } }
+      ]
+    }));
+
+    assert.equal(parsed.text, '@Adele Vance can you take this?');
+    assert.deepEqual(parsed.mentions, [
+      { id: 0, text: 'Adele Vance', userId: adele.id, displayName: adele.displayName, kind: 'user' }
+    ]);
+  });
+
+  it('reads quoted replies, files, images and cards from attachments', () => {
+    const parsed = parseChatMessage(graphMessage({
+      body: {
+        contentType: 'html',
+        content: '<attachment id="1699999999999"></attachment><p>Here it is</p><attachment id="file-1"></attachment>' +
+          '<img src="https://graph.microsoft.com/v1.0/chats/c/messages/1/hostedContents/aW1n/$value" alt="whiteboard">'
+      },
+      attachments: [
+        { id: '1699999999999', contentType: 'messageReference', content: '{"messageId":"1699999999999","messagePreview":"Where is the spec?"}' },
+        { id: 'file-1', contentType: 'reference', contentUrl: 'https://contoso.sharepoint.com/Spec.docx', name: 'Spec.docx' },
+        {
+          id: 'card-1',
+          contentType: 'application/vnd.microsoft.card.adaptive',
+          content: JSON.stringify({
+            type: 'AdaptiveCard',
+            body: [
+              { type: 'TextBlock', text: 'Release vote' },
+              { type: 'ColumnSet', columns: [{ type: 'Column', items: [{ type: 'FactSet', facts: [{ title: 'Ship', value: '4' }] }] }] }
+            ]
+          })
+        }
+      ]
+    }));
+
+    assert.equal(parsed.text, 'Here it is\n[whiteboard]');
+    assert.equal(parsed.replyToId, '1699999999999');
+    assert.deepEqual(parsed.attachments.map(file => [file.kind, file.name, file.contentType]), [
+      ['file', 'Spec.docx', 'docx'],
+      ['image', 'whiteboard', 'image']
+    ]);
+    assert.deepEqual(parsed.cards, [{ id: 'card-1', type: 'adaptive', title: 'Release vote', text: 'Release vote\nShip: 4' }]);
+  });
+
+  it('counts reactions per type', () => {
+    const by = (id, reactionType) => ({ reactionType, user: { user: { id } } });
+    const parsed = parseChatMessage(graphMessage({
+      reactions: [by('u-1', 'like'), by('u-2', 'like'), by('u-1', 'heart')]
+    }));
+
+    assert.deepEqual(parsed.reactions, [
+      { reactionType: 'like', count: 2, userIds: ['u-1', 'u-2'] },
+      { reactionType: 'heart', count: 1, userIds: ['u-1'] }
+    ]);
+  });
+
+  it('keeps text bodies as they are and flags messages with nothing in them', () => {
+    const text = parseChatMessage(graphMessage({ body: { contentType: 'text', content: ' a < b ' } }));
+    assert.equal(text.text, 'a < b');
+    assert.equal(isEmptyMessage(text), false);
+
+    const placeholder = parseChatMessage(graphMessage({ body: { contentType: 'html', content: '<p>&nbsp;</p>' } }));
+    assert.equal(isEmptyMessage(placeholder), true);
+  });
+});
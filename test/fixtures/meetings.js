@@ -0,0 +1,50 @@
+const { v4: uuidv4 } = require('uuid');
+const { USERS, at } = require('./tenant');
+
+// Request body for POST /api/meetings/create: tomorrow 14:00-14:30 with Adele, when
+// everyone in the tenant fixture is free. Override any field.
+const createMeetingBody = (overrides = {}) => ({
+  subject: 'Roadmap Review',
+  description: 'Walk through the Q3 roadmap',
+  startTime: at(1, 14),
+  endTime: at(1, 14, 30),
+  attendees: [USERS.adele.userPrincipalName],
+  autoJoinAgent: false,
+  enableChatCapture: false,
+  ...overrides
+});
+
+// Captured chat records (the `chats` container, as chatCaptureService stores them) for a
+// meeting; each entry is { sender, content, ...analysis flags }
+const capturedChat = (meetingId, entries, start = at(1, 14)) =>
+  entries.map((entry, index) => ({
+    id: uuidv4(),
+    meetingId,
+    messageId: `msg-${index + 1}`,
+    senderId: null,
+    messageType: 'message',
+    timestamp: new Date(new Date(start).getTime() + (index + 1) * 60000).toISOString(),
+    isQuestion: false,
+    isActionItem: false,
+    isDecision: false,
+    sentiment: 'neutral',
+    ...entry
+  }));
+
+// A short discussion with one decision, one action item and one unanswered question
+const roadmapDiscussion = (meetingId, start) => capturedChat(meetingId, [
+  { sender: USERS.adele.displayName, content: 'Can we ship the beta before the offsite?', isQuestion: true },
+  { sender: USERS.organizer.displayName, content: 'Decision: we go with the phased rollout', isDecision: true, sentiment: 'positive' },
+  {
+    sender: USERS.adele.displayName,
+    content: 'Adele will draft the release notes by Friday',
+    isActionItem: true,
+    aiAnalysis: { extractedActionItems: [{ task: 'Draft the release notes', assignee: USERS.adele.displayName, deadline: 'Friday' }] }
+  }
+], start);
+
+module.exports = {
+  createMeetingBody,
+  capturedChat,
+  roadmapDiscussion
+};
@@ -0,0 +1,52 @@
+const moment = require('moment');
+
+// Directory and calendars the integration tests run against (a mock Graph seed, see
+// src/mockGraph/store.js). Times are relative to today in UTC so "tomorrow" always works.
+// Add people or events here rather than in individual tests, and keep existing ones stable:
+// tests rely on who is busy when.
+
+const TENANT_ID = 'test-tenant';
+const ORGANIZER = 'organizer@contoso.com';
+const PLAN_ID = 'launch-plan';
+
+const USERS = {
+  organizer: { displayName: 'Olivia Organizer', userPrincipalName: ORGANIZER, jobTitle: 'Program Manager', department: 'Operations', appRoles: ['meetings.organizer'] },
+  adele: { displayName: 'Adele Vance', userPrincipalName: 'adele@contoso.com', jobTitle: 'Product Manager', department: 'Product' },
+  alex: { displayName: 'Alex Wilber', userPrincipalName: 'alex@contoso.com', jobTitle: 'Engineer', department: 'Engineering' },
+  megan: { displayName: 'Megan Bowen', userPrincipalName: 'megan@contoso.com', jobTitle: 'Designer', department: 'Design' },
+  viewer: { displayName: 'Victor Viewer', userPrincipalName: 'viewer@contoso.com', jobTitle: 'Analyst', department: 'Finance', appRoles: ['meetings.viewer'] },
+  compliance: { displayName: 'Carla Compliance', userPrincipalName: 'compliance@contoso.com', jobTitle: 'Compliance Officer', department: 'Legal', appRoles: ['pii.reveal'] },
+  admin: { displayName: 'Paula Platform', userPrincipalName: 'admin@contoso.com', jobTitle: 'IT Administrator', department: 'IT', appRoles: ['platform.admin'] }
+};
+
+// ISO timestamp `days` from today (UTC) at hour:minute
+const at = (days, hour, minute = 0) =>
+  moment.utc().startOf('day').add(days, 'days').hour(hour).minute(minute).toISOString();
+
+const tenant = () => ({
+  tenantId: TENANT_ID,
+  users: Object.values(USERS),
+  events: [
+    // Alex is busy tomorrow 10:00-11:00
+    {
+      organizer: USERS.alex.userPrincipalName,
+      subject: 'Architecture Sync',
+      start: at(1, 10),
+      end: at(1, 11),
+      attendees: [USERS.megan.userPrincipalName]
+    }
+  ],
+  // Planner plan action items sync to with TASK_SYNC_TARGET=planner
+  plans: [
+    { id: PLAN_ID, title: 'Launch tasks', buckets: ['Meetings'] }
+  ]
+});
+
+module.exports = {
+  TENANT_ID,
+  ORGANIZER,
+  PLAN_ID,
+  USERS,
+  at,
+  tenant
+};
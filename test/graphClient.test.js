@@ -0,0 +1,49 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/testServer');
+const { USERS } = require('./fixtures/tenant');
+
+describe('graph client retries', () => {
+  let env;
+  let client;
+  const userPath = `/users/${USERS.adele.userPrincipalName}`;
+
+  before(async () => {
+    env = await startTestServer();
+    const { GraphClient } = require('../src/graph/client');
+    // Our own backoff is capped well below the Retry-After values used here
+    client = new GraphClient({ maxDelayMs: 50, retryBudgetMs: 5000 });
+  });
+
+  afterEach(() => env.mock.faults.clear());
+
+  after(() => env.close());
+
+  it('waits as long as Retry-After asks, beyond its own backoff cap', async () => {
+    env.mock.faults.add({ method: 'GET', path: '^/users/', status: 429, retryAfter: 1 });
+
+    const startedAt = Date.now();
+    const user = await client.get(userPath);
+    assert.equal(user.userPrincipalName, USERS.adele.userPrincipalName);
+    assert.ok(Date.now() - startedAt >= 1000, 'retried before Retry-After elapsed');
+  });
+
+  it('gives up at once when Retry-After exceeds the remaining budget', async () => {
+    env.mock.faults.add({ method: 'GET', path: '^/users/', status: 429, retryAfter: 60 });
+
+    const startedAt = Date.now();
+    await assert.rejects(client.get(userPath), error => error.status === 429);
+    assert.ok(Date.now() - startedAt < 1000, 'slept before giving up');
+  });
+
+  it('does the same for throttled batch items', async () => {
+    env.mock.faults.add({ method: 'GET', path: '^/users/', status: 429, retryAfter: 60 });
+
+    const startedAt = Date.now();
+    const [throttled, other] = await client.batch([{ url: userPath }, { url: `/users/${USERS.megan.userPrincipalName}` }]);
+    assert.ok(Date.now() - startedAt < 1000, 'slept before giving up');
+    assert.equal(throttled.status, 429);
+    assert.equal(throttled.error.status, 429);
+    assert.equal(other.status, 200);
+  });
+});
@@ -0,0 +1,7 @@
+// Test output is just pass/fail; set LOG_LEVEL (e.g. debug) to see the app's logging,
+// including the console.log tracing in routes and services. Require before anything in src/.
+const verbose = !!process.env.LOG_LEVEL;
+if (!verbose) {
+  console.log = () => {};
+}
+require('../../src/utils/logger').silent = !verbose;
@@ -0,0 +1,86 @@
+require('./quiet');
+
+const axios = require('axios');
+const { createMockGraph } = require('../../src/mockGraph');
+const fixtures = require('../fixtures/tenant');
+
+const CLIENT_ID = 'test-client';
+
+// Boot the app in-process on the in-memory store, with Graph and Entra ID served by the
+// mock Graph server. The app reads its configuration when its modules load, so call this
+// before requiring anything from src/ other than the mock. node --test runs each test file
+// in its own process, so every file gets a fresh app and store.
+const startTestServer = async ({ seed = fixtures.tenant() } = {}) => {
+  const mock = createMockGraph({ seed });
+  const graphServer = await mock.listen();
+  const authority = `${graphServer.url}/${mock.tenantId}`;
+
+  Object.assign(process.env, {
+    STORAGE_BACKEND: 'memory',
+    GRAPH_API_ENDPOINT: `${graphServer.url}/v1.0`,
+    GRAPH_RETRY_BASE_MS: '10',
+    AZURE_AUTHORITY: authority,
+    AZURE_TENANT_ID: mock.tenantId,
+    AZURE_CLIENT_ID: CLIENT_ID,
+    AZURE_CLIENT_SECRET: 'test-secret',
+    AUTH_JWKS_URI: `${authority}/discovery/v2.0/keys`,
+    AUTH_ISSUER: `${authority}/v2.0`,
+    MEETING_ORGANIZER_EMAIL: fixtures.ORGANIZER,
+    REDACTION_VAULT_KEY: 'test-redaction-key',
+    // Keep the AI path off so results are deterministic; tests opt features into the stub provider
+    AI_PROVIDER: 'none'
+  });
+
+  const storage = require('../../src/storage');
+  const { Migrator } = require('../../src/storage/migrator');
+  await storage.initialize();
+  await new Migrator(storage).up();
+
+  const app = require('../../src/app');
+  const server = await new Promise((resolve, reject) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    listening.on('error', reject);
+  });
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  const tokens = new Map();
+
+  // API access token for a seeded user, from the mock's password grant
+  const tokenFor = async (upn) => {
+    if (!tokens.has(upn)) {
+      const response = await axios.post(`${authority}/oauth2/v2.0/token`, new URLSearchParams({
+        grant_type: 'password',
+        client_id: CLIENT_ID,
+        username: upn,
+        scope: `api://${CLIENT_ID}/.default`
+      }));
+      tokens.set(upn, response.data.access_token);
+    }
+    return tokens.get(upn);
+  };
+
+  // HTTP client calling the API as `upn`; never throws on error statuses so tests can assert them
+  const as = async (upn) => axios.create({
+    baseURL: url,
+    headers: { Authorization: `Bearer ${await tokenFor(upn)}` },
+    validateStatus: () => true
+  });
+
+  return {
+    url,
+    mock,
+    storage,
+    as,
+    anonymous: axios.create({ baseURL: url, validateStatus: () => true }),
+
+    async close() {
+      await new Promise(resolve => {
+        server.close(() => resolve());
+        server.closeAllConnections();
+      });
+      await graphServer.close();
+    }
+  };
+};
+
+module.exports = { startTestServer };
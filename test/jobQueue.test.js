@@ -0,0 +1,269 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const moment = require('moment');
+const { startTestServer } = require('./helpers/testServer');
+const { ORGANIZER, USERS } = require('./fixtures/tenant');
+const { createMeetingBody, roadmapDiscussion } = require('./fixtures/meetings');
+
+describe('job queue', () => {
+  let env;
+  let admin;
+  let organizer;
+  let jobQueueService;
+
+  const secondsFromNow = (seconds) => moment.utc().add(seconds, 'seconds').toDate();
+
+  before(async () => {
+    Object.assign(process.env, { JOB_MAX_ATTEMPTS: '3', JOB_RETRY_BASE_SECONDS: '10', JOB_LOCK_SECONDS: '60' });
+    env = await startTestServer();
+    admin = await env.as(USERS.admin.userPrincipalName);
+    organizer = await env.as(ORGANIZER);
+    jobQueueService = require('../src/services/jobQueueService');
+  });
+
+  after(async () => {
+    await env.close();
+  });
+
+  describe('queueing', () => {
+    it('keeps one job per key, moving it until it has run', async () => {
+      const runs = [];
+      jobQueueService.register('test.echo', async (payload) => {
+        runs.push(payload);
+        return { echoed: payload.n };
+      });
+
+      const first = await jobQueueService.enqueue('test.echo', { n: 1 }, { key: 'echo:1', runAt: secondsFromNow(3600) });
+      const moved = await jobQueueService.enqueue('test.echo', { n: 2 }, { key: 'echo:1', runAt: secondsFromNow(7200) });
+      assert.equal(moved.id, first.id);
+      assert.deepEqual(moved.payload, { n: 2 });
+      assert.ok(moved.runAt > first.runAt);
+
+      // Delayed: nothing to do until its time
+      await jobQueueService.runDue();
+      assert.deepEqual(runs, []);
+
+      await jobQueueService.runDue(secondsFromNow(7201));
+      assert.deepEqual(runs, [{ n: 2 }]);
+      const done = await jobQueueService.getJob(first.id);
+      assert.deepEqual([done.status, done.attempts, done.result], ['completed', 1, { echoed: 2 }]);
+
+      // Enqueueing finished work again is a no-op
+      const again = await jobQueueService.enqueue('test.echo', { n: 3 }, { key: 'echo:1' });
+      assert.equal(again.status, 'completed');
+      await jobQueueService.runDue(secondsFromNow(7202));
+      assert.equal(runs.length, 1);
+    });
+
+    it('lets only one worker claim a job and reclaims it when the worker dies', async () => {
+      let runs = 0;
+      jobQueueService.register('test.count', async () => { runs++; });
+
+      const queued = await jobQueueService.enqueue('test.count', {}, { runAt: secondsFromNow(3600) });
+      const claimed = await jobQueueService.claim(queued);
+      assert.equal(claimed.status, 'running');
+      assert.equal(await jobQueueService.claim(queued), null);
+
+      // The claiming worker never finishes: the job is due again once its lock runs out
+      await jobQueueService.runDue(secondsFromNow(30));
+      assert.equal(runs, 0);
+
+      const refused = await admin.post(`/api/admin/jobs/${queued.id}/requeue`);
+      assert.equal(refused.status, 409);
+
+      await jobQueueService.runDue(moment.utc(claimed.lockedUntil).add(1, 'second').toDate());
+      assert.equal(runs, 1);
+      const done = await jobQueueService.getJob(queued.id);
+      assert.deepEqual([done.status, done.attempts, done.lockedBy], ['completed', 2, null]);
+    });
+
+    it('moves a job to the dead letters when its last attempt outlives the lock', async () => {
+      let runs = 0;
+      jobQueueService.register('test.crash', async () => { runs++; });
+
+      const queued = await jobQueueService.enqueue('test.crash', {}, { runAt: secondsFromNow(3600), maxAttempts: 1 });
+      const claimed = await jobQueueService.claim(queued);
+
+      const { outcomes } = await jobQueueService.runDue(moment.utc(claimed.lockedUntil).add(1, 'second').toDate());
+      assert.equal(outcomes.dead, 1);
+      assert.equal(runs, 0);
+      const dead = await jobQueueService.getJob(queued.id);
+      assert.deepEqual([dead.status, dead.attempts, dead.lockedBy], ['dead', 1, null]);
+      assert.match(dead.lastError, /Lock expired on attempt 1/);
+      await env.storage.deleteItem('jobs', dead.id, dead.id);
+    });
+
+    it('renews the lock while a long handler runs', async () => {
+      const lockSeconds = jobQueueService.lockSeconds;
+      jobQueueService.lockSeconds = 0.3;
+      let renewed;
+      jobQueueService.register('test.slow', async (payload, job) => {
+        await new Promise(resolve => setTimeout(resolve, 500));
+        renewed = (await jobQueueService.getJob(job.id)).lockedUntil > job.lockedUntil;
+      });
+
+      try {
+        const queued = await jobQueueService.enqueue('test.slow', {});
+        assert.equal(await jobQueueService.runNow(queued), 'completed');
+      } finally {
+        jobQueueService.lockSeconds = lockSeconds;
+      }
+      assert.equal(renewed, true);
+    });
+  });
+
+  describe('failures', () => {
+    it('retries with backoff, then moves the job to the dead letters for an admin to requeue', async () => {
+      let failing = true;
+      jobQueueService.register('test.flaky', async () => {
+        if (failing) throw new Error('Downstream unavailable');
+        return { ok: true };
+      });
+
+      const now = new Date();
+      const job = await jobQueueService.enqueue('test.flaky', {}, { runAt: now });
+
+      await jobQueueService.runDue(now);
+      let stored = await jobQueueService.getJob(job.id);
+      assert.deepEqual([stored.status, stored.attempts, stored.lastError], ['queued', 1, 'Downstream unavailable']);
+      assert.equal(stored.runAt, moment.utc(now).add(10, 'seconds').toISOString());
+
+      const second = moment.utc(now).add(10, 'seconds').toDate();
+      await jobQueueService.runDue(second);
+      stored = await jobQueueService.getJob(job.id);
+      assert.equal(stored.runAt, moment.utc(second).add(20, 'seconds').toISOString());
+
+      await jobQueueService.runDue(moment.utc(second).add(20, 'seconds').toDate());
+      stored = await jobQueueService.getJob(job.id);
+      assert.equal(stored.status, 'dead');
+      assert.deepEqual(stored.errors.map(e => e.attempt), [1, 2, 3]);
+
+      const listed = await admin.get('/api/admin/jobs', { params: { status: 'dead', type: 'test.flaky' } });
+      assert.equal(listed.status, 200, JSON.stringify(listed.data));
+      assert.deepEqual(listed.data.jobs.map(j => j.id), [job.id]);
+      assert.equal(listed.data.counts.dead, 1);
+
+      assert.equal((await admin.get('/api/admin/jobs', { params: { status: 'stuck' } })).status, 400);
+      assert.equal((await admin.get('/api/admin/jobs/job-missing')).status, 404);
+      assert.equal((await organizer.get('/api/admin/jobs')).status, 403);
+
+      failing = false;
+      const requeued = await admin.post(`/api/admin/jobs/${job.id}/requeue`);
+      assert.equal(requeued.status, 200, JSON.stringify(requeued.data));
+      assert.deepEqual([requeued.data.job.status, requeued.data.job.attempts], ['queued', 0]);
+
+      await jobQueueService.runDue();
+      const fetched = await admin.get(`/api/admin/jobs/${job.id}`);
+      assert.deepEqual([fetched.data.job.status, fetched.data.job.result], ['completed', { ok: true }]);
+      assert.equal(fetched.data.job.requeuedBy, env.mock.store.findUser(USERS.admin.userPrincipalName).id);
+    });
+  });
+
+  describe('meeting scheduler', () => {
+    let meetingSchedulerService;
+
+    before(() => {
+      require('../src/services/chatCaptureService').autoInsightsEnabled = false;
+      meetingSchedulerService = require('../src/services/meetingSchedulerService');
+      meetingSchedulerService.initialize();
+    });
+
+    const createMeeting = async (overrides) => {
+      const created = await organizer.post('/api/meetings/create', createMeetingBody({ skipAvailabilityCheck: true, autoJoinAgent: true, ...overrides }));
+      assert.equal(created.status, 201, JSON.stringify(created.data));
+      return created.data.meeting;
+    };
+
+    const jobsOf = async (meetingId) => Object.fromEntries(
+      (await meetingSchedulerService.getMeetingJobs(meetingId)).map(job => [job.type, job]));
+
+    it('joins at the start, leaves at the end and writes the summary once', async () => {
+      const meeting = await createMeeting();
+      const { 'meeting.join': join } = await jobsOf(meeting.meetingId);
+      assert.deepEqual([join.status, join.runAt], ['queued', meeting.startTime]);
+
+      // The meeting moves to now: so does its join
+      const moved = await env.storage.modifyItem('meetings', meeting.id, meeting.userId, m => ({
+        ...m,
+        startTime: moment.utc().subtract(1, 'minute').toISOString(),
+        endTime: moment.utc().add(1, 'minute').toISOString()
+      }));
+      await meetingSchedulerService.scheduleMeetingJoin(moved);
+
+      await jobQueueService.runDue();
+      let stored = await env.storage.getItem('meetings', meeting.id, meeting.userId);
+      assert.deepEqual([stored.status, stored.agentAttended], ['in_progress', true]);
+      let jobs = await jobsOf(meeting.meetingId);
+      assert.equal(jobs['meeting.join'].status, 'completed');
+      assert.deepEqual([jobs['meeting.leave'].status, jobs['meeting.leave'].runAt], ['queued', moved.endTime]);
+
+      for (const message of roadmapDiscussion(meeting.meetingId, moved.startTime)) {
+        await env.storage.createItem('chats', message);
+      }
+
+      await jobQueueService.runDue(moment.utc(moved.endTime).add(1, 'second').toDate());
+      stored = await env.storage.getItem('meetings', meeting.id, meeting.userId);
+      assert.deepEqual([stored.status, stored.autoLeaveExecuted], ['completed', true]);
+      jobs = await jobsOf(meeting.meetingId);
+      assert.equal(jobs['meeting.leave'].status, 'completed');
+      assert.deepEqual([jobs['meeting.summary'].status, jobs['meeting.summary'].result], ['completed', { version: 1 }]);
+
+      // Running the jobs again does not join, leave or summarize twice
+      for (const job of Object.values(jobs)) {
+        await jobQueueService.requeue(job);
+      }
+      // The join moves the leave it finds queued, so the leave waits for the next poll
+      const later = moment.utc(moved.endTime).add(2, 'seconds').toDate();
+      await jobQueueService.runDue(later);
+      await jobQueueService.runDue(later);
+      jobs = await jobsOf(meeting.meetingId);
+      assert.deepEqual(Object.values(jobs).map(job => job.result.skipped).sort(), ['already_joined', 'already_left', 'summary_exists']);
+      assert.equal((await env.storage.findItems('summaries', { meetingId: meeting.meetingId })).length, 1);
+    });
+
+    it('records the join and queues the leave even when the chat cannot be captured yet', async () => {
+      const chatCaptureService = require('../src/services/chatCaptureService');
+      const meeting = await createMeeting({ enableChatCapture: true });
+      const moved = await env.storage.modifyItem('meetings', meeting.id, meeting.userId, m => ({
+        ...m,
+        startTime: moment.utc().subtract(1, 'minute').toISOString(),
+        endTime: moment.utc().add(10, 'minutes').toISOString()
+      }));
+      await meetingSchedulerService.scheduleMeetingJoin(moved);
+
+      const initiateRealChatCapture = chatCaptureService.initiateRealChatCapture;
+      chatCaptureService.initiateRealChatCapture = async () => { throw new Error('Chat not found'); };
+      try {
+        await jobQueueService.runDue();
+        // Chat capture is queued by the join, for the next poll
+        await jobQueueService.runDue(secondsFromNow(1));
+      } finally {
+        chatCaptureService.initiateRealChatCapture = initiateRealChatCapture;
+      }
+
+      let jobs = await jobsOf(meeting.meetingId);
+      assert.deepEqual([jobs['meeting.join'].status, jobs['meeting.join'].attempts], ['completed', 1]);
+      assert.equal(jobs['meeting.leave'].status, 'queued');
+      assert.deepEqual([jobs['meeting.chatCapture'].status, jobs['meeting.chatCapture'].lastError], ['queued', 'Chat not found']);
+      assert.equal((await env.storage.getItem('meetings', meeting.id, meeting.userId)).agentAttended, true);
+
+      // The retry captures the chat without joining again
+      await jobQueueService.runDue(secondsFromNow(31));
+      jobs = await jobsOf(meeting.meetingId);
+      assert.deepEqual([jobs['meeting.chatCapture'].status, jobs['meeting.chatCapture'].result], ['completed', { capturing: true }]);
+      assert.equal(jobs['meeting.join'].attempts, 1);
+
+      await meetingSchedulerService.cancelScheduledJoin(meeting.meetingId);
+      await chatCaptureService.stopChatCapture(meeting.meetingId);
+    });
+
+    it('drops the join when the meeting is cancelled', async () => {
+      const meeting = await createMeeting();
+      const cancelled = await organizer.delete(`/api/meetings/${meeting.id}`);
+      assert.equal(cancelled.status, 200, JSON.stringify(cancelled.data));
+
+      const { 'meeting.join': join } = await jobsOf(meeting.meetingId);
+      assert.deepEqual([join.status, join.cancelReason], ['cancelled', 'meeting_cancelled']);
+    });
+  });
+});
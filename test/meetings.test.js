@@ -0,0 +1,159 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/testServer');
+const { ORGANIZER, USERS, at } = require('./fixtures/tenant');
+const { createMeetingBody } = require('./fixtures/meetings');
+
+describe('meetings: create, list and cancel', () => {
+  let env;
+  let organizer;
+
+  before(async () => {
+    env = await startTestServer();
+    organizer = await env.as(ORGANIZER);
+  });
+
+  after(() => env.close());
+
+  it('rejects requests without a bearer token', async () => {
+    const response = await env.anonymous.get('/api/meetings');
+    assert.equal(response.status, 401);
+  });
+
+  it('does not fetch signing keys for every token while the key endpoint is down', async () => {
+    const jwt = require('jsonwebtoken');
+    const { keyStore } = require('../src/middleware/auth');
+    const token = jwt.sign({ sub: 'someone' }, 'not-a-real-key', { keyid: 'rotated-key' });
+    const request = () => env.anonymous.get('/api/meetings', { headers: { Authorization: `Bearer ${token}` } });
+
+    let fetches = 0;
+    const refresh = keyStore.refresh;
+    // Hold the fetch open briefly so both concurrent requests arrive while it is in flight
+    keyStore.refresh = async function () {
+      fetches++;
+      await new Promise(resolve => setTimeout(resolve, 50));
+      return refresh.call(this);
+    };
+    const { AUTH_JWKS_URI } = process.env;
+    const { lastFetch } = keyStore;
+    process.env.AUTH_JWKS_URI = 'http://127.0.0.1:1/keys';
+    keyStore.lastFetch = 0;
+    try {
+      // Concurrent requests share the failed fetch; later ones wait for the refresh interval
+      const responses = await Promise.all([request(), request()]);
+      assert.deepEqual(responses.map(r => r.status), [503, 503]);
+      assert.ok(!JSON.stringify(responses[0].data).includes('127.0.0.1'), 'no internal details');
+      assert.equal((await request()).status, 401);
+      assert.equal(fetches, 1);
+    } finally {
+      keyStore.refresh = refresh;
+      process.env.AUTH_JWKS_URI = AUTH_JWKS_URI;
+      keyStore.lastFetch = lastFetch;
+    }
+  });
+
+  it('only lets people with the organizer role create meetings', async () => {
+    // Adele has no app role assignment, so is a viewer
+    const adele = await env.as(USERS.adele.userPrincipalName);
+    const response = await adele.post('/api/meetings/create', createMeetingBody());
+    assert.equal(response.status, 403);
+  });
+
+  it('only lets organizers look up the directory and other people\'s calendars', async () => {
+    const adele = await env.as(USERS.adele.userPrincipalName);
+    assert.equal((await adele.get('/api/meetings/teams/users')).status, 403);
+    assert.equal((await adele.get(`/api/meetings/free-busy/${USERS.megan.userPrincipalName}`)).status, 403);
+    assert.equal((await adele.get(`/api/meetings/free-busy/${USERS.adele.userPrincipalName}`)).status, 200);
+
+    const organizer = await env.as(ORGANIZER);
+    assert.equal((await organizer.get('/api/meetings/teams/users')).status, 200);
+    assert.equal((await organizer.get(`/api/meetings/free-busy/${USERS.megan.userPrincipalName}`)).status, 200);
+  });
+
+  it('validates the request body', async () => {
+    const missing = await organizer.post('/api/meetings/create', createMeetingBody({ subject: '' }));
+    assert.equal(missing.status, 400);
+
+    const backwards = await organizer.post('/api/meetings/create', createMeetingBody({
+      startTime: at(1, 15),
+      endTime: at(1, 14)
+    }));
+    assert.equal(backwards.status, 400);
+    assert.match(backwards.data.error, /End time must be after start time/);
+  });
+
+  it('refuses attendees who are not in the directory', async () => {
+    const response = await organizer.post('/api/meetings/create', createMeetingBody({
+      attendees: [USERS.adele.userPrincipalName, 'stranger@example.com']
+    }));
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(response.data.invalidUsers.map(u => u.email), ['stranger@example.com']);
+    assert.equal(env.mock.store.events.length, 1, 'no event created');
+  });
+
+  it('reports a conflict when an attendee is busy', async () => {
+    const response = await organizer.post('/api/meetings/create', createMeetingBody({
+      startTime: at(1, 10, 30),
+      endTime: at(1, 11, 30),
+      attendees: [USERS.adele.userPrincipalName, USERS.alex.userPrincipalName]
+    }));
+
+    assert.equal(response.status, 409);
+    assert.deepEqual(
+      response.data.conflictSummary.conflictDetails.map(c => c.email),
+      [USERS.alex.userPrincipalName]
+    );
+  });
+
+  it('creates a Teams meeting, stores it and lists it', async () => {
+    const created = await organizer.post('/api/meetings/create', createMeetingBody());
+    assert.equal(created.status, 201, JSON.stringify(created.data));
+
+    const { meeting } = created.data;
+    assert.equal(meeting.subject, 'Roadmap Review');
+    assert.equal(meeting.status, 'scheduled');
+    assert.ok(meeting.joinUrl, 'has a join URL');
+
+    // The event exists on the organizer's calendar with the attendee invited
+    const event = env.mock.store.events.find(e => e.id === meeting.graphEventId);
+    assert.ok(event, 'event created in Graph');
+    assert.equal(event.isOnlineMeeting, true);
+    assert.deepEqual(event.attendees.map(a => a.emailAddress.address), [USERS.adele.userPrincipalName]);
+
+    const stored = await organizer.get(`/api/meetings/${meeting.id}`);
+    assert.equal(stored.status, 200);
+    assert.equal(stored.data.meetingId, meeting.meetingId);
+
+    const list = await organizer.get('/api/meetings', { params: { includeCalendar: 'false' } });
+    assert.equal(list.status, 200);
+    assert.deepEqual(list.data.meetings.map(m => m.id), [meeting.id]);
+  });
+
+  it('only shows a meeting to the people involved', async () => {
+    const created = await organizer.post('/api/meetings/create', createMeetingBody({ subject: 'Budget', startTime: at(2, 9), endTime: at(2, 9, 30) }));
+    assert.equal(created.status, 201);
+
+    const attendee = await env.as(USERS.adele.userPrincipalName);
+    assert.equal((await attendee.get(`/api/meetings/${created.data.meeting.id}`)).status, 200);
+
+    const outsider = await env.as(USERS.megan.userPrincipalName);
+    assert.equal((await outsider.get(`/api/meetings/${created.data.meeting.id}`)).status, 403);
+  });
+
+  it('cancels a meeting', async () => {
+    const created = await organizer.post('/api/meetings/create', createMeetingBody({ subject: 'Retro', startTime: at(3, 9), endTime: at(3, 10) }));
+    const { meeting } = created.data;
+
+    const attendee = await env.as(USERS.adele.userPrincipalName);
+    const forbidden = await attendee.delete(`/api/meetings/${meeting.id}`);
+    assert.equal(forbidden.status, 403, 'attendees cannot cancel');
+
+    const cancelled = await organizer.delete(`/api/meetings/${meeting.id}`);
+    assert.equal(cancelled.status, 200, JSON.stringify(cancelled.data));
+    assert.equal(cancelled.data.meeting.newStatus, 'cancelled');
+
+    const list = await organizer.get('/api/meetings', { params: { includeCalendar: 'false', status: 'cancelled' } });
+    assert.deepEqual(list.data.meetings.map(m => m.id), [meeting.id]);
+  });
+});
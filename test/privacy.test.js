@@ -0,0 +1,91 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/testServer');
+const { ORGANIZER, USERS } = require('./fixtures/tenant');
+const { createMeetingBody, capturedChat } = require('./fixtures/meetings');
+
+describe('privacy: erasure', () => {
+  let env;
+  let admin;
+  let organizer;
+
+  before(async () => {
+    env = await startTestServer();
+    admin = await env.as(USERS.admin.userPrincipalName);
+    organizer = await env.as(ORGANIZER);
+  });
+
+  after(() => env.close());
+
+  it('can be run again after a failure and still finds everything', async () => {
+    const organizerId = env.mock.store.findUser(ORGANIZER).id;
+    await env.storage.createOrUpdateUser({ userId: organizerId, email: ORGANIZER, name: USERS.organizer.displayName, tenantId: env.mock.tenantId });
+
+    const created = await organizer.post('/api/meetings/create', createMeetingBody({ skipAvailabilityCheck: true }));
+    assert.equal(created.status, 201, JSON.stringify(created.data));
+    const { meetingId } = created.data.meeting;
+    const [message] = capturedChat(meetingId, [{ sender: USERS.organizer.displayName, content: 'Decision: ship on Friday' }]);
+    await env.storage.createItem('chats', message);
+
+    // The first attempt fails part-way, after the meeting moved to the pseudonym
+    const modifyItem = env.storage.modifyItem;
+    env.storage.modifyItem = async (container, ...args) => {
+      if (container === 'chats') throw new Error('Service unavailable');
+      return modifyItem.call(env.storage, container, ...args);
+    };
+    try {
+      const failed = await admin.delete(`/api/privacy/users/${ORGANIZER}`);
+      assert.equal(failed.status, 500);
+    } finally {
+      env.storage.modifyItem = modifyItem;
+    }
+    assert.equal((await env.storage.findItems('users', { email: ORGANIZER })).length, 1);
+
+    const erased = await admin.delete(`/api/privacy/users/${ORGANIZER}`);
+    assert.equal(erased.status, 200, JSON.stringify(erased.data));
+    assert.deepEqual(erased.data.counts.chats, { pseudonymized: 1 });
+    assert.deepEqual(erased.data.counts.users, { deleted: 1 });
+
+    const [chat] = await env.storage.findItems('chats', { meetingId });
+    assert.equal(chat.sender, require('../src/services/privacyService').pseudonymFor(ORGANIZER).name);
+    assert.equal(chat.content, '[erased at the request of the data subject]');
+    assert.equal((await env.storage.findItems('meetings', { userId: organizerId })).length, 0);
+  });
+
+  it('only touches the requesting tenant\'s records, and succeeds when the audit write fails', async () => {
+    const subject = USERS.adele;
+    const adeleId = env.mock.store.findUser(subject.userPrincipalName).id;
+    await env.storage.createOrUpdateUser({ userId: adeleId, email: subject.userPrincipalName, name: subject.displayName, tenantId: env.mock.tenantId });
+
+    // The same address and name in another tenant
+    await env.storage.createOrUpdateUser({ userId: 'fabrikam-adele', email: subject.userPrincipalName, name: subject.displayName, tenantId: 'fabrikam' });
+    await env.storage.createMeeting({ id: 'fabrikam-meeting', meetingId: 'fabrikam-meeting', userId: 'fabrikam-organizer', tenantId: 'fabrikam', subject: 'Elsewhere', attendees: [subject.userPrincipalName] });
+    await env.storage.createItem('chats', capturedChat('fabrikam-meeting', [{ sender: subject.displayName, content: 'Not yours to erase' }])[0]);
+
+    const created = await organizer.post('/api/meetings/create', createMeetingBody({ skipAvailabilityCheck: true }));
+    const { meetingId } = created.data.meeting;
+    await env.storage.createItem('chats', capturedChat(meetingId, [{ sender: subject.displayName, content: 'Mine' }])[0]);
+
+    const exported = await admin.get(`/api/privacy/users/${subject.userPrincipalName}/export`);
+    assert.equal(exported.status, 200);
+    assert.deepEqual(exported.data.subject.userIds, [adeleId]);
+    assert.deepEqual(exported.data.data.chatMessages.map(chat => chat.content), ['Mine']);
+    assert.ok(!exported.data.data.meetingsAttended.some(m => m.meetingId === 'fabrikam-meeting'));
+
+    const auditService = require('../src/services/auditService');
+    const record = auditService.record;
+    auditService.record = async () => { throw new Error('Audit log unavailable'); };
+    let erased;
+    try {
+      erased = await admin.delete(`/api/privacy/users/${subject.userPrincipalName}`);
+    } finally {
+      auditService.record = record;
+    }
+    assert.equal(erased.status, 200, JSON.stringify(erased.data));
+
+    const [elsewhere] = await env.storage.findItems('chats', { meetingId: 'fabrikam-meeting' });
+    assert.equal(elsewhere.content, 'Not yours to erase');
+    assert.deepEqual((await env.storage.findItems('meetings', { meetingId: 'fabrikam-meeting' }))[0].attendees, [subject.userPrincipalName]);
+    assert.deepEqual((await env.storage.findItems('users', { email: subject.userPrincipalName })).map(user => user.tenantId), ['fabrikam']);
+  });
+});
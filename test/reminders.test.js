@@ -0,0 +1,257 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const moment = require('moment');
+const { createMockSmtp } = require('../src/mockSmtp');
+const { startTestServer } = require('./helpers/testServer');
+const { ORGANIZER, USERS } = require('./fixtures/tenant');
+const { createMeetingBody, roadmapDiscussion } = require('./fixtures/meetings');
+
+describe('reminders', () => {
+  let env;
+  let smtp;
+  let smtpServer;
+  let organizer;
+  let adele;
+  let reminderService;
+  let organizerId;
+  let hostedAdapter;
+
+  // Stands in for the bot host's CloudAdapter
+  const botAdapter = {
+    sent: [],
+    async continueConversationAsync(appId, reference, logic) {
+      await logic({ sendActivity: async (activity) => this.sent.push({ userId: reference.user.aadObjectId, text: activity.text }) });
+    }
+  };
+
+  const minutesFromNow = (minutes) => moment.utc().add(minutes, 'minutes').startOf('minute').toISOString();
+
+  const createMeeting = async (overrides) => {
+    const created = await organizer.post('/api/meetings/create', createMeetingBody({ skipAvailabilityCheck: true, ...overrides }));
+    assert.equal(created.status, 201, JSON.stringify(created.data));
+    return created.data.meeting;
+  };
+
+  const remindersOf = (meetingId, type) => env.storage.findItems('reminders', { meetingId, type });
+
+  before(async () => {
+    smtp = createMockSmtp();
+    smtpServer = await smtp.listen();
+    Object.assign(process.env, {
+      SMTP_HOST: smtpServer.host,
+      SMTP_PORT: String(smtpServer.port),
+      SMTP_FROM: 'agent365@contoso.com',
+      MICROSOFT_APP_ID: 'test-bot',
+      MICROSOFT_APP_PASSWORD: 'test-bot-secret'
+    });
+
+    env = await startTestServer();
+    organizer = await env.as(ORGANIZER);
+    adele = await env.as(USERS.adele.userPrincipalName);
+    reminderService = require('../src/services/reminderService');
+    require('../src/services/chatCaptureService').autoInsightsEnabled = false;
+
+    // The organizer has talked to the bot, so it can message them
+    organizerId = env.mock.store.findUser(ORGANIZER).id;
+    const botMessagingService = require('../src/services/botMessagingService');
+    hostedAdapter = botMessagingService.adapter;
+    botMessagingService.useAdapter(botAdapter, 'test-bot');
+    await botMessagingService.saveReference({
+      type: 'message',
+      id: 'activity-1',
+      channelId: 'msteams',
+      serviceUrl: 'https://smba.example.com/',
+      from: { id: '29:organizer', aadObjectId: organizerId },
+      recipient: { id: '28:test-bot' },
+      conversation: { id: 'a:organizer-chat', tenantId: env.mock.tenantId }
+    });
+
+    await adele.put('/api/reminders/preferences', { channels: ['email'] });
+    await (await env.as(USERS.megan.userPrincipalName)).put('/api/reminders/preferences', { channels: ['chat'] });
+  });
+
+  after(async () => {
+    await env.close();
+    await smtpServer.close();
+  });
+
+  it('hosts the bot in the app, so reminders can message people through it', async () => {
+    assert.ok(hostedAdapter instanceof require('botbuilder').CloudAdapter);
+    const unsigned = await env.anonymous.post('/api/messages', { type: 'message', text: 'hi' });
+    assert.equal(unsigned.status, 401);
+  });
+
+  describe('before meetings', () => {
+    let meeting;
+    let chatId;
+
+    before(async () => {
+      meeting = await createMeeting({
+        startTime: minutesFromNow(10),
+        endTime: minutesFromNow(40),
+        attendees: [USERS.adele.userPrincipalName, USERS.megan.userPrincipalName, USERS.alex.userPrincipalName]
+      });
+      chatId = env.mock.store.onlineMeetings.find(m => m.joinWebUrl === meeting.joinUrl).chatInfo.threadId;
+    });
+
+    it('reminds everyone once, each through their first working channel', async () => {
+      const { scheduled, delivered } = await reminderService.run();
+      assert.equal(scheduled.pre_meeting.created, 4);
+      assert.deepEqual(delivered.outcomes, { sent: 4 });
+
+      const [bot] = botAdapter.sent;
+      assert.equal(bot.userId, organizerId);
+      assert.match(bot.text, /Roadmap Review starts in (9|10) min/);
+
+      const [email] = smtp.messages;
+      assert.deepEqual(email.to, [USERS.adele.userPrincipalName]);
+      assert.match(email.subject, /^⏰ Roadmap Review starts in (9|10) min/);
+      assert.match(email.text, new RegExp(meeting.joinUrl.replace(/[.?*+^$[\]\\(){}|-]/g, '\\$&')));
+
+      // Megan chose the chat; Alex has no bot conversation, so falls back to it: one post for both
+      const posts = env.mock.store.messages.get(chatId).filter(m => /starts in/.test(m.body.content));
+      assert.equal(posts.length, 1);
+      assert.deepEqual(posts[0].mentions.map(m => m.mentioned.user.displayName).sort(),
+        [USERS.alex.displayName, USERS.megan.displayName]);
+
+      const reminders = await remindersOf(meeting.meetingId, 'pre_meeting');
+      assert.deepEqual(reminders.map(r => r.channel).sort(), ['bot', 'chat', 'chat', 'email']);
+
+      // Notified once: another pass finds nothing to send
+      assert.deepEqual((await reminderService.run()).delivered.outcomes, {});
+      assert.equal(botAdapter.sent.length, 1);
+      assert.equal(smtp.messages.length, 1);
+    });
+
+    it('schedules again when the meeting moves and drops it when cancelled', async () => {
+      const reminders = env.storage.containers.reminders;
+      const [reminder] = await env.storage.findItems(reminders, { meetingId: meeting.meetingId, email: USERS.adele.userPrincipalName });
+
+      await env.storage.modifyItem('meetings', meeting.id, meeting.userId, m => ({ ...m, startTime: minutesFromNow(12) }));
+      assert.equal((await reminderService.schedule()).pre_meeting.rescheduled, 4);
+      assert.equal((await env.storage.getItem(reminders, reminder.id, reminder.userId)).status, 'scheduled');
+
+      await env.storage.modifyItem('meetings', meeting.id, meeting.userId, m => ({ ...m, status: 'cancelled' }));
+      assert.deepEqual((await reminderService.deliverDue()).outcomes, { cancelled: 4 });
+      assert.equal((await env.storage.getItem(reminders, reminder.id, reminder.userId)).cancelReason, 'Meeting was cancelled');
+      assert.equal(smtp.messages.length, 1);
+    });
+
+    it('finds meetings booked with a UTC offset, and drops their reminders once the meeting is gone', async () => {
+      // Written in Hawaii time, which sorts before the UTC "now" as a string
+      const inHawaii = (minutes) => moment.utc().add(minutes, 'minutes').startOf('minute').utcOffset(-600).format();
+      const startTime = inHawaii(10);
+      const booked = await createMeeting({ startTime, endTime: inHawaii(40), attendees: [] });
+      assert.equal(booked.startTime, moment.utc(startTime).toISOString());
+
+      assert.equal((await reminderService.schedule()).pre_meeting.created, 1);
+      const [reminder] = await remindersOf(booked.meetingId, 'pre_meeting');
+
+      await env.storage.deleteItem('meetings', booked.id, booked.userId);
+      assert.deepEqual((await reminderService.deliverDue()).outcomes, { cancelled: 1 });
+      const cancelled = await env.storage.getItem(env.storage.containers.reminders, reminder.id, reminder.userId);
+      assert.equal(cancelled.cancelReason, 'Meeting no longer exists');
+    });
+  });
+
+  describe('action items', () => {
+    it('nudges the owner on the due date, after their quiet hours', async () => {
+      const meeting = await createMeeting();
+      const chatId = env.mock.store.onlineMeetings.find(m => m.joinWebUrl === meeting.joinUrl).chatInfo.threadId;
+      env.mock.store.postMessage(chatId, { from: ORGANIZER, body: { contentType: 'text', content: 'Action item: update the pricing page by Friday, assigned to Adele' } });
+      await require('../src/services/chatCaptureService').captureNewMessages({ meetingId: meeting.meetingId, chatId, lastCaptureTime: null, messageCount: 0 });
+      const [item] = await env.storage.findItems('actionItems', { meetingId: meeting.meetingId });
+      await adele.patch(`/api/action-items/${item.id}`, { dueDate: '2030-01-31' });
+
+      // 22:00-07:00 in New York is 03:00-12:00 UTC in January
+      const saved = await adele.put('/api/reminders/preferences', { quietHours: { start: '22:00', end: '07:00', timeZone: 'America/New_York' } });
+      assert.equal(saved.status, 200, JSON.stringify(saved.data));
+      assert.deepEqual(saved.data.preferences.channels, ['email']);
+
+      const early = await reminderService.run(new Date('2030-01-31T09:05:00Z'));
+      assert.equal(early.scheduled.action_item_due.created, 1);
+      assert.equal(early.delivered.outcomes.deferred, 1);
+
+      const [reminder] = await env.storage.findItems('reminders', { actionItemId: item.id });
+      assert.equal(reminder.dueAt, '2030-01-31T12:00:00.000Z');
+      assert.equal(reminder.userId, env.mock.store.findUser(USERS.adele.userPrincipalName).id);
+
+      const sentBefore = smtp.messages.length;
+      assert.deepEqual((await reminderService.run(new Date('2030-01-31T12:01:00Z'))).delivered.outcomes, { sent: 1 });
+      assert.equal(smtp.messages.length, sentBefore + 1);
+      assert.equal(smtp.messages.at(-1).subject, `📋 Due today: ${item.title}`);
+
+      const listed = await adele.get('/api/reminders', { params: { status: 'sent' } });
+      assert.ok(listed.data.reminders.some(r => r.id === reminder.id));
+      const notification = await env.storage.findOne('notifications', { reminderId: reminder.id });
+      assert.equal(notification.channel, 'email');
+    });
+  });
+
+  describe('summary follow-ups', () => {
+    it('asks the organizer for a missing summary, honouring snooze and dismiss', async () => {
+      const meeting = await createMeeting({ startTime: minutesFromNow(-180), endTime: minutesFromNow(-120) });
+      const { delivered } = await reminderService.run();
+      assert.equal(delivered.outcomes.sent, 1);
+      assert.match(botAdapter.sent.at(-1).text, /No summary sent yet for Roadmap Review/);
+
+      const listed = await organizer.get('/api/reminders', { params: { status: 'sent' } });
+      const reminder = listed.data.reminders.find(r => r.meetingId === meeting.meetingId);
+      assert.equal(reminder.type, 'summary_follow_up');
+
+      // Only the recipient can act on a reminder
+      assert.equal((await adele.post(`/api/reminders/${reminder.id}/dismiss`)).status, 404);
+      assert.equal((await organizer.post(`/api/reminders/${reminder.id}/snooze`, { minutes: 0 })).status, 400);
+
+      const snoozed = await organizer.post(`/api/reminders/${reminder.id}/snooze`, { minutes: 30 });
+      assert.equal(snoozed.status, 200, JSON.stringify(snoozed.data));
+      assert.equal(snoozed.data.reminder.snoozeCount, 1);
+
+      const sent = botAdapter.sent.length;
+      await reminderService.run();
+      assert.equal(botAdapter.sent.length, sent);
+      await reminderService.run(moment.utc().add(31, 'minutes').toDate());
+      assert.equal(botAdapter.sent.length, sent + 1);
+
+      assert.equal((await organizer.post(`/api/reminders/${reminder.id}/dismiss`)).data.reminder.status, 'dismissed');
+      assert.equal((await organizer.post(`/api/reminders/${reminder.id}/snooze`, { minutes: 30 })).status, 409);
+      await reminderService.run(moment.utc().add(3, 'hours').toDate());
+      assert.equal(botAdapter.sent.length, sent + 1);
+    });
+
+    it('drops the follow-up once a summary exists', async () => {
+      const meeting = await createMeeting({ startTime: minutesFromNow(-240), endTime: minutesFromNow(-200) });
+      await reminderService.schedule();
+      const [reminder] = await remindersOf(meeting.meetingId, 'summary_follow_up');
+      assert.equal(reminder.status, 'scheduled');
+
+      for (const message of roadmapDiscussion(meeting.meetingId, meeting.startTime)) {
+        await env.storage.createItem('chats', message);
+      }
+      await organizer.get(`/api/meetings/${meeting.id}/summary`);
+
+      await reminderService.deliverDue();
+      const [dropped] = await remindersOf(meeting.meetingId, 'summary_follow_up');
+      assert.deepEqual([dropped.status, dropped.cancelReason], ['cancelled', 'Summary was sent']);
+    });
+  });
+
+  describe('preferences', () => {
+    it('rejects unknown channels, bad times and time zones', async () => {
+      const invalid = await adele.put('/api/reminders/preferences', {
+        channels: ['pager'],
+        quietHours: { start: '25:00', end: '07:00', timeZone: 'Mars/Olympus' }
+      });
+      assert.equal(invalid.status, 400);
+      assert.deepEqual(invalid.data.details, [
+        "Unknown channel 'pager' (expected bot, chat, email)",
+        'quietHours.start and quietHours.end must be HH:mm',
+        "Unknown time zone 'Mars/Olympus'"
+      ]);
+
+      const cleared = await adele.put('/api/reminders/preferences', { quietHours: null });
+      assert.deepEqual(cleared.data.preferences, { channels: ['email'], quietHours: null });
+      assert.deepEqual((await adele.get('/api/reminders/preferences')).data.preferences, cleared.data.preferences);
+    });
+  });
+});
@@ -0,0 +1,62 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/testServer');
+const { ORGANIZER, USERS, at } = require('./fixtures/tenant');
+
+const overlaps = (slot, start, end) =>
+  new Date(slot.start) < new Date(end) && new Date(slot.end) > new Date(start);
+
+describe('meetings: suggest-times', () => {
+  let env;
+  let organizer;
+
+  before(async () => {
+    env = await startTestServer();
+    organizer = await env.as(ORGANIZER);
+  });
+
+  after(() => env.close());
+
+  it('requires at least one attendee', async () => {
+    const response = await organizer.post('/api/meetings/suggest-times', { attendees: [] });
+    assert.equal(response.status, 400);
+  });
+
+  it('suggests free slots for a mix of names and emails', async () => {
+    const response = await organizer.post('/api/meetings/suggest-times', {
+      attendees: [USERS.alex.displayName, USERS.adele.userPrincipalName],
+      duration: 60,
+      searchDays: 7
+    });
+
+    assert.equal(response.status, 200, JSON.stringify(response.data));
+    assert.deepEqual(response.data.nameResolution.resolvedAttendees, [
+      USERS.alex.userPrincipalName,
+      USERS.adele.userPrincipalName
+    ]);
+
+    const { suggestions } = response.data;
+    assert.ok(suggestions.length > 0, 'has suggestions');
+    assert.deepEqual(suggestions.map(s => s.rank), suggestions.map((s, i) => i + 1));
+
+    for (const slot of suggestions) {
+      assert.equal(new Date(slot.end) - new Date(slot.start), 60 * 60000, 'slot has the requested duration');
+      assert.ok(!overlaps(slot, at(1, 10), at(1, 11)), `slot ${slot.start} overlaps Alex's Architecture Sync`);
+    }
+  });
+
+  it('reports names it cannot resolve', async () => {
+    const response = await organizer.post('/api/meetings/suggest-times', {
+      attendees: ['Nobody Byname']
+    });
+
+    assert.equal(response.status, 400);
+    assert.match(response.data.details, /Nobody Byname/);
+  });
+
+  it('refuses viewers', async () => {
+    const viewer = await env.as(USERS.viewer.userPrincipalName);
+    const response = await viewer.post('/api/meetings/suggest-times', { attendees: [USERS.adele.userPrincipalName] });
+    assert.equal(response.status, 403);
+  });
+});
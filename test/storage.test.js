@@ -0,0 +1,94 @@
+require('./helpers/quiet');
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const MemoryStore = require('../src/storage/memoryStore');
+const MongoStore = require('../src/storage/mongoStore');
+
+// Filters must match the same documents on every backend, with Cosmos semantics (see
+// src/storage/filter.js). The Mongo run needs a server: set MONGODB_URI to include it.
+const backends = {
+  memory: {
+    create: async () => {
+      const store = new MemoryStore();
+      await store.initialize();
+      return store;
+    },
+    dispose: async () => {}
+  },
+  mongodb: {
+    skip: !process.env.MONGODB_URI && 'MONGODB_URI is not set',
+    create: async () => {
+      const store = new MongoStore();
+      store.databaseId = `agent365-filter-contract-${process.pid}`;
+      await store.initialize();
+      return store;
+    },
+    dispose: async (store) => {
+      await store.db.dropDatabase();
+      await store.close();
+    }
+  }
+};
+
+const documents = [
+  { id: 'a', meetingId: 'm1', status: 'open', tags: ['x', 'y'], owner: null },
+  { id: 'b', meetingId: 'm1', status: 'closed', tags: ['y'], owner: 'adele' },
+  { id: 'c', meetingId: 'm1', tags: 'x' }
+];
+
+const cases = [
+  ['equality', { status: 'open' }, ['a']],
+  ['equality on a scalar skips arrays holding it', { tags: 'x' }, ['c']],
+  ['$in on scalars skips arrays holding them', { tags: { $in: ['x'] } }, ['c']],
+  ['$contains looks inside arrays', { tags: { $contains: 'x' } }, ['a']],
+  ['equality with an array compares the whole array', { tags: ['y'] }, ['b']],
+  ['$ne skips documents without the field', { status: { $ne: 'open' } }, ['b']],
+  ['equality with null skips documents without the field', { owner: null }, ['a']],
+  ['$ne null skips documents without the field', { owner: { $ne: null } }, ['b']],
+  ['$exists: false selects documents without the field', { status: { $exists: false } }, ['c']],
+  ['$or', { $or: [{ status: { $exists: false } }, { status: 'open' }] }, ['a', 'c']],
+  ['$nor', { $nor: [{ status: 'open' }, { tags: 'x' }] }, ['b']]
+];
+
+for (const [name, backend] of Object.entries(backends)) {
+  describe(`storage filters: ${name}`, { skip: backend.skip }, () => {
+    let store;
+
+    before(async () => {
+      store = await backend.create();
+      for (const doc of documents) {
+        await store.createItem('chats', doc);
+      }
+    });
+
+    after(() => backend.dispose(store));
+
+    for (const [title, filter, expected] of cases) {
+      it(title, async () => {
+        const found = await store.findItems('chats', filter, { sort: { id: 1 } });
+        assert.deepEqual(found.map(doc => doc.id), expected);
+      });
+    }
+  });
+}
+
+describe('storage filters: Mongo translation', () => {
+  it('rules out arrays for scalar equality and requires the field for $ne and null', () => {
+    const store = new MongoStore();
+    assert.deepEqual(store.toMongoFilter({
+      status: 'open',
+      tags: { $contains: 'x' },
+      owner: { $ne: 'adele' },
+      $or: [{ closedAt: null }, { kind: { $in: ['a', 'b'] } }]
+    }), {
+      status: { $eq: 'open', $not: { $type: 'array' } },
+      tags: { $elemMatch: { $eq: 'x' } },
+      owner: { $ne: 'adele', $exists: true },
+      $or: [
+        { closedAt: { $eq: null, $not: { $type: 'array' }, $exists: true } },
+        { kind: { $in: ['a', 'b'], $not: { $type: 'array' } } }
+      ]
+    });
+  });
+});
@@ -0,0 +1,83 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/testServer');
+const { ORGANIZER, USERS } = require('./fixtures/tenant');
+const { createMeetingBody, roadmapDiscussion } = require('./fixtures/meetings');
+
+describe('meetings: summary generation', () => {
+  let env;
+  let organizer;
+  let meeting;
+
+  before(async () => {
+    env = await startTestServer();
+    organizer = await env.as(ORGANIZER);
+
+    const created = await organizer.post('/api/meetings/create', createMeetingBody());
+    assert.equal(created.status, 201, JSON.stringify(created.data));
+    meeting = created.data.meeting;
+
+    for (const message of roadmapDiscussion(meeting.meetingId, meeting.startTime)) {
+      await env.storage.createItem('chats', message);
+    }
+  });
+
+  after(() => env.close());
+
+  it('builds a summary from the captured chat', async () => {
+    const response = await organizer.get(`/api/meetings/${meeting.id}/summary`);
+
+    assert.equal(response.status, 200, JSON.stringify(response.data));
+    assert.equal(response.data.generated, true);
+    assert.equal(response.data.version, 1);
+
+    const { summary } = response.data;
+    assert.equal(summary.source, 'rule_based');
+    assert.deepEqual(summary.decisions.map(d => d.text), ['Decision: we go with the phased rollout']);
+    assert.deepEqual(summary.actionItems.map(a => [a.task, a.assignee, a.deadline]), [
+      ['Draft the release notes', USERS.adele.displayName, 'Friday']
+    ]);
+    assert.deepEqual(summary.openQuestions.map(q => q.askedBy), [USERS.adele.displayName]);
+    assert.equal(summary.metrics.totalMessages, 3);
+    assert.equal(summary.metrics.activeParticipants, 2);
+  });
+
+  it('returns the stored summary until asked to regenerate', async () => {
+    const cached = await organizer.get(`/api/meetings/${meeting.id}/summary`);
+    assert.equal(cached.data.generated, false);
+    assert.equal(cached.data.version, 1);
+
+    const regenerated = await organizer.get(`/api/meetings/${meeting.id}/summary`, { params: { regenerate: 'true' } });
+    assert.equal(regenerated.data.generated, true);
+    assert.equal(regenerated.data.version, 2);
+
+    const versions = await organizer.get(`/api/meetings/${meeting.id}/summary/versions`);
+    assert.equal(versions.status, 200);
+    assert.deepEqual(versions.data.versions.map(v => v.version), [2, 1]);
+
+    const first = await organizer.get(`/api/meetings/${meeting.id}/summary`, { params: { version: '1' } });
+    assert.equal(first.data.version, 1);
+
+    const missing = await organizer.get(`/api/meetings/${meeting.id}/summary`, { params: { version: '9' } });
+    assert.equal(missing.status, 404);
+  });
+
+  it('gives concurrent runs distinct versions', async () => {
+    const meetingSummaryService = require('../src/services/meetingSummaryService');
+    const { summary } = (await organizer.get(`/api/meetings/${meeting.id}/summary`)).data;
+
+    const saved = await Promise.all([1, 2, 3].map(() => meetingSummaryService.saveSummaryVersion(meeting.meetingId, summary)));
+    assert.deepEqual(saved.map(s => s.version).sort(), [3, 4, 5]);
+
+    const versions = await env.storage.findItems('summaries', { meetingId: meeting.meetingId });
+    assert.deepEqual(versions.map(v => v.version).sort(), [1, 2, 3, 4, 5]);
+  });
+
+  it('lets attendees read the summary but not outsiders', async () => {
+    const attendee = await env.as(USERS.adele.userPrincipalName);
+    assert.equal((await attendee.get(`/api/meetings/${meeting.id}/summary`)).status, 200);
+
+    const outsider = await env.as(USERS.megan.userPrincipalName);
+    assert.equal((await outsider.get(`/api/meetings/${meeting.id}/summary`)).status, 403);
+  });
+});
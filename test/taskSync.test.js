@@ -0,0 +1,234 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/testServer');
+const { ORGANIZER, PLAN_ID, USERS } = require('./fixtures/tenant');
+const { createMeetingBody } = require('./fixtures/meetings');
+
+describe('action item task sync', () => {
+  let env;
+  let organizer;
+  let adele;
+  let taskSyncService;
+
+  // An action item for Adele, created the way the agent does: from the meeting chat
+  const createActionItem = async (content) => {
+    const created = await organizer.post('/api/meetings/create', createMeetingBody({ skipAvailabilityCheck: true }));
+    assert.equal(created.status, 201, JSON.stringify(created.data));
+    const { meetingId, joinUrl } = created.data.meeting;
+    const chatId = env.mock.store.onlineMeetings.find(m => m.joinWebUrl === joinUrl).chatInfo.threadId;
+
+    env.mock.store.postMessage(chatId, { from: ORGANIZER, body: { contentType: 'text', content } });
+    await require('../src/services/chatCaptureService').captureNewMessages({ meetingId, chatId, lastCaptureTime: null, messageCount: 0 });
+
+    const [item] = await env.storage.findItems('actionItems', { meetingId });
+    assert.ok(item, 'action item was not created');
+    return item;
+  };
+
+  const itemOf = async (id) => (await organizer.get(`/api/action-items/${id}`)).data;
+
+  const todoTasks = (upn) => {
+    const list = env.mock.store.todoListsOf(env.mock.store.findUser(upn))
+      .find(l => l.displayName === taskSyncService.todoListName);
+    return list ? list.tasks : [];
+  };
+
+  // A change made in To Do `minutes` from now
+  const editInTodo = (task, changes, minutes) =>
+    env.mock.store.updateTodoTask(task, changes, { at: new Date(Date.now() + minutes * 60 * 1000).toISOString() });
+
+  before(async () => {
+    env = await startTestServer();
+    organizer = await env.as(ORGANIZER);
+    adele = await env.as(USERS.adele.userPrincipalName);
+    taskSyncService = require('../src/services/taskSyncService');
+    require('../src/services/chatCaptureService').autoInsightsEnabled = false;
+  });
+
+  after(() => env.close());
+
+  describe('Microsoft To Do', () => {
+    let item;
+
+    before(async () => {
+      item = await createActionItem('We need to update the pricing page by Friday, assigned to Adele');
+    });
+
+    it('pushes new items to the owner\'s list once', async () => {
+      const report = await taskSyncService.syncAll();
+      assert.equal(report.outcomes.created, 1);
+
+      const [task, ...others] = todoTasks(USERS.adele.userPrincipalName);
+      assert.equal(others.length, 0);
+      assert.equal(task.title, item.title);
+      assert.equal(task.status, 'notStarted');
+      assert.equal(task.dueDateTime.dateTime.slice(0, 10), item.dueDate);
+
+      const { sync } = await itemOf(item.id);
+      assert.deepEqual([sync.target, sync.taskId, sync.status], ['todo', task.id, 'active']);
+
+      assert.deepEqual((await taskSyncService.syncAll()).outcomes, { unchanged: 1 });
+      assert.equal(todoTasks(USERS.adele.userPrincipalName).length, 1);
+    });
+
+    it('completes the item when the task is completed in To Do, and reopens the task with the item', async () => {
+      const [task] = todoTasks(USERS.adele.userPrincipalName);
+      editInTodo(task, { status: 'completed' }, 0);
+      await taskSyncService.syncAll();
+
+      const { item: completed } = await itemOf(item.id);
+      assert.equal(completed.status, 'completed');
+      assert.equal(completed.history.at(-1).by, 'task-sync');
+
+      const reopened = await adele.patch(`/api/action-items/${item.id}`, { status: 'open', dueDate: '2030-01-31' });
+      assert.equal(reopened.status, 200, JSON.stringify(reopened.data));
+      await taskSyncService.syncAll();
+      assert.equal(task.status, 'notStarted');
+      assert.equal(task.dueDateTime.dateTime.slice(0, 10), '2030-01-31');
+    });
+
+    it('lets the later change win a conflict and audits it', async () => {
+      const [task] = todoTasks(USERS.adele.userPrincipalName);
+
+      await adele.patch(`/api/action-items/${item.id}`, { title: 'Update pricing (app)' });
+      editInTodo(task, { title: 'Update pricing (To Do)' }, 5);
+      await taskSyncService.syncAll();
+      assert.equal((await itemOf(item.id)).item.title, 'Update pricing (To Do)');
+
+      editInTodo(task, { title: 'Update pricing (older)' }, -5);
+      await adele.patch(`/api/action-items/${item.id}`, { title: 'Update pricing (newer)' });
+      await taskSyncService.syncAll();
+      assert.equal(task.title, 'Update pricing (newer)');
+      assert.equal((await itemOf(item.id)).item.title, 'Update pricing (newer)');
+
+      const conflicts = await env.storage.findItems('auditLogs', { type: 'task_sync_conflict', actionItemId: item.id },
+        { sort: { timestamp: 1 } });
+      assert.deepEqual(conflicts.map(entry => [entry.winner, entry.fields]), [['remote', ['title']], ['local', ['title']]]);
+      assert.deepEqual(conflicts[0].remote, { title: 'Update pricing (To Do)' });
+    });
+
+    it('moves the task to the new owner\'s list on reassignment and removes it on cancellation', async () => {
+      await organizer.post(`/api/action-items/${item.id}/reassign`, { owner: USERS.megan.userPrincipalName });
+      await taskSyncService.syncAll();
+
+      assert.equal(todoTasks(USERS.adele.userPrincipalName).length, 0);
+      const [task] = todoTasks(USERS.megan.userPrincipalName);
+      assert.equal(task.title, 'Update pricing (newer)');
+      assert.equal((await itemOf(item.id)).sync.taskId, task.id);
+
+      await organizer.patch(`/api/action-items/${item.id}`, { status: 'cancelled' });
+      await taskSyncService.syncAll();
+      assert.equal(todoTasks(USERS.megan.userPrincipalName).length, 0);
+      assert.equal((await itemOf(item.id)).sync.status, 'cancelled');
+    });
+
+    it('removes the task when the new owner has no mailbox, and creates it again once they do', async () => {
+      const other = await createActionItem('We need to book the venue by Friday, assigned to Adele');
+      assert.equal((await taskSyncService.syncItem(other)).action, 'created');
+      assert.equal(todoTasks(USERS.adele.userPrincipalName).length, 1);
+
+      await organizer.post(`/api/action-items/${other.id}/reassign`, { owner: 'Venue Agency' });
+      const { item: outside } = await itemOf(other.id);
+      assert.equal(outside.ownerEmail, null);
+      assert.equal((await taskSyncService.syncItem(outside)).action, 'cancelled');
+      assert.equal(todoTasks(USERS.adele.userPrincipalName).length, 0);
+
+      await organizer.post(`/api/action-items/${other.id}/reassign`, { owner: USERS.megan.userPrincipalName });
+      assert.equal((await taskSyncService.syncItem((await itemOf(other.id)).item)).action, 'created');
+      assert.deepEqual(todoTasks(USERS.megan.userPrincipalName).map(task => task.title), [other.title]);
+    });
+
+    it('stops syncing an item whose task was deleted in To Do', async () => {
+      const other = await createActionItem('Action item: send the estimates by Thursday, assigned to Alex');
+      assert.equal((await taskSyncService.syncItem(other)).action, 'created');
+
+      const list = env.mock.store.todoListsOf(env.mock.store.findUser(USERS.alex.userPrincipalName))
+        .find(l => l.displayName === taskSyncService.todoListName);
+      env.mock.store.deleteTodoTask(list, list.tasks[0]);
+
+      assert.equal((await taskSyncService.syncItem(other)).action, 'remote_deleted');
+      assert.equal((await taskSyncService.syncItem(other)).action, 'skipped');
+      assert.equal(list.tasks.length, 0);
+    });
+  });
+
+  describe('Planner', () => {
+    let item;
+
+    before(async () => {
+      taskSyncService.target = 'planner';
+      taskSyncService.plannerPlanId = PLAN_ID;
+      item = await createActionItem('Action item: draft the release notes by Friday, assigned to Adele');
+    });
+
+    after(() => {
+      taskSyncService.target = 'todo';
+      taskSyncService.plannerPlanId = null;
+    });
+
+    it('creates a task in the plan assigned to the owner', async () => {
+      const sync = await adele.post(`/api/action-items/${item.id}/sync`);
+      assert.equal(sync.status, 200, JSON.stringify(sync.data));
+      assert.equal(sync.data.action, 'created');
+
+      const task = env.mock.store.findPlannerTask(sync.data.sync.taskId);
+      assert.equal(task.planId, PLAN_ID);
+      assert.equal(task.title, item.title);
+      assert.deepEqual(Object.keys(task.assignments), [env.mock.store.findUser(USERS.adele.userPrincipalName).id]);
+    });
+
+    it('syncs both ways with the task\'s ETag', async () => {
+      const { sync } = await itemOf(item.id);
+      const task = env.mock.store.findPlannerTask(sync.taskId);
+
+      env.mock.store.updatePlannerTask(task, { percentComplete: 100 });
+      await adele.patch(`/api/action-items/${item.id}`, { dueDate: '2030-02-01' });
+      const result = await adele.post(`/api/action-items/${item.id}/sync`);
+
+      assert.deepEqual([result.data.pulled, result.data.pushed], [['status'], ['dueDate']]);
+      assert.equal(result.data.item.status, 'completed');
+      assert.equal(task.dueDateTime, '2030-02-01T00:00:00.000Z');
+
+      // Planner itself refuses changes without the current ETag
+      const graph = require('../src/graph');
+      await assert.rejects(graph.patch(`/planner/tasks/${task.id}`, { title: 'x' }, { headers: { 'If-Match': 'W/"stale"' } }),
+        error => error.status === 412);
+    });
+
+    it('keeps the app\'s edit when Planner cannot say which title change came last', async () => {
+      const { sync } = await itemOf(item.id);
+      const task = env.mock.store.findPlannerTask(sync.taskId);
+
+      env.mock.store.updatePlannerTask(task, { title: 'Release notes (Planner)' });
+      await adele.patch(`/api/action-items/${item.id}`, { title: 'Release notes (app)' });
+      const result = await adele.post(`/api/action-items/${item.id}/sync`);
+
+      assert.deepEqual([result.data.conflicts, result.data.pushed], [['title'], ['title']]);
+      assert.equal(task.title, 'Release notes (app)');
+      assert.equal(result.data.item.title, 'Release notes (app)');
+
+      const [conflict] = await env.storage.findItems('auditLogs', { type: 'task_sync_conflict', actionItemId: item.id });
+      assert.deepEqual([conflict.winner, conflict.remoteModifiedAt], ['local', null]);
+    });
+  });
+
+  describe('routes', () => {
+    it('lets owners and meeting managers sync an item', async () => {
+      const item = await createActionItem('Action item: book the venue by Monday, assigned to Adele');
+
+      const megan = await env.as(USERS.megan.userPrincipalName);
+      assert.equal((await megan.post(`/api/action-items/${item.id}/sync`)).status, 403);
+      assert.equal((await organizer.post(`/api/action-items/${item.id}/sync`)).data.action, 'created');
+    });
+
+    it('runs a full sync for platform admins', async () => {
+      const admin = await env.as(USERS.admin.userPrincipalName);
+      const run = await admin.post('/api/admin/task-sync/run');
+      assert.equal(run.status, 200, JSON.stringify(run.data));
+      assert.equal(run.data.report.target, 'todo');
+      assert.equal(run.data.report.outcomes.failed, undefined);
+
+      assert.equal((await organizer.post('/api/admin/task-sync/run')).status, 403);
+    });
+  });
+});